@@ -14,26 +14,188 @@ const TRANSACTION_STATUS = {
 // Transaction Sources
 const TRANSACTION_SOURCE = {
   BANK: 'BANK',
-  MERCHANT: 'MERCHANT'
+  MERCHANT: 'MERCHANT',
+  GATEWAY: 'GATEWAY'
 };
 
-// Payment Gateways
+// Payment Gateways (gateway adapters registered at startup add their own code;
+// see services/gateways)
 const PAYMENT_GATEWAY = {
   BANK: 'BANK',
   RAZORPAY: 'RAZORPAY',
   STRIPE: 'STRIPE'
 };
 
+// Schema validator for payment gateway fields, read at validation time so
+// registered adapters' codes are accepted
+const PAYMENT_GATEWAY_VALIDATOR = {
+  validator: (value) => value == null || Object.values(PAYMENT_GATEWAY).includes(value),
+  message: 'Unknown payment gateway: {VALUE}'
+};
+
+// Processing state of a stored gateway webhook event
+const WEBHOOK_EVENT_STATUS = {
+  RECEIVED: 'RECEIVED',
+  PROCESSED: 'PROCESSED',
+  // Verified, but not a payment, refund or dispute event
+  IGNORED: 'IGNORED',
+  FAILED: 'FAILED'
+};
+
+// Environment a set of gateway credentials belongs to
+const GATEWAY_MODE = {
+  TEST: 'test',
+  LIVE: 'live'
+};
+
+// Full gateway sync (GatewaySync) state, and its stages in the order they run:
+// payments first, so refunds and settlement items find the payments they belong to
+const GATEWAY_SYNC_STATUS = {
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+const GATEWAY_SYNC_STAGE = {
+  PAYMENTS: 'PAYMENTS',
+  REFUNDS: 'REFUNDS',
+  SETTLEMENTS: 'SETTLEMENTS',
+  SETTLEMENT_ITEMS: 'SETTLEMENT_ITEMS'
+};
+
+// Where the credentials of a gateway call came from
+const GATEWAY_CREDENTIAL_SOURCE = {
+  STORE: 'store',
+  // RAZORPAY_* / STRIPE_* variables, used when the gateway has no stored account
+  ENVIRONMENT: 'environment'
+};
+
 // Reconciliation Statuses
 const RECONCILIATION_STATUS = {
   MATCHED: 'MATCHED',
   UNMATCHED_BANK: 'UNMATCHED_BANK',
   UNMATCHED_MERCHANT: 'UNMATCHED_MERCHANT',
+  UNMATCHED_GATEWAY: 'UNMATCHED_GATEWAY',
+  // Three-way runs: matched on one leg but broken on the other
+  PARTIALLY_MATCHED: 'PARTIALLY_MATCHED',
   AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
   DUPLICATE: 'DUPLICATE',
   PENDING: 'PENDING'
 };
 
+// Reconciliation run modes
+const RECONCILIATION_MODE = {
+  TWO_WAY: 'TWO_WAY',
+  THREE_WAY: 'THREE_WAY'
+};
+
+// Legs of a three-way run, matched in this order
+const RECONCILIATION_LEG = {
+  MERCHANT_GATEWAY: 'MERCHANT_GATEWAY',
+  GATEWAY_BANK: 'GATEWAY_BANK'
+};
+
+// Outcome of a transaction on one leg
+const RECONCILIATION_LEG_STATUS = {
+  MATCHED: 'MATCHED',
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',
+  UNMATCHED: 'UNMATCHED'
+};
+
+// Breaks reported by three-way runs
+const RECONCILIATION_BREAK_TYPE = {
+  // Merchant <-> gateway leg
+  NOT_CAPTURED: 'NOT_CAPTURED',
+  CAPTURED_NOT_IN_LEDGER: 'CAPTURED_NOT_IN_LEDGER',
+  SETTLED_NOT_IN_LEDGER: 'SETTLED_NOT_IN_LEDGER',
+  // Gateway <-> bank leg
+  CAPTURED_NOT_SETTLED: 'CAPTURED_NOT_SETTLED',
+  UNKNOWN_CREDIT: 'UNKNOWN_CREDIT',
+  // Either leg
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH'
+};
+
+// Reconciliation Run Statuses
+const RECONCILIATION_RUN_STATUS = {
+  QUEUED: 'QUEUED',
+  RUNNING: 'RUNNING',
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+  PREVIEW: 'PREVIEW',
+  ROLLED_BACK: 'ROLLED_BACK'
+};
+
+// What happens to a run left RUNNING by a dead process
+const RUN_RECOVERY_MODE = {
+  RESUME: 'RESUME',
+  ROLLBACK: 'ROLLBACK'
+};
+
+// What happens to an upload that repeats an earlier one
+const DUPLICATE_UPLOAD_ACTION = {
+  REJECT: 'REJECT',
+  FLAG: 'FLAG'
+};
+
+// How a duplicate upload was recognised: the same bytes, or the same rows
+const DUPLICATE_MATCH = {
+  CHECKSUM: 'CHECKSUM',
+  ROWS: 'ROWS'
+};
+
+// Upload statuses a new file is checked against for duplicates: imported, or being imported
+const ORIGINAL_UPLOAD_STATUSES = ['PROCESSING', 'COMPLETED', 'PARTIAL'];
+
+// Digit grouping of amounts in uploaded files: 1,234,567.89 or (lakh / crore) 12,34,567.89
+const AMOUNT_GROUPING = {
+  STANDARD: 'STANDARD',
+  INDIAN: 'INDIAN'
+};
+
+// Unit of amounts in uploaded files: rupees (MAJOR) or paise (MINOR, whole numbers)
+const AMOUNT_UNIT = {
+  MAJOR: 'MAJOR',
+  MINOR: 'MINOR'
+};
+
+// Match group shapes (bank side to merchant side)
+const MATCH_GROUP_TYPE = {
+  ONE_TO_ONE: 'ONE_TO_ONE',
+  ONE_TO_MANY: 'ONE_TO_MANY',
+  MANY_TO_ONE: 'MANY_TO_ONE'
+};
+
+// Match group lifecycle
+const MATCH_GROUP_STATUS = {
+  ACTIVE: 'ACTIVE',
+  DISSOLVED: 'DISSOLVED'
+};
+
+// Reason codes required for manual reconciliation actions
+const MANUAL_RECONCILIATION_REASONS = {
+  REFERENCE_VERIFIED: 'REFERENCE_VERIFIED',
+  BATCH_SETTLEMENT: 'BATCH_SETTLEMENT',
+  PARTIAL_SETTLEMENT: 'PARTIAL_SETTLEMENT',
+  AMOUNT_ADJUSTED: 'AMOUNT_ADJUSTED',
+  BANK_CONFIRMATION: 'BANK_CONFIRMATION',
+  INCORRECT_MATCH: 'INCORRECT_MATCH',
+  DATA_CORRECTED: 'DATA_CORRECTED',
+  OTHER: 'OTHER'
+};
+
+// Transaction fields usable as match keys in a match rule pass
+const MATCH_KEY_FIELDS = [
+  'transaction_id',
+  'merchant_id',
+  'reference_id',
+  'utr_number',
+  'bank_reference',
+  'gateway_transaction_id',
+  'customer_email',
+  'currency'
+];
+
 // Merchant Statuses
 const MERCHANT_STATUS = {
   ACTIVE: 'ACTIVE',
@@ -54,6 +216,8 @@ const AUDIT_ACTIONS = {
   LOGIN: 'LOGIN',
   LOGOUT: 'LOGOUT',
   FILE_UPLOAD: 'FILE_UPLOAD',
+  FILE_ROLLBACK: 'FILE_ROLLBACK',
+  FILE_ROWS_RESUBMIT: 'FILE_ROWS_RESUBMIT',
   TRANSACTION_CREATE: 'TRANSACTION_CREATE',
   TRANSACTION_EDIT: 'TRANSACTION_EDIT',
   TRANSACTION_DELETE: 'TRANSACTION_DELETE',
@@ -62,10 +226,39 @@ const AUDIT_ACTIONS = {
   MERCHANT_EDIT: 'MERCHANT_EDIT',
   MERCHANT_DELETE: 'MERCHANT_DELETE',
   RECONCILIATION_RUN: 'RECONCILIATION_RUN',
+  RECONCILIATION_CANCEL: 'RECONCILIATION_CANCEL',
+  RECONCILIATION_PROMOTE: 'RECONCILIATION_PROMOTE',
+  RECONCILIATION_ROLLBACK: 'RECONCILIATION_ROLLBACK',
+  RECONCILIATION_REVIEW: 'RECONCILIATION_REVIEW',
+  RECONCILIATION_MANUAL_MATCH: 'RECONCILIATION_MANUAL_MATCH',
+  RECONCILIATION_UNMATCH: 'RECONCILIATION_UNMATCH',
+  RECONCILIATION_REQUEUE: 'RECONCILIATION_REQUEUE',
   REPORT_GENERATE: 'REPORT_GENERATE',
   EXPORT_DATA: 'EXPORT_DATA',
   SETTINGS_UPDATE: 'SETTINGS_UPDATE',
-  GATEWAY_CONFIG: 'GATEWAY_CONFIG'
+  GATEWAY_CONFIG: 'GATEWAY_CONFIG',
+  GATEWAY_CREDENTIAL_CREATE: 'GATEWAY_CREDENTIAL_CREATE',
+  GATEWAY_CREDENTIAL_EDIT: 'GATEWAY_CREDENTIAL_EDIT',
+  GATEWAY_CREDENTIAL_ROTATE: 'GATEWAY_CREDENTIAL_ROTATE',
+  GATEWAY_CREDENTIAL_DELETE: 'GATEWAY_CREDENTIAL_DELETE',
+  GATEWAY_SYNC: 'GATEWAY_SYNC',
+  WEBHOOK_REPLAY: 'WEBHOOK_REPLAY',
+  MATCH_RULE_CREATE: 'MATCH_RULE_CREATE',
+  MATCH_RULE_EDIT: 'MATCH_RULE_EDIT',
+  MATCH_RULE_DELETE: 'MATCH_RULE_DELETE',
+  AGING_RULE_CREATE: 'AGING_RULE_CREATE',
+  AGING_RULE_EDIT: 'AGING_RULE_EDIT',
+  AGING_RULE_DELETE: 'AGING_RULE_DELETE',
+  FEE_SCHEDULE_CREATE: 'FEE_SCHEDULE_CREATE',
+  FEE_SCHEDULE_EDIT: 'FEE_SCHEDULE_EDIT',
+  FEE_SCHEDULE_DELETE: 'FEE_SCHEDULE_DELETE',
+  RECONCILIATION_SCHEDULE_CREATE: 'RECONCILIATION_SCHEDULE_CREATE',
+  RECONCILIATION_SCHEDULE_EDIT: 'RECONCILIATION_SCHEDULE_EDIT',
+  RECONCILIATION_SCHEDULE_DELETE: 'RECONCILIATION_SCHEDULE_DELETE',
+  RECONCILIATION_SCHEDULE_TRIGGER: 'RECONCILIATION_SCHEDULE_TRIGGER',
+  MAPPING_PROFILE_CREATE: 'MAPPING_PROFILE_CREATE',
+  MAPPING_PROFILE_EDIT: 'MAPPING_PROFILE_EDIT',
+  MAPPING_PROFILE_DELETE: 'MAPPING_PROFILE_DELETE'
 };
 
 // Permission Matrix
@@ -107,13 +300,33 @@ const REPORT_TYPES = {
   SLA_BREACHES: 'SLA_BREACHES'
 };
 
+// Age buckets for open (unmatched or disputed) items, oldest last.
+// Days are whole days since the transaction date; max_days is inclusive, null is open-ended.
+const AGING_BUCKETS = [
+  { key: 'D0_1', label: '0-1d', min_days: 0, max_days: 1 },
+  { key: 'D2_3', label: '2-3d', min_days: 2, max_days: 3 },
+  { key: 'D4_7', label: '4-7d', min_days: 4, max_days: 7 },
+  { key: 'D8_30', label: '8-30d', min_days: 8, max_days: 30 },
+  { key: 'D30_PLUS', label: '30d+', min_days: 31, max_days: null }
+];
+
+// Where the fee and tax deducted from a settlement came from
+const FEE_SOURCE = {
+  TRANSACTION: 'TRANSACTION',
+  SCHEDULE: 'SCHEDULE'
+};
+
+// Alert severities, lowest first
+const ALERT_SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
 // Alert Types
 const ALERT_TYPES = {
   SLA_BREACH: 'SLA_BREACH',
   TRANSACTION_FAILED: 'TRANSACTION_FAILED',
   RECONCILIATION_COMPLETE: 'RECONCILIATION_COMPLETE',
   DISPUTE_DETECTED: 'DISPUTE_DETECTED',
-  UNKNOWN_MERCHANT: 'UNKNOWN_MERCHANT'
+  UNKNOWN_MERCHANT: 'UNKNOWN_MERCHANT',
+  AGING_ESCALATION: 'AGING_ESCALATION'
 };
 
 module.exports = {
@@ -121,11 +334,35 @@ module.exports = {
   TRANSACTION_STATUS,
   TRANSACTION_SOURCE,
   PAYMENT_GATEWAY,
+  PAYMENT_GATEWAY_VALIDATOR,
+  WEBHOOK_EVENT_STATUS,
+  GATEWAY_MODE,
+  GATEWAY_CREDENTIAL_SOURCE,
+  GATEWAY_SYNC_STATUS,
+  GATEWAY_SYNC_STAGE,
   RECONCILIATION_STATUS,
+  RECONCILIATION_MODE,
+  RECONCILIATION_LEG,
+  RECONCILIATION_LEG_STATUS,
+  RECONCILIATION_BREAK_TYPE,
+  RECONCILIATION_RUN_STATUS,
+  RUN_RECOVERY_MODE,
+  DUPLICATE_UPLOAD_ACTION,
+  DUPLICATE_MATCH,
+  ORIGINAL_UPLOAD_STATUSES,
+  AMOUNT_GROUPING,
+  AMOUNT_UNIT,
+  MATCH_GROUP_TYPE,
+  MATCH_GROUP_STATUS,
+  MANUAL_RECONCILIATION_REASONS,
+  MATCH_KEY_FIELDS,
   MERCHANT_STATUS,
   SETTLEMENT_CYCLE,
   AUDIT_ACTIONS,
   PERMISSIONS,
   REPORT_TYPES,
+  AGING_BUCKETS,
+  FEE_SOURCE,
+  ALERT_SEVERITIES,
   ALERT_TYPES
 };
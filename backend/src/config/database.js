@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const config = require('./index');
 
+// Multi-document transactions need a replica set (or sharded cluster)
+let transactionsSupported = false;
+
 const connectDatabase = async () => {
   try {
     const conn = await mongoose.connect(config.mongodb.uri, {
@@ -11,6 +14,12 @@ const connectDatabase = async () => {
 
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
 
+    const { setName, msg } = await conn.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(setName) || msg === 'isdbgrid';
+    if (!transactionsSupported) {
+      console.warn('⚠️  MongoDB is not a replica set; reconciliation writes are not transactional');
+    }
+
     mongoose.connection.on('error', (err) => {
       console.error('MongoDB connection error:', err);
     });
@@ -30,4 +39,6 @@ const connectDatabase = async () => {
   }
 };
 
-module.exports = { connectDatabase };
+const supportsTransactions = () => transactionsSupported;
+
+module.exports = { connectDatabase, supportsTransactions };
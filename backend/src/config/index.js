@@ -17,13 +17,25 @@ module.exports = {
   razorpay: {
     keyId: process.env.RAZORPAY_KEY_ID,
     keySecret: process.env.RAZORPAY_KEY_SECRET,
-    isConfigured: !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET)
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
   },
   
   stripe: {
     secretKey: process.env.STRIPE_SECRET_KEY,
     webhookSecret: process.env.STRIPE_WEBHOOK_SECRET,
-    isConfigured: !!process.env.STRIPE_SECRET_KEY
+    // API base URL, e.g. http://localhost:12111 for the mock (npm run mock:stripe); empty for api.stripe.com
+    apiHost: process.env.STRIPE_API_HOST
+  },
+  
+  // Extra gateway adapter modules to register at startup (comma-separated paths
+  // from the backend directory), next to the built-in Razorpay and Stripe ones
+  gateways: {
+    adapters: (process.env.GATEWAY_ADAPTERS || '').split(',').map(path => path.trim()).filter(Boolean),
+    // Master key stored gateway credentials are encrypted under (32 bytes, base64
+    // or hex). After rotating it, list the old key(s) in GATEWAY_MASTER_KEY_PREVIOUS
+    // until every credential has been re-wrapped (POST /api/gateways/credentials/rewrap).
+    masterKey: process.env.GATEWAY_MASTER_KEY,
+    previousMasterKeys: (process.env.GATEWAY_MASTER_KEY_PREVIOUS || '').split(',').map(key => key.trim()).filter(Boolean)
   },
   
   email: {
@@ -40,8 +52,67 @@ module.exports = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100
   },
   
+  reconciliation: {
+    pollIntervalMs: parseInt(process.env.RECONCILIATION_POLL_INTERVAL_MS) || 5000,
+    progressEvery: parseInt(process.env.RECONCILIATION_PROGRESS_EVERY) || 500,
+    previewSampleSize: parseInt(process.env.RECONCILIATION_PREVIEW_SAMPLE_SIZE) || 50,
+    // Rows read per cursor batch and writes buffered per bulk flush
+    batchSize: parseInt(process.env.RECONCILIATION_BATCH_SIZE) || 1000,
+    // Per-row outcomes kept from recent runs, used to compare runs
+    historyLength: parseInt(process.env.RECONCILIATION_HISTORY_LENGTH) || 10,
+    grouping: {
+      maxGroupSize: parseInt(process.env.RECONCILIATION_MAX_GROUP_SIZE) || 25,
+      maxSearchSteps: parseInt(process.env.RECONCILIATION_MAX_GROUP_SEARCH_STEPS) || 20000
+    },
+    // Near-miss suggestions for rows left unmatched
+    scoring: {
+      suggestionThreshold: parseInt(process.env.RECONCILIATION_SUGGESTION_THRESHOLD) || 60,
+      maxSuggestions: parseInt(process.env.RECONCILIATION_MAX_SUGGESTIONS) || 3,
+      maxCandidates: parseInt(process.env.RECONCILIATION_MAX_SCORED_CANDIDATES) || 200
+    },
+    // Net-of-fees matching: difference between expected and credited net amount
+    // accepted as fee variance when a fee schedule sets no tolerance of its own
+    fees: {
+      varianceTolerance: parseFloat(process.env.RECONCILIATION_FEE_VARIANCE_TOLERANCE) || 1
+    },
+    // Scheduled runs per settlement cycle. Cut-off times are wall-clock times at
+    // this UTC offset (minutes; 330 = IST)
+    scheduler: {
+      checkIntervalMs: parseInt(process.env.SCHEDULER_CHECK_INTERVAL_MS) || 60000,
+      utcOffsetMinutes: parseInt(process.env.SCHEDULER_UTC_OFFSET_MINUTES ?? '330')
+    },
+    // Each merchant's writes are committed in one MongoDB transaction (needs a replica set)
+    transactions: process.env.RECONCILIATION_TRANSACTIONS !== 'false',
+    // Runs left RUNNING by a dead process (no heartbeat for staleAfterMs) are either
+    // resumed from their last merchant checkpoint or failed and rolled back. Their
+    // merchant locks expire after the same time without a heartbeat.
+    recovery: {
+      mode: (process.env.RECONCILIATION_RECOVERY_MODE || 'RESUME').toUpperCase(),
+      staleAfterMs: parseInt(process.env.RECONCILIATION_STALE_RUN_MS) || 300000,
+      // How often a running run heartbeats, independent of its progress
+      heartbeatIntervalMs: parseInt(process.env.RECONCILIATION_HEARTBEAT_MS) || 30000,
+      maxResumes: parseInt(process.env.RECONCILIATION_MAX_RESUMES ?? '3')
+    },
+    // Escalation alerts for open items crossing an age bucket
+    aging: {
+      checkIntervalMs: parseInt(process.env.AGING_CHECK_INTERVAL_MS) || 3600000
+    }
+  },
+  
   upload: {
-    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760
+    // Bytes per uploaded file (default 500MB)
+    maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 524288000,
+    // Rows validated and inserted per batch while a file streams in
+    chunkSize: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 1000,
+    // A file whose checksum or rows match an earlier upload is rejected (REJECT)
+    // or imported with a warning (FLAG); admins can always re-import one deliberately
+    duplicateAction: (process.env.DUPLICATE_UPLOAD_ACTION || 'REJECT').toUpperCase(),
+    // Time zone of dates without one in uploaded files (IANA name or offset such as +05:30),
+    // unless the mapping profile sets its own
+    timezone: process.env.UPLOAD_TIMEZONE || 'UTC',
+    // Transaction IDs looked for in bank statement remittance text (MT940 / camt.053)
+    transactionIdPattern: process.env.STATEMENT_TXN_ID_PATTERN
+      || '\\b(?:TXN[A-Z0-9]{6,}|pay_[A-Za-z0-9]{14}|pi_[A-Za-z0-9]{14,}|ch_[A-Za-z0-9]{14,})\\b'
   },
   
   frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
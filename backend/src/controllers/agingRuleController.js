@@ -0,0 +1,173 @@
+const { AgingRule } = require('../models');
+const { asyncHandler, AppError } = require('../middleware');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const { AGING_BUCKETS } = require('../config/constants');
+const { DEFAULT_AGING_RULES, runAgingEscalation } = require('../services/agingService');
+
+// @desc    Get all aging rules
+// @route   GET /api/aging-rules
+// @access  Private
+const getAgingRules = asyncHandler(async (req, res) => {
+  const { is_active, merchant_id, source } = req.query;
+
+  const query = {};
+  if (is_active === 'true') query.is_active = true;
+  if (is_active === 'false') query.is_active = false;
+  if (merchant_id) query['scope.merchant_id'] = merchant_id.toUpperCase();
+  if (source) query['scope.source'] = source;
+
+  const rules = await AgingRule.find(query)
+    .populate('updated_by', 'name email')
+    .sort('name');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rules,
+      buckets: AGING_BUCKETS,
+      // Applied while no active rule exists
+      defaults: DEFAULT_AGING_RULES
+    }
+  });
+});
+
+// @desc    Get single aging rule
+// @route   GET /api/aging-rules/:id
+// @access  Private
+const getAgingRule = asyncHandler(async (req, res) => {
+  const rule = await AgingRule.findById(req.params.id)
+    .populate('created_by', 'name email')
+    .populate('updated_by', 'name email');
+
+  if (!rule) {
+    throw new AppError('Aging rule not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { rule }
+  });
+});
+
+// @desc    Create aging rule
+// @route   POST /api/aging-rules
+// @access  Private/Admin
+const createAgingRule = asyncHandler(async (req, res) => {
+  const { name, description, bucket, severity, scope, is_active } = req.body;
+
+  const rule = await AgingRule.create({
+    name,
+    description,
+    bucket,
+    severity,
+    scope,
+    is_active,
+    created_by: req.user._id,
+    updated_by: req.user._id
+  });
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.AGING_RULE_CREATE, 'AGING_RULE', {
+    entity_id: rule._id.toString(),
+    entity_name: rule.name,
+    changes: { after: rule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Aging rule created successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Update aging rule
+// @route   PUT /api/aging-rules/:id
+// @access  Private/Admin
+const updateAgingRule = asyncHandler(async (req, res) => {
+  const rule = await AgingRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Aging rule not found', 404);
+  }
+
+  const beforeUpdate = rule.toJSON();
+
+  const allowedUpdates = ['name', 'description', 'bucket', 'severity', 'scope', 'is_active'];
+
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      rule[field] = req.body[field];
+    }
+  });
+
+  rule.updated_by = req.user._id;
+  await rule.save();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.AGING_RULE_EDIT, 'AGING_RULE', {
+    entity_id: rule._id.toString(),
+    entity_name: rule.name,
+    changes: { before: beforeUpdate, after: rule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Aging rule updated successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Delete aging rule
+// @route   DELETE /api/aging-rules/:id
+// @access  Private/Admin
+const deleteAgingRule = asyncHandler(async (req, res) => {
+  const rule = await AgingRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Aging rule not found', 404);
+  }
+
+  await rule.deleteOne();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.AGING_RULE_DELETE, 'AGING_RULE', {
+    entity_id: rule._id.toString(),
+    entity_name: rule.name,
+    changes: { before: rule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Aging rule deleted successfully'
+  });
+});
+
+// @desc    Run the aging escalation check now
+// @route   POST /api/aging-rules/escalate
+// @access  Private/Admin
+const runEscalation = asyncHandler(async (req, res) => {
+  const { alerts, items, created } = await runAgingEscalation();
+
+  const io = req.app.get('io');
+  if (io) {
+    created.forEach(alert => io.emit('alert:new', { _id: alert._id, severity: alert.severity, message: alert.message }));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Raised ${alerts} aging alert(s) for ${items} item(s)`,
+    data: { alerts, items }
+  });
+});
+
+module.exports = {
+  getAgingRules,
+  getAgingRule,
+  createAgingRule,
+  updateAgingRule,
+  deleteAgingRule,
+  runEscalation
+};
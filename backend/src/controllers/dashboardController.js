@@ -23,7 +23,7 @@ const getDashboardSummary = asyncHandler(async (req, res) => {
         failedCount: { $sum: { $cond: [{ $eq: ['$status', 'FAILED'] }, 1, 0] } },
         pendingCount: { $sum: { $cond: [{ $eq: ['$status', 'PENDING'] }, 1, 0] } },
         matchedCount: { $sum: { $cond: [{ $eq: ['$reconciliation_status', 'MATCHED'] }, 1, 0] } },
-        unmatchedCount: { $sum: { $cond: [{ $in: ['$reconciliation_status', ['UNMATCHED_BANK', 'UNMATCHED_MERCHANT']] }, 1, 0] } },
+        unmatchedCount: { $sum: { $cond: [{ $in: ['$reconciliation_status', ['UNMATCHED_BANK', 'UNMATCHED_MERCHANT', 'UNMATCHED_GATEWAY']] }, 1, 0] } },
         slaBreachedCount: { $sum: { $cond: ['$sla_breached', 1, 0] } },
         disputedCount: { $sum: { $cond: ['$is_disputed', 1, 0] } }
       }
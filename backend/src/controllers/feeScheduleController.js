@@ -0,0 +1,172 @@
+const { FeeSchedule } = require('../models');
+const { asyncHandler, AppError } = require('../middleware');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const config = require('../config');
+
+// Both fee bounds must be set the right way round
+const checkFeeBounds = (schedule) => {
+  if (schedule.min_fee != null && schedule.max_fee != null && schedule.min_fee > schedule.max_fee) {
+    throw new AppError('Minimum fee cannot exceed the maximum fee', 400);
+  }
+};
+
+// @desc    Get all fee schedules
+// @route   GET /api/fee-schedules
+// @access  Private
+const getFeeSchedules = asyncHandler(async (req, res) => {
+  const { is_active, merchant_id, payment_gateway } = req.query;
+
+  const query = {};
+  if (is_active === 'true') query.is_active = true;
+  if (is_active === 'false') query.is_active = false;
+  if (merchant_id) query['scope.merchant_id'] = merchant_id.toUpperCase();
+  if (payment_gateway) query['scope.payment_gateway'] = payment_gateway;
+
+  const schedules = await FeeSchedule.find(query)
+    .populate('updated_by', 'name email')
+    .sort('name');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      schedules,
+      // Applied to schedules without a variance tolerance of their own
+      default_variance_tolerance: config.reconciliation.fees.varianceTolerance
+    }
+  });
+});
+
+// @desc    Get single fee schedule
+// @route   GET /api/fee-schedules/:id
+// @access  Private
+const getFeeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await FeeSchedule.findById(req.params.id)
+    .populate('created_by', 'name email')
+    .populate('updated_by', 'name email');
+
+  if (!schedule) {
+    throw new AppError('Fee schedule not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { schedule }
+  });
+});
+
+// @desc    Create fee schedule
+// @route   POST /api/fee-schedules
+// @access  Private/Admin
+const createFeeSchedule = asyncHandler(async (req, res) => {
+  const {
+    name, description, scope, percentage, fixed_fee, min_fee, max_fee, tax_percentage, variance_tolerance, is_active
+  } = req.body;
+
+  checkFeeBounds({ min_fee, max_fee });
+
+  const schedule = await FeeSchedule.create({
+    name,
+    description,
+    scope,
+    percentage,
+    fixed_fee,
+    min_fee,
+    max_fee,
+    tax_percentage,
+    variance_tolerance,
+    is_active,
+    created_by: req.user._id,
+    updated_by: req.user._id
+  });
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.FEE_SCHEDULE_CREATE, 'FEE_SCHEDULE', {
+    entity_id: schedule._id.toString(),
+    entity_name: schedule.name,
+    changes: { after: schedule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Fee schedule created successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Update fee schedule
+// @route   PUT /api/fee-schedules/:id
+// @access  Private/Admin
+const updateFeeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await FeeSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new AppError('Fee schedule not found', 404);
+  }
+
+  const beforeUpdate = schedule.toJSON();
+
+  const allowedUpdates = [
+    'name', 'description', 'scope', 'percentage', 'fixed_fee', 'min_fee', 'max_fee',
+    'tax_percentage', 'variance_tolerance', 'is_active'
+  ];
+
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      schedule[field] = req.body[field];
+    }
+  });
+
+  checkFeeBounds(schedule);
+
+  schedule.updated_by = req.user._id;
+  await schedule.save();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.FEE_SCHEDULE_EDIT, 'FEE_SCHEDULE', {
+    entity_id: schedule._id.toString(),
+    entity_name: schedule.name,
+    changes: { before: beforeUpdate, after: schedule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Fee schedule updated successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Delete fee schedule
+// @route   DELETE /api/fee-schedules/:id
+// @access  Private/Admin
+const deleteFeeSchedule = asyncHandler(async (req, res) => {
+  const schedule = await FeeSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new AppError('Fee schedule not found', 404);
+  }
+
+  await schedule.deleteOne();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.FEE_SCHEDULE_DELETE, 'FEE_SCHEDULE', {
+    entity_id: schedule._id.toString(),
+    entity_name: schedule.name,
+    changes: { before: schedule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Fee schedule deleted successfully'
+  });
+});
+
+module.exports = {
+  getFeeSchedules,
+  getFeeSchedule,
+  createFeeSchedule,
+  updateFeeSchedule,
+  deleteFeeSchedule
+};
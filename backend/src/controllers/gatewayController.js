@@ -1,23 +1,72 @@
 const { asyncHandler, AppError } = require('../middleware');
-const config = require('../config');
-const Razorpay = require('razorpay');
-const { Transaction } = require('../models');
+const { Transaction, GatewaySync } = require('../models');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const { GATEWAY_SYNC_STATUS } = require('../config/constants');
+const { getGateway, getGatewayByCode, listGateways } = require('../services/gateways');
+const { resolveCredentials, environmentCredentials } = require('../services/gatewayCredentials');
+const { isSyncActive, startSync } = require('../services/gatewaySync');
+
+// Adapter named in the route (404 when none is registered)
+const findGateway = (name) => {
+  const gateway = getGateway(name);
+  if (!gateway) {
+    throw new AppError(`Unknown payment gateway: ${name}`, 404, 'UNKNOWN_GATEWAY');
+  }
+  return gateway;
+};
+
+// Credentials to call the gateway with: those of the account named by
+// `account` (query or body), else the default one for `merchant_id`, else the
+// platform default, else the environment's (options name them instead)
+const gatewayCredentials = async (gateway, req, {
+  accountId = req.query.account || req.body?.account,
+  merchantId = req.query.merchant_id || req.body?.merchant_id
+} = {}) => {
+  let resolved;
+  try {
+    resolved = await resolveCredentials(gateway, { accountId, merchantId });
+  } catch (error) {
+    throw new AppError(`Failed to load ${gateway.label} credentials: ${error.message}`, 500);
+  }
+
+  if (!resolved) {
+    if (accountId) throw new AppError(`${gateway.label} account not found`, 404);
+    throw new AppError(`${gateway.label} is not configured. Add an account or set its credentials in environment.`, 400);
+  }
+  return resolved;
+};
+
+const parseCount = (value, fallback) => Math.max(parseInt(value) || fallback, 1);
 
 // @desc    Get gateway configurations status
 // @route   GET /api/gateways
 // @access  Private
 const getGatewayStatus = asyncHandler(async (req, res) => {
-  const gateways = {
-    razorpay: {
-      configured: config.razorpay.isConfigured,
-      mode: config.razorpay.keyId?.startsWith('rzp_test_') ? 'test' : 'live',
-      keyIdPrefix: config.razorpay.keyId ? config.razorpay.keyId.substring(0, 15) + '...' : null
-    },
-    stripe: {
-      configured: config.stripe.isConfigured,
-      mode: config.stripe.secretKey?.startsWith('sk_test_') ? 'test' : 'live'
+  const gateways = {};
+  for (const gateway of listGateways()) {
+    const status = { label: gateway.label, code: gateway.code, configured: false };
+
+    // Default credentials, as masked as they are shown elsewhere
+    try {
+      const resolved = await resolveCredentials(gateway);
+      if (resolved) {
+        Object.assign(status, {
+          configured: true,
+          source: resolved.source,
+          ...gateway.describe(resolved.credentials),
+          account: resolved.account && { _id: resolved.account._id, label: resolved.account.label }
+        });
+      }
+    } catch (error) {
+      status.error = `Failed to load credentials: ${error.message}`;
     }
-  };
+
+    gateways[gateway.name] = {
+      ...status,
+      credentialFields: gateway.credentialFields || [],
+      fullSync: Boolean(gateway.listSettlementItems)
+    };
+  }
 
   res.status(200).json({
     success: true,
@@ -25,37 +74,32 @@ const getGatewayStatus = asyncHandler(async (req, res) => {
   });
 });
 
-// @desc    Test Razorpay connection
-// @route   POST /api/gateways/razorpay/test
+// @desc    Test a gateway connection
+// @route   POST /api/gateways/:gateway/test
 // @access  Private
-const testRazorpayConnection = asyncHandler(async (req, res) => {
-  if (!config.razorpay.isConfigured) {
-    throw new AppError('Razorpay is not configured. Please set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET in environment.', 400);
-  }
+const testConnection = asyncHandler(async (req, res) => {
+  const gateway = findGateway(req.params.gateway);
+  const { credentials, account } = await gatewayCredentials(gateway, req);
 
   try {
-    const razorpay = new Razorpay({
-      key_id: config.razorpay.keyId,
-      key_secret: config.razorpay.keySecret
-    });
+    const details = await gateway.testConnection(credentials);
+    if (account) {
+      account.last_verified_at = new Date();
+      await account.save();
+    }
 
-    // Try to fetch payments to verify connection
-    const payments = await razorpay.payments.all({ count: 1 });
-    
     res.status(200).json({
       success: true,
-      message: 'Razorpay connection successful!',
+      message: `${gateway.label} connection successful!`,
       data: {
         connected: true,
-        mode: config.razorpay.keyId.startsWith('rzp_test_') ? 'test' : 'live',
-        keyId: config.razorpay.keyId.substring(0, 15) + '...',
-        paymentCount: payments.count || 0
+        ...details
       }
     });
   } catch (error) {
     res.status(200).json({
       success: false,
-      message: 'Razorpay connection failed',
+      message: `${gateway.label} connection failed`,
       data: {
         connected: false,
         error: error.message
@@ -64,107 +108,90 @@ const testRazorpayConnection = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Update Razorpay credentials
-// @route   POST /api/gateways/razorpay/config
-// @access  Private/Admin
-const updateRazorpayConfig = asyncHandler(async (req, res) => {
-  const { keyId, keySecret } = req.body;
-
-  if (!keyId || !keySecret) {
-    throw new AppError('Key ID and Key Secret are required', 400);
-  }
+// Handler returning one of an adapter's lists under `key`
+const listHandler = (method, key, what) => asyncHandler(async (req, res) => {
+  const gateway = findGateway(req.params.gateway);
+  const { credentials } = await gatewayCredentials(gateway, req);
 
-  // Store in memory for this session (in production, use secure storage)
-  config.razorpay.keyId = keyId;
-  config.razorpay.keySecret = keySecret;
-  config.razorpay.isConfigured = true;
-
-  // Test connection with new credentials
   try {
-    const razorpay = new Razorpay({
-      key_id: keyId,
-      key_secret: keySecret
-    });
-
-    await razorpay.payments.all({ count: 1 });
+    const { items, ...page } = await gateway[method](credentials, { count: parseCount(req.query.count, 10) });
 
     res.status(200).json({
       success: true,
-      message: 'Razorpay credentials updated and verified!',
       data: {
-        connected: true,
-        mode: keyId.startsWith('rzp_test_') ? 'test' : 'live',
-        keyId: keyId.substring(0, 15) + '...'
+        [key]: items,
+        ...page
       }
     });
   } catch (error) {
-    // Reset if failed
-    config.razorpay.keyId = process.env.RAZORPAY_KEY_ID;
-    config.razorpay.keySecret = process.env.RAZORPAY_KEY_SECRET;
-    config.razorpay.isConfigured = !!(process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET);
-
-    throw new AppError(`Failed to verify Razorpay credentials: ${error.message}`, 400);
+    throw new AppError(`Failed to fetch ${gateway.label} ${what}: ${error.message}`, 500);
   }
 });
 
-// @desc    Fetch recent Razorpay payments
-// @route   GET /api/gateways/razorpay/payments
+// @desc    Fetch recent gateway payments
+// @route   GET /api/gateways/:gateway/payments
 // @access  Private
-const getRazorpayPayments = asyncHandler(async (req, res) => {
-  if (!config.razorpay.isConfigured) {
-    throw new AppError('Razorpay is not configured', 400);
-  }
+const getPayments = listHandler('listPayments', 'payments', 'payments');
 
-  const { count = 10 } = req.query;
-
-  try {
-    const razorpay = new Razorpay({
-      key_id: config.razorpay.keyId,
-      key_secret: config.razorpay.keySecret
-    });
-
-    const payments = await razorpay.payments.all({ count: parseInt(count) });
+// @desc    Fetch recent gateway refunds
+// @route   GET /api/gateways/:gateway/refunds
+// @access  Private
+const getRefunds = listHandler('listRefunds', 'refunds', 'refunds');
 
-    res.status(200).json({
-      success: true,
-      data: {
-        payments: payments.items || [],
-        count: payments.count || 0
+// @desc    Fetch recent gateway settlements (payouts)
+// @route   GET /api/gateways/:gateway/settlements
+// @access  Private
+const getSettlements = listHandler('listSettlements', 'settlements', 'settlements');
+
+// Mark the transactions a settlement paid out with it (settlement time = when
+// it was settled)
+const linkSettlement = async (gateway, credentials, settlement) => {
+  const paymentIds = await gateway.settlementPaymentIds(credentials, settlement);
+  if (!paymentIds.length) return 0;
+
+  const result = await Transaction.updateMany(
+    { payment_gateway: gateway.code, gateway_transaction_id: { $in: paymentIds } },
+    {
+      $set: {
+        settlement_time: settlement.settled_at,
+        gateway_settlement_id: settlement.id,
+        ...(settlement.utr && { utr_number: settlement.utr }),
+        'metadata.settlement_id': settlement.id,
+        'metadata.settlement_status': settlement.status,
+        'metadata.settlement_utr': settlement.utr
       }
-    });
-  } catch (error) {
-    throw new AppError(`Failed to fetch Razorpay payments: ${error.message}`, 500);
-  }
-});
+    },
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
 
-// @desc    Sync Razorpay payments to transactions
-// @route   POST /api/gateways/razorpay/sync
+// @desc    Sync gateway payments to transactions, and link them to the
+//          settlements they were paid out in
+// @route   POST /api/gateways/:gateway/sync
 // @access  Private
-const syncRazorpayPayments = asyncHandler(async (req, res) => {
-  if (!config.razorpay.isConfigured) {
-    throw new AppError('Razorpay is not configured', 400);
-  }
-
-  const { count = 50 } = req.body;
+const syncPayments = asyncHandler(async (req, res) => {
+  const gateway = findGateway(req.params.gateway);
+  const { credentials } = await gatewayCredentials(gateway, req);
+  const count = parseCount(req.body.count, 50);
 
   try {
-    const razorpay = new Razorpay({
-      key_id: config.razorpay.keyId,
-      key_secret: config.razorpay.keySecret
-    });
+    const batch = gateway.paymentsToSync
+      ? await gateway.paymentsToSync(credentials, { count })
+      : await gateway.listPayments(credentials, { count });
 
-    const payments = await razorpay.payments.all({ count: parseInt(count) });
-    
     let imported = 0;
-    let skipped = 0;
+    let skipped = batch.skipped || 0;
     let errors = 0;
 
-    for (const payment of payments.items || []) {
+    for (const payment of batch.items) {
+      const transaction = gateway.toTransaction(payment);
+
       // Check if already exists
-      const existingTxn = await Transaction.findOne({ 
+      const existingTxn = await Transaction.findOne({
         $or: [
-          { transaction_id: payment.id },
-          { reference_id: payment.id }
+          { transaction_id: transaction.transaction_id },
+          { reference_id: transaction.transaction_id }
         ]
       });
 
@@ -174,100 +201,227 @@ const syncRazorpayPayments = asyncHandler(async (req, res) => {
       }
 
       try {
-        // Create transaction from Razorpay payment
-        await Transaction.create({
-          transaction_id: payment.id,
-          merchant_id: payment.notes?.merchant_id || 'RAZORPAY',
-          amount: payment.amount / 100, // Razorpay amounts are in paise
-          currency: payment.currency?.toUpperCase() || 'INR',
-          payment_gateway: 'RAZORPAY',
-          status: payment.status === 'captured' ? 'SUCCESS' : 
-                  payment.status === 'failed' ? 'FAILED' : 'PENDING',
-          source: 'BANK',
-          reference_id: payment.order_id || payment.id,
-          transaction_date: new Date(payment.created_at * 1000),
-          customer_email: payment.email || payment.notes?.email,
-          customer_name: payment.notes?.name,
-          description: payment.description || `Razorpay payment via ${payment.method}`,
-          metadata: {
-            razorpay_payment_id: payment.id,
-            razorpay_order_id: payment.order_id,
-            method: payment.method,
-            bank: payment.bank,
-            wallet: payment.wallet,
-            vpa: payment.vpa,
-            card_id: payment.card_id,
-            international: payment.international,
-            fee: payment.fee,
-            tax: payment.tax
-          },
-          created_by: req.user._id
-        });
+        await Transaction.create({ ...transaction, created_by: req.user._id });
         imported++;
       } catch (err) {
-        console.error(`Failed to import payment ${payment.id}:`, err.message);
+        console.error(`Failed to import ${gateway.label} payment ${transaction.transaction_id}:`, err.message);
         errors++;
       }
     }
 
+    const settlements = batch.settlements || [];
+    let linked = 0;
+    if (gateway.settlementPaymentIds) {
+      for (const settlement of settlements) {
+        linked += await linkSettlement(gateway, credentials, settlement);
+      }
+    }
+
     // Emit socket event for real-time updates
     if (req.app.get('io') && imported > 0) {
-      req.app.get('io').emit('transactions:sync', { imported, source: 'RAZORPAY' });
+      req.app.get('io').emit('transactions:sync', { imported, source: gateway.code });
     }
 
     res.status(200).json({
       success: true,
-      message: `Synced ${imported} payments from Razorpay`,
+      message: `Synced ${imported} payments from ${gateway.label}`,
       data: {
         imported,
         skipped,
         errors,
-        total: payments.count || 0
+        settlements: settlements.length,
+        linked,
+        total: batch.total ?? batch.count ?? batch.items.length
       }
     });
   } catch (error) {
-    throw new AppError(`Failed to sync Razorpay payments: ${error.message}`, 500);
+    throw new AppError(`Failed to sync ${gateway.label} payments: ${error.message}`, 500);
   }
 });
 
-// @desc    Get Razorpay stats (total received, etc.)
-// @route   GET /api/gateways/razorpay/stats
-// @access  Private
-const getRazorpayStats = asyncHandler(async (req, res) => {
-  if (!config.razorpay.isConfigured) {
-    throw new AppError('Razorpay is not configured', 400);
+// Largest page the gateways list
+const MAX_SYNC_PAGE_SIZE = 100;
+
+// A date-only `to` covers the whole day
+const parseSyncDate = (value, name, endOfDay = false) => {
+  const date = new Date(value);
+  if (!value || isNaN(date)) {
+    throw new AppError(`A valid ${name} date is required`, 400);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
   }
+  return date;
+};
 
-  try {
-    const razorpay = new Razorpay({
-      key_id: config.razorpay.keyId,
-      key_secret: config.razorpay.keySecret
-    });
+const syncEmitter = (req) => {
+  const io = req.app.get('io');
+  return (event, data) => io && io.emit(event, data);
+};
+
+// @desc    Start a full sync of gateway payments, refunds, settlements and
+//          settlement recon items created between two dates
+// @route   POST /api/gateways/:gateway/full-sync
+// @access  Private/Admin
+const startFullSync = asyncHandler(async (req, res) => {
+  const gateway = findGateway(req.params.gateway);
+  if (!gateway.listSettlementItems) {
+    throw new AppError(`${gateway.label} does not support a full sync`, 400, 'FULL_SYNC_UNSUPPORTED');
+  }
+
+  const from = parseSyncDate(req.body.from, 'from');
+  const to = parseSyncDate(req.body.to, 'to', true);
+  if (from > to) {
+    throw new AppError('The from date must be before the to date', 400);
+  }
+  const { credentials, account } = await gatewayCredentials(gateway, req);
+
+  const sync = await GatewaySync.create({
+    gateway: gateway.code,
+    account: account?._id,
+    from,
+    to,
+    page_size: Math.min(parseCount(req.body.page_size, MAX_SYNC_PAGE_SIZE), MAX_SYNC_PAGE_SIZE),
+    started_by: req.user._id,
+    started_at: new Date()
+  });
+
+  await logAction(req.user, AUDIT_ACTIONS.GATEWAY_SYNC, 'GATEWAY', {
+    entity_id: sync._id.toString(),
+    entity_name: gateway.label,
+    extra: { from, to, account: account?.label },
+    ip_address: req.ip
+  });
 
-    // Fetch recent payments to calculate stats
-    const payments = await razorpay.payments.all({ count: 100 });
-    
-    let totalReceived = 0;
-    let totalCaptured = 0;
-    let totalFailed = 0;
-    let totalPending = 0;
-
-    for (const payment of payments.items || []) {
-      const amount = payment.amount / 100; // Convert paise to rupees
-      
-      if (payment.status === 'captured') {
-        totalCaptured += amount;
-        totalReceived += amount;
-      } else if (payment.status === 'failed') {
-        totalFailed += amount;
-      } else {
-        totalPending += amount;
+  startSync(sync, gateway, credentials, { emit: syncEmitter(req) });
+
+  res.status(202).json({
+    success: true,
+    message: `Syncing ${gateway.label} from ${from.toISOString().slice(0, 10)} to ${to.toISOString().slice(0, 10)}`,
+    data: { sync }
+  });
+});
+
+// @desc    Get full gateway syncs
+// @route   GET /api/gateways/syncs
+// @access  Private
+const getSyncs = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, gateway, status } = req.query;
+
+  const query = {};
+  if (gateway) query.gateway = (getGateway(gateway)?.code || gateway).toUpperCase();
+  if (status) query.status = status;
+
+  const total = await GatewaySync.countDocuments(query);
+  const syncs = await GatewaySync.find(query)
+    .select('-warnings')
+    .populate('account', 'label')
+    .populate('started_by', 'name email')
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      syncs: syncs.map(sync => ({ ...sync.toObject(), active: isSyncActive(sync._id) })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
       }
     }
+  });
+});
+
+const findSync = async (id) => {
+  const sync = await GatewaySync.findById(id);
+  if (!sync) {
+    throw new AppError('Gateway sync not found', 404);
+  }
+  return sync;
+};
+
+// @desc    Get a full gateway sync with the items it could not apply
+// @route   GET /api/gateways/syncs/:id
+// @access  Private
+const getSync = asyncHandler(async (req, res) => {
+  const sync = await findSync(req.params.id);
+  await sync.populate([
+    { path: 'account', select: 'label' },
+    { path: 'started_by', select: 'name email' }
+  ]);
 
-    // Also get local transaction stats for Razorpay
+  res.status(200).json({
+    success: true,
+    data: { sync: { ...sync.toObject(), active: isSyncActive(sync._id) } }
+  });
+});
+
+// @desc    Resume a failed (or interrupted) full gateway sync from its cursor,
+//          with the account it was started with
+// @route   POST /api/gateways/syncs/:id/resume
+// @access  Private/Admin
+const resumeSync = asyncHandler(async (req, res) => {
+  const sync = await findSync(req.params.id);
+  if (sync.status === GATEWAY_SYNC_STATUS.COMPLETED) {
+    throw new AppError('Sync already completed', 400);
+  }
+  if (isSyncActive(sync._id)) {
+    throw new AppError('Sync is already running', 409, 'SYNC_RUNNING');
+  }
+
+  const gateway = getGatewayByCode(sync.gateway);
+  if (!gateway) {
+    throw new AppError(`Unknown payment gateway: ${sync.gateway}`, 400, 'UNKNOWN_GATEWAY');
+  }
+  // Never an account named in the request: a sync started without an account
+  // resumes with the environment's credentials
+  let resolved;
+  if (sync.account) {
+    resolved = await gatewayCredentials(gateway, req, { accountId: sync.account, merchantId: null });
+  } else {
+    resolved = environmentCredentials(gateway);
+    if (!resolved) {
+      throw new AppError(`${gateway.label} environment credentials are no longer set; start a new sync instead`, 400);
+    }
+  }
+  const { credentials } = resolved;
+
+  sync.resumed.push({ by: req.user._id, at: new Date() });
+  sync.finished_at = undefined;
+  await sync.save();
+
+  await logAction(req.user, AUDIT_ACTIONS.GATEWAY_SYNC, 'GATEWAY', {
+    entity_id: sync._id.toString(),
+    entity_name: gateway.label,
+    extra: { resumed: true, cursor: sync.cursor, error: sync.error },
+    ip_address: req.ip
+  });
+
+  startSync(sync, gateway, credentials, { emit: syncEmitter(req) });
+
+  res.status(202).json({
+    success: true,
+    message: `Resuming ${gateway.label} sync`,
+    data: { sync }
+  });
+});
+
+// @desc    Get gateway stats (total received, etc.) next to the synced local totals
+// @route   GET /api/gateways/:gateway/stats
+// @access  Private
+const getStats = asyncHandler(async (req, res) => {
+  const gateway = findGateway(req.params.gateway);
+  const { credentials } = await gatewayCredentials(gateway, req);
+
+  try {
+    const figures = await gateway.stats(credentials);
+
+    // Also get local transaction stats for the gateway
     const localStats = await Transaction.aggregate([
-      { $match: { payment_gateway: 'RAZORPAY' } },
+      { $match: { payment_gateway: gateway.code } },
       {
         $group: {
           _id: null,
@@ -282,13 +436,7 @@ const getRazorpayStats = asyncHandler(async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        razorpay: {
-          totalReceived,
-          totalCaptured,
-          totalFailed,
-          totalPending,
-          paymentCount: payments.count || 0
-        },
+        gateway: figures,
         local: localStats[0] || {
           totalAmount: 0,
           count: 0,
@@ -298,16 +446,20 @@ const getRazorpayStats = asyncHandler(async (req, res) => {
       }
     });
   } catch (error) {
-    throw new AppError(`Failed to get Razorpay stats: ${error.message}`, 500);
+    throw new AppError(`Failed to get ${gateway.label} stats: ${error.message}`, 500);
   }
 });
 
 module.exports = {
   getGatewayStatus,
-  testRazorpayConnection,
-  updateRazorpayConfig,
-  getRazorpayPayments,
-  syncRazorpayPayments,
-  getRazorpayStats
+  testConnection,
+  getPayments,
+  getRefunds,
+  getSettlements,
+  syncPayments,
+  startFullSync,
+  getSyncs,
+  getSync,
+  resumeSync,
+  getStats
 };
-
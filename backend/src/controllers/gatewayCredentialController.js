@@ -0,0 +1,334 @@
+const { GatewayCredential, AuditLog } = require('../models');
+const { asyncHandler, AppError } = require('../middleware');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const { getGateway, getGatewayByCode } = require('../services/gateways');
+const vault = require('../services/credentialVault');
+const { setCredentials, accountCredentials, rewrapAccounts } = require('../services/gatewayCredentials');
+
+// Adapter by route name or payment_gateway code
+const findGateway = (name, status = 400) => {
+  const gateway = getGateway(name) || getGatewayByCode(String(name).toUpperCase());
+  if (!gateway) {
+    throw new AppError(`Unknown payment gateway: ${name}`, status, 'UNKNOWN_GATEWAY');
+  }
+  return gateway;
+};
+
+// Stored account with its sealed credentials
+const findAccount = async (id) => {
+  const account = await GatewayCredential.findById(id).select('+sealed');
+  if (!account) {
+    throw new AppError('Gateway account not found', 404);
+  }
+  return account;
+};
+
+const requireMasterKey = () => {
+  if (!vault.isEnabled()) {
+    throw new AppError('Set GATEWAY_MASTER_KEY to store gateway credentials', 400, 'NO_MASTER_KEY');
+  }
+};
+
+// Only the credential fields the gateway takes, without blanks
+const credentialValues = (gateway, values = {}) => Object.fromEntries(
+  (gateway.credentialFields || [])
+    .filter(field => values[field.name] != null && values[field.name] !== '')
+    .map(field => [field.name, String(values[field.name]).trim()])
+);
+
+// Check the credentials are complete and work; returns the connection details
+const verifyCredentials = async (gateway, credentials) => {
+  const missing = (gateway.credentialFields || []).filter(field => field.required && !credentials[field.name]);
+  if (missing.length) {
+    throw new AppError(`${missing.map(field => field.label).join(' and ')} ${missing.length > 1 ? 'are' : 'is'} required`, 400);
+  }
+
+  try {
+    return await gateway.testConnection(credentials);
+  } catch (error) {
+    throw new AppError(`Failed to verify ${gateway.label} credentials: ${error.message}`, 400);
+  }
+};
+
+// A gateway (or merchant) has one default account
+const clearOtherDefaults = async (account) => {
+  if (!account.is_default) return;
+  await GatewayCredential.updateMany(
+    { gateway: account.gateway, merchant_id: account.merchant_id, _id: { $ne: account._id }, is_default: true },
+    { $set: { is_default: false } }
+  );
+};
+
+const accountName = (account) => `${account.gateway} ${account.label}`;
+
+// Save a new account with verified credentials
+const createAccount = async (req, gateway, { label, mode, merchant_id, is_default, credentials }) => {
+  requireMasterKey();
+  const values = credentialValues(gateway, credentials);
+  const details = await verifyCredentials(gateway, values);
+
+  const owner = merchant_id ? merchant_id.toUpperCase() : null;
+  const others = await GatewayCredential.countDocuments({ gateway: gateway.code, merchant_id: owner, is_active: true });
+
+  const account = new GatewayCredential({
+    gateway: gateway.code,
+    label: label || `${gateway.label} ${details.mode}`,
+    mode: mode || details.mode,
+    merchant_id: owner,
+    // The first account of a gateway (or merchant) is its default
+    is_default: is_default ?? others === 0,
+    last_verified_at: new Date(),
+    created_by: req.user._id,
+    updated_by: req.user._id
+  });
+  setCredentials(account, gateway, values);
+  await account.save();
+  await clearOtherDefaults(account);
+
+  await logAction(req.user, AUDIT_ACTIONS.GATEWAY_CREDENTIAL_CREATE, 'GATEWAY', {
+    entity_id: account._id.toString(),
+    entity_name: accountName(account),
+    extra: { fields: Object.keys(values) },
+    changes: { after: account.toJSON() },
+    ip_address: req.ip
+  });
+
+  return account;
+};
+
+// Replace (some of) an account's credentials: the rest are kept, and all are
+// sealed again under a new data key
+const replaceCredentials = async (req, gateway, account, credentials) => {
+  const values = credentialValues(gateway, credentials);
+  const merged = { ...accountCredentials(account), ...values };
+  await verifyCredentials(gateway, merged);
+
+  const before = account.toJSON();
+  setCredentials(account, gateway, merged);
+  account.version += 1;
+  account.rotated_at = new Date();
+  account.last_verified_at = new Date();
+  account.updated_by = req.user._id;
+  await account.save();
+
+  await logAction(req.user, AUDIT_ACTIONS.GATEWAY_CREDENTIAL_ROTATE, 'GATEWAY', {
+    entity_id: account._id.toString(),
+    entity_name: accountName(account),
+    extra: { fields: Object.keys(values), version: account.version },
+    changes: { before, after: account.toJSON() },
+    ip_address: req.ip
+  });
+};
+
+// @desc    Get stored gateway accounts (secrets masked)
+// @route   GET /api/gateways/credentials
+// @access  Private/Admin
+const getGatewayAccounts = asyncHandler(async (req, res) => {
+  const { gateway, merchant_id, mode } = req.query;
+
+  const query = {};
+  if (gateway) query.gateway = findGateway(gateway).code;
+  if (merchant_id) query.merchant_id = merchant_id.toUpperCase();
+  if (mode) query.mode = mode;
+
+  const accounts = await GatewayCredential.find(query)
+    .select('+sealed')
+    .populate('created_by', 'name email')
+    .populate('updated_by', 'name email')
+    .sort('gateway merchant_id label');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      accounts: accounts.map(account => ({
+        ...account.toJSON(),
+        // Still wrapped with a previous master key
+        needs_rewrap: vault.isEnabled() && vault.needsRewrap(account.sealed)
+      })),
+      master_key_configured: vault.isEnabled()
+    }
+  });
+});
+
+// @desc    Add a gateway account (credentials are verified first)
+// @route   POST /api/gateways/credentials
+// @access  Private/Admin
+const createGatewayAccount = asyncHandler(async (req, res) => {
+  if (!req.body.gateway) {
+    throw new AppError('Gateway is required', 400);
+  }
+  const account = await createAccount(req, findGateway(req.body.gateway), req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Gateway account added and verified',
+    data: { account }
+  });
+});
+
+// @desc    Update a gateway account; new credentials replace the stored ones
+// @route   PUT /api/gateways/credentials/:id
+// @access  Private/Admin
+const updateGatewayAccount = asyncHandler(async (req, res) => {
+  const account = await findAccount(req.params.id);
+  const gateway = findGateway(account.gateway);
+
+  const credentials = credentialValues(gateway, req.body.credentials);
+  if (Object.keys(credentials).length) {
+    requireMasterKey();
+    await replaceCredentials(req, gateway, account, credentials);
+  }
+
+  const beforeUpdate = account.toJSON();
+  const allowedUpdates = ['label', 'mode', 'merchant_id', 'is_default', 'is_active'];
+  const changed = allowedUpdates.filter(field => req.body[field] !== undefined);
+
+  if (changed.length) {
+    changed.forEach(field => {
+      account[field] = field === 'merchant_id' && !req.body[field] ? null : req.body[field];
+    });
+    account.updated_by = req.user._id;
+    await account.save();
+    await clearOtherDefaults(account);
+
+    await logAction(req.user, AUDIT_ACTIONS.GATEWAY_CREDENTIAL_EDIT, 'GATEWAY', {
+      entity_id: account._id.toString(),
+      entity_name: accountName(account),
+      changes: { before: beforeUpdate, after: account.toJSON() },
+      ip_address: req.ip
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Gateway account updated successfully',
+    data: { account }
+  });
+});
+
+// @desc    Re-encrypt a gateway account's credentials under a new data key
+// @route   POST /api/gateways/credentials/:id/rotate-key
+// @access  Private/Admin
+const rotateAccountKey = asyncHandler(async (req, res) => {
+  requireMasterKey();
+  const account = await findAccount(req.params.id);
+  const gateway = findGateway(account.gateway);
+
+  setCredentials(account, gateway, accountCredentials(account));
+  account.rotated_at = new Date();
+  account.updated_by = req.user._id;
+  await account.save();
+
+  await logAction(req.user, AUDIT_ACTIONS.GATEWAY_CREDENTIAL_ROTATE, 'GATEWAY', {
+    entity_id: account._id.toString(),
+    entity_name: accountName(account),
+    extra: { data_key: true, master_key_id: account.sealed.data_key.master_key_id },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Data key rotated',
+    data: { account }
+  });
+});
+
+// @desc    Re-wrap every account's data key with the current master key
+//          (after rotating GATEWAY_MASTER_KEY)
+// @route   POST /api/gateways/credentials/rewrap
+// @access  Private/Admin
+const rewrapGatewayAccounts = asyncHandler(async (req, res) => {
+  requireMasterKey();
+
+  let rewrapped;
+  try {
+    rewrapped = await rewrapAccounts();
+  } catch (error) {
+    throw new AppError(`Failed to re-wrap gateway credentials: ${error.message}`, 500);
+  }
+
+  await logAction(req.user, AUDIT_ACTIONS.GATEWAY_CREDENTIAL_ROTATE, 'GATEWAY', {
+    entity_name: 'Master key',
+    extra: { rewrapped },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Re-wrapped ${rewrapped} gateway account${rewrapped === 1 ? '' : 's'} with the current master key`,
+    data: { rewrapped }
+  });
+});
+
+// @desc    Delete a gateway account
+// @route   DELETE /api/gateways/credentials/:id
+// @access  Private/Admin
+const deleteGatewayAccount = asyncHandler(async (req, res) => {
+  const account = await findAccount(req.params.id);
+
+  await account.deleteOne();
+
+  await logAction(req.user, AUDIT_ACTIONS.GATEWAY_CREDENTIAL_DELETE, 'GATEWAY', {
+    entity_id: account._id.toString(),
+    entity_name: accountName(account),
+    changes: { before: account.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Gateway account deleted successfully'
+  });
+});
+
+// @desc    Get who changed a gateway account, and when
+// @route   GET /api/gateways/credentials/:id/history
+// @access  Private/Admin
+const getGatewayAccountHistory = asyncHandler(async (req, res) => {
+  const history = await AuditLog.find({ entity_type: 'GATEWAY', entity_id: req.params.id })
+    .populate('user', 'name email')
+    .sort('-timestamp')
+    .limit(100);
+
+  res.status(200).json({
+    success: true,
+    data: { history }
+  });
+});
+
+// @desc    Set a gateway's default credentials (stored as its default
+//          platform account)
+// @route   POST /api/gateways/:gateway/config
+// @access  Private/Admin
+const updateConfig = asyncHandler(async (req, res) => {
+  const gateway = findGateway(req.params.gateway, 404);
+  requireMasterKey();
+
+  let account = await GatewayCredential.findOne({ gateway: gateway.code, merchant_id: null, is_default: true }).select('+sealed');
+  if (account) {
+    await replaceCredentials(req, gateway, account, req.body);
+  } else {
+    account = await createAccount(req, gateway, { is_default: true, credentials: req.body });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `${gateway.label} credentials updated and verified!`,
+    data: {
+      connected: true,
+      ...gateway.describe(accountCredentials(account)),
+      account
+    }
+  });
+});
+
+module.exports = {
+  getGatewayAccounts,
+  createGatewayAccount,
+  updateGatewayAccount,
+  rotateAccountKey,
+  rewrapGatewayAccounts,
+  deleteGatewayAccount,
+  getGatewayAccountHistory,
+  updateConfig
+};
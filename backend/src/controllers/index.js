@@ -8,6 +8,13 @@ const exportController = require('./exportController');
 const dashboardController = require('./dashboardController');
 const alertController = require('./alertController');
 const reportController = require('./reportController');
+const matchRuleController = require('./matchRuleController');
+const agingRuleController = require('./agingRuleController');
+const feeScheduleController = require('./feeScheduleController');
+const reconciliationScheduleController = require('./reconciliationScheduleController');
+const mappingProfileController = require('./mappingProfileController');
+const webhookController = require('./webhookController');
+const gatewayCredentialController = require('./gatewayCredentialController');
 
 module.exports = {
   authController,
@@ -19,5 +26,12 @@ module.exports = {
   exportController,
   dashboardController,
   alertController,
-  reportController
+  reportController,
+  matchRuleController,
+  agingRuleController,
+  feeScheduleController,
+  reconciliationScheduleController,
+  mappingProfileController,
+  webhookController,
+  gatewayCredentialController
 };
@@ -0,0 +1,183 @@
+const { MappingProfile } = require('../models');
+const { asyncHandler, AppError } = require('../middleware');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const { targetFields, toMapping, formatProblems } = require('../services/columnMapping');
+
+// Mapped and defaulted fields must be fields of the profile's file type, and
+// its date and amount settings must be usable
+const checkFields = (profile) => {
+  const fields = targetFields(profile.file_type);
+  const mapping = toMapping(profile);
+  const { columns, defaults } = mapping;
+  const unknown = [...Object.keys(columns), ...Object.keys(defaults)].filter(field => !fields.includes(field));
+  if (unknown.length) {
+    throw new AppError(`Unknown fields for ${profile.file_type} files: ${[...new Set(unknown)].join(', ')}`, 400);
+  }
+
+  const problems = formatProblems(mapping);
+  if (problems.length) {
+    throw new AppError(problems.join('; '), 400);
+  }
+};
+
+// @desc    Get all mapping profiles
+// @route   GET /api/mapping-profiles
+// @access  Private
+const getMappingProfiles = asyncHandler(async (req, res) => {
+  const { file_type, merchant_id, is_active } = req.query;
+
+  const query = {};
+  if (file_type) query.file_type = file_type.toUpperCase();
+  if (merchant_id) query.merchant_id = merchant_id.toUpperCase();
+  if (is_active === 'true') query.is_active = true;
+  if (is_active === 'false') query.is_active = false;
+
+  const profiles = await MappingProfile.find(query)
+    .populate('updated_by', 'name email')
+    .sort('name');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      profiles,
+      // Fields each file type can map, for building mapping forms
+      target_fields: { BANK: targetFields('BANK'), MERCHANT: targetFields('MERCHANT') }
+    }
+  });
+});
+
+// @desc    Get single mapping profile
+// @route   GET /api/mapping-profiles/:id
+// @access  Private
+const getMappingProfile = asyncHandler(async (req, res) => {
+  const profile = await MappingProfile.findById(req.params.id)
+    .populate('created_by', 'name email')
+    .populate('updated_by', 'name email');
+
+  if (!profile) {
+    throw new AppError('Mapping profile not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { profile }
+  });
+});
+
+// @desc    Create mapping profile
+// @route   POST /api/mapping-profiles
+// @access  Private
+const createMappingProfile = asyncHandler(async (req, res) => {
+  const {
+    name, description, file_type, bank_name, merchant_id, columns, defaults, date_format, timezone, amount_format, is_active
+  } = req.body;
+
+  checkFields({ file_type, columns, defaults, date_format, timezone, amount_format });
+
+  const profile = await MappingProfile.create({
+    name,
+    description,
+    file_type,
+    bank_name,
+    merchant_id,
+    columns,
+    defaults,
+    date_format,
+    timezone,
+    amount_format,
+    is_active,
+    created_by: req.user._id,
+    updated_by: req.user._id
+  });
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.MAPPING_PROFILE_CREATE, 'MAPPING_PROFILE', {
+    entity_id: profile._id.toString(),
+    entity_name: profile.name,
+    changes: { after: profile.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Mapping profile created successfully',
+    data: { profile }
+  });
+});
+
+// @desc    Update mapping profile
+// @route   PUT /api/mapping-profiles/:id
+// @access  Private
+const updateMappingProfile = asyncHandler(async (req, res) => {
+  const profile = await MappingProfile.findById(req.params.id);
+
+  if (!profile) {
+    throw new AppError('Mapping profile not found', 404);
+  }
+
+  const beforeUpdate = profile.toJSON();
+
+  const allowedUpdates = [
+    'name', 'description', 'file_type', 'bank_name', 'merchant_id', 'columns', 'defaults',
+    'date_format', 'timezone', 'amount_format', 'is_active'
+  ];
+
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      profile[field] = req.body[field];
+    }
+  });
+
+  checkFields(profile);
+
+  profile.updated_by = req.user._id;
+  await profile.save();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.MAPPING_PROFILE_EDIT, 'MAPPING_PROFILE', {
+    entity_id: profile._id.toString(),
+    entity_name: profile.name,
+    changes: { before: beforeUpdate, after: profile.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Mapping profile updated successfully',
+    data: { profile }
+  });
+});
+
+// @desc    Delete mapping profile
+// @route   DELETE /api/mapping-profiles/:id
+// @access  Private
+const deleteMappingProfile = asyncHandler(async (req, res) => {
+  const profile = await MappingProfile.findById(req.params.id);
+
+  if (!profile) {
+    throw new AppError('Mapping profile not found', 404);
+  }
+
+  await profile.deleteOne();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.MAPPING_PROFILE_DELETE, 'MAPPING_PROFILE', {
+    entity_id: profile._id.toString(),
+    entity_name: profile.name,
+    changes: { before: profile.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Mapping profile deleted successfully'
+  });
+});
+
+module.exports = {
+  getMappingProfiles,
+  getMappingProfile,
+  createMappingProfile,
+  updateMappingProfile,
+  deleteMappingProfile
+};
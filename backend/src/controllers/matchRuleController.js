@@ -0,0 +1,162 @@
+const { MatchRule } = require('../models');
+const { asyncHandler, AppError } = require('../middleware');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+
+// Only one rule can be the unscoped default (per three-way leg)
+const clearOtherDefaults = async (rule) => {
+  if (rule.is_default) {
+    await MatchRule.updateMany(
+      { _id: { $ne: rule._id }, is_default: true, 'scope.leg': rule.scope?.leg || null },
+      { is_default: false }
+    );
+  }
+};
+
+// @desc    Get all match rules
+// @route   GET /api/match-rules
+// @access  Private
+const getMatchRules = asyncHandler(async (req, res) => {
+  const { is_active, merchant_id, payment_gateway, leg } = req.query;
+
+  const query = {};
+  if (is_active === 'true') query.is_active = true;
+  if (is_active === 'false') query.is_active = false;
+  if (merchant_id) query['scope.merchant_id'] = merchant_id.toUpperCase();
+  if (payment_gateway) query['scope.payment_gateway'] = payment_gateway;
+  if (leg) query['scope.leg'] = leg;
+
+  const rules = await MatchRule.find(query)
+    .populate('updated_by', 'name email')
+    .sort('name');
+
+  res.status(200).json({
+    success: true,
+    data: { rules }
+  });
+});
+
+// @desc    Get single match rule
+// @route   GET /api/match-rules/:id
+// @access  Private
+const getMatchRule = asyncHandler(async (req, res) => {
+  const rule = await MatchRule.findById(req.params.id)
+    .populate('created_by', 'name email')
+    .populate('updated_by', 'name email');
+
+  if (!rule) {
+    throw new AppError('Match rule not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { rule }
+  });
+});
+
+// @desc    Create match rule
+// @route   POST /api/match-rules
+// @access  Private/Admin
+const createMatchRule = asyncHandler(async (req, res) => {
+  const { name, description, scope, passes, is_active, is_default } = req.body;
+
+  const rule = await MatchRule.create({
+    name,
+    description,
+    scope,
+    passes,
+    is_active,
+    is_default,
+    created_by: req.user._id,
+    updated_by: req.user._id
+  });
+
+  await clearOtherDefaults(rule);
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.MATCH_RULE_CREATE, 'MATCH_RULE', {
+    entity_id: rule._id.toString(),
+    entity_name: rule.name,
+    changes: { after: rule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Match rule created successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Update match rule
+// @route   PUT /api/match-rules/:id
+// @access  Private/Admin
+const updateMatchRule = asyncHandler(async (req, res) => {
+  const rule = await MatchRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Match rule not found', 404);
+  }
+
+  const beforeUpdate = rule.toJSON();
+
+  const allowedUpdates = ['name', 'description', 'scope', 'passes', 'is_active', 'is_default'];
+
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      rule[field] = req.body[field];
+    }
+  });
+
+  rule.updated_by = req.user._id;
+  await rule.save();
+
+  await clearOtherDefaults(rule);
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.MATCH_RULE_EDIT, 'MATCH_RULE', {
+    entity_id: rule._id.toString(),
+    entity_name: rule.name,
+    changes: { before: beforeUpdate, after: rule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Match rule updated successfully',
+    data: { rule }
+  });
+});
+
+// @desc    Delete match rule
+// @route   DELETE /api/match-rules/:id
+// @access  Private/Admin
+const deleteMatchRule = asyncHandler(async (req, res) => {
+  const rule = await MatchRule.findById(req.params.id);
+
+  if (!rule) {
+    throw new AppError('Match rule not found', 404);
+  }
+
+  await rule.deleteOne();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.MATCH_RULE_DELETE, 'MATCH_RULE', {
+    entity_id: rule._id.toString(),
+    entity_name: rule.name,
+    changes: { before: rule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Match rule deleted successfully'
+  });
+});
+
+module.exports = {
+  getMatchRules,
+  getMatchRule,
+  createMatchRule,
+  updateMatchRule,
+  deleteMatchRule
+};
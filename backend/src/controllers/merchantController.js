@@ -133,6 +133,7 @@ const createMerchant = asyncHandler(async (req, res) => {
     payment_gateway,
     status,
     sla_hours,
+    auto_accept_threshold,
     contact_person,
     phone,
     address,
@@ -168,6 +169,7 @@ const createMerchant = asyncHandler(async (req, res) => {
     payment_gateway: payment_gateway || PAYMENT_GATEWAY.BANK,
     status: status || MERCHANT_STATUS.ACTIVE,
     sla_hours: sla_hours || 24,
+    auto_accept_threshold,
     contact_person,
     phone,
     address,
@@ -264,7 +266,7 @@ const updateMerchant = asyncHandler(async (req, res) => {
   // Fields that can be updated
   const allowedUpdates = [
     'name', 'email', 'settlement_cycle', 'payment_gateway', 'status',
-    'sla_hours', 'contact_person', 'phone', 'address', 'business_type',
+    'sla_hours', 'auto_accept_threshold', 'contact_person', 'phone', 'address', 'business_type',
     'gst_number', 'pan_number', 'bank_details', 'razorpay_account_id',
     'stripe_account_id', 'notifications', 'notes'
   ];
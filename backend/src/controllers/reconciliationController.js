@@ -1,9 +1,63 @@
-const { Transaction, Merchant, ReconciliationRun, Alert } = require('../models');
+const mongoose = require('mongoose');
+const { Transaction, ReconciliationRun, MatchRule, MatchGroup } = require('../models');
 const { asyncHandler, AppError } = require('../middleware');
 const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
-const { RECONCILIATION_STATUS, ALERT_TYPES } = require('../config/constants');
+const {
+  RECONCILIATION_STATUS,
+  RECONCILIATION_RUN_STATUS,
+  RECONCILIATION_MODE,
+  MATCH_GROUP_TYPE,
+  MATCH_GROUP_STATUS,
+  MANUAL_RECONCILIATION_REASONS
+} = require('../config/constants');
+const { enqueueRun, cancelRun } = require('../services/reconciliationQueue');
+const { settlementDay } = require('../services/groupMatcher');
+const { findTouchedTransactions, rollbackRunWrites } = require('../services/reconciliationRollback');
+const { scoreCandidate } = require('../services/matchScoring');
+const { summarizeAging, bucketDateRange, ageOf } = require('../services/agingService');
+const { compareConfig, compareSummary, compareMerchants, diffRunTransactions, manualHistoryPush } = require('../services/runDiff');
+
+// Statuses a row can be manually matched or re-queued from
+const OPEN_STATUSES = [
+  RECONCILIATION_STATUS.PENDING,
+  RECONCILIATION_STATUS.UNMATCHED_BANK,
+  RECONCILIATION_STATUS.UNMATCHED_MERCHANT,
+  RECONCILIATION_STATUS.UNMATCHED_GATEWAY,
+  RECONCILIATION_STATUS.AMOUNT_MISMATCH
+];
+
+// Reconciliation fields recorded in the audit trail for manual actions
+const reconciliationSnapshot = (transactions) => transactions.map(txn => ({
+  _id: txn._id,
+  transaction_id: txn.transaction_id,
+  source: txn.source,
+  amount: txn.amount,
+  reconciliation_status: txn.reconciliation_status,
+  reconciled_with: txn.reconciled_with,
+  match_pass: txn.match_pass,
+  needs_review: txn.needs_review,
+  is_disputed: txn.is_disputed,
+  dispute_resolved: txn.dispute_resolved
+}));
+
+const requireReasonCode = (reasonCode) => {
+  if (!reasonCode) {
+    throw new AppError('A reason code is required', 400);
+  }
+  if (!Object.values(MANUAL_RECONCILIATION_REASONS).includes(reasonCode)) {
+    throw new AppError(`Invalid reason code: ${reasonCode}`, 400);
+  }
+};
+
+const manualAction = (action, req) => ({
+  action,
+  reason_code: req.body.reason_code,
+  notes: req.body.notes,
+  by: req.user._id,
+  at: new Date()
+});
 
-// @desc    Run reconciliation
+// @desc    Queue a reconciliation run
 // @route   POST /api/reconciliation/run
 // @access  Private
 const runReconciliation = asyncHandler(async (req, res) => {
@@ -13,308 +67,237 @@ const runReconciliation = asyncHandler(async (req, res) => {
     include_merchants = [],
     exclude_merchants = [],
     start_date,
-    end_date
+    end_date,
+    match_rule_id,
+    dry_run = false,
+    net_of_fees = false,
+    mode = RECONCILIATION_MODE.TWO_WAY
   } = req.body;
 
-  // Create reconciliation run record
-  const run = await ReconciliationRun.create({
-    status: 'RUNNING',
-    initiated_by: req.user._id,
-    config: {
-      date_window_hours,
-      amount_tolerance,
-      include_merchants,
-      exclude_merchants,
-      date_range: { start: start_date, end: end_date }
+  if (!Object.values(RECONCILIATION_MODE).includes(mode)) {
+    throw new AppError(`Invalid reconciliation mode: ${mode}`, 400);
+  }
+  if (mode === RECONCILIATION_MODE.THREE_WAY && match_rule_id) {
+    throw new AppError('Three-way runs resolve rules per leg; scope a rule to a leg instead of choosing one', 400);
+  }
+
+  if (match_rule_id) {
+    const rule = await MatchRule.findById(match_rule_id);
+    if (!rule || !rule.is_active) {
+      throw new AppError('Match rule not found or inactive', 400);
     }
+  }
+
+  const run = await enqueueRun({
+    date_window_hours,
+    amount_tolerance,
+    include_merchants,
+    exclude_merchants,
+    date_range: { start: start_date, end: end_date },
+    match_rule_id,
+    dry_run,
+    net_of_fees,
+    mode
+  }, req.user);
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_RUN, 'RECONCILIATION', {
+    entity_id: run._id.toString(),
+    entity_name: run.run_id,
+    extra: { config: run.config },
+    ip_address: req.ip
   });
 
-  try {
-    // Build query for transactions
-    const baseQuery = {
-      reconciliation_status: RECONCILIATION_STATUS.PENDING
-    };
+  res.status(202).json({
+    success: true,
+    message: dry_run ? 'Reconciliation preview queued' : 'Reconciliation run queued',
+    data: { run }
+  });
+});
 
-    if (start_date || end_date) {
-      baseQuery.transaction_date = {};
-      if (start_date) baseQuery.transaction_date.$gte = new Date(start_date);
-      if (end_date) baseQuery.transaction_date.$lte = new Date(end_date);
-    }
+// @desc    Promote a preview to a live reconciliation run
+// @route   POST /api/reconciliation/runs/:id/promote
+// @access  Private
+const promoteReconciliationRun = asyncHandler(async (req, res) => {
+  const { force = false } = req.body;
 
-    if (include_merchants.length > 0) {
-      baseQuery.merchant_id = { $in: include_merchants.map(m => m.toUpperCase()) };
-    }
+  const preview = await ReconciliationRun.findById(req.params.id);
 
-    if (exclude_merchants.length > 0) {
-      baseQuery.merchant_id = { ...baseQuery.merchant_id, $nin: exclude_merchants.map(m => m.toUpperCase()) };
-    }
+  if (!preview) {
+    throw new AppError('Reconciliation run not found', 404);
+  }
+  if (preview.status !== RECONCILIATION_RUN_STATUS.PREVIEW) {
+    throw new AppError('Only completed previews can be promoted', 400);
+  }
+  if (preview.promoted_at) {
+    throw new AppError('Preview has already been promoted', 400);
+  }
 
-    // Get all pending bank transactions
-    const bankTransactions = await Transaction.find({
-      ...baseQuery,
-      source: 'BANK'
-    }).lean();
-
-    // Get all pending merchant transactions
-    const merchantTransactions = await Transaction.find({
-      ...baseQuery,
-      source: 'MERCHANT'
-    }).lean();
-
-    run.summary.total_bank_transactions = bankTransactions.length;
-    run.summary.total_merchant_transactions = merchantTransactions.length;
-
-    // Create index maps for faster matching
-    const merchantTxnMap = new Map();
-    merchantTransactions.forEach(txn => {
-      const key = `${txn.transaction_id}-${txn.merchant_id}-${txn.amount}`;
-      if (!merchantTxnMap.has(key)) {
-        merchantTxnMap.set(key, []);
+  // The live run re-resolves rules, so flag any rule edited since the preview
+  if (!force) {
+    const changed = [];
+    for (const applied of preview.config.match_rules.filter(r => r.rule)) {
+      const rule = await MatchRule.findById(applied.rule).select('version is_active');
+      if (!rule || !rule.is_active || rule.version !== applied.version) {
+        changed.push(applied.name);
       }
-      merchantTxnMap.get(key).push(txn);
-    });
+    }
+    if (changed.length) {
+      throw new AppError(`Match rules changed since the preview: ${changed.join(', ')}. Preview again or promote with force`, 409);
+    }
+  }
 
-    const matchedBankIds = new Set();
-    const matchedMerchantIds = new Set();
-    const merchantSummary = new Map();
-
-    // Process bank transactions
-    for (const bankTxn of bankTransactions) {
-      // Exact match
-      const exactKey = `${bankTxn.transaction_id}-${bankTxn.merchant_id}-${bankTxn.amount}`;
-      const exactMatches = merchantTxnMap.get(exactKey) || [];
-
-      // Check date window
-      const validMatches = exactMatches.filter(mTxn => {
-        if (matchedMerchantIds.has(mTxn._id.toString())) return false;
-        
-        const bankDate = new Date(bankTxn.transaction_date);
-        const merchantDate = new Date(mTxn.transaction_date);
-        const hoursDiff = Math.abs(bankDate - merchantDate) / (1000 * 60 * 60);
-        return hoursDiff <= date_window_hours;
-      });
-
-      if (validMatches.length > 0) {
-        // Matched
-        const matchedMerchant = validMatches[0];
-        
-        await Transaction.updateOne(
-          { _id: bankTxn._id },
-          {
-            reconciliation_status: RECONCILIATION_STATUS.MATCHED,
-            reconciled_with: matchedMerchant._id,
-            reconciliation_date: new Date(),
-            reconciliation_run_id: run._id
-          }
-        );
-
-        await Transaction.updateOne(
-          { _id: matchedMerchant._id },
-          {
-            reconciliation_status: RECONCILIATION_STATUS.MATCHED,
-            reconciled_with: bankTxn._id,
-            reconciliation_date: new Date(),
-            reconciliation_run_id: run._id
-          }
-        );
+  // Claim the preview so it is promoted at most once
+  const claimed = await ReconciliationRun.findOneAndUpdate(
+    { _id: preview._id, promoted_at: null },
+    { promoted_at: new Date(), promoted_by: req.user._id },
+    { new: true }
+  );
 
-        matchedBankIds.add(bankTxn._id.toString());
-        matchedMerchantIds.add(matchedMerchant._id.toString());
-        run.summary.matched++;
-        run.amounts.total_matched_amount += bankTxn.amount;
+  if (!claimed) {
+    throw new AppError('Preview has already been promoted', 400);
+  }
 
-        // Update merchant summary
-        if (!merchantSummary.has(bankTxn.merchant_id)) {
-          merchantSummary.set(bankTxn.merchant_id, { matched: 0, unmatched: 0, mismatches: 0, total_amount: 0 });
-        }
-        merchantSummary.get(bankTxn.merchant_id).matched++;
-        merchantSummary.get(bankTxn.merchant_id).total_amount += bankTxn.amount;
-
-      } else {
-        // Check for amount mismatch
-        const fuzzyMatches = await Transaction.find({
-          source: 'MERCHANT',
-          transaction_id: bankTxn.transaction_id,
-          merchant_id: bankTxn.merchant_id,
-          reconciliation_status: RECONCILIATION_STATUS.PENDING
-        });
-
-        if (fuzzyMatches.length > 0) {
-          const mismatchTxn = fuzzyMatches[0];
-          const amountDiff = Math.abs(bankTxn.amount - mismatchTxn.amount);
-
-          if (amount_tolerance > 0 && amountDiff <= amount_tolerance) {
-            // Within tolerance - mark as matched
-            await Transaction.updateMany(
-              { _id: { $in: [bankTxn._id, mismatchTxn._id] } },
-              {
-                reconciliation_status: RECONCILIATION_STATUS.MATCHED,
-                reconciliation_date: new Date(),
-                reconciliation_run_id: run._id
-              }
-            );
-            run.summary.matched++;
-          } else {
-            // Amount mismatch
-            await Transaction.updateOne(
-              { _id: bankTxn._id },
-              {
-                reconciliation_status: RECONCILIATION_STATUS.AMOUNT_MISMATCH,
-                is_disputed: true,
-                dispute_reason: `Amount mismatch: Bank ${bankTxn.amount} vs Merchant ${mismatchTxn.amount}`,
-                dispute_amount: amountDiff,
-                reconciliation_run_id: run._id
-              }
-            );
-
-            await Transaction.updateOne(
-              { _id: mismatchTxn._id },
-              {
-                reconciliation_status: RECONCILIATION_STATUS.AMOUNT_MISMATCH,
-                is_disputed: true,
-                dispute_reason: `Amount mismatch: Bank ${bankTxn.amount} vs Merchant ${mismatchTxn.amount}`,
-                dispute_amount: amountDiff,
-                reconciliation_run_id: run._id
-              }
-            );
-
-            run.summary.amount_mismatch++;
-            run.summary.disputes_detected++;
-            run.amounts.total_mismatch_difference += amountDiff;
-
-            // Create dispute alert
-            await Alert.createAlert({
-              type: ALERT_TYPES.DISPUTE_DETECTED,
-              severity: 'HIGH',
-              title: 'Amount Mismatch Detected',
-              message: `Transaction ${bankTxn.transaction_id}: Bank amount ${bankTxn.amount} differs from Merchant amount ${mismatchTxn.amount}`,
-              entity_type: 'TRANSACTION',
-              entity_id: bankTxn.transaction_id,
-              merchant_id: bankTxn.merchant_id,
-              transaction_id: bankTxn.transaction_id,
-              data: { bank_amount: bankTxn.amount, merchant_amount: mismatchTxn.amount, difference: amountDiff }
-            });
-
-            if (!merchantSummary.has(bankTxn.merchant_id)) {
-              merchantSummary.set(bankTxn.merchant_id, { matched: 0, unmatched: 0, mismatches: 0, total_amount: 0 });
-            }
-            merchantSummary.get(bankTxn.merchant_id).mismatches++;
-          }
+  const { date_window_hours, amount_tolerance, include_merchants, exclude_merchants, date_range, match_rule_id, group_matching, net_of_fees, mode } = preview.config;
+
+  const run = await enqueueRun({
+    date_window_hours,
+    amount_tolerance,
+    include_merchants,
+    exclude_merchants,
+    date_range,
+    match_rule_id,
+    group_matching,
+    net_of_fees,
+    mode,
+    dry_run: false
+  }, req.user, { promoted_from: preview._id });
+
+  claimed.promoted_to = run._id;
+  await claimed.save();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_PROMOTE, 'RECONCILIATION', {
+    entity_id: run._id.toString(),
+    entity_name: run.run_id,
+    extra: { preview_run: preview.run_id, config: run.config, force },
+    ip_address: req.ip
+  });
 
-          matchedBankIds.add(bankTxn._id.toString());
-          matchedMerchantIds.add(mismatchTxn._id.toString());
+  res.status(202).json({
+    success: true,
+    message: `Preview ${preview.run_id} promoted; run ${run.run_id} queued`,
+    data: { run, preview: claimed }
+  });
+});
 
-        } else {
-          // Unmatched bank transaction
-          await Transaction.updateOne(
-            { _id: bankTxn._id },
-            {
-              reconciliation_status: RECONCILIATION_STATUS.UNMATCHED_BANK,
-              reconciliation_run_id: run._id
-            }
-          );
+// @desc    Cancel a queued or running reconciliation run
+// @route   POST /api/reconciliation/runs/:id/cancel
+// @access  Private
+const cancelReconciliationRun = asyncHandler(async (req, res) => {
+  const existing = await ReconciliationRun.findById(req.params.id);
 
-          run.summary.unmatched_bank++;
-          run.amounts.total_unmatched_bank_amount += bankTxn.amount;
+  if (!existing) {
+    throw new AppError('Reconciliation run not found', 404);
+  }
 
-          if (!merchantSummary.has(bankTxn.merchant_id)) {
-            merchantSummary.set(bankTxn.merchant_id, { matched: 0, unmatched: 0, mismatches: 0, total_amount: 0 });
-          }
-          merchantSummary.get(bankTxn.merchant_id).unmatched++;
-        }
-      }
+  const run = await cancelRun(existing._id, req.user);
 
-      // Check for unknown merchant
-      const merchant = await Merchant.findOne({ merchant_id: bankTxn.merchant_id });
-      if (!merchant) {
-        run.summary.unknown_merchants++;
-      }
-    }
+  if (!run) {
+    throw new AppError(`Cannot cancel a run with status ${existing.status}`, 400);
+  }
 
-    // Process unmatched merchant transactions
-    for (const mTxn of merchantTransactions) {
-      if (matchedMerchantIds.has(mTxn._id.toString())) continue;
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_CANCEL, 'RECONCILIATION', {
+    entity_id: run._id.toString(),
+    entity_name: run.run_id,
+    extra: { previous_status: existing.status },
+    ip_address: req.ip
+  });
 
-      await Transaction.updateOne(
-        { _id: mTxn._id },
-        {
-          reconciliation_status: RECONCILIATION_STATUS.UNMATCHED_MERCHANT,
-          reconciliation_run_id: run._id
-        }
-      );
+  res.status(200).json({
+    success: true,
+    message: run.status === RECONCILIATION_RUN_STATUS.CANCELLED
+      ? 'Reconciliation run cancelled'
+      : 'Cancellation requested; the run will stop at its next checkpoint',
+    data: { run }
+  });
+});
 
-      run.summary.unmatched_merchant++;
-      run.amounts.total_unmatched_merchant_amount += mTxn.amount;
+// @desc    Roll back a finished reconciliation run
+// @route   POST /api/reconciliation/runs/:id/rollback
+// @access  Private
+const rollbackReconciliationRun = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
 
-      if (!merchantSummary.has(mTxn.merchant_id)) {
-        merchantSummary.set(mTxn.merchant_id, { matched: 0, unmatched: 0, mismatches: 0, total_amount: 0 });
-      }
-      merchantSummary.get(mTxn.merchant_id).unmatched++;
-    }
+  if (!reason || !reason.trim()) {
+    throw new AppError('A rollback reason is required', 400);
+  }
 
-    // Check for SLA breaches
-    const slaBreachedTransactions = await Transaction.find({
-      reconciliation_run_id: run._id,
-      sla_breached: true
-    }).countDocuments();
-    run.summary.sla_breaches = slaBreachedTransactions;
-
-    // Format merchant summary
-    run.merchant_summary = [];
-    for (const [merchant_id, stats] of merchantSummary) {
-      const merchant = await Merchant.findOne({ merchant_id });
-      run.merchant_summary.push({
-        merchant_id,
-        merchant_name: merchant?.name || 'Unknown',
-        ...stats
-      });
-    }
+  const rollbackable = [
+    RECONCILIATION_RUN_STATUS.COMPLETED,
+    RECONCILIATION_RUN_STATUS.CANCELLED,
+    RECONCILIATION_RUN_STATUS.FAILED
+  ];
 
-    // Complete the run
-    run.status = 'COMPLETED';
-    run.completed_at = new Date();
-    run.duration_ms = Date.now() - run.started_at.getTime();
-    await run.save();
-
-    // Log action
-    await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_RUN, 'RECONCILIATION', {
-      entity_id: run._id.toString(),
-      entity_name: run.run_id,
-      extra: run.summary,
-      ip_address: req.ip
-    });
+  const existing = await ReconciliationRun.findById(req.params.id);
 
-    // Emit socket event
-    if (req.app.get('io')) {
-      req.app.get('io').emit('reconciliation:complete', {
-        run_id: run.run_id,
-        summary: run.summary
-      });
-    }
+  if (!existing) {
+    throw new AppError('Reconciliation run not found', 404);
+  }
+  if (!rollbackable.includes(existing.status)) {
+    throw new AppError(`Cannot roll back a run with status ${existing.status}`, 400);
+  }
 
-    // Create completion alert
-    await Alert.createAlert({
-      type: ALERT_TYPES.RECONCILIATION_COMPLETE,
-      severity: 'LOW',
-      title: 'Reconciliation Completed',
-      message: `Reconciliation run ${run.run_id} completed. Matched: ${run.summary.matched}, Unmatched: ${run.summary.unmatched_bank + run.summary.unmatched_merchant}`,
-      entity_type: 'RECONCILIATION',
-      entity_id: run.run_id,
-      data: run.summary
-    });
+  const touched = await findTouchedTransactions(existing);
+  if (touched.length) {
+    throw new AppError(
+      `Transactions were changed after this run: ${touched.map(txn => txn.transaction_id).join(', ')}. Revert them manually first`,
+      409
+    );
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Reconciliation completed successfully',
-      data: { run }
-    });
+  const before = await Transaction.aggregate([
+    { $match: { reconciliation_run_id: existing._id } },
+    { $group: { _id: '$reconciliation_status', count: { $sum: 1 } } }
+  ]);
+
+  // Claim the run so two rollbacks cannot interleave
+  const run = await ReconciliationRun.findOneAndUpdate(
+    { _id: existing._id, status: existing.status },
+    {
+      status: RECONCILIATION_RUN_STATUS.ROLLED_BACK,
+      rolled_back_at: new Date(),
+      rolled_back_by: req.user._id,
+      rollback_reason: reason.trim()
+    },
+    { new: true }
+  );
 
-  } catch (error) {
-    run.status = 'FAILED';
-    run.errors.push({ message: error.message, timestamp: new Date() });
-    await run.save();
-    throw error;
+  if (!run) {
+    throw new AppError('Run changed while rolling back; refresh and try again', 409);
   }
+
+  run.rollback_summary = await rollbackRunWrites(run);
+  await run.save();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_ROLLBACK, 'RECONCILIATION', {
+    entity_id: run._id.toString(),
+    entity_name: run.run_id,
+    changes: {
+      before: { status: existing.status, transactions_by_status: before },
+      after: { status: run.status, transactions_by_status: [{ _id: RECONCILIATION_STATUS.PENDING, count: run.rollback_summary.transactions }] }
+    },
+    extra: { reason: run.rollback_reason, ...run.rollback_summary },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Run ${run.run_id} rolled back: ${run.rollback_summary.transactions} transactions re-queued`,
+    data: { run }
+  });
 });
 
 // @desc    Get reconciliation runs
@@ -329,7 +312,7 @@ const getReconciliationRuns = asyncHandler(async (req, res) => {
   const total = await ReconciliationRun.countDocuments(query);
   const runs = await ReconciliationRun.find(query)
     .populate('initiated_by', 'name email')
-    .sort('-started_at')
+    .sort('-createdAt')
     .skip((page - 1) * limit)
     .limit(parseInt(limit));
 
@@ -360,7 +343,7 @@ const getReconciliationRun = asyncHandler(async (req, res) => {
 
   // Get transactions from this run
   const transactions = await Transaction.find({ reconciliation_run_id: run._id })
-    .select('transaction_id merchant_id amount status reconciliation_status source')
+    .select('transaction_id merchant_id amount status reconciliation_status source reconciled_with match_pass')
     .limit(100);
 
   res.status(200).json({
@@ -369,6 +352,124 @@ const getReconciliationRun = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Compare two reconciliation runs
+// @route   GET /api/reconciliation/runs/:a/diff/:b
+// @access  Private
+const getRunDiff = asyncHandler(async (req, res) => {
+  const { merchant_id, transition } = req.query;
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+
+  if (req.params.a === req.params.b) {
+    throw new AppError('Choose two different runs to compare', 400);
+  }
+
+  const [runA, runB] = await Promise.all([
+    ReconciliationRun.findById(req.params.a).select('-preview -errors'),
+    ReconciliationRun.findById(req.params.b).select('-preview -errors')
+  ]);
+
+  if (!runA || !runB) {
+    throw new AppError('Reconciliation run not found', 404);
+  }
+
+  const unfinished = [runA, runB].find(run => [RECONCILIATION_RUN_STATUS.QUEUED, RECONCILIATION_RUN_STATUS.RUNNING].includes(run.status));
+  if (unfinished) {
+    throw new AppError(`Run ${unfinished.run_id} has not finished yet`, 400);
+  }
+
+  // Previews write nothing, rolled-back runs had their outcomes removed and
+  // runs cancelled before they started never processed a row, so only settings
+  // and summaries can be compared for them
+  const withoutRows = [runA, runB].filter(run => (
+    [RECONCILIATION_RUN_STATUS.PREVIEW, RECONCILIATION_RUN_STATUS.ROLLED_BACK].includes(run.status) || !run.started_at
+  ));
+  const describeWithoutRows = (run) => `${run.run_id} (${run.status}${run.started_at ? '' : ', never started'})`;
+
+  const brief = (run) => ({
+    _id: run._id,
+    run_id: run.run_id,
+    status: run.status,
+    started_at: run.started_at,
+    completed_at: run.completed_at
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      a: brief(runA),
+      b: brief(runB),
+      config: compareConfig(runA.config.toObject(), runB.config.toObject()),
+      summary: compareSummary(runA.summary.toObject(), runB.summary.toObject()),
+      merchants: compareMerchants(runA.merchant_summary, runB.merchant_summary),
+      rows: withoutRows.length
+        ? { available: false, reason: `No per-row outcomes for ${withoutRows.map(describeWithoutRows).join(', ')}` }
+        : { available: true, ...(await diffRunTransactions(runA, runB, { merchant_id, transition, page, limit })) }
+    }
+  });
+});
+
+// @desc    Get breaks reported by a three-way run
+// @route   GET /api/reconciliation/runs/:id/breaks
+// @access  Private
+const getRunBreaks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, leg, break_type } = req.query;
+
+  const run = await ReconciliationRun.findById(req.params.id).select('run_id status config.mode leg_summary preview.breaks');
+
+  if (!run) {
+    throw new AppError('Reconciliation run not found', 404);
+  }
+  if (run.config.mode !== RECONCILIATION_MODE.THREE_WAY) {
+    throw new AppError('Breaks are only reported by three-way runs', 400);
+  }
+
+  const matchesBreak = (entry) => entry.break_type && (!leg || entry.leg === leg) && (!break_type || entry.break_type === break_type);
+
+  // Previews write nothing, so serve their sample instead
+  if (run.status === RECONCILIATION_RUN_STATUS.PREVIEW) {
+    const sample = (run.preview?.breaks || []).filter(row => row.breaks.some(matchesBreak));
+    return res.status(200).json({
+      success: true,
+      data: {
+        run: { run_id: run.run_id, leg_summary: run.leg_summary },
+        transactions: sample,
+        sampled: true,
+        pagination: { page: 1, limit: sample.length, total: sample.length, pages: 1 }
+      }
+    });
+  }
+
+  const breakQuery = { break_type: break_type || { $exists: true } };
+  if (leg) breakQuery.leg = leg;
+
+  const query = {
+    reconciliation_run_id: run._id,
+    reconciliation_legs: { $elemMatch: breakQuery }
+  };
+
+  const total = await Transaction.countDocuments(query);
+  const transactions = await Transaction.find(query)
+    .select('transaction_id merchant_id amount source reconciliation_status transaction_date reconciliation_legs')
+    .sort('merchant_id -transaction_date')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      run: { run_id: run.run_id, leg_summary: run.leg_summary },
+      transactions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
 // @desc    Get reconciliation statistics
 // @route   GET /api/reconciliation/stats
 // @access  Private
@@ -383,7 +484,7 @@ const getReconciliationStats = asyncHandler(async (req, res) => {
     }
   ]);
 
-  const latestRuns = await ReconciliationRun.find({ status: 'COMPLETED' })
+  const latestRuns = await ReconciliationRun.find({ status: RECONCILIATION_RUN_STATUS.COMPLETED })
     .select('run_id started_at summary matchRate')
     .sort('-started_at')
     .limit(5);
@@ -400,7 +501,7 @@ const getReconciliationStats = asyncHandler(async (req, res) => {
     overallStats.total_transactions += s.count;
     if (s._id === 'MATCHED') overallStats.matched = s.count;
     if (s._id === 'PENDING') overallStats.pending = s.count;
-    if (['UNMATCHED_BANK', 'UNMATCHED_MERCHANT'].includes(s._id)) {
+    if (['UNMATCHED_BANK', 'UNMATCHED_MERCHANT', 'UNMATCHED_GATEWAY'].includes(s._id)) {
       overallStats.unmatched += s.count;
     }
     if (s._id === 'AMOUNT_MISMATCH') overallStats.disputes = s.count;
@@ -420,15 +521,64 @@ const getReconciliationStats = asyncHandler(async (req, res) => {
 // @route   GET /api/reconciliation/unmatched
 // @access  Private
 const getUnmatchedTransactions = asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, source, merchant_id } = req.query;
+  const {
+    page = 1,
+    limit = 20,
+    source,
+    merchant_id,
+    search,
+    min_amount,
+    max_amount,
+    start_date,
+    end_date,
+    include_mismatches,
+    aging_bucket
+  } = req.query;
+
+  const statuses = [
+    RECONCILIATION_STATUS.UNMATCHED_BANK,
+    RECONCILIATION_STATUS.UNMATCHED_MERCHANT,
+    RECONCILIATION_STATUS.UNMATCHED_GATEWAY
+  ];
+  if (include_mismatches === 'true') statuses.push(RECONCILIATION_STATUS.AMOUNT_MISMATCH);
 
   const query = {
-    reconciliation_status: { $in: [RECONCILIATION_STATUS.UNMATCHED_BANK, RECONCILIATION_STATUS.UNMATCHED_MERCHANT] }
+    reconciliation_status: { $in: statuses }
   };
 
   if (source) query.source = source;
   if (merchant_id) query.merchant_id = merchant_id;
 
+  if (search) {
+    query.$or = [
+      { transaction_id: { $regex: search, $options: 'i' } },
+      { reference_id: { $regex: search, $options: 'i' } },
+      { utr_number: { $regex: search, $options: 'i' } },
+      { customer_email: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  if (min_amount || max_amount) {
+    query.amount = {};
+    if (min_amount) query.amount.$gte = parseFloat(min_amount);
+    if (max_amount) query.amount.$lte = parseFloat(max_amount);
+  }
+
+  if (start_date || end_date) {
+    query.transaction_date = {};
+    if (start_date) query.transaction_date.$gte = new Date(start_date);
+    if (end_date) query.transaction_date.$lte = new Date(end_date);
+  }
+
+  const now = new Date();
+  if (aging_bucket) {
+    const range = bucketDateRange(aging_bucket, now);
+    if (!range) {
+      throw new AppError(`Invalid aging bucket: ${aging_bucket}`, 400);
+    }
+    query.$and = [{ transaction_date: range }];
+  }
+
   const total = await Transaction.countDocuments(query);
   const transactions = await Transaction.find(query)
     .populate('merchant', 'name')
@@ -439,7 +589,7 @@ const getUnmatchedTransactions = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     data: {
-      transactions,
+      transactions: transactions.map(txn => ({ ...txn.toJSON(), ...ageOf(txn.transaction_date, now) })),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -450,6 +600,20 @@ const getUnmatchedTransactions = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Get open items bucketed by age
+// @route   GET /api/reconciliation/aging
+// @access  Private
+const getAging = asyncHandler(async (req, res) => {
+  const { merchant_id, source } = req.query;
+
+  const aging = await summarizeAging({ merchant_id, source });
+
+  res.status(200).json({
+    success: true,
+    data: aging
+  });
+});
+
 // @desc    Get disputes
 // @route   GET /api/reconciliation/disputes
 // @access  Private
@@ -504,6 +668,10 @@ const resolveDispute = asyncHandler(async (req, res) => {
 
   if (new_status) {
     transaction.reconciliation_status = new_status;
+    await Transaction.updateOne(
+      { _id: transaction._id },
+      { $push: manualHistoryPush({ action: 'RESOLVE_DISPUTE', by: req.user._id, at: new Date() }, new_status) }
+    );
   }
 
   await transaction.save();
@@ -515,12 +683,417 @@ const resolveDispute = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Suggest match candidates for a transaction
+// @route   GET /api/reconciliation/transactions/:id/candidates
+// @access  Private
+const getMatchCandidates = asyncHandler(async (req, res) => {
+  const { date_window_hours = 24, amount_tolerance = 0 } = req.query;
+
+  const transaction = await Transaction.findById(req.params.id);
+
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+
+  const tolerance = parseFloat(amount_tolerance);
+  const candidates = await Transaction.findPotentialMatches(transaction, parseFloat(date_window_hours), {
+    amountTolerance: tolerance,
+    statuses: OPEN_STATUSES,
+    limit: 50
+  });
+
+  // Highest confidence first, then closest amount and date
+  const ranked = candidates
+    .map(candidate => {
+      const [bankTxn, merchantTxn] = transaction.source === 'BANK' ? [transaction, candidate] : [candidate, transaction];
+      const { score, fields } = scoreCandidate(bankTxn, merchantTxn, { dateWindowHours: parseFloat(date_window_hours) });
+      return {
+        transaction: candidate,
+        score,
+        fields,
+        amount_difference: Math.round(Math.abs(candidate.amount - transaction.amount) * 100) / 100,
+        hours_apart: Math.round(Math.abs(candidate.transaction_date - transaction.transaction_date) / 36e5 * 10) / 10
+      };
+    })
+    .sort((a, b) => b.score - a.score || a.amount_difference - b.amount_difference || a.hours_apart - b.hours_apart);
+
+  res.status(200).json({
+    success: true,
+    data: { transaction, candidates: ranked }
+  });
+});
+
+// @desc    Get match groups
+// @route   GET /api/reconciliation/groups
+// @access  Private
+const getMatchGroups = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status, merchant_id, is_manual, needs_review, run_id, transaction_id } = req.query;
+
+  const query = {};
+  if (status) query.status = status;
+  if (merchant_id) query.merchant_id = merchant_id;
+  if (is_manual === 'true') query.is_manual = true;
+  if (is_manual === 'false') query.is_manual = false;
+  if (needs_review === 'true') query.needs_review = true;
+  if (run_id) query.reconciliation_run_id = run_id;
+
+  if (transaction_id) {
+    const members = await Transaction.distinct('_id', { transaction_id });
+    query.$or = [
+      { bank_transactions: { $in: members } },
+      { merchant_transactions: { $in: members } }
+    ];
+  }
+
+  const memberFields = 'transaction_id merchant_id amount source transaction_date reconciliation_status';
+
+  const total = await MatchGroup.countDocuments(query);
+  const groups = await MatchGroup.find(query)
+    .populate('bank_transactions', memberFields)
+    .populate('merchant_transactions', memberFields)
+    .populate('created_by', 'name email')
+    .populate('dissolved_by', 'name email')
+    .populate('reviewed_by', 'name email')
+    .sort('-createdAt')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      groups,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Manually match bank and merchant transactions
+// @route   POST /api/reconciliation/manual-match
+// @access  Private
+const manualMatch = asyncHandler(async (req, res) => {
+  const { bank_transaction_ids = [], merchant_transaction_ids = [], reason_code, notes } = req.body;
+
+  requireReasonCode(reason_code);
+
+  if (!bank_transaction_ids.length || !merchant_transaction_ids.length) {
+    throw new AppError('Select at least one bank and one merchant transaction', 400);
+  }
+  if (bank_transaction_ids.length > 1 && merchant_transaction_ids.length > 1) {
+    throw new AppError('Many-to-many matches are not supported', 400);
+  }
+
+  const ids = [...bank_transaction_ids, ...merchant_transaction_ids];
+  const transactions = await Transaction.find({ _id: { $in: ids } });
+
+  if (transactions.length !== new Set(ids.map(String)).size) {
+    throw new AppError('One or more transactions not found', 404);
+  }
+
+  const bank = transactions.filter(txn => bank_transaction_ids.map(String).includes(txn._id.toString()));
+  const merchant = transactions.filter(txn => merchant_transaction_ids.map(String).includes(txn._id.toString()));
+
+  if (bank.some(txn => txn.source !== 'BANK') || merchant.some(txn => txn.source !== 'MERCHANT')) {
+    throw new AppError('Bank and merchant selections must come from their own sources', 400);
+  }
+  if (new Set(transactions.map(txn => txn.merchant_id)).size > 1) {
+    throw new AppError('All transactions in a match must belong to the same merchant', 400);
+  }
+
+  const alreadyMatched = transactions.filter(txn => !OPEN_STATUSES.includes(txn.reconciliation_status));
+  if (alreadyMatched.length) {
+    throw new AppError(`Transactions already reconciled: ${alreadyMatched.map(txn => txn.transaction_id).join(', ')}. Unmatch them first`, 400);
+  }
+
+  const before = reconciliationSnapshot(transactions);
+  const groupId = new mongoose.Types.ObjectId();
+  const action = manualAction('MATCH', req);
+
+  // Claim the rows only while they are still open, so concurrent matches cannot share a row
+  const claim = await Transaction.updateMany(
+    { _id: { $in: ids }, reconciliation_status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        reconciliation_status: RECONCILIATION_STATUS.MATCHED,
+        reconciled_with: groupId,
+        reconciliation_date: new Date(),
+        match_pass: 'MANUAL',
+        manual_reconciliation: action,
+        updated_by: req.user._id
+      },
+      $unset: { match_rule: 1, match_rule_version: 1, match_confidence: 1, needs_review: 1, match_suggestions: 1 },
+      $push: manualHistoryPush(action, RECONCILIATION_STATUS.MATCHED, groupId)
+    }
+  );
+
+  if (claim.modifiedCount !== transactions.length) {
+    // Put back whatever we claimed before reporting the conflict
+    await Transaction.bulkWrite(transactions
+      .map(txn => ({
+        updateOne: {
+          filter: { _id: txn._id, reconciled_with: groupId },
+          update: {
+            $set: {
+              reconciliation_status: txn.reconciliation_status,
+              reconciled_with: txn.reconciled_with,
+              match_pass: txn.match_pass,
+              match_suggestions: txn.match_suggestions
+            },
+            $pull: { reconciliation_history: { match_group: groupId } }
+          }
+        }
+      })));
+    throw new AppError('Some transactions were reconciled by someone else; refresh and try again', 409);
+  }
+
+  // Manual match settles any open amount dispute
+  await Transaction.updateMany(
+    { _id: { $in: ids }, is_disputed: true, dispute_resolved: false },
+    { dispute_resolved: true, dispute_resolution: `Manually matched (${reason_code})` }
+  );
+
+  const bankAmount = bank.reduce((sum, txn) => sum + txn.amount, 0);
+  const merchantAmount = merchant.reduce((sum, txn) => sum + txn.amount, 0);
+
+  let type = MATCH_GROUP_TYPE.ONE_TO_ONE;
+  if (merchant.length > 1) type = MATCH_GROUP_TYPE.ONE_TO_MANY;
+  if (bank.length > 1) type = MATCH_GROUP_TYPE.MANY_TO_ONE;
+
+  const group = await MatchGroup.create({
+    _id: groupId,
+    type,
+    bank_transactions: bank.map(txn => txn._id),
+    merchant_transactions: merchant.map(txn => txn._id),
+    merchant_id: bank[0].merchant_id,
+    settlement_date: new Date(settlementDay(bank[0])),
+    bank_amount: bankAmount,
+    merchant_amount: merchantAmount,
+    amount_difference: Math.round(Math.abs(bankAmount - merchantAmount) * 100) / 100,
+    match_pass: 'MANUAL',
+    is_manual: true,
+    reason_code,
+    notes,
+    created_by: req.user._id
+  });
+
+  const after = reconciliationSnapshot(await Transaction.find({ _id: { $in: ids } }));
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_MANUAL_MATCH, 'RECONCILIATION', {
+    entity_id: group._id.toString(),
+    entity_name: group.group_id,
+    changes: { before, after },
+    extra: { reason_code, notes, type, amount_difference: group.amount_difference },
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Transactions matched successfully',
+    data: { group }
+  });
+});
+
+// @desc    Unmatch a match group
+// @route   POST /api/reconciliation/groups/:id/unmatch
+// @access  Private
+const unmatchGroup = asyncHandler(async (req, res) => {
+  const { reason_code, notes, requeue = true } = req.body;
+
+  requireReasonCode(reason_code);
+
+  // Three-way rows are settled from both legs, so a single leg cannot be undone alone
+  const existing = await MatchGroup.findById(req.params.id).select('leg');
+  if (existing?.leg) {
+    throw new AppError('Three-way matches cannot be unmatched one group at a time; roll back the run instead', 400);
+  }
+
+  const group = await MatchGroup.findOneAndUpdate(
+    { _id: req.params.id, status: MATCH_GROUP_STATUS.ACTIVE },
+    {
+      status: MATCH_GROUP_STATUS.DISSOLVED,
+      dissolved_at: new Date(),
+      dissolved_by: req.user._id,
+      dissolve_reason_code: reason_code,
+      dissolve_notes: notes
+    },
+    { new: true }
+  );
+
+  if (!group) {
+    const exists = await MatchGroup.exists({ _id: req.params.id });
+    throw new AppError(exists ? 'Match group has already been unmatched' : 'Match group not found', exists ? 400 : 404);
+  }
+
+  const members = await Transaction.find({ reconciled_with: group._id });
+  const before = reconciliationSnapshot(members);
+
+  const action = manualAction(requeue ? 'UNMATCH_REQUEUE' : 'UNMATCH', req);
+
+  // Re-queued rows are picked up by the next run; otherwise they wait in the workbench
+  const statusAfter = (source) => {
+    if (requeue) return RECONCILIATION_STATUS.PENDING;
+    return source === 'BANK' ? RECONCILIATION_STATUS.UNMATCHED_BANK : RECONCILIATION_STATUS.UNMATCHED_MERCHANT;
+  };
+  await Transaction.bulkWrite(['BANK', 'MERCHANT'].map(source => ({
+    updateMany: {
+      filter: { reconciled_with: group._id, source },
+      update: {
+        $set: {
+          reconciliation_status: statusAfter(source),
+          manual_reconciliation: action,
+          updated_by: req.user._id
+        },
+        $push: manualHistoryPush(action, statusAfter(source), group._id),
+        $unset: {
+          reconciled_with: 1,
+          reconciliation_date: 1,
+          match_rule: 1,
+          match_rule_version: 1,
+          match_pass: 1,
+          match_confidence: 1,
+          needs_review: 1,
+          match_suggestions: 1
+        }
+      }
+    }
+  })));
+
+  const after = reconciliationSnapshot(await Transaction.find({ _id: { $in: members.map(txn => txn._id) } }));
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_UNMATCH, 'RECONCILIATION', {
+    entity_id: group._id.toString(),
+    entity_name: group.group_id,
+    changes: { before, after },
+    extra: { reason_code, notes, requeue },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: requeue ? 'Match removed and transactions re-queued' : 'Match removed',
+    data: { group }
+  });
+});
+
+// @desc    Approve an auto-accepted fuzzy match
+// @route   POST /api/reconciliation/groups/:id/review
+// @access  Private
+const reviewMatchGroup = asyncHandler(async (req, res) => {
+  const { notes } = req.body;
+
+  const group = await MatchGroup.findOneAndUpdate(
+    { _id: req.params.id, status: MATCH_GROUP_STATUS.ACTIVE, needs_review: true },
+    {
+      needs_review: false,
+      reviewed_by: req.user._id,
+      reviewed_at: new Date()
+    },
+    { new: true }
+  );
+
+  if (!group) {
+    const exists = await MatchGroup.exists({ _id: req.params.id });
+    throw new AppError(exists ? 'Match group is not awaiting review' : 'Match group not found', exists ? 400 : 404);
+  }
+
+  await Transaction.updateMany({ reconciled_with: group._id }, { needs_review: false });
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_REVIEW, 'RECONCILIATION', {
+    entity_id: group._id.toString(),
+    entity_name: group.group_id,
+    changes: { before: { needs_review: true }, after: { needs_review: false } },
+    extra: { confidence: group.confidence, notes },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Match approved',
+    data: { group }
+  });
+});
+
+// @desc    Re-queue open transactions for the next run
+// @route   POST /api/reconciliation/requeue
+// @access  Private
+const requeueTransactions = asyncHandler(async (req, res) => {
+  const { transaction_ids = [], reason_code, notes } = req.body;
+
+  requireReasonCode(reason_code);
+
+  if (!transaction_ids.length) {
+    throw new AppError('Select at least one transaction', 400);
+  }
+
+  const transactions = await Transaction.find({ _id: { $in: transaction_ids } });
+
+  if (transactions.length !== new Set(transaction_ids.map(String)).size) {
+    throw new AppError('One or more transactions not found', 404);
+  }
+
+  const matched = transactions.filter(txn => !OPEN_STATUSES.includes(txn.reconciliation_status));
+  if (matched.length) {
+    throw new AppError(`Transactions already reconciled: ${matched.map(txn => txn.transaction_id).join(', ')}. Unmatch them first`, 400);
+  }
+
+  const before = reconciliationSnapshot(transactions);
+  const action = manualAction('REQUEUE', req);
+
+  const result = await Transaction.updateMany(
+    { _id: { $in: transaction_ids }, reconciliation_status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        reconciliation_status: RECONCILIATION_STATUS.PENDING,
+        manual_reconciliation: action,
+        updated_by: req.user._id
+      },
+      $unset: { reconciled_with: 1, match_rule: 1, match_rule_version: 1, match_pass: 1, match_suggestions: 1 },
+      $push: manualHistoryPush(action, RECONCILIATION_STATUS.PENDING)
+    }
+  );
+
+  const after = reconciliationSnapshot(await Transaction.find({ _id: { $in: transaction_ids } }));
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_REQUEUE, 'RECONCILIATION', {
+    entity_name: `${result.modifiedCount} transactions`,
+    changes: { before, after },
+    extra: { reason_code, notes },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${result.modifiedCount} transactions re-queued`,
+    data: { requeued: result.modifiedCount }
+  });
+});
+
 module.exports = {
   runReconciliation,
+  promoteReconciliationRun,
+  rollbackReconciliationRun,
+  cancelReconciliationRun,
   getReconciliationRuns,
   getReconciliationRun,
+  getRunBreaks,
+  getRunDiff,
   getReconciliationStats,
   getUnmatchedTransactions,
+  getAging,
   getDisputes,
-  resolveDispute
+  resolveDispute,
+  getMatchCandidates,
+  getMatchGroups,
+  manualMatch,
+  unmatchGroup,
+  reviewMatchGroup,
+  requeueTransactions
 };
@@ -0,0 +1,204 @@
+const { ReconciliationSchedule } = require('../models');
+const { asyncHandler, AppError } = require('../middleware');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const { previousCutoff, nextCutoff, queueScheduledRun, recordTrigger } = require('../services/reconciliationScheduler');
+
+// Timing fields that move the schedule's cut-offs
+const TIMING_FIELDS = ['settlement_cycle', 'cutoff_time', 'day_of_week', 'day_of_month'];
+
+// Start counting cut-offs from now, so a new (or re-timed) schedule does not
+// immediately fire for a cut-off that passed before it existed
+const resetCutoffs = (schedule) => {
+  const now = new Date();
+  schedule.last_cutoff_at = previousCutoff(schedule, now);
+  schedule.next_run_at = nextCutoff(schedule, now);
+};
+
+// @desc    Get all reconciliation schedules
+// @route   GET /api/reconciliation-schedules
+// @access  Private
+const getSchedules = asyncHandler(async (req, res) => {
+  const schedules = await ReconciliationSchedule.find()
+    .populate('last_run', 'run_id status summary skipped_merchants completed_at')
+    .populate('updated_by', 'name email')
+    .sort('name');
+
+  res.status(200).json({
+    success: true,
+    data: { schedules }
+  });
+});
+
+// @desc    Get single reconciliation schedule
+// @route   GET /api/reconciliation-schedules/:id
+// @access  Private
+const getSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReconciliationSchedule.findById(req.params.id)
+    .populate('last_run', 'run_id status summary skipped_merchants completed_at')
+    .populate('created_by', 'name email')
+    .populate('updated_by', 'name email');
+
+  if (!schedule) {
+    throw new AppError('Reconciliation schedule not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { schedule }
+  });
+});
+
+// @desc    Create reconciliation schedule
+// @route   POST /api/reconciliation-schedules
+// @access  Private/Admin
+const createSchedule = asyncHandler(async (req, res) => {
+  const {
+    name, description, settlement_cycle, cutoff_time, day_of_week, day_of_month, run_config, is_active
+  } = req.body;
+
+  const schedule = new ReconciliationSchedule({
+    name,
+    description,
+    settlement_cycle,
+    cutoff_time,
+    day_of_week,
+    day_of_month,
+    run_config,
+    is_active,
+    created_by: req.user._id,
+    updated_by: req.user._id
+  });
+
+  await schedule.validate();
+  resetCutoffs(schedule);
+  await schedule.save();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_SCHEDULE_CREATE, 'RECONCILIATION_SCHEDULE', {
+    entity_id: schedule._id.toString(),
+    entity_name: schedule.name,
+    changes: { after: schedule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reconciliation schedule created successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Update reconciliation schedule
+// @route   PUT /api/reconciliation-schedules/:id
+// @access  Private/Admin
+const updateSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReconciliationSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new AppError('Reconciliation schedule not found', 404);
+  }
+
+  const beforeUpdate = schedule.toJSON();
+
+  const allowedUpdates = [
+    'name', 'description', ...TIMING_FIELDS, 'run_config', 'is_active'
+  ];
+
+  allowedUpdates.forEach(field => {
+    if (req.body[field] !== undefined) {
+      schedule[field] = req.body[field];
+    }
+  });
+
+  // Re-timed or re-enabled schedules count cut-offs from now
+  const reenabled = req.body.is_active === true && !beforeUpdate.is_active;
+  if (reenabled || TIMING_FIELDS.some(field => schedule.isModified(field))) {
+    await schedule.validate();
+    resetCutoffs(schedule);
+  }
+
+  schedule.updated_by = req.user._id;
+  await schedule.save();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_SCHEDULE_EDIT, 'RECONCILIATION_SCHEDULE', {
+    entity_id: schedule._id.toString(),
+    entity_name: schedule.name,
+    changes: { before: beforeUpdate, after: schedule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reconciliation schedule updated successfully',
+    data: { schedule }
+  });
+});
+
+// @desc    Delete reconciliation schedule
+// @route   DELETE /api/reconciliation-schedules/:id
+// @access  Private/Admin
+const deleteSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReconciliationSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new AppError('Reconciliation schedule not found', 404);
+  }
+
+  await schedule.deleteOne();
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_SCHEDULE_DELETE, 'RECONCILIATION_SCHEDULE', {
+    entity_id: schedule._id.toString(),
+    entity_name: schedule.name,
+    changes: { before: schedule.toJSON() },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Reconciliation schedule deleted successfully'
+  });
+});
+
+// @desc    Queue a schedule's run now, up to its latest cut-off
+// @route   POST /api/reconciliation-schedules/:id/trigger
+// @access  Private/Admin
+const triggerSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ReconciliationSchedule.findById(req.params.id);
+
+  if (!schedule) {
+    throw new AppError('Reconciliation schedule not found', 404);
+  }
+
+  const now = new Date();
+  const outcome = await queueScheduledRun(schedule, previousCutoff(schedule, now) || now, req.user);
+  await recordTrigger(schedule, outcome, now);
+
+  if (!outcome.run) {
+    throw new AppError(outcome.message, 409);
+  }
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.RECONCILIATION_SCHEDULE_TRIGGER, 'RECONCILIATION_SCHEDULE', {
+    entity_id: schedule._id.toString(),
+    entity_name: schedule.name,
+    extra: { run_id: outcome.run.run_id, cutoff: outcome.run.scheduled_cutoff },
+    ip_address: req.ip
+  });
+
+  res.status(202).json({
+    success: true,
+    message: outcome.message,
+    data: { run: outcome.run }
+  });
+});
+
+module.exports = {
+  getSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  triggerSchedule
+};
@@ -2,6 +2,8 @@ const PDFDocument = require('pdfkit');
 const { Transaction, Merchant, ReconciliationRun } = require('../models');
 const { asyncHandler, AppError } = require('../middleware');
 const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const { AGING_BUCKETS } = require('../config/constants');
+const { summarizeAging } = require('../services/agingService');
 
 // @desc    Generate daily report
 // @route   GET /api/reports/daily
@@ -164,7 +166,7 @@ const generateUnmatchedReport = asyncHandler(async (req, res) => {
   const { format = 'json', merchant_id } = req.query;
 
   const query = {
-    reconciliation_status: { $in: ['UNMATCHED_BANK', 'UNMATCHED_MERCHANT', 'AMOUNT_MISMATCH'] }
+    reconciliation_status: { $in: ['UNMATCHED_BANK', 'UNMATCHED_MERCHANT', 'UNMATCHED_GATEWAY', 'AMOUNT_MISMATCH'] }
   };
   if (merchant_id) query.merchant_id = merchant_id;
 
@@ -177,6 +179,7 @@ const generateUnmatchedReport = asyncHandler(async (req, res) => {
     total: transactions.length,
     unmatched_bank: transactions.filter(t => t.reconciliation_status === 'UNMATCHED_BANK').length,
     unmatched_merchant: transactions.filter(t => t.reconciliation_status === 'UNMATCHED_MERCHANT').length,
+    unmatched_gateway: transactions.filter(t => t.reconciliation_status === 'UNMATCHED_GATEWAY').length,
     amount_mismatch: transactions.filter(t => t.reconciliation_status === 'AMOUNT_MISMATCH').length,
     total_amount: transactions.reduce((sum, t) => sum + t.amount, 0)
   };
@@ -301,10 +304,93 @@ const generateFailedPaymentsReport = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Generate aging report for unmatched and disputed items
+// @route   GET /api/reports/aging
+// @access  Private
+const generateAgingReport = asyncHandler(async (req, res) => {
+  const { format = 'json', merchant_id, source } = req.query;
+
+  const aging = await summarizeAging({ merchant_id, source });
+  const date = aging.generated_at.toISOString().split('T')[0];
+
+  await logAction(req.user, AUDIT_ACTIONS.REPORT_GENERATE, 'REPORT', {
+    extra: { report_type: 'aging', format, merchant_id, source },
+    ip_address: req.ip
+  });
+
+  if (format === 'csv') {
+    const headers = [
+      'Merchant ID', 'Merchant Name', 'Source',
+      ...AGING_BUCKETS.flatMap(bucket => [`${bucket.label} Count`, `${bucket.label} Amount`]),
+      'Total Count', 'Total Amount'
+    ];
+    const rows = aging.rows.map(r => [
+      r.merchant_id, r.merchant_name, r.source,
+      ...AGING_BUCKETS.flatMap(bucket => [r.buckets[bucket.key].count, r.buckets[bucket.key].amount]),
+      r.total_count, r.total_amount
+    ]);
+
+    const csv = [headers.join(','), ...rows.map(row => row.map(cell => `"${String(cell)}"`).join(','))].join('\n');
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=aging_report_${date}.csv`);
+    return res.send(csv);
+  }
+
+  if (format === 'pdf') {
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=aging_report_${date}.pdf`);
+    doc.pipe(res);
+
+    doc.fontSize(20).text('Aging Report', { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(14).text(`Unmatched and disputed items as of ${date}`, { align: 'center' });
+    doc.moveDown(2);
+
+    doc.fontSize(12).text('Summary', { underline: true });
+    doc.fontSize(10);
+    doc.text(`Open Items: ${aging.total_count}`);
+    doc.text(`Total Amount: INR ${aging.total_amount.toLocaleString()}`);
+    doc.moveDown();
+
+    doc.text('By Age:', { underline: true });
+    aging.buckets.forEach(bucket => {
+      doc.text(`  ${bucket.label}: ${bucket.count} items, INR ${bucket.amount.toLocaleString()}`);
+    });
+    doc.moveDown();
+
+    const bucketLine = (entry) => AGING_BUCKETS
+      .map(bucket => `${bucket.label}: ${entry.buckets[bucket.key].count}`)
+      .join(' | ');
+
+    doc.text('By Source:', { underline: true });
+    aging.by_source.forEach(entry => {
+      doc.text(`  ${entry.source} (${entry.total_count} items, INR ${entry.total_amount.toLocaleString()})`);
+      doc.text(`    ${bucketLine(entry)}`);
+    });
+    doc.moveDown();
+
+    doc.text('By Merchant:', { underline: true });
+    aging.by_merchant.forEach(entry => {
+      doc.text(`  ${entry.merchant_name} (${entry.merchant_id}) - ${entry.total_count} items, INR ${entry.total_amount.toLocaleString()}`);
+      doc.text(`    ${bucketLine(entry)}`);
+    });
+
+    doc.end();
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: aging
+  });
+});
+
 module.exports = {
   generateDailyReport,
   generateMerchantSettlements,
   generateUnmatchedReport,
   generateSLABreachReport,
-  generateFailedPaymentsReport
+  generateFailedPaymentsReport,
+  generateAgingReport
 };
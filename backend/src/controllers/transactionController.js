@@ -81,7 +81,13 @@ const getTransaction = asyncHandler(async (req, res) => {
     .populate('merchant', 'name email sla_hours')
     .populate('created_by', 'name email')
     .populate('updated_by', 'name email')
-    .populate('reconciled_with')
+    .populate({
+      path: 'reconciled_with',
+      populate: {
+        path: 'bank_transactions merchant_transactions',
+        select: 'transaction_id merchant_id amount source transaction_date reference_id'
+      }
+    })
     .populate('status_history.changed_by', 'name');
 
   if (!transaction) {
@@ -450,7 +456,7 @@ const getTransactionStats = asyncHandler(async (req, res) => {
         pendingCount: { $sum: { $cond: [{ $eq: ['$status', 'PENDING'] }, 1, 0] } },
         pendingAmount: { $sum: { $cond: [{ $eq: ['$status', 'PENDING'] }, '$amount', 0] } },
         matchedCount: { $sum: { $cond: [{ $eq: ['$reconciliation_status', 'MATCHED'] }, 1, 0] } },
-        unmatchedCount: { $sum: { $cond: [{ $in: ['$reconciliation_status', ['UNMATCHED_BANK', 'UNMATCHED_MERCHANT']] }, 1, 0] } },
+        unmatchedCount: { $sum: { $cond: [{ $in: ['$reconciliation_status', ['UNMATCHED_BANK', 'UNMATCHED_MERCHANT', 'UNMATCHED_GATEWAY']] }, 1, 0] } },
         slaBreachedCount: { $sum: { $cond: ['$sla_breached', 1, 0] } },
         disputedCount: { $sum: { $cond: ['$is_disputed', 1, 0] } }
       }
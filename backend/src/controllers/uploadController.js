@@ -1,140 +1,222 @@
 const fs = require('fs');
-const path = require('path');
-const csv = require('csv-parser');
-const XLSX = require('xlsx');
-const { Transaction, Merchant, FileUpload } = require('../models');
+const { FileUpload, FileRowError, MappingProfile, Transaction } = require('../models');
 const { asyncHandler, AppError } = require('../middleware');
+const { RECONCILIATION_STATUS, ROLES, DUPLICATE_UPLOAD_ACTION, DUPLICATE_MATCH } = require('../config/constants');
 const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
-const { TRANSACTION_STATUS, TRANSACTION_SOURCE, PAYMENT_GATEWAY, RECONCILIATION_STATUS } = require('../config/constants');
-
-// Standard column mappings for bank and merchant files
-const COLUMN_MAPPINGS = {
-  bank: {
-    transaction_id: ['transaction_id', 'txn_id', 'txnid', 'trans_id', 'id'],
-    merchant_id: ['merchant_id', 'merchid', 'mid', 'merchant'],
-    amount: ['amount', 'amt', 'value', 'transaction_amount'],
-    currency: ['currency', 'curr', 'ccy'],
-    status: ['status', 'txn_status', 'transaction_status'],
-    reference_id: ['reference_id', 'ref_id', 'utr', 'utr_number', 'bank_ref'],
-    transaction_date: ['transaction_date', 'txn_date', 'date', 'created_at', 'timestamp']
-  },
-  merchant: {
-    transaction_id: ['transaction_id', 'txn_id', 'order_id', 'payment_id'],
-    merchant_id: ['merchant_id', 'store_id', 'shop_id'],
-    amount: ['amount', 'total', 'payment_amount', 'order_amount'],
-    currency: ['currency', 'curr'],
-    status: ['status', 'payment_status', 'order_status'],
-    reference_id: ['reference_id', 'gateway_ref', 'pg_ref'],
-    transaction_date: ['transaction_date', 'payment_date', 'order_date', 'created_at'],
-    customer_email: ['customer_email', 'email', 'buyer_email'],
-    customer_name: ['customer_name', 'name', 'buyer_name']
+const { targetFields, REQUIRED_FIELDS, suggestMapping, toMapping, mappingProblems } = require('../services/columnMapping');
+const { isSupportedFile, openRows, readFile, suggestProfile, previewRows, importRows, resubmitRows } = require('../services/fileImport');
+const { checkContinuity } = require('../services/bankStatements');
+const { fileChecksum, rowsFingerprint, findOriginalUpload, describeDuplicate, duplicateMessage } = require('../services/duplicateUploads');
+const { lockedMerchants } = require('../services/merchantLocks');
+const config = require('../config');
+
+// Rows shown by an upload preview
+const PREVIEW_ROWS = 20;
+
+const DUPLICATE_KEY = 11000;
+
+// Mapping sent with a request (a JSON string in multipart uploads)
+const parseMappingBody = (mapping) => {
+  if (typeof mapping !== 'string') return toMapping(mapping);
+  try {
+    return toMapping(JSON.parse(mapping));
+  } catch (error) {
+    throw new AppError('Column mapping must be valid JSON', 400);
   }
 };
 
-// Parse CSV file
-const parseCSV = (filePath) => {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
+// Mapping for a file: the requested profile, a mapping sent with the request,
+// or (when neither is given) a matching saved profile or the alias-based suggestion.
+// Returns { mapping, profile }.
+const resolveMapping = async ({ profile_id, mapping }, headers, fileType, merchantId) => {
+  let profile = null;
+  let resolved;
+
+  if (profile_id) {
+    profile = await MappingProfile.findById(profile_id);
+    if (!profile) {
+      throw new AppError('Mapping profile not found', 404);
+    }
+    if (profile.file_type !== fileType) {
+      throw new AppError(`Mapping profile "${profile.name}" is for ${profile.file_type} files`, 400);
+    }
+    resolved = toMapping(profile);
+  } else if (mapping) {
+    resolved = parseMappingBody(mapping);
+  } else {
+    profile = await suggestProfile(headers, fileType, merchantId);
+    resolved = profile ? toMapping(profile) : suggestMapping(headers, fileType);
+  }
+
+  return { mapping: resolved, profile };
 };
 
-// Parse Excel file
-const parseExcel = (filePath) => {
-  const workbook = XLSX.readFile(filePath);
-  const sheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[sheetName];
-  return XLSX.utils.sheet_to_json(worksheet);
+// Reject a mapping that cannot import the file
+const checkMapping = (mapping, headers, fileType) => {
+  const problems = mappingProblems(mapping, headers, fileType);
+  if (problems.length) {
+    throw new AppError(`Invalid column mapping. ${problems.join('. ')}`, 400);
+  }
 };
 
-// Map columns based on standard mappings
-const mapColumns = (row, fileType) => {
-  const mappings = COLUMN_MAPPINGS[fileType];
-  const mapped = {};
-
-  for (const [targetField, possibleNames] of Object.entries(mappings)) {
-    for (const name of possibleNames) {
-      const key = Object.keys(row).find(k => k.toLowerCase().trim() === name.toLowerCase());
-      if (key && row[key] !== undefined && row[key] !== '') {
-        mapped[targetField] = row[key];
-        break;
-      }
-    }
+// True when an admin asks to import a file even though it repeats an earlier upload
+const allowDuplicate = (req) => {
+  const requested = [true, 'true'].includes(req.body.allow_duplicate);
+  if (requested && req.user.role !== ROLES.ADMIN) {
+    throw new AppError('Only admins can re-import a duplicate file', 403);
   }
+  return requested;
+};
 
-  return mapped;
+// Note the earlier upload a file repeats (by checksum or by rows). Unless an
+// admin overrides it, the duplicate is then rejected (409) or only flagged,
+// as configured.
+const checkDuplicate = async (fileRecord, match, override) => {
+  const duplicate = await findOriginalUpload(fileRecord, match);
+  if (!duplicate) return;
+
+  fileRecord.duplicate_of = { file: duplicate.file._id, match };
+  if (override) {
+    fileRecord.duplicate_override = true;
+  } else if (config.upload.duplicateAction === DUPLICATE_UPLOAD_ACTION.REJECT) {
+    throw new AppError(duplicateMessage(duplicate), 409, 'DUPLICATE_FILE');
+  }
 };
 
-// Normalize and validate row
-const normalizeRow = (row, fileType, merchant_id = null) => {
-  const mapped = mapColumns(row, fileType);
-  const errors = [];
-
-  // Required fields
-  if (!mapped.transaction_id) {
-    errors.push('Missing transaction_id');
-  }
-  if (!mapped.amount && mapped.amount !== 0) {
-    errors.push('Missing amount');
-  }
-
-  // Normalize values
-  const normalized = {
-    transaction_id: mapped.transaction_id ? String(mapped.transaction_id).toUpperCase().trim() : null,
-    merchant_id: (mapped.merchant_id || merchant_id || '').toUpperCase().trim(),
-    amount: parseFloat(mapped.amount) || 0,
-    currency: (mapped.currency || 'INR').toUpperCase().trim(),
-    status: normalizeStatus(mapped.status),
-    reference_id: mapped.reference_id ? String(mapped.reference_id).trim() : null,
-    transaction_date: parseDate(mapped.transaction_date),
-    customer_email: mapped.customer_email || null,
-    customer_name: mapped.customer_name || null,
-    source: fileType === 'bank' ? TRANSACTION_SOURCE.BANK : TRANSACTION_SOURCE.MERCHANT,
-    payment_gateway: fileType === 'bank' ? PAYMENT_GATEWAY.BANK : PAYMENT_GATEWAY.RAZORPAY
-  };
+// Save a file that was checked against earlier uploads. A copy accepted as the
+// original since the check fails the save (original checksums are unique); the
+// file is then checked again, so it is rejected (409) or flagged like any duplicate.
+const saveCheckedFile = async (fileRecord, override) => {
+  try {
+    await fileRecord.save();
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY) throw error;
 
-  return { normalized, errors };
+    await checkDuplicate(fileRecord, DUPLICATE_MATCH.CHECKSUM, override);
+    if (!fileRecord.duplicate_of?.file) {
+      throw new AppError('The same file is being imported by another upload', 409, 'DUPLICATE_FILE');
+    }
+    await fileRecord.save();
+  }
 };
 
-// Normalize status string
-const normalizeStatus = (status) => {
-  if (!status) return TRANSACTION_STATUS.PENDING;
-  
-  const s = String(status).toUpperCase().trim();
-  
-  if (['SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'PAID', 'CAPTURED'].includes(s)) {
-    return TRANSACTION_STATUS.SUCCESS;
+// Check a file against earlier uploads before it is accepted: by checksum, then
+// (unless that matched) by its rows' fingerprint, kept for later uploads
+const checkDuplicates = async (fileRecord, override) => {
+  await checkDuplicate(fileRecord, DUPLICATE_MATCH.CHECKSUM, override);
+  fileRecord.rows_fingerprint = await rowsFingerprint(fileRecord.path, fileRecord.original_filename);
+  if (!fileRecord.duplicate_of?.file) {
+    await checkDuplicate(fileRecord, DUPLICATE_MATCH.ROWS, override);
   }
-  if (['FAILED', 'FAILURE', 'DECLINED', 'REJECTED', 'CANCELLED'].includes(s)) {
-    return TRANSACTION_STATUS.FAILED;
-  }
-  return TRANSACTION_STATUS.PENDING;
 };
 
-// Parse date from various formats
-const parseDate = (dateStr) => {
-  if (!dateStr) return new Date();
-  
-  const date = new Date(dateStr);
-  if (!isNaN(date.getTime())) {
-    return date;
-  }
-
-  // Try DD/MM/YYYY format
-  const parts = String(dateStr).split(/[\/\-]/);
-  if (parts.length === 3) {
-    const [day, month, year] = parts;
-    const parsed = new Date(year, month - 1, day);
-    if (!isNaN(parsed.getTime())) {
-      return parsed;
+// Checksum a new upload and check it against earlier ones, saving the record so
+// files uploaded right after it are checked against it too
+const checkUploadedFile = async (fileRecord, override) => {
+  fileRecord.checksum = await fileChecksum(fileRecord.path);
+  await checkDuplicates(fileRecord, override);
+  await saveCheckedFile(fileRecord, override);
+};
+
+// Open a stored upload and resolve the mapping its rows will be imported with,
+// so a bad mapping is rejected before any row is read.
+// Returns { source, mapping, profile }; the caller imports or closes the source.
+const prepareImport = async (fileRecord, request) => {
+  const source = await openRows(fileRecord.path, fileRecord.original_filename);
+
+  try {
+    if (source.statements && fileRecord.file_type !== 'BANK') {
+      throw new AppError('MT940 and camt.053 statements can only be imported as bank files', 400);
     }
+    const { mapping, profile } = await resolveMapping(request, source.headers, fileRecord.file_type, fileRecord.merchant_id);
+    checkMapping(mapping, source.headers, fileRecord.file_type);
+    return { source, mapping, profile };
+  } catch (error) {
+    source.close();
+    throw error;
+  }
+};
+
+// Socket payload for an upload's progress
+const uploadEvent = (fileRecord) => ({
+  _id: fileRecord._id,
+  original_filename: fileRecord.original_filename,
+  file_type: fileRecord.file_type,
+  status: fileRecord.status,
+  results: fileRecord.results,
+  processing: fileRecord.processing
+});
+
+// Import a prepared upload in the background, pushing progress over socket.io
+// (upload:progress, then upload:complete or upload:failed) and auditing the outcome.
+const runImport = async (req, fileRecord, { source, mapping, profile }) => {
+  const io = req.app.get('io');
+  const emit = (event, data) => io && io.emit(event, data);
+
+  try {
+    if (profile) fileRecord.mapping_profile = profile._id;
+    if (source.statements) fileRecord.statements = source.statements;
+    const { total, imported, errorCount } = await importRows(fileRecord, source.rows, {
+      mapping,
+      merchantId: fileRecord.merchant_id,
+      userId: req.user._id,
+      progress: source.progress,
+      onProgress: (file) => emit('upload:progress', uploadEvent(file))
+    });
+    await fileRecord.save();
+
+    // Log action
+    await logAction(req.user, AUDIT_ACTIONS.FILE_UPLOAD, 'FILE', {
+      entity_id: fileRecord._id.toString(),
+      entity_name: fileRecord.original_filename,
+      extra: {
+        file_type: fileRecord.file_type,
+        mapping_profile: fileRecord.mapping_profile,
+        duplicate_of: fileRecord.duplicate_of?.file,
+        duplicate_override: fileRecord.duplicate_override,
+        total_rows: total,
+        successful: imported,
+        failed: errorCount
+      },
+      ip_address: req.ip
+    });
+
+    emit('upload:complete', uploadEvent(fileRecord));
+  } catch (error) {
+    console.error(`Import of ${fileRecord.original_filename} failed:`, error);
+    fileRecord.status = 'FAILED';
+    fileRecord.errors.push({ message: error.message });
+    await fileRecord.save().catch(() => {});
+    emit('upload:failed', { ...uploadEvent(fileRecord), error: error.message });
+  } finally {
+    source.close();
   }
+};
 
-  return new Date();
+// Preview payload: headers, the mapping to use, candidate profiles and the first rows normalised
+const buildPreview = async (fileRecord, request) => {
+  const { headers, rows, statements } = await readFile(fileRecord.path, fileRecord.original_filename, PREVIEW_ROWS);
+  const { mapping, profile } = await resolveMapping(request, headers, fileRecord.file_type, fileRecord.merchant_id);
+  const duplicate = await findOriginalUpload(fileRecord, DUPLICATE_MATCH.CHECKSUM);
+
+  const profiles = await MappingProfile.find({ file_type: fileRecord.file_type, is_active: true })
+    .select('name bank_name merchant_id')
+    .sort('name');
+
+  return {
+    file: fileRecord,
+    headers,
+    target_fields: targetFields(fileRecord.file_type),
+    required_fields: REQUIRED_FIELDS,
+    mapping,
+    profile: profile && { _id: profile._id, name: profile.name },
+    profiles,
+    statements,
+    // Earlier upload of the same file (importing it is rejected unless an admin overrides)
+    duplicate: duplicate && describeDuplicate(duplicate),
+    problems: mappingProblems(mapping, headers, fileRecord.file_type),
+    rows: previewRows(rows, fileRecord.file_type, mapping, fileRecord.merchant_id)
+  };
 };
 
 // @desc    Upload bank file
@@ -144,6 +226,7 @@ const uploadBankFile = asyncHandler(async (req, res) => {
   if (!req.file) {
     throw new AppError('Please upload a file', 400);
   }
+  const override = allowDuplicate(req);
 
   const fileRecord = await FileUpload.create({
     filename: req.file.filename,
@@ -157,117 +240,28 @@ const uploadBankFile = asyncHandler(async (req, res) => {
     processing: { started_at: new Date() }
   });
 
+  let prepared;
   try {
-    // Parse file based on extension
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    let rows;
-
-    if (ext === '.csv') {
-      rows = await parseCSV(req.file.path);
-    } else if (['.xlsx', '.xls'].includes(ext)) {
-      rows = parseExcel(req.file.path);
-    } else {
-      throw new AppError('Unsupported file format. Please use CSV or Excel.', 400);
+    if (!isSupportedFile(req.file.originalname)) {
+      throw new AppError('Unsupported file format. Please use CSV, Excel, MT940 or camt.053 (optionally gzipped or zipped).', 400);
     }
 
-    fileRecord.results.total_rows = rows.length;
-
-    const transactions = [];
-    const errors = [];
-    const existingTxnIds = new Set();
-
-    // Check for existing transactions
-    const allTxnIds = rows
-      .map(row => mapColumns(row, 'bank').transaction_id)
-      .filter(Boolean)
-      .map(id => String(id).toUpperCase().trim());
-
-    const existing = await Transaction.find({
-      transaction_id: { $in: allTxnIds },
-      source: TRANSACTION_SOURCE.BANK
-    }).select('transaction_id');
-
-    existing.forEach(t => existingTxnIds.add(t.transaction_id));
-
-    // Process rows
-    for (let i = 0; i < rows.length; i++) {
-      const { normalized, errors: rowErrors } = normalizeRow(rows[i], 'bank');
-
-      if (rowErrors.length > 0) {
-        errors.push({ row: i + 2, field: 'validation', message: rowErrors.join(', '), data: rows[i] });
-        fileRecord.results.failed_rows++;
-        continue;
-      }
-
-      if (existingTxnIds.has(normalized.transaction_id)) {
-        errors.push({ row: i + 2, field: 'transaction_id', message: 'Duplicate transaction', data: rows[i] });
-        fileRecord.results.duplicate_rows++;
-        continue;
-      }
-
-      // Check merchant
-      const merchant = await Merchant.findOne({ merchant_id: normalized.merchant_id });
-
-      transactions.push({
-        ...normalized,
-        merchant: merchant?._id,
-        uploaded_from_file: fileRecord._id,
-        file_row_number: i + 2,
-        created_by: req.user._id,
-        reconciliation_status: RECONCILIATION_STATUS.PENDING
-      });
-
-      existingTxnIds.add(normalized.transaction_id);
-      fileRecord.results.successful_rows++;
-    }
-
-    // Bulk insert transactions
-    if (transactions.length > 0) {
-      await Transaction.insertMany(transactions, { ordered: false });
-    }
-
-    // Update file record
-    fileRecord.status = errors.length > 0 ? 'PARTIAL' : 'COMPLETED';
-    fileRecord.errors = errors.slice(0, 100); // Limit errors stored
-    fileRecord.processing.completed_at = new Date();
-    fileRecord.processing.duration_ms = Date.now() - fileRecord.processing.started_at.getTime();
-    fileRecord.results.processed_rows = rows.length;
-    await fileRecord.save();
-
-    // Log action
-    await logAction(req.user, AUDIT_ACTIONS.FILE_UPLOAD, 'FILE', {
-      entity_id: fileRecord._id.toString(),
-      entity_name: req.file.originalname,
-      extra: {
-        file_type: 'BANK',
-        total_rows: rows.length,
-        successful: transactions.length,
-        failed: errors.length
-      },
-      ip_address: req.ip
-    });
-
-    res.status(200).json({
-      success: true,
-      message: `File processed: ${transactions.length} transactions imported, ${errors.length} errors`,
-      data: {
-        file: fileRecord,
-        summary: {
-          total: rows.length,
-          imported: transactions.length,
-          failed: fileRecord.results.failed_rows,
-          duplicates: fileRecord.results.duplicate_rows
-        },
-        errors: errors.slice(0, 20)
-      }
-    });
-
+    await checkUploadedFile(fileRecord, override);
+    prepared = await prepareImport(fileRecord, req.body);
   } catch (error) {
     fileRecord.status = 'FAILED';
     fileRecord.errors.push({ message: error.message });
     await fileRecord.save();
     throw error;
   }
+
+  runImport(req, fileRecord, prepared);
+
+  res.status(202).json({
+    success: true,
+    message: `Importing ${req.file.originalname}`,
+    data: { file: fileRecord }
+  });
 });
 
 // @desc    Upload merchant files
@@ -277,8 +271,10 @@ const uploadMerchantFiles = asyncHandler(async (req, res) => {
   if (!req.files || req.files.length === 0) {
     throw new AppError('Please upload at least one file', 400);
   }
+  const override = allowDuplicate(req);
 
   const results = [];
+  const accepted = [];
 
   for (const file of req.files) {
     const fileRecord = await FileUpload.create({
@@ -295,107 +291,188 @@ const uploadMerchantFiles = asyncHandler(async (req, res) => {
     });
 
     try {
-      const ext = path.extname(file.originalname).toLowerCase();
-      let rows;
-
-      if (ext === '.csv') {
-        rows = await parseCSV(file.path);
-      } else if (['.xlsx', '.xls'].includes(ext)) {
-        rows = parseExcel(file.path);
-      } else {
+      if (!isSupportedFile(file.originalname)) {
         throw new AppError(`Unsupported file format: ${file.originalname}`, 400);
       }
 
-      fileRecord.results.total_rows = rows.length;
+      await checkUploadedFile(fileRecord, override);
+      accepted.push({ fileRecord, prepared: await prepareImport(fileRecord, req.body) });
 
-      const transactions = [];
-      const errors = [];
-      const existingTxnIds = new Set();
+      results.push({
+        file_id: fileRecord._id,
+        filename: file.originalname,
+        status: fileRecord.status
+      });
 
-      const allTxnIds = rows
-        .map(row => mapColumns(row, 'merchant').transaction_id)
-        .filter(Boolean)
-        .map(id => String(id).toUpperCase().trim());
+    } catch (error) {
+      fileRecord.status = 'FAILED';
+      fileRecord.errors.push({ message: error.message });
+      await fileRecord.save();
+      
+      results.push({
+        file_id: fileRecord._id,
+        filename: file.originalname,
+        status: 'FAILED',
+        error: error.message,
+        code: error.code || undefined
+      });
+    }
+  }
 
-      const existing = await Transaction.find({
-        transaction_id: { $in: allTxnIds },
-        source: TRANSACTION_SOURCE.MERCHANT
-      }).select('transaction_id');
+  // One file at a time, in upload order
+  (async () => {
+    for (const { fileRecord, prepared } of accepted) {
+      await runImport(req, fileRecord, prepared);
+    }
+  })();
 
-      existing.forEach(t => existingTxnIds.add(t.transaction_id));
+  res.status(202).json({
+    success: true,
+    message: `Importing ${accepted.length} of ${req.files.length} files`,
+    data: { results }
+  });
+});
 
-      for (let i = 0; i < rows.length; i++) {
-        const { normalized, errors: rowErrors } = normalizeRow(rows[i], 'merchant', req.body.merchant_id);
+// @desc    Store a file and preview it: headers, suggested mapping and the first rows normalised
+// @route   POST /api/upload/preview
+// @access  Private
+const previewUpload = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Please upload a file', 400);
+  }
 
-        if (rowErrors.length > 0) {
-          errors.push({ row: i + 2, field: 'validation', message: rowErrors.join(', ') });
-          fileRecord.results.failed_rows++;
-          continue;
-        }
+  const fileType = String(req.body.file_type || '').toUpperCase();
+  if (!['BANK', 'MERCHANT'].includes(fileType)) {
+    throw new AppError('File type must be BANK or MERCHANT', 400);
+  }
+  if (!isSupportedFile(req.file.originalname)) {
+    throw new AppError('Unsupported file format. Please use CSV, Excel, MT940 or camt.053 (optionally gzipped or zipped).', 400);
+  }
 
-        if (existingTxnIds.has(normalized.transaction_id)) {
-          errors.push({ row: i + 2, field: 'transaction_id', message: 'Duplicate transaction' });
-          fileRecord.results.duplicate_rows++;
-          continue;
-        }
+  const fileRecord = new FileUpload({
+    filename: req.file.filename,
+    original_filename: req.file.originalname,
+    file_type: fileType,
+    mime_type: req.file.mimetype,
+    size: req.file.size,
+    path: req.file.path,
+    status: 'UPLOADED',
+    merchant_id: req.body.merchant_id || undefined,
+    uploaded_by: req.user._id
+  });
+  fileRecord.checksum = await fileChecksum(req.file.path);
 
-        const merchant = await Merchant.findOne({ merchant_id: normalized.merchant_id });
+  const preview = await buildPreview(fileRecord, req.body);
+  fileRecord.headers = preview.headers;
+  await fileRecord.save();
 
-        transactions.push({
-          ...normalized,
-          merchant: merchant?._id,
-          uploaded_from_file: fileRecord._id,
-          file_row_number: i + 2,
-          created_by: req.user._id,
-          reconciliation_status: RECONCILIATION_STATUS.PENDING
-        });
+  res.status(200).json({
+    success: true,
+    data: preview
+  });
+});
 
-        existingTxnIds.add(normalized.transaction_id);
-        fileRecord.results.successful_rows++;
-      }
+// Uploaded file still waiting to be imported
+const findUploadedFile = async (id) => {
+  const fileRecord = await FileUpload.findById(id);
 
-      if (transactions.length > 0) {
-        await Transaction.insertMany(transactions, { ordered: false });
-      }
+  if (!fileRecord) {
+    throw new AppError('File not found', 404);
+  }
+  if (fileRecord.status !== 'UPLOADED') {
+    throw new AppError(`File has already been processed (${fileRecord.status})`, 409);
+  }
 
-      fileRecord.status = errors.length > 0 ? 'PARTIAL' : 'COMPLETED';
-      fileRecord.errors = errors.slice(0, 100);
-      fileRecord.processing.completed_at = new Date();
-      fileRecord.processing.duration_ms = Date.now() - fileRecord.processing.started_at.getTime();
-      fileRecord.results.processed_rows = rows.length;
-      await fileRecord.save();
+  return fileRecord;
+};
 
-      results.push({
-        filename: file.originalname,
-        status: fileRecord.status,
-        total: rows.length,
-        imported: transactions.length,
-        errors: errors.length
-      });
+// @desc    Preview an uploaded file again with another profile or mapping
+// @route   POST /api/upload/files/:id/preview
+// @access  Private
+const previewUploadedFile = asyncHandler(async (req, res) => {
+  const fileRecord = await findUploadedFile(req.params.id);
 
-    } catch (error) {
+  res.status(200).json({
+    success: true,
+    data: await buildPreview(fileRecord, req.body)
+  });
+});
+
+// @desc    Import a previewed file with the chosen profile or mapping,
+//          optionally saving the mapping as a new profile
+// @route   POST /api/upload/files/:id/commit
+// @access  Private
+const commitUpload = asyncHandler(async (req, res) => {
+  const fileRecord = await findUploadedFile(req.params.id);
+  const override = allowDuplicate(req);
+  const request = { ...req.body };
+
+  // A profile to save from the mapping is checked now but only stored once the
+  // file is accepted, so a rejected import leaves no profile behind
+  let newProfile = null;
+  if (req.body.save_profile?.name && !req.body.profile_id) {
+    request.mapping = parseMappingBody(req.body.mapping || {});
+
+    newProfile = new MappingProfile({
+      name: req.body.save_profile.name,
+      description: req.body.save_profile.description,
+      bank_name: req.body.save_profile.bank_name,
+      merchant_id: req.body.save_profile.merchant_id || fileRecord.merchant_id,
+      file_type: fileRecord.file_type,
+      ...request.mapping,
+      created_by: req.user._id,
+      updated_by: req.user._id
+    });
+    await newProfile.validate();
+    if (await MappingProfile.exists({ name: newProfile.name })) {
+      throw new AppError(`Mapping profile "${newProfile.name}" already exists`, 400, 'DUPLICATE_KEY');
+    }
+  }
+
+  let prepared;
+  try {
+    await checkDuplicates(fileRecord, override);
+    prepared = await prepareImport(fileRecord, request);
+  } catch (error) {
+    // A rejected mapping or duplicate leaves the file waiting for another attempt
+    if (!(error instanceof AppError)) {
       fileRecord.status = 'FAILED';
       fileRecord.errors.push({ message: error.message });
       await fileRecord.save();
-      
-      results.push({
-        filename: file.originalname,
-        status: 'FAILED',
-        error: error.message
-      });
     }
+    throw error;
   }
 
-  // Log action
-  await logAction(req.user, AUDIT_ACTIONS.FILE_UPLOAD, 'FILE', {
-    extra: { file_type: 'MERCHANT', files_count: req.files.length, results },
-    ip_address: req.ip
-  });
+  fileRecord.status = 'PROCESSING';
+  fileRecord.processing = { started_at: new Date() };
+  try {
+    if (newProfile) await newProfile.save();
+    await saveCheckedFile(fileRecord, override);
+  } catch (error) {
+    prepared.source.close();
+    // A file rejected at the last moment (a copy was accepted meanwhile) keeps no profile
+    if (newProfile && !newProfile.isNew) await newProfile.deleteOne();
+    throw error;
+  }
 
-  res.status(200).json({
+  if (newProfile) {
+    // Log action
+    await logAction(req.user, AUDIT_ACTIONS.MAPPING_PROFILE_CREATE, 'MAPPING_PROFILE', {
+      entity_id: newProfile._id.toString(),
+      entity_name: newProfile.name,
+      changes: { after: newProfile.toJSON() },
+      ip_address: req.ip
+    });
+
+    prepared.profile = newProfile;
+  }
+
+  runImport(req, fileRecord, prepared);
+
+  res.status(202).json({
     success: true,
-    message: `${req.files.length} files processed`,
-    data: { results }
+    message: `Importing ${fileRecord.original_filename}`,
+    data: { file: fileRecord }
   });
 });
 
@@ -412,6 +489,7 @@ const getFileUploads = asyncHandler(async (req, res) => {
   const total = await FileUpload.countDocuments(query);
   const files = await FileUpload.find(query)
     .populate('uploaded_by', 'name email')
+    .populate('duplicate_of.file', 'original_filename createdAt')
     .sort('-createdAt')
     .skip((page - 1) * limit)
     .limit(parseInt(limit));
@@ -436,7 +514,8 @@ const getFileUploads = asyncHandler(async (req, res) => {
 const getFileDetails = asyncHandler(async (req, res) => {
   const file = await FileUpload.findById(req.params.id)
     .populate('uploaded_by', 'name email')
-    .populate('merchant', 'name merchant_id');
+    .populate('merchant', 'name merchant_id')
+    .populate('duplicate_of.file', 'original_filename createdAt');
 
   if (!file) {
     throw new AppError('File not found', 404);
@@ -448,9 +527,218 @@ const getFileDetails = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Roll back an upload: delete the transactions imported from it. The
+//          file record is kept, marked ROLLED_BACK.
+// @route   DELETE /api/upload/files/:id
+// @access  Private/Admin
+const deleteFileUpload = asyncHandler(async (req, res) => {
+  const fileRecord = await FileUpload.findById(req.params.id);
+
+  if (!fileRecord) {
+    throw new AppError('File not found', 404);
+  }
+  if (fileRecord.status === 'ROLLED_BACK') {
+    throw new AppError(`${fileRecord.original_filename} is already rolled back`, 409);
+  }
+  if (fileRecord.status === 'PROCESSING') {
+    throw new AppError('File is still being imported', 409);
+  }
+
+  const fromFile = { uploaded_from_file: fileRecord._id };
+  // Rows a run has processed (even if since requeued) are left to the run
+  const untouched = { reconciliation_status: RECONCILIATION_STATUS.PENDING, reconciliation_run_id: null };
+
+  const reconciled = await Transaction.countDocuments({ ...fromFile, $nor: [untouched] });
+  if (reconciled > 0) {
+    throw new AppError(`Cannot roll back ${fileRecord.original_filename}: ${reconciled} of its transactions have already been reconciled`, 409);
+  }
+
+  const locked = await lockedMerchants(await Transaction.distinct('merchant_id', fromFile));
+  if (locked.length > 0) {
+    throw new AppError(`Cannot roll back ${fileRecord.original_filename} while a reconciliation run is processing ${locked.join(', ')}`, 409);
+  }
+
+  // Only rows still untouched are deleted, should a run reach them meanwhile
+  const { deletedCount } = await Transaction.deleteMany({ ...fromFile, ...untouched });
+  const kept = await Transaction.countDocuments(fromFile);
+
+  if (kept === 0) {
+    fileRecord.rolled_back = {
+      at: new Date(),
+      by: req.user._id,
+      previous_status: fileRecord.status,
+      transactions_deleted: deletedCount
+    };
+    fileRecord.status = 'ROLLED_BACK';
+    if (fileRecord.path) {
+      await fs.promises.unlink(fileRecord.path).catch(() => {});
+      fileRecord.path = undefined;
+    }
+    await fileRecord.save();
+  }
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.FILE_ROLLBACK, 'FILE', {
+    entity_id: fileRecord._id.toString(),
+    entity_name: fileRecord.original_filename,
+    extra: {
+      file_type: fileRecord.file_type,
+      transactions_deleted: deletedCount,
+      transactions_kept: kept
+    },
+    ip_address: req.ip
+  });
+
+  if (kept > 0) {
+    throw new AppError(`Rolled back ${deletedCount} transactions of ${fileRecord.original_filename}; ${kept} were reconciled meanwhile and were kept`, 409);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Rolled back ${fileRecord.original_filename}: ${deletedCount} transactions deleted`,
+    data: { file: fileRecord, transactions_deleted: deletedCount }
+  });
+});
+
+// @desc    Get a file's failed rows, in file order
+// @route   GET /api/upload/files/:id/rows
+// @access  Private
+const getFailedRows = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+
+  if (!await FileUpload.exists({ _id: req.params.id })) {
+    throw new AppError('File not found', 404);
+  }
+
+  const query = { file: req.params.id };
+  const total = await FileRowError.countDocuments(query);
+  const rows = await FileRowError.find(query)
+    .sort('row')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rows,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Import corrected versions of a file's failed rows
+// @route   POST /api/upload/files/:id/rows
+// @access  Private
+const resubmitFailedRows = asyncHandler(async (req, res) => {
+  const { rows } = req.body;
+
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new AppError('Please provide the corrected rows', 400);
+  }
+  if (rows.some(row => !row?.error_id || !row.data || typeof row.data !== 'object')) {
+    throw new AppError('Each corrected row needs the error_id of the failed row and its data', 400);
+  }
+
+  const fileRecord = await FileUpload.findById(req.params.id);
+
+  if (!fileRecord) {
+    throw new AppError('File not found', 404);
+  }
+  if (!['COMPLETED', 'PARTIAL'].includes(fileRecord.status)) {
+    throw new AppError(`Rows can only be corrected once the file is imported (${fileRecord.status})`, 409);
+  }
+
+  let results;
+  try {
+    results = await resubmitRows(fileRecord, rows, { userId: req.user._id });
+  } finally {
+    await fileRecord.save();
+  }
+
+  const imported = results.filter(result => result.status === 'IMPORTED').length;
+
+  // Log action
+  await logAction(req.user, AUDIT_ACTIONS.FILE_ROWS_RESUBMIT, 'FILE', {
+    entity_id: fileRecord._id.toString(),
+    entity_name: fileRecord.original_filename,
+    extra: {
+      rows: results.map(({ row, status, transaction_id }) => ({ row, status, transaction_id })),
+      imported,
+      failed: results.length - imported
+    },
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `${imported} of ${results.length} corrected rows imported`,
+    data: { results, file: fileRecord }
+  });
+});
+
+// @desc    Imported bank statements per account, in order, with the gap
+//          between each opening balance and the previous closing balance
+// @route   GET /api/upload/statements
+// @access  Private
+const getStatementContinuity = asyncHandler(async (req, res) => {
+  const { account } = req.query;
+
+  const query = {
+    'statements.0': { $exists: true },
+    status: { $in: ['COMPLETED', 'PARTIAL'] }
+  };
+  if (account) query['statements.account'] = account;
+
+  const files = await FileUpload.find(query)
+    .select('original_filename statements createdAt')
+    .sort('createdAt');
+
+  const byAccount = new Map();
+  for (const file of files) {
+    for (const statement of file.statements) {
+      if (account && statement.account !== account) continue;
+      if (!byAccount.has(statement.account)) byAccount.set(statement.account, []);
+      byAccount.get(statement.account).push({
+        ...statement.toObject(),
+        file_id: file._id,
+        original_filename: file.original_filename
+      });
+    }
+  }
+
+  const accounts = [...byAccount.entries()]
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([accountId, statements]) => {
+      const ordered = checkContinuity(statements);
+      return {
+        account: accountId,
+        statements: ordered,
+        breaks: ordered.filter(statement => statement.continuous === false).length,
+        unbalanced: ordered.filter(statement => statement.balanced === false).length
+      };
+    });
+
+  res.status(200).json({
+    success: true,
+    data: { accounts }
+  });
+});
+
 module.exports = {
   uploadBankFile,
   uploadMerchantFiles,
+  previewUpload,
+  previewUploadedFile,
+  commitUpload,
   getFileUploads,
-  getFileDetails
+  getFileDetails,
+  getStatementContinuity,
+  deleteFileUpload,
+  getFailedRows,
+  resubmitFailedRows
 };
@@ -0,0 +1,194 @@
+const { WebhookEvent } = require('../models');
+const { asyncHandler, AppError } = require('../middleware');
+const { logAction, AUDIT_ACTIONS } = require('../middleware/auditMiddleware');
+const { WEBHOOK_EVENT_STATUS } = require('../config/constants');
+const { getGateway, getGatewayByCode } = require('../services/gateways');
+const { processEvent } = require('../services/webhookEvents');
+const { webhookCredentials } = require('../services/gatewayCredentials');
+
+const DUPLICATE_KEY = 11000;
+
+// Adapter that can receive webhooks (404 otherwise, like an unknown route)
+const webhookGateway = (name) => {
+  const gateway = getGateway(name);
+  if (!gateway || !gateway.parseWebhook) {
+    throw new AppError(`No webhook endpoint for payment gateway: ${name}`, 404, 'UNKNOWN_GATEWAY');
+  }
+  return gateway;
+};
+
+const eventSummary = (event) => ({
+  _id: event._id,
+  event_id: event.event_id,
+  event_type: event.event_type,
+  status: event.status,
+  error: event.error,
+  transaction_id: event.transaction_id
+});
+
+// @desc    Receive a gateway webhook event
+// @route   POST /api/webhooks/:gateway
+// @access  Public (signed by the gateway)
+const receiveWebhook = asyncHandler(async (req, res) => {
+  const gateway = webhookGateway(req.params.gateway);
+
+  // Signed with the webhook secret of one of the gateway's accounts (or the
+  // environment's)
+  const candidates = req.rawBody ? await webhookCredentials(gateway) : [];
+  const signer = candidates.find(({ credentials }) => gateway.verifyWebhook(req.rawBody, req.headers, credentials));
+  if (!signer) {
+    throw new AppError('Invalid webhook signature', 401, 'INVALID_SIGNATURE');
+  }
+
+  const { id, type } = gateway.parseWebhook(req.body, req.headers);
+  if (!id) {
+    throw new AppError('Webhook event has no event ID', 400);
+  }
+
+  // Each event is processed once; a failed one is retried when the gateway
+  // delivers it again
+  let event = await WebhookEvent.findOne({ gateway: gateway.code, event_id: id });
+  if (event && event.status !== WEBHOOK_EVENT_STATUS.FAILED) {
+    return res.status(200).json({
+      success: true,
+      message: 'Event already received',
+      data: { ...eventSummary(event), duplicate: true }
+    });
+  }
+
+  if (!event) {
+    try {
+      event = await WebhookEvent.create({
+        gateway: gateway.code,
+        account: signer.account?._id,
+        event_id: id,
+        event_type: type,
+        payload: req.body
+      });
+    } catch (error) {
+      // Delivered twice at once: the other delivery processes it
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return res.status(200).json({
+        success: true,
+        message: 'Event already received',
+        data: { event_id: id, duplicate: true }
+      });
+    }
+  }
+
+  await processEvent(gateway, event, req.app.get('io'));
+
+  // A failure is answered with an error so the gateway delivers the event again
+  if (event.status === WEBHOOK_EVENT_STATUS.FAILED) {
+    throw new AppError(`Failed to process ${gateway.label} event ${id}: ${event.error}`, 500, 'WEBHOOK_FAILED');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Event ${event.status.toLowerCase()}`,
+    data: eventSummary(event)
+  });
+});
+
+// @desc    Get stored webhook events
+// @route   GET /api/webhooks/events
+// @access  Private/Admin
+const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, gateway, status, event_type } = req.query;
+
+  const query = {};
+  if (gateway) query.gateway = gateway.toUpperCase();
+  if (status) query.status = status;
+  if (event_type) query.event_type = event_type;
+
+  const total = await WebhookEvent.countDocuments(query);
+  const events = await WebhookEvent.find(query)
+    .select('-payload')
+    .populate('replayed_by', 'name email')
+    .sort('-received_at')
+    .skip((page - 1) * limit)
+    .limit(parseInt(limit));
+
+  // Counts by status, for the filter tabs
+  const counts = await WebhookEvent.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      events,
+      counts: Object.fromEntries(counts.map(({ _id, count }) => [_id, count])),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// @desc    Get a stored webhook event with its payload
+// @route   GET /api/webhooks/events/:id
+// @access  Private/Admin
+const getWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id)
+    .populate('replayed_by', 'name email');
+
+  if (!event) {
+    throw new AppError('Webhook event not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: { event }
+  });
+});
+
+// @desc    Process a failed webhook event again
+// @route   POST /api/webhooks/events/:id/replay
+// @access  Private/Admin
+const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const event = await WebhookEvent.findById(req.params.id);
+
+  if (!event) {
+    throw new AppError('Webhook event not found', 404);
+  }
+  if (event.status !== WEBHOOK_EVENT_STATUS.FAILED) {
+    throw new AppError(`Only failed events can be replayed (this one is ${event.status})`, 400);
+  }
+
+  const gateway = getGatewayByCode(event.gateway);
+  if (!gateway || !gateway.parseWebhook) {
+    throw new AppError(`Payment gateway ${event.gateway} is no longer registered`, 400);
+  }
+
+  event.replayed_by = req.user._id;
+  event.replayed_at = new Date();
+  await processEvent(gateway, event, req.app.get('io'));
+
+  const succeeded = event.status !== WEBHOOK_EVENT_STATUS.FAILED;
+
+  await logAction(req.user, AUDIT_ACTIONS.WEBHOOK_REPLAY, 'WEBHOOK_EVENT', {
+    entity_id: event._id.toString(),
+    entity_name: `${event.gateway} ${event.event_id}`,
+    extra: { event_type: event.event_type, status: event.status, attempts: event.attempts },
+    success: succeeded,
+    error_message: event.error,
+    ip_address: req.ip
+  });
+
+  res.status(200).json({
+    success: succeeded,
+    message: succeeded ? `Event ${event.status.toLowerCase()}` : `Replay failed: ${event.error}`,
+    data: { event: eventSummary(event) }
+  });
+});
+
+module.exports = {
+  receiveWebhook,
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { AGING_BUCKETS, ALERT_SEVERITIES, TRANSACTION_SOURCE } = require('../config/constants');
+
+// Raises an alert once open items reach an age bucket
+const agingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: String,
+  // Bucket that triggers the rule; items jumping past it escalate to the oldest matching rule
+  bucket: {
+    type: String,
+    enum: AGING_BUCKETS.map(bucket => bucket.key),
+    required: [true, 'Bucket is required']
+  },
+  severity: {
+    type: String,
+    enum: ALERT_SEVERITIES,
+    required: [true, 'Severity is required']
+  },
+  // Optional scope; a rule without scope applies to every open item
+  scope: {
+    merchant_id: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    source: {
+      type: String,
+      enum: Object.values(TRANSACTION_SOURCE)
+    }
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+agingRuleSchema.index({ is_active: 1 });
+
+// Transform output
+agingRuleSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('AgingRule', agingRuleSchema);
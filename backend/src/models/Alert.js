@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { ALERT_TYPES } = require('../config/constants');
+const { ALERT_TYPES, ALERT_SEVERITIES } = require('../config/constants');
 
 const alertSchema = new mongoose.Schema({
   type: {
@@ -9,7 +9,7 @@ const alertSchema = new mongoose.Schema({
   },
   severity: {
     type: String,
-    enum: ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'],
+    enum: ALERT_SEVERITIES,
     default: 'MEDIUM'
   },
   title: {
@@ -38,6 +38,11 @@ const alertSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Transaction'
   },
+  // Run that raised the alert (removed again if the run is rolled back)
+  reconciliation_run_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun'
+  },
   // Additional data
   data: mongoose.Schema.Types.Mixed,
   // Status
@@ -80,6 +85,7 @@ alertSchema.index({ severity: 1 });
 alertSchema.index({ merchant_id: 1 });
 alertSchema.index({ status: 1 });
 alertSchema.index({ createdAt: -1 });
+alertSchema.index({ reconciliation_run_id: 1 });
 alertSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
 
 // Static method to create alert
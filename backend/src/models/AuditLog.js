@@ -22,7 +22,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   entity_type: {
     type: String,
-    enum: ['USER', 'MERCHANT', 'TRANSACTION', 'FILE', 'RECONCILIATION', 'REPORT', 'SETTINGS', 'GATEWAY'],
+    enum: ['USER', 'MERCHANT', 'TRANSACTION', 'FILE', 'RECONCILIATION', 'REPORT', 'SETTINGS', 'GATEWAY', 'WEBHOOK_EVENT', 'MATCH_RULE', 'AGING_RULE', 'FEE_SCHEDULE', 'RECONCILIATION_SCHEDULE', 'MAPPING_PROFILE'],
     required: true
   },
   entity_id: String,
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { PAYMENT_GATEWAY_VALIDATOR } = require('../config/constants');
+
+// Fee a gateway deducts before settling, used by net-of-fees matching
+// for rows that carry no fee of their own.
+// fee = gross * percentage / 100 + fixed_fee (within min_fee / max_fee); tax = fee * tax_percentage / 100
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: String,
+  // Optional scope; the most specific active schedule wins (merchant, then gateway)
+  scope: {
+    merchant_id: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    payment_gateway: {
+      type: String,
+      validate: PAYMENT_GATEWAY_VALIDATOR
+    }
+  },
+  percentage: {
+    type: Number,
+    default: 0,
+    min: [0, 'Percentage cannot be negative'],
+    max: [100, 'Percentage cannot exceed 100']
+  },
+  fixed_fee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fixed fee cannot be negative']
+  },
+  min_fee: {
+    type: Number,
+    min: [0, 'Minimum fee cannot be negative']
+  },
+  max_fee: {
+    type: Number,
+    min: [0, 'Maximum fee cannot be negative']
+  },
+  // GST charged on the fee
+  tax_percentage: {
+    type: Number,
+    default: 18,
+    min: [0, 'Tax percentage cannot be negative'],
+    max: [100, 'Tax percentage cannot exceed 100']
+  },
+  // Difference between the expected and the credited net amount still
+  // accepted as a fee variance instead of a dispute (empty = configured default)
+  variance_tolerance: {
+    type: Number,
+    min: [0, 'Variance tolerance cannot be negative']
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+feeScheduleSchema.index({ is_active: 1 });
+feeScheduleSchema.index({ 'scope.merchant_id': 1 });
+feeScheduleSchema.index({ 'scope.payment_gateway': 1 });
+
+// Transform output
+feeScheduleSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A row of an uploaded file that could not be imported (invalid, or a
+// duplicate transaction), with its data in the file's own columns so it can be
+// corrected and re-imported. Every failed row is kept, however many there are.
+const fileRowErrorSchema = new mongoose.Schema({
+  file: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FileUpload',
+    required: true
+  },
+  row: {
+    type: Number,
+    required: true
+  },
+  field: String,
+  message: String,
+  data: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Indexes
+fileRowErrorSchema.index({ file: 1, row: 1 });
+
+// Transform output
+fileRowErrorSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('FileRowError', fileRowErrorSchema);
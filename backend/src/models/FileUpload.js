@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DUPLICATE_MATCH, ORIGINAL_UPLOAD_STATUSES } = require('../config/constants');
 
 const fileUploadSchema = new mongoose.Schema({
   filename: {
@@ -17,17 +18,50 @@ const fileUploadSchema = new mongoose.Schema({
   mime_type: String,
   size: Number,
   path: String,
+  // SHA-256 of the file as uploaded, and a fingerprint of its rows (row count
+  // and an order-independent digest), to recognise a file uploaded again
+  checksum: String,
+  rows_fingerprint: String,
+  // Checksum of a file imported (or being imported) as an original rather than
+  // as a duplicate; unique per file type, so of two copies uploaded at once
+  // only one is imported as the original (set on save)
+  original_checksum: String,
+  // Earlier upload this file repeats (flagged, or re-imported by an admin)
+  duplicate_of: {
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FileUpload'
+    },
+    match: {
+      type: String,
+      enum: Object.values(DUPLICATE_MATCH)
+    }
+  },
+  duplicate_override: {
+    type: Boolean,
+    default: false
+  },
   // Processing status
   status: {
     type: String,
-    enum: ['UPLOADED', 'PROCESSING', 'COMPLETED', 'FAILED', 'PARTIAL'],
+    enum: ['UPLOADED', 'PROCESSING', 'COMPLETED', 'FAILED', 'PARTIAL', 'ROLLED_BACK'],
     default: 'UPLOADED'
   },
+  // Roll back of an imported file: its transactions were deleted, the record kept
+  rolled_back: {
+    at: Date,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    previous_status: String,
+    transactions_deleted: Number
+  },
   // Processing results
   processing: {
     started_at: Date,
     completed_at: Date,
-    duration_ms: Number
+    duration_ms: Number,
+    // How far through the file an import has read (decompressed size for zip entries)
+    bytes_read: Number,
+    bytes_total: Number
   },
   results: {
     total_rows: { type: Number, default: 0 },
@@ -37,7 +71,7 @@ const fileUploadSchema = new mongoose.Schema({
     duplicate_rows: { type: Number, default: 0 },
     skipped_rows: { type: Number, default: 0 }
   },
-  // Errors encountered
+  // Errors about the whole file (failed rows are FileRowErrors)
   errors: [{
     row: Number,
     field: String,
@@ -49,6 +83,43 @@ const fileUploadSchema = new mongoose.Schema({
     type: Map,
     of: String
   },
+  // Rest of the mapping (defaults and formats), so corrected rows are read the same way
+  column_defaults: {
+    type: Map,
+    of: String
+  },
+  date_format: String,
+  timezone: String,
+  amount_format: {
+    decimal_separator: String,
+    thousands_separator: String,
+    grouping: String,
+    unit: String,
+    negative_parentheses: Boolean
+  },
+  mapping_profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MappingProfile'
+  },
+  // Headers detected when the file was previewed (UPLOADED, waiting to be imported)
+  headers: [String],
+  // Bank statements in an MT940 / camt.053 file, with their balances so
+  // continuity can be checked across consecutive files of an account
+  statements: [{
+    _id: false,
+    format: { type: String, enum: ['MT940', 'CAMT053'] },
+    reference: String,
+    account: String,
+    number: String,
+    currency: String,
+    opening_balance: { amount: Number, date: Date },
+    closing_balance: { amount: Number, date: Date },
+    entry_count: Number,
+    total_credits: Number,
+    total_debits: Number,
+    // Opening balance plus booked entries equals the closing balance
+    balanced: Boolean
+  }],
   // Merchant association (for merchant files)
   merchant_id: String,
   merchant: {
@@ -76,6 +147,20 @@ fileUploadSchema.index({ status: 1 });
 fileUploadSchema.index({ file_type: 1 });
 fileUploadSchema.index({ uploaded_by: 1 });
 fileUploadSchema.index({ createdAt: -1 });
+fileUploadSchema.index({ 'statements.account': 1 });
+fileUploadSchema.index({ checksum: 1 });
+fileUploadSchema.index({ rows_fingerprint: 1 });
+fileUploadSchema.index(
+  { file_type: 1, original_checksum: 1 },
+  { unique: true, partialFilterExpression: { original_checksum: { $type: 'string' } } }
+);
+
+// Keep original_checksum on originals only
+fileUploadSchema.pre('save', function(next) {
+  const original = this.checksum && ORIGINAL_UPLOAD_STATUSES.includes(this.status) && !this.duplicate_of?.file;
+  this.original_checksum = original ? this.checksum : undefined;
+  next();
+});
 
 // Virtual for success rate
 fileUploadSchema.virtual('successRate').get(function() {
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { GATEWAY_MODE, PAYMENT_GATEWAY_VALIDATOR } = require('../config/constants');
+
+// A gateway account's API credentials. Secret fields are kept only in
+// `sealed` (envelope-encrypted, see services/credentialVault) and shown
+// masked; fields that are not secret (e.g. a Razorpay key ID) are kept in
+// `identifiers`.
+const gatewayCredentialSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    validate: PAYMENT_GATEWAY_VALIDATOR,
+    required: [true, 'Gateway is required']
+  },
+  label: {
+    type: String,
+    required: [true, 'Account label is required'],
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  mode: {
+    type: String,
+    enum: Object.values(GATEWAY_MODE),
+    default: GATEWAY_MODE.TEST
+  },
+  // Merchant whose own account this is; the platform's accounts have none
+  merchant_id: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  // Account used for the gateway (or the merchant) when none is named
+  is_default: {
+    type: Boolean,
+    default: false
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  identifiers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  masked: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // { ciphertext, iv, tag, data_key: { ciphertext, iv, tag, master_key_id } }
+  sealed: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+    select: false
+  },
+  // Bumped each time the secrets change
+  version: {
+    type: Number,
+    default: 1
+  },
+  rotated_at: Date,
+  last_verified_at: Date,
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+gatewayCredentialSchema.index({ gateway: 1, label: 1 }, { unique: true });
+gatewayCredentialSchema.index({ gateway: 1, merchant_id: 1, is_active: 1 });
+
+gatewayCredentialSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.sealed;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('GatewayCredential', gatewayCredentialSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const { PAYMENT_GATEWAY_VALIDATOR } = require('../config/constants');
+
+// A gateway settlement (payout) as synced, with the UTR of the bank transfer
+// that paid it. The payments it paid out carry its ID (gateway_settlement_id).
+const gatewaySettlementSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    validate: PAYMENT_GATEWAY_VALIDATOR,
+    required: true
+  },
+  settlement_id: {
+    type: String,
+    required: true
+  },
+  // Account the settlement was synced with (none: the environment's credentials)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GatewayCredential'
+  },
+  utr: String,
+  // Amount transferred to the bank, after fees, tax and refunds
+  amount: Number,
+  fees: Number,
+  tax: Number,
+  currency: String,
+  status: String,
+  settled_at: Date,
+  synced_at: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+gatewaySettlementSchema.index({ gateway: 1, settlement_id: 1 }, { unique: true });
+gatewaySettlementSchema.index({ utr: 1 });
+gatewaySettlementSchema.index({ settled_at: -1 });
+
+module.exports = mongoose.model('GatewaySettlement', gatewaySettlementSchema);
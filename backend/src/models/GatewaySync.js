@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { GATEWAY_SYNC_STATUS, GATEWAY_SYNC_STAGE, PAYMENT_GATEWAY_VALIDATOR } = require('../config/constants');
+
+// A full sync of a gateway's payments, refunds, settlements and settlement
+// recon items over a date range. The cursor is saved after every page, so a
+// failed (or interrupted) sync resumes where it stopped.
+const gatewaySyncSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    validate: PAYMENT_GATEWAY_VALIDATOR,
+    required: true
+  },
+  // Account synced (none: the environment's credentials)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GatewayCredential'
+  },
+  from: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  to: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  page_size: {
+    type: Number,
+    default: 100
+  },
+  status: {
+    type: String,
+    enum: Object.values(GATEWAY_SYNC_STATUS),
+    default: GATEWAY_SYNC_STATUS.RUNNING
+  },
+  // Next page to fetch: the stage, items already read from it and, for
+  // settlement items (listed per day), the day
+  cursor: {
+    stage: {
+      type: String,
+      enum: Object.values(GATEWAY_SYNC_STAGE),
+      default: GATEWAY_SYNC_STAGE.PAYMENTS
+    },
+    skip: { type: Number, default: 0 },
+    day: Date
+  },
+  pages: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    payments_imported: { type: Number, default: 0 },
+    payments_updated: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 },
+    settlements: { type: Number, default: 0 },
+    payments_linked: { type: Number, default: 0 },
+    refunds_linked: { type: Number, default: 0 },
+    adjustments: { type: Number, default: 0 },
+    // Refunds and settlement items whose payment is not in transactions
+    missing_payments: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  // First few items that could not be applied
+  warnings: [String],
+  error: String,
+  started_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  started_at: Date,
+  finished_at: Date,
+  // Resumed after failing, most recent last
+  resumed: [{
+    _id: false,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+gatewaySyncSchema.index({ gateway: 1, createdAt: -1 });
+gatewaySyncSchema.index({ status: 1 });
+
+module.exports = mongoose.model('GatewaySync', gatewaySyncSchema);
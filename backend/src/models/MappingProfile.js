@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const { AMOUNT_GROUPING, AMOUNT_UNIT } = require('../config/constants');
+
+// Saved column mapping for the files of one bank or merchant: the source
+// column for each transaction field, constant defaults for fields the file
+// lacks, and how dates and amounts are written
+const mappingProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: String,
+  file_type: {
+    type: String,
+    enum: ['BANK', 'MERCHANT'],
+    required: [true, 'File type is required']
+  },
+  // Whose files the profile is for (suggested first for their uploads)
+  bank_name: {
+    type: String,
+    trim: true
+  },
+  merchant_id: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // Target field -> source column header
+  columns: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Target field -> constant used when the column is unmapped or empty
+  defaults: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // date-fns format, e.g. dd/MM/yyyy; empty for ISO 8601 or dd/MM/yyyy
+  date_format: String,
+  // Time zone of dates written without one (IANA name or offset); empty for UPLOAD_TIMEZONE
+  timezone: {
+    type: String,
+    trim: true
+  },
+  amount_format: {
+    decimal_separator: { type: String, enum: ['.', ','], default: '.' },
+    thousands_separator: { type: String, enum: [',', '.', ' ', "'", ''], default: ',' },
+    grouping: { type: String, enum: Object.values(AMOUNT_GROUPING), default: AMOUNT_GROUPING.STANDARD },
+    unit: { type: String, enum: Object.values(AMOUNT_UNIT), default: AMOUNT_UNIT.MAJOR },
+    // (1,234.00) is -1234.00; otherwise a parenthesised amount fails its row
+    negative_parentheses: { type: Boolean, default: false }
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+mappingProfileSchema.index({ file_type: 1, is_active: 1 });
+mappingProfileSchema.index({ merchant_id: 1 });
+
+// Both separators cannot be the same character
+mappingProfileSchema.pre('validate', function(next) {
+  if (this.amount_format?.decimal_separator === this.amount_format?.thousands_separator) {
+    this.invalidate('amount_format.thousands_separator', 'Thousands and decimal separators must differ');
+  }
+  next();
+});
+
+// Transform output
+mappingProfileSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('MappingProfile', mappingProfileSchema);
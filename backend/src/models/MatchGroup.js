@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { MATCH_GROUP_TYPE, MATCH_GROUP_STATUS, MANUAL_RECONCILIATION_REASONS, RECONCILIATION_LEG } = require('../config/constants');
+
+// A reconciled set of bank and merchant transactions (1:1, 1:N or N:1).
+// On a three-way leg the "bank" side is the settling side of that leg:
+// gateway payments on MERCHANT_GATEWAY, bank credits on GATEWAY_BANK.
+const matchGroupSchema = new mongoose.Schema({
+  group_id: {
+    type: String,
+    unique: true
+    // Note: group_id is auto-generated in pre-validate hook (also runs for insertMany)
+  },
+  type: {
+    type: String,
+    enum: Object.values(MATCH_GROUP_TYPE),
+    required: true
+  },
+  bank_transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  merchant_transactions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  merchant_id: String,
+  // Set for groups created by a three-way run
+  leg: {
+    type: String,
+    enum: Object.values(RECONCILIATION_LEG)
+  },
+  settlement_date: Date,
+  // Amount totals per side (merchant side net of fees when `fees` is set)
+  bank_amount: { type: Number, default: 0 },
+  merchant_amount: { type: Number, default: 0 },
+  amount_difference: { type: Number, default: 0 },
+  // Net-of-fees matches: gross merchant-side total, fees deducted, and the
+  // expected net minus the credited amount (positive when more was deducted)
+  fees: {
+    gross_amount: Number,
+    fee: Number,
+    tax: Number,
+    fee_variance: Number
+  },
+  // How the group was matched
+  reconciliation_run_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun'
+  },
+  match_rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MatchRule'
+  },
+  match_rule_version: Number,
+  match_pass: String,
+  // Fuzzy matches: confidence score, per-field explanation and review state
+  confidence: Number,
+  confidence_fields: [mongoose.Schema.Types.Mixed],
+  needs_review: {
+    type: Boolean,
+    default: false
+  },
+  reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewed_at: Date,
+  status: {
+    type: String,
+    enum: Object.values(MATCH_GROUP_STATUS),
+    default: MATCH_GROUP_STATUS.ACTIVE
+  },
+  // Manual matches from the workbench
+  is_manual: {
+    type: Boolean,
+    default: false
+  },
+  reason_code: {
+    type: String,
+    enum: Object.values(MANUAL_RECONCILIATION_REASONS)
+  },
+  notes: String,
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Unmatch details
+  dissolved_at: Date,
+  dissolved_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dissolve_reason_code: {
+    type: String,
+    enum: Object.values(MANUAL_RECONCILIATION_REASONS)
+  },
+  dissolve_notes: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+matchGroupSchema.index({ reconciliation_run_id: 1 });
+matchGroupSchema.index({ status: 1, createdAt: -1 });
+matchGroupSchema.index({ needs_review: 1, status: 1 });
+matchGroupSchema.index({ merchant_id: 1, settlement_date: -1 });
+matchGroupSchema.index({ bank_transactions: 1 });
+matchGroupSchema.index({ merchant_transactions: 1 });
+
+// Pre-validate to generate group_id
+matchGroupSchema.pre('validate', function(next) {
+  if (!this.group_id) {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    this.group_id = `GRP${timestamp}${random}`;
+  }
+  next();
+});
+
+// Virtual for total transactions in the group
+matchGroupSchema.virtual('size').get(function() {
+  return this.bank_transactions.length + this.merchant_transactions.length;
+});
+
+// Transform output
+matchGroupSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('MatchGroup', matchGroupSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { MATCH_KEY_FIELDS, PAYMENT_GATEWAY_VALIDATOR, RECONCILIATION_LEG } = require('../config/constants');
+
+// One key of a pass: the bank-side field is compared with the merchant-side field
+const matchKeySchema = new mongoose.Schema({
+  bank_field: {
+    type: String,
+    enum: MATCH_KEY_FIELDS,
+    required: [true, 'Bank field is required']
+  },
+  merchant_field: {
+    type: String,
+    enum: MATCH_KEY_FIELDS,
+    required: [true, 'Merchant field is required']
+  }
+}, { _id: false });
+
+// A single match pass; passes are tried in order until one matches
+const matchPassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pass name is required'],
+    trim: true
+  },
+  keys: {
+    type: [matchKeySchema],
+    validate: [keys => keys.length > 0, 'A pass needs at least one key']
+  },
+  // Normalisations applied to key values on both sides
+  normalization: {
+    trim: { type: Boolean, default: true },
+    case: { type: String, enum: ['UPPER', 'LOWER', 'NONE'], default: 'UPPER' },
+    strip_prefixes: [String]
+  },
+  // Falls back to the run's date_window_hours / amount_tolerance when unset
+  date_window_hours: {
+    type: Number,
+    min: [0, 'Date window cannot be negative']
+  },
+  amount_tolerance: {
+    type: Number,
+    min: [0, 'Amount tolerance cannot be negative']
+  }
+}, { _id: false });
+
+const matchRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: String,
+  // Optional scope; a rule without scope applies to every merchant
+  scope: {
+    merchant_id: {
+      type: String,
+      trim: true,
+      uppercase: true
+    },
+    payment_gateway: {
+      type: String,
+      validate: PAYMENT_GATEWAY_VALIDATOR
+    },
+    // Three-way leg the rule applies to; bank_field then reads the settling
+    // side of the leg (the gateway payment on MERCHANT_GATEWAY).
+    // Rules without a leg are only used by two-way runs.
+    leg: {
+      type: String,
+      enum: Object.values(RECONCILIATION_LEG)
+    }
+  },
+  passes: {
+    type: [matchPassSchema],
+    validate: [passes => passes.length > 0, 'A rule needs at least one pass']
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  // Used for unscoped matching when no rule is chosen for a run
+  is_default: {
+    type: Boolean,
+    default: false
+  },
+  // Bumped whenever passes or scope change
+  version: {
+    type: Number,
+    default: 1
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+matchRuleSchema.index({ is_active: 1 });
+matchRuleSchema.index({ 'scope.merchant_id': 1 });
+matchRuleSchema.index({ 'scope.payment_gateway': 1 });
+
+// Pre-save to bump the version when matching behaviour changes
+matchRuleSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('passes') || this.isModified('scope'))) {
+    this.version += 1;
+  }
+  next();
+});
+
+// Transform output
+matchRuleSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('MatchRule', matchRuleSchema);
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { MERCHANT_STATUS, SETTLEMENT_CYCLE, PAYMENT_GATEWAY } = require('../config/constants');
+const { MERCHANT_STATUS, SETTLEMENT_CYCLE, PAYMENT_GATEWAY, PAYMENT_GATEWAY_VALIDATOR } = require('../config/constants');
 
 const merchantSchema = new mongoose.Schema({
   merchant_id: {
@@ -28,7 +28,7 @@ const merchantSchema = new mongoose.Schema({
   },
   payment_gateway: {
     type: String,
-    enum: Object.values(PAYMENT_GATEWAY),
+    validate: PAYMENT_GATEWAY_VALIDATOR,
     default: PAYMENT_GATEWAY.BANK
   },
   status: {
@@ -43,6 +43,13 @@ const merchantSchema = new mongoose.Schema({
     min: [1, 'SLA must be at least 1 hour'],
     max: [720, 'SLA cannot exceed 720 hours (30 days)']
   },
+  // Fuzzy matches scoring at or above this are accepted automatically (null = never)
+  auto_accept_threshold: {
+    type: Number,
+    default: null,
+    min: [50, 'Auto-accept threshold must be at least 50'],
+    max: [100, 'Auto-accept threshold cannot exceed 100']
+  },
   // Contact Information
   contact_person: {
     type: String,
@@ -117,6 +124,7 @@ merchantSchema.index({ merchant_id: 1 });
 merchantSchema.index({ email: 1 });
 merchantSchema.index({ status: 1 });
 merchantSchema.index({ payment_gateway: 1 });
+merchantSchema.index({ 'bank_details.account_number': 1 });
 merchantSchema.index({ name: 'text' });
 
 // Pre-save middleware to generate merchant_id if not provided
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Held by a live reconciliation run while it processes a merchant, so
+// overlapping runs never process the same merchant
+const merchantLockSchema = new mongoose.Schema({
+  merchant_id: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun',
+    required: true
+  },
+  locked_at: {
+    type: Date,
+    default: Date.now
+  },
+  // A lock past this point is stale (its process died) and can be taken over
+  expires_at: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+merchantLockSchema.index({ run: 1 });
+
+module.exports = mongoose.model('MerchantLock', merchantLockSchema);
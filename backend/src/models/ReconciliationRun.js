@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { RECONCILIATION_RUN_STATUS, RECONCILIATION_MODE, RECONCILIATION_LEG } = require('../config/constants');
 
 const reconciliationRunSchema = new mongoose.Schema({
   run_id: {
@@ -8,15 +9,49 @@ const reconciliationRunSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'],
-    default: 'RUNNING'
+    enum: Object.values(RECONCILIATION_RUN_STATUS),
+    default: RECONCILIATION_RUN_STATUS.QUEUED
   },
-  started_at: {
+  queued_at: {
     type: Date,
     default: Date.now
   },
+  started_at: Date,
   completed_at: Date,
   duration_ms: Number,
+  // Live progress, updated by the background worker
+  progress: {
+    percent: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    updated_at: Date
+  },
+  // Refreshed while a worker is processing the run; a RUNNING run without a
+  // recent heartbeat was left behind by a dead process
+  heartbeat_at: Date,
+  // Merchants whose writes (and the counters above) are committed. An interrupted
+  // run resumes after these; leg_state holds the per-leg counters of three-way runs.
+  checkpoint: {
+    merchants: [String],
+    leg_state: mongoose.Schema.Types.Mixed,
+    updated_at: Date
+  },
+  resume_count: {
+    type: Number,
+    default: 0
+  },
+  resumed_at: Date,
+  // Cancellation
+  cancel_requested: {
+    type: Boolean,
+    default: false
+  },
+  cancelled_at: Date,
+  cancelled_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   // Configuration used for this run
   config: {
     date_window_hours: { type: Number, default: 24 },
@@ -26,18 +61,57 @@ const reconciliationRunSchema = new mongoose.Schema({
     date_range: {
       start: Date,
       end: Date
+    },
+    // Rule chosen for the run; empty means scoped/default rules were resolved per merchant
+    match_rule_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MatchRule'
+    },
+    // Rule sets (and versions) applied by this run
+    match_rules: [{
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'MatchRule' },
+      name: String,
+      version: Number
+    }],
+    // Look for 1:N / N:1 groups among rows left over by the match passes
+    group_matching: { type: Boolean, default: true },
+    // Compare bank credits with the other side net of gateway fee and tax
+    net_of_fees: { type: Boolean, default: false },
+    // Preview only: compute the outcome without writing transactions or alerts
+    dry_run: { type: Boolean, default: false },
+    // TWO_WAY matches bank against merchant; THREE_WAY goes merchant -> gateway -> bank
+    mode: {
+      type: String,
+      enum: Object.values(RECONCILIATION_MODE),
+      default: RECONCILIATION_MODE.TWO_WAY
     }
   },
   // Summary statistics
   summary: {
     total_bank_transactions: { type: Number, default: 0 },
     total_merchant_transactions: { type: Number, default: 0 },
+    total_gateway_transactions: { type: Number, default: 0 },
     matched: { type: Number, default: 0 },
+    // Grouped (1:N / N:1) matches, counted separately from 1:1 matches
+    group_matches: { type: Number, default: 0 },
+    group_matched_bank: { type: Number, default: 0 },
+    group_matched_merchant: { type: Number, default: 0 },
+    // Near-misses auto-accepted above the merchant threshold (flagged for review)
+    fuzzy_matches: { type: Number, default: 0 },
+    // Unmatched rows left with at least one scored suggestion
+    suggested: { type: Number, default: 0 },
     unmatched_bank: { type: Number, default: 0 },
     unmatched_merchant: { type: Number, default: 0 },
+    unmatched_gateway: { type: Number, default: 0 },
+    // Three-way: rows matched on one leg but broken on the other
+    partially_matched: { type: Number, default: 0 },
     amount_mismatch: { type: Number, default: 0 },
     duplicates: { type: Number, default: 0 },
     disputes_detected: { type: Number, default: 0 },
+    // Net-of-fees runs: matches compared net of fees, and those whose credit
+    // differed from the expected net (fee variance, not disputes)
+    net_of_fees_matches: { type: Number, default: 0 },
+    fee_variances: { type: Number, default: 0 },
     sla_breaches: { type: Number, default: 0 },
     unknown_merchants: { type: Number, default: 0 }
   },
@@ -46,17 +120,72 @@ const reconciliationRunSchema = new mongoose.Schema({
     total_matched_amount: { type: Number, default: 0 },
     total_unmatched_bank_amount: { type: Number, default: 0 },
     total_unmatched_merchant_amount: { type: Number, default: 0 },
-    total_mismatch_difference: { type: Number, default: 0 }
+    total_mismatch_difference: { type: Number, default: 0 },
+    total_fees: { type: Number, default: 0 },
+    total_fee_variance: { type: Number, default: 0 }
   },
   // Per-merchant breakdown
   merchant_summary: [{
     merchant_id: String,
     merchant_name: String,
     matched: Number,
+    group_matches: Number,
+    fuzzy_matches: Number,
     unmatched: Number,
     mismatches: Number,
     total_amount: Number
   }],
+  // Per-leg breakdown (three-way runs only); breaks maps break type -> row count
+  leg_summary: [{
+    _id: false,
+    leg: { type: String, enum: Object.values(RECONCILIATION_LEG) },
+    matched: Number,
+    group_matches: Number,
+    amount_mismatch: Number,
+    breaks: mongoose.Schema.Types.Mixed
+  }],
+  // Sample of proposed changes (dry runs only)
+  preview: {
+    sample_size: Number,
+    matches: [mongoose.Schema.Types.Mixed],
+    mismatches: [mongoose.Schema.Types.Mixed],
+    alerts: [mongoose.Schema.Types.Mixed],
+    breaks: [mongoose.Schema.Types.Mixed]
+  },
+  // Schedule that queued the run and the cut-off it ran for (empty for manual runs)
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationSchedule'
+  },
+  scheduled_cutoff: Date,
+  // Merchants left for a later run because another run held their lock
+  skipped_merchants: [String],
+  // Preview -> live run link
+  promoted_from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun'
+  },
+  promoted_to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun'
+  },
+  promoted_at: Date,
+  promoted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Rollback
+  rolled_back_at: Date,
+  rolled_back_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rollback_reason: String,
+  rollback_summary: {
+    transactions: Number,
+    match_groups: Number,
+    alerts: Number
+  },
   // Errors encountered
   errors: [{
     message: String,
@@ -83,6 +212,7 @@ const reconciliationRunSchema = new mongoose.Schema({
 // Indexes
 reconciliationRunSchema.index({ run_id: 1 });
 reconciliationRunSchema.index({ status: 1 });
+reconciliationRunSchema.index({ status: 1, queued_at: 1 });
 reconciliationRunSchema.index({ started_at: -1 });
 reconciliationRunSchema.index({ initiated_by: 1 });
 
@@ -100,7 +230,8 @@ reconciliationRunSchema.pre('save', function(next) {
 reconciliationRunSchema.virtual('matchRate').get(function() {
   const total = this.summary.total_bank_transactions + this.summary.total_merchant_transactions;
   if (total === 0) return 0;
-  return ((this.summary.matched * 2) / total * 100).toFixed(2);
+  const matched = this.summary.matched * 2 + this.summary.group_matched_bank + this.summary.group_matched_merchant;
+  return (matched / total * 100).toFixed(2);
 });
 
 // Transform output
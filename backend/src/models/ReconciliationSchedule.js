@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { SETTLEMENT_CYCLE, RECONCILIATION_MODE } = require('../config/constants');
+
+// Queues a reconciliation run for every active merchant on a settlement cycle
+// at the cycle's cut-off. Rows dated after the cut-off wait for the next one.
+const reconciliationScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: String,
+  settlement_cycle: {
+    type: String,
+    enum: Object.values(SETTLEMENT_CYCLE),
+    required: [true, 'Settlement cycle is required']
+  },
+  // Wall-clock cut-off, HH:mm (see config.reconciliation.scheduler.utcOffsetMinutes)
+  cutoff_time: {
+    type: String,
+    required: [true, 'Cut-off time is required'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Cut-off time must be HH:mm']
+  },
+  // WEEKLY: 0 (Sunday) - 6 (Saturday)
+  day_of_week: {
+    type: Number,
+    default: 1,
+    min: [0, 'Day of week must be 0-6'],
+    max: [6, 'Day of week must be 0-6']
+  },
+  // MONTHLY: capped at 28 so every month has the day
+  day_of_month: {
+    type: Number,
+    default: 1,
+    min: [1, 'Day of month must be 1-28'],
+    max: [28, 'Day of month must be 1-28']
+  },
+  // Options for the queued runs
+  run_config: {
+    mode: {
+      type: String,
+      enum: Object.values(RECONCILIATION_MODE),
+      default: RECONCILIATION_MODE.TWO_WAY
+    },
+    date_window_hours: { type: Number, default: 24 },
+    amount_tolerance: { type: Number, default: 0 },
+    group_matching: { type: Boolean, default: true },
+    net_of_fees: { type: Boolean, default: false }
+  },
+  is_active: {
+    type: Boolean,
+    default: true
+  },
+  // Latest cut-off handled; a later due cut-off is picked up (once) on the next check
+  last_cutoff_at: Date,
+  last_run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun'
+  },
+  last_triggered_at: Date,
+  // Outcome of the last trigger (queued run or why nothing was queued)
+  last_message: String,
+  next_run_at: Date,
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+reconciliationScheduleSchema.index({ is_active: 1 });
+
+// Transform output
+reconciliationScheduleSchema.set('toJSON', {
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ReconciliationSchedule', reconciliationScheduleSchema);
@@ -2,8 +2,12 @@ const mongoose = require('mongoose');
 const { 
   TRANSACTION_STATUS, 
   TRANSACTION_SOURCE, 
-  PAYMENT_GATEWAY,
-  RECONCILIATION_STATUS 
+  PAYMENT_GATEWAY_VALIDATOR,
+  RECONCILIATION_STATUS,
+  RECONCILIATION_LEG,
+  RECONCILIATION_LEG_STATUS,
+  RECONCILIATION_BREAK_TYPE,
+  FEE_SOURCE
 } = require('../config/constants');
 
 const transactionSchema = new mongoose.Schema({
@@ -37,7 +41,7 @@ const transactionSchema = new mongoose.Schema({
   },
   payment_gateway: {
     type: String,
-    enum: Object.values(PAYMENT_GATEWAY),
+    validate: PAYMENT_GATEWAY_VALIDATOR,
     required: [true, 'Payment gateway is required']
   },
   status: {
@@ -60,15 +64,92 @@ const transactionSchema = new mongoose.Schema({
     enum: Object.values(RECONCILIATION_STATUS),
     default: RECONCILIATION_STATUS.PENDING
   },
+  // Match group this transaction was reconciled in
   reconciled_with: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Transaction'
+    ref: 'MatchGroup'
   },
   reconciliation_date: Date,
   reconciliation_run_id: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'ReconciliationRun'
   },
+  // Match rule and pass that produced the match
+  match_rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MatchRule'
+  },
+  match_rule_version: Number,
+  match_pass: String,
+  // Outcome of each recent run and each workbench action (action set, no run),
+  // oldest first (read by run comparisons)
+  reconciliation_history: [{
+    _id: false,
+    run: { type: mongoose.Schema.Types.ObjectId, ref: 'ReconciliationRun' },
+    action: String,
+    status: { type: String, enum: Object.values(RECONCILIATION_STATUS) },
+    match_group: { type: mongoose.Schema.Types.ObjectId, ref: 'MatchGroup' },
+    match_pass: String,
+    reason_code: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date
+  }],
+  // Per-leg outcome from the last three-way run
+  reconciliation_legs: [{
+    _id: false,
+    leg: { type: String, enum: Object.values(RECONCILIATION_LEG) },
+    status: { type: String, enum: Object.values(RECONCILIATION_LEG_STATUS) },
+    break_type: { type: String, enum: Object.values(RECONCILIATION_BREAK_TYPE) },
+    match_group: { type: mongoose.Schema.Types.ObjectId, ref: 'MatchGroup' },
+    match_pass: String,
+    amount_difference: Number
+  }],
+  // Net-of-fees matches: fees deducted before this row settled (rows compared net only)
+  settlement_fees: {
+    fee: Number,
+    tax: Number,
+    net_amount: Number,
+    source: { type: String, enum: Object.values(FEE_SOURCE) },
+    schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeSchedule' }
+  },
+  // Expected net minus credited amount of the net-of-fees match the row is in.
+  // Accepted as a fee variance, so the row is not disputed.
+  fee_variance: Number,
+  // Fuzzy-match confidence (0-100) for auto-accepted near-misses
+  match_confidence: Number,
+  needs_review: {
+    type: Boolean,
+    default: false
+  },
+  // Scored near-miss candidates kept on rows left unmatched by a run
+  match_suggestions: [{
+    _id: false,
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    transaction_id: String,
+    amount: Number,
+    score: Number,
+    fields: [{
+      _id: false,
+      field: String,
+      weight: Number,
+      score: Number,
+      detail: String
+    }]
+  }],
+  // Oldest age bucket an escalation alert was raised for while the item was open
+  aging_escalation: {
+    bucket: String,
+    severity: String,
+    alerted_at: Date
+  },
+  // Last manual reconciliation action (workbench match, unmatch or requeue)
+  manual_reconciliation: {
+    action: String,
+    reason_code: String,
+    notes: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: Date
+  },
   // SLA Tracking (Feature 1)
   settlement_time: Date,
   sla_hours: Number,
@@ -92,10 +173,24 @@ const transactionSchema = new mongoose.Schema({
   // Gateway specific fields
   gateway_transaction_id: String,
   gateway_response: mongoose.Schema.Types.Mixed,
+  // Fee charged by the gateway, excluding the tax on it
   gateway_fee: Number,
+  gateway_tax: Number,
   gateway_fee_currency: String,
+  // Gateway settlement that paid this payment out, and what it paid for it: the
+  // settled credit less the refunds reversed against the payment since. Compared
+  // with bank credits instead of amount - fees on net-of-fees runs.
+  gateway_settlement_id: String,
+  settled_amount: Number,
   // Bank specific fields
   bank_reference: String,
+  // Bank statement details (MT940 / camt.053 and mapped CSV columns)
+  credit_debit: {
+    type: String,
+    enum: ['CREDIT', 'DEBIT']
+  },
+  value_date: Date,
+  remittance_info: String,
   bank_settlement_date: Date,
   utr_number: String,
   // Additional fields
@@ -150,6 +245,11 @@ transactionSchema.index({ is_disputed: 1 });
 transactionSchema.index({ transaction_id: 1, merchant_id: 1, amount: 1 });
 transactionSchema.index({ source: 1, reconciliation_status: 1 });
 transactionSchema.index({ merchant_id: 1, transaction_date: -1 });
+transactionSchema.index({ reconciled_with: 1 });
+transactionSchema.index({ payment_gateway: 1, gateway_settlement_id: 1 });
+transactionSchema.index({ reconciliation_run_id: 1, 'reconciliation_legs.leg': 1, 'reconciliation_legs.break_type': 1 });
+transactionSchema.index({ 'reconciliation_history.run': 1 });
+transactionSchema.index({ uploaded_from_file: 1 });
 
 // Pre-save middleware
 transactionSchema.pre('save', async function(next) {
@@ -190,21 +290,31 @@ transactionSchema.virtual('slaStatus').get(function() {
 });
 
 // Static method to find potential matches
-transactionSchema.statics.findPotentialMatches = async function(transaction, dateWindowHours = 24) {
+transactionSchema.statics.findPotentialMatches = async function(transaction, dateWindowHours = 24, options = {}) {
+  const {
+    amountTolerance = 0,
+    statuses = [RECONCILIATION_STATUS.PENDING],
+    limit
+  } = options;
+
   const dateWindow = new Date(transaction.transaction_date);
   dateWindow.setHours(dateWindow.getHours() - dateWindowHours);
   
   const endDate = new Date(transaction.transaction_date);
   endDate.setHours(endDate.getHours() + dateWindowHours);
   
-  return this.find({
+  const query = this.find({
     _id: { $ne: transaction._id },
     source: transaction.source === 'BANK' ? 'MERCHANT' : 'BANK',
     merchant_id: transaction.merchant_id,
-    amount: transaction.amount,
+    amount: amountTolerance > 0
+      ? { $gte: transaction.amount - amountTolerance, $lte: transaction.amount + amountTolerance }
+      : transaction.amount,
     transaction_date: { $gte: dateWindow, $lte: endDate },
-    reconciliation_status: RECONCILIATION_STATUS.PENDING
+    reconciliation_status: { $in: statuses }
   });
+
+  return limit ? query.limit(limit) : query;
 };
 
 // Transform output
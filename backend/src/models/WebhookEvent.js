@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { WEBHOOK_EVENT_STATUS, PAYMENT_GATEWAY_VALIDATOR } = require('../config/constants');
+
+// A verified webhook event as the gateway sent it, kept so it is processed
+// once per event ID and failed ones can be processed again
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    validate: PAYMENT_GATEWAY_VALIDATOR,
+    required: true
+  },
+  // Gateway account whose webhook secret signed it (none: the environment's)
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GatewayCredential'
+  },
+  event_id: {
+    type: String,
+    required: true
+  },
+  event_type: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(WEBHOOK_EVENT_STATUS),
+    default: WEBHOOK_EVENT_STATUS.RECEIVED
+  },
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  received_at: {
+    type: Date,
+    default: Date.now
+  },
+  processed_at: Date,
+  // Transaction the event created or updated
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  transaction_id: String,
+  // Last manual replay
+  replayed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  replayed_at: Date
+});
+
+// Indexes
+webhookEventSchema.index({ gateway: 1, event_id: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, received_at: -1 });
+webhookEventSchema.index({ received_at: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -4,8 +4,20 @@ const Transaction = require('./Transaction');
 const AuditLog = require('./AuditLog');
 const ReconciliationRun = require('./ReconciliationRun');
 const FileUpload = require('./FileUpload');
+const FileRowError = require('./FileRowError');
 const Alert = require('./Alert');
 const MessageTemplate = require('./MessageTemplate');
+const MatchRule = require('./MatchRule');
+const MatchGroup = require('./MatchGroup');
+const AgingRule = require('./AgingRule');
+const FeeSchedule = require('./FeeSchedule');
+const ReconciliationSchedule = require('./ReconciliationSchedule');
+const MerchantLock = require('./MerchantLock');
+const MappingProfile = require('./MappingProfile');
+const WebhookEvent = require('./WebhookEvent');
+const GatewayCredential = require('./GatewayCredential');
+const GatewaySettlement = require('./GatewaySettlement');
+const GatewaySync = require('./GatewaySync');
 
 module.exports = {
   User,
@@ -14,6 +26,18 @@ module.exports = {
   AuditLog,
   ReconciliationRun,
   FileUpload,
+  FileRowError,
   Alert,
-  MessageTemplate
+  MessageTemplate,
+  MatchRule,
+  MatchGroup,
+  AgingRule,
+  FeeSchedule,
+  ReconciliationSchedule,
+  MerchantLock,
+  MappingProfile,
+  WebhookEvent,
+  GatewayCredential,
+  GatewaySettlement,
+  GatewaySync
 };
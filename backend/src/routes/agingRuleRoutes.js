@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { agingRuleController } = require('../controllers');
+const { verifyToken, adminOnly } = require('../middleware');
+
+router.use(verifyToken);
+
+// Run the escalation check now
+router.post('/escalate', adminOnly, agingRuleController.runEscalation);
+
+// Standard CRUD
+router.get('/', agingRuleController.getAgingRules);
+router.get('/:id', agingRuleController.getAgingRule);
+
+router.post('/', adminOnly, agingRuleController.createAgingRule);
+router.put('/:id', adminOnly, agingRuleController.updateAgingRule);
+router.delete('/:id', adminOnly, agingRuleController.deleteAgingRule);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { feeScheduleController } = require('../controllers');
+const { verifyToken, adminOnly } = require('../middleware');
+
+router.use(verifyToken);
+
+// Standard CRUD
+router.get('/', feeScheduleController.getFeeSchedules);
+router.get('/:id', feeScheduleController.getFeeSchedule);
+
+router.post('/', adminOnly, feeScheduleController.createFeeSchedule);
+router.put('/:id', adminOnly, feeScheduleController.updateFeeSchedule);
+router.delete('/:id', adminOnly, feeScheduleController.deleteFeeSchedule);
+
+module.exports = router;
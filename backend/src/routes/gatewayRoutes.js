@@ -3,23 +3,56 @@ const router = express.Router();
 const { verifyToken, adminOnly } = require('../middleware');
 const {
   getGatewayStatus,
-  testRazorpayConnection,
-  updateRazorpayConfig,
-  getRazorpayPayments,
-  syncRazorpayPayments,
-  getRazorpayStats
+  testConnection,
+  getPayments,
+  getRefunds,
+  getSettlements,
+  syncPayments,
+  startFullSync,
+  getSyncs,
+  getSync,
+  resumeSync,
+  getStats
 } = require('../controllers/gatewayController');
+const {
+  getGatewayAccounts,
+  createGatewayAccount,
+  updateGatewayAccount,
+  rotateAccountKey,
+  rewrapGatewayAccounts,
+  deleteGatewayAccount,
+  getGatewayAccountHistory,
+  updateConfig
+} = require('../controllers/gatewayCredentialController');
 
 // All routes require authentication
 router.use(verifyToken);
 
 router.get('/', getGatewayStatus);
-router.post('/razorpay/test', testRazorpayConnection);
-router.post('/razorpay/config', adminOnly, updateRazorpayConfig);
-router.get('/razorpay/payments', getRazorpayPayments);
-router.post('/razorpay/sync', syncRazorpayPayments);
-router.get('/razorpay/stats', getRazorpayStats);
 
-module.exports = router;
+// Stored gateway accounts (encrypted credentials)
+router.get('/credentials', adminOnly, getGatewayAccounts);
+router.post('/credentials', adminOnly, createGatewayAccount);
+router.post('/credentials/rewrap', adminOnly, rewrapGatewayAccounts);
+router.put('/credentials/:id', adminOnly, updateGatewayAccount);
+router.delete('/credentials/:id', adminOnly, deleteGatewayAccount);
+router.post('/credentials/:id/rotate-key', adminOnly, rotateAccountKey);
+router.get('/credentials/:id/history', adminOnly, getGatewayAccountHistory);
 
+// Full syncs (payments, refunds, settlements and their recon items over a date range)
+router.get('/syncs', getSyncs);
+router.get('/syncs/:id', getSync);
+router.post('/syncs/:id/resume', adminOnly, resumeSync);
 
+// Any registered gateway adapter (razorpay, stripe, ...); ?account= picks a
+// stored account other than the default
+router.post('/:gateway/test', testConnection);
+router.post('/:gateway/config', adminOnly, updateConfig);
+router.get('/:gateway/payments', getPayments);
+router.get('/:gateway/refunds', getRefunds);
+router.get('/:gateway/settlements', getSettlements);
+router.post('/:gateway/sync', syncPayments);
+router.post('/:gateway/full-sync', adminOnly, startFullSync);
+router.get('/:gateway/stats', getStats);
+
+module.exports = router;
@@ -9,6 +9,12 @@ const dashboardRoutes = require('./dashboardRoutes');
 const alertRoutes = require('./alertRoutes');
 const reportRoutes = require('./reportRoutes');
 const gatewayRoutes = require('./gatewayRoutes');
+const matchRuleRoutes = require('./matchRuleRoutes');
+const agingRuleRoutes = require('./agingRuleRoutes');
+const feeScheduleRoutes = require('./feeScheduleRoutes');
+const reconciliationScheduleRoutes = require('./reconciliationScheduleRoutes');
+const mappingProfileRoutes = require('./mappingProfileRoutes');
+const webhookRoutes = require('./webhookRoutes');
 
 module.exports = {
   authRoutes,
@@ -21,5 +27,11 @@ module.exports = {
   dashboardRoutes,
   alertRoutes,
   reportRoutes,
-  gatewayRoutes
+  gatewayRoutes,
+  matchRuleRoutes,
+  agingRuleRoutes,
+  feeScheduleRoutes,
+  reconciliationScheduleRoutes,
+  mappingProfileRoutes,
+  webhookRoutes
 };
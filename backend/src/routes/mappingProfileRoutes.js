@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { mappingProfileController } = require('../controllers');
+const { verifyToken, requirePermission } = require('../middleware');
+
+router.use(verifyToken);
+
+// Standard CRUD (profiles are managed by whoever uploads files)
+router.get('/', mappingProfileController.getMappingProfiles);
+router.get('/:id', mappingProfileController.getMappingProfile);
+
+router.post('/', requirePermission('canUploadFiles'), mappingProfileController.createMappingProfile);
+router.put('/:id', requirePermission('canUploadFiles'), mappingProfileController.updateMappingProfile);
+router.delete('/:id', requirePermission('canUploadFiles'), mappingProfileController.deleteMappingProfile);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const { matchRuleController } = require('../controllers');
+const { verifyToken, adminOnly } = require('../middleware');
+
+router.use(verifyToken);
+
+// Standard CRUD
+router.get('/', matchRuleController.getMatchRules);
+router.get('/:id', matchRuleController.getMatchRule);
+
+router.post('/', adminOnly, matchRuleController.createMatchRule);
+router.put('/:id', adminOnly, matchRuleController.updateMatchRule);
+router.delete('/:id', adminOnly, matchRuleController.deleteMatchRule);
+
+module.exports = router;
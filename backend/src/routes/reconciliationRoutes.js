@@ -10,6 +10,31 @@ router.get('/stats', reconciliationController.getReconciliationStats);
 
 // Unmatched transactions
 router.get('/unmatched', reconciliationController.getUnmatchedTransactions);
+router.get('/aging', reconciliationController.getAging);
+
+// Manual workbench
+router.get('/transactions/:id/candidates', reconciliationController.getMatchCandidates);
+router.get('/groups', reconciliationController.getMatchGroups);
+
+router.post('/manual-match',
+  requirePermission('canRunReconciliation'),
+  reconciliationController.manualMatch
+);
+
+router.post('/groups/:id/unmatch',
+  requirePermission('canRunReconciliation'),
+  reconciliationController.unmatchGroup
+);
+
+router.post('/groups/:id/review',
+  requirePermission('canRunReconciliation'),
+  reconciliationController.reviewMatchGroup
+);
+
+router.post('/requeue',
+  requirePermission('canRunReconciliation'),
+  reconciliationController.requeueTransactions
+);
 
 // Disputes
 router.get('/disputes', reconciliationController.getDisputes);
@@ -23,5 +48,22 @@ router.post('/run',
 
 router.get('/runs', reconciliationController.getReconciliationRuns);
 router.get('/runs/:id', reconciliationController.getReconciliationRun);
+router.get('/runs/:id/breaks', reconciliationController.getRunBreaks);
+router.get('/runs/:a/diff/:b', reconciliationController.getRunDiff);
+
+router.post('/runs/:id/promote',
+  requirePermission('canRunReconciliation'),
+  reconciliationController.promoteReconciliationRun
+);
+
+router.post('/runs/:id/rollback',
+  requirePermission('canRunReconciliation'),
+  reconciliationController.rollbackReconciliationRun
+);
+
+router.post('/runs/:id/cancel',
+  requirePermission('canRunReconciliation'),
+  reconciliationController.cancelReconciliationRun
+);
 
 module.exports = router;
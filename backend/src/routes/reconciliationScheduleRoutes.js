@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { reconciliationScheduleController } = require('../controllers');
+const { verifyToken, adminOnly } = require('../middleware');
+
+router.use(verifyToken);
+
+// Standard CRUD
+router.get('/', reconciliationScheduleController.getSchedules);
+router.get('/:id', reconciliationScheduleController.getSchedule);
+
+router.post('/', adminOnly, reconciliationScheduleController.createSchedule);
+router.put('/:id', adminOnly, reconciliationScheduleController.updateSchedule);
+router.delete('/:id', adminOnly, reconciliationScheduleController.deleteSchedule);
+
+// Run now (up to the latest cut-off)
+router.post('/:id/trigger', adminOnly, reconciliationScheduleController.triggerSchedule);
+
+module.exports = router;
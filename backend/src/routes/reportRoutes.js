@@ -10,5 +10,6 @@ router.get('/merchant-settlements', reportController.generateMerchantSettlements
 router.get('/unmatched', reportController.generateUnmatchedReport);
 router.get('/sla-breaches', reportController.generateSLABreachReport);
 router.get('/failed-payments', reportController.generateFailedPaymentsReport);
+router.get('/aging', reportController.generateAgingReport);
 
 module.exports = router;
@@ -3,7 +3,8 @@ const router = express.Router();
 const multer = require('multer');
 const path = require('path');
 const { uploadController } = require('../controllers');
-const { verifyToken, requirePermission } = require('../middleware');
+const { verifyToken, requirePermission, AppError } = require('../middleware');
+const config = require('../config');
 
 // Configure multer storage
 const storage = multer.diskStorage({
@@ -22,40 +23,73 @@ const fileFilter = (req, file, cb) => {
     'text/csv',
     'application/vnd.ms-excel',
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-    'text/plain'
+    'text/plain',
+    'application/gzip',
+    'application/x-gzip',
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/octet-stream',
+    'application/xml',
+    'text/xml'
   ];
   
   if (allowedMimes.includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Invalid file type. Only CSV and Excel files are allowed.'), false);
+    cb(new AppError('Invalid file type. Only CSV, Excel, MT940 and camt.053 files (optionally gzipped or zipped) are allowed.', 400), false);
   }
 };
 
 const upload = multer({
   storage,
   fileFilter,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+  limits: { fileSize: config.upload.maxFileSize }
 });
 
+// Report an oversized upload as 413 rather than a server error
+const withSizeLimit = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (error?.code === 'LIMIT_FILE_SIZE') {
+      const limitMb = Math.round(config.upload.maxFileSize / (1024 * 1024));
+      return next(new AppError(`File is larger than the ${limitMb}MB upload limit`, 413));
+    }
+    next(error);
+  });
+};
+
 router.use(verifyToken);
 
 // Upload bank file (single)
 router.post('/bank',
   requirePermission('canUploadFiles'),
-  upload.single('file'),
+  withSizeLimit(upload.single('file')),
   uploadController.uploadBankFile
 );
 
 // Upload merchant files (multiple)
 router.post('/merchant',
   requirePermission('canUploadFiles'),
-  upload.array('files', 10),
+  withSizeLimit(upload.array('files', 10)),
   uploadController.uploadMerchantFiles
 );
 
+// Two-step upload: store and preview a file, then import it with a mapping
+router.post('/preview',
+  requirePermission('canUploadFiles'),
+  withSizeLimit(upload.single('file')),
+  uploadController.previewUpload
+);
+router.post('/files/:id/preview', requirePermission('canUploadFiles'), uploadController.previewUploadedFile);
+router.post('/files/:id/commit', requirePermission('canUploadFiles'), uploadController.commitUpload);
+
 // Get file uploads
 router.get('/files', uploadController.getFileUploads);
+router.get('/statements', uploadController.getStatementContinuity);
 router.get('/files/:id', uploadController.getFileDetails);
 
+// Roll back an upload, or list its failed rows and re-import them once corrected
+router.delete('/files/:id', requirePermission('canDeleteRecords'), uploadController.deleteFileUpload);
+router.get('/files/:id/rows', uploadController.getFailedRows);
+router.post('/files/:id/rows', requirePermission('canUploadFiles'), uploadController.resubmitFailedRows);
+
 module.exports = router;
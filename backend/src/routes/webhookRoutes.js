@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { webhookController } = require('../controllers');
+const { verifyToken, adminOnly } = require('../middleware');
+
+// Stored events (admin)
+router.get('/events', verifyToken, adminOnly, webhookController.getWebhookEvents);
+router.get('/events/:id', verifyToken, adminOnly, webhookController.getWebhookEvent);
+router.post('/events/:id/replay', verifyToken, adminOnly, webhookController.replayWebhookEvent);
+
+// Gateway deliveries: public, verified by signature
+router.post('/:gateway', webhookController.receiveWebhook);
+
+module.exports = router;
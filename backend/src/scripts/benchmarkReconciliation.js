@@ -0,0 +1,141 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const config = require('../config');
+const { Merchant, Transaction, MatchGroup, Alert, ReconciliationRun } = require('../models');
+const { RECONCILIATION_RUN_STATUS } = require('../config/constants');
+const { matchTransactions } = require('../services/reconciliationEngine');
+const { buildMerchants, buildTransactions } = require('./seed');
+
+// Benchmark the reconciliation engine against a seeded dataset.
+// Rows are generated with the seed builders under separate BENCH merchants,
+// so existing data is left alone. Rows are spread at random over --merchants
+// merchants (default: one per seed merchant); the engine holds one merchant's
+// rows at a time, so peak memory follows the largest merchant, which is reported.
+//
+// Usage: npm run benchmark -- --rows=1000000 [--merchants=50] [--keep]
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value === undefined ? true : value];
+}));
+
+const TOTAL_ROWS = parseInt(args.rows) || 100000;
+const INSERT_CHUNK = 10000;
+const SEED_MERCHANTS = buildMerchants(null);
+const MERCHANT_COUNT = parseInt(args.merchants) || SEED_MERCHANTS.length;
+const BENCH_MERCHANTS = Array.from({ length: MERCHANT_COUNT }, (_, i) => {
+  const m = SEED_MERCHANTS[i % SEED_MERCHANTS.length];
+  return {
+    ...m,
+    merchant_id: `BENCH${String(i + 1).padStart(3, '0')}`,
+    name: `${m.name} (benchmark ${i + 1})`,
+    email: `bench${i + 1}.${m.email}`
+  };
+});
+const benchMerchantIds = BENCH_MERCHANTS.map(m => m.merchant_id);
+
+const cleanup = async () => {
+  const runs = await ReconciliationRun.find({ notes: 'benchmark' }).distinct('_id');
+  await Transaction.deleteMany({ merchant_id: { $in: benchMerchantIds } });
+  await MatchGroup.deleteMany({ reconciliation_run_id: { $in: runs } });
+  await Alert.deleteMany({ reconciliation_run_id: { $in: runs } });
+  await ReconciliationRun.deleteMany({ _id: { $in: runs } });
+};
+
+const mb = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+const runBenchmark = async () => {
+  try {
+    await mongoose.connect(config.mongodb.uri);
+    console.log('Connected to MongoDB');
+
+    await cleanup();
+
+    for (const merchant of BENCH_MERCHANTS) {
+      await Merchant.updateOne({ merchant_id: merchant.merchant_id }, { $set: merchant }, { upsert: true });
+    }
+    const merchants = await Merchant.find({ merchant_id: { $in: benchMerchantIds } }).lean();
+
+    // Seed: 40% unpaired rows, 60% rows in matching bank/merchant pairs
+    console.log(`Seeding ${TOTAL_ROWS} transactions...`);
+    const seedStart = Date.now();
+    for (let offset = 0; offset < TOTAL_ROWS; offset += INSERT_CHUNK) {
+      const chunk = Math.min(INSERT_CHUNK, TOTAL_ROWS - offset);
+      const matchedPairs = Math.floor(chunk * 0.3);
+      const rows = buildTransactions(merchants, {
+        randomCount: chunk - matchedPairs * 2,
+        matchedPairs,
+        offset
+      });
+      await Transaction.insertMany(rows, { ordered: false, lean: true });
+    }
+    console.log(`Seeded in ${((Date.now() - seedStart) / 1000).toFixed(1)}s`);
+
+    const [largest] = await Transaction.aggregate([
+      { $match: { merchant_id: { $in: benchMerchantIds } } },
+      { $group: { _id: '$merchant_id', rows: { $sum: 1 } } },
+      { $sort: { rows: -1 } },
+      { $limit: 1 }
+    ]);
+
+    const run = await ReconciliationRun.create({
+      status: RECONCILIATION_RUN_STATUS.RUNNING,
+      started_at: new Date(),
+      notes: 'benchmark',
+      config: { include_merchants: benchMerchantIds, date_window_hours: 24 }
+    });
+
+    // Sample memory while the run is going
+    const startHeap = process.memoryUsage().heapUsed;
+    let peakRss = 0;
+    let peakHeap = 0;
+    const sampler = setInterval(() => {
+      const usage = process.memoryUsage();
+      peakRss = Math.max(peakRss, usage.rss);
+      peakHeap = Math.max(peakHeap, usage.heapUsed);
+    }, 250);
+
+    let lastPercent = -10;
+    const onProgress = async ({ percent, processed, total }) => {
+      if (percent - lastPercent >= 10) {
+        lastPercent = percent;
+        console.log(`  ${percent}% (${processed}/${total})`);
+      }
+    };
+
+    console.log(`Reconciling (batch size ${config.reconciliation.batchSize})...`);
+    const start = Date.now();
+    await matchTransactions(run, { onProgress });
+    const seconds = (Date.now() - start) / 1000;
+    clearInterval(sampler);
+
+    run.status = RECONCILIATION_RUN_STATUS.COMPLETED;
+    run.completed_at = new Date();
+    run.duration_ms = Math.round(seconds * 1000);
+    await run.save();
+
+    console.log(`
+Rows:        ${TOTAL_ROWS} over ${MERCHANT_COUNT} merchants (largest ${largest?.rows || 0})
+Duration:    ${seconds.toFixed(1)}s (${Math.round(TOTAL_ROWS / seconds)} rows/s)
+Peak RSS:    ${mb(peakRss)}
+Peak heap:   ${mb(peakHeap)} (+${mb(Math.max(0, peakHeap - startHeap))} during the run)
+Matched:     ${run.summary.matched} (+${run.summary.group_matches} groups)
+Mismatches:  ${run.summary.amount_mismatch}
+Unmatched:   ${run.summary.unmatched_bank} bank / ${run.summary.unmatched_merchant} merchant
+`);
+
+    if (!args.keep) {
+      await cleanup();
+      await Merchant.deleteMany({ merchant_id: { $in: benchMerchantIds } });
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+  }
+};
+
+runBenchmark();
@@ -7,6 +7,155 @@ const config = require('../config');
 const { User, Merchant, Transaction, MessageTemplate } = require('../models');
 const { ROLES, TRANSACTION_STATUS, TRANSACTION_SOURCE, PAYMENT_GATEWAY, RECONCILIATION_STATUS, SETTLEMENT_CYCLE, MERCHANT_STATUS } = require('../config/constants');
 
+// Sample merchants
+const buildMerchants = (createdBy) => [
+  {
+    merchant_id: 'MER001',
+    name: 'TechStore Electronics',
+    email: 'payments@techstore.com',
+    settlement_cycle: SETTLEMENT_CYCLE.DAILY,
+    payment_gateway: PAYMENT_GATEWAY.RAZORPAY,
+    status: MERCHANT_STATUS.ACTIVE,
+    sla_hours: 24,
+    contact_person: 'Rahul Kumar',
+    phone: '+91-9876543210',
+    created_by: createdBy
+  },
+  {
+    merchant_id: 'MER002',
+    name: 'Fashion Hub',
+    email: 'accounts@fashionhub.com',
+    settlement_cycle: SETTLEMENT_CYCLE.WEEKLY,
+    payment_gateway: PAYMENT_GATEWAY.STRIPE,
+    status: MERCHANT_STATUS.ACTIVE,
+    sla_hours: 48,
+    contact_person: 'Priya Sharma',
+    phone: '+91-9876543211',
+    created_by: createdBy
+  },
+  {
+    merchant_id: 'MER003',
+    name: 'GroceryMart',
+    email: 'finance@grocerymart.com',
+    settlement_cycle: SETTLEMENT_CYCLE.DAILY,
+    payment_gateway: PAYMENT_GATEWAY.BANK,
+    status: MERCHANT_STATUS.ACTIVE,
+    sla_hours: 12,
+    contact_person: 'Amit Patel',
+    phone: '+91-9876543212',
+    created_by: createdBy
+  },
+  {
+    merchant_id: 'MER004',
+    name: 'BookWorld',
+    email: 'payments@bookworld.com',
+    settlement_cycle: SETTLEMENT_CYCLE.MONTHLY,
+    payment_gateway: PAYMENT_GATEWAY.RAZORPAY,
+    status: MERCHANT_STATUS.ACTIVE,
+    sla_hours: 72,
+    contact_person: 'Sneha Gupta',
+    phone: '+91-9876543213',
+    created_by: createdBy
+  },
+  {
+    merchant_id: 'MER005',
+    name: 'HomeDecor Plus',
+    email: 'settlements@homedecorplus.com',
+    settlement_cycle: SETTLEMENT_CYCLE.WEEKLY,
+    payment_gateway: PAYMENT_GATEWAY.STRIPE,
+    status: MERCHANT_STATUS.ACTIVE,
+    sla_hours: 36,
+    contact_person: 'Vikram Singh',
+    phone: '+91-9876543214',
+    created_by: createdBy
+  }
+];
+
+// Sample transactions: unpaired rows plus bank/merchant pairs that should match.
+// `offset` keeps transaction IDs unique when generating in chunks.
+const buildTransactions = (merchants, { randomCount = 500, matchedPairs = 100, offset = 0, createdBy } = {}) => {
+  const transactions = [];
+  const now = new Date();
+  
+  for (let i = offset; i < offset + randomCount; i++) {
+    const merchant = merchants[Math.floor(Math.random() * merchants.length)];
+    const daysAgo = Math.floor(Math.random() * 30);
+    const transactionDate = new Date(now);
+    transactionDate.setDate(transactionDate.getDate() - daysAgo);
+    
+    const amount = Math.floor(Math.random() * 50000) + 100;
+    const source = i % 2 === 0 ? TRANSACTION_SOURCE.BANK : TRANSACTION_SOURCE.MERCHANT;
+    const status = Math.random() > 0.1 
+      ? TRANSACTION_STATUS.SUCCESS 
+      : (Math.random() > 0.5 ? TRANSACTION_STATUS.PENDING : TRANSACTION_STATUS.FAILED);
+    
+    const txnId = `TXN${Date.now().toString(36).toUpperCase()}${i.toString().padStart(4, '0')}`;
+    
+    transactions.push({
+      transaction_id: txnId,
+      merchant_id: merchant.merchant_id,
+      merchant: merchant._id,
+      amount,
+      currency: 'INR',
+      payment_gateway: merchant.payment_gateway,
+      status,
+      source,
+      reference_id: `REF${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
+      reconciliation_status: RECONCILIATION_STATUS.PENDING,
+      transaction_date: transactionDate,
+      sla_hours: merchant.sla_hours,
+      created_by: createdBy
+    });
+  }
+
+  // Create matching pairs for reconciliation demo
+  for (let i = offset; i < offset + matchedPairs; i++) {
+    const merchant = merchants[Math.floor(Math.random() * merchants.length)];
+    const daysAgo = Math.floor(Math.random() * 15);
+    const transactionDate = new Date(now);
+    transactionDate.setDate(transactionDate.getDate() - daysAgo);
+    
+    const amount = Math.floor(Math.random() * 30000) + 500;
+    const txnId = `MATCH${Date.now().toString(36).toUpperCase()}${i.toString().padStart(4, '0')}`;
+    
+    // Bank transaction
+    transactions.push({
+      transaction_id: txnId,
+      merchant_id: merchant.merchant_id,
+      merchant: merchant._id,
+      amount,
+      currency: 'INR',
+      payment_gateway: PAYMENT_GATEWAY.BANK,
+      status: TRANSACTION_STATUS.SUCCESS,
+      source: TRANSACTION_SOURCE.BANK,
+      reference_id: `BREF${Math.random().toString(36).substring(2, 8).toUpperCase()}`,
+      reconciliation_status: RECONCILIATION_STATUS.PENDING,
+      transaction_date: transactionDate,
+      sla_hours: merchant.sla_hours,
+      created_by: createdBy
+    });
+
+    // Merchant transaction (for matching)
+    transactions.push({
+      transaction_id: txnId,
+      merchant_id: merchant.merchant_id,
+      merchant: merchant._id,
+      amount,
+      currency: 'INR',
+      payment_gateway: merchant.payment_gateway,
+      status: TRANSACTION_STATUS.SUCCESS,
+      source: TRANSACTION_SOURCE.MERCHANT,
+      reference_id: `MREF${Math.random().toString(36).substring(2, 8).toUpperCase()}`,
+      reconciliation_status: RECONCILIATION_STATUS.PENDING,
+      transaction_date: transactionDate,
+      sla_hours: merchant.sla_hours,
+      created_by: createdBy
+    });
+  }
+
+  return transactions;
+};
+
 const seedDatabase = async () => {
   try {
     // Connect to MongoDB
@@ -42,151 +191,13 @@ const seedDatabase = async () => {
 
     // Create Merchants
     console.log('Creating merchants...');
-    const merchants = await Merchant.insertMany([
-      {
-        merchant_id: 'MER001',
-        name: 'TechStore Electronics',
-        email: 'payments@techstore.com',
-        settlement_cycle: SETTLEMENT_CYCLE.DAILY,
-        payment_gateway: PAYMENT_GATEWAY.RAZORPAY,
-        status: MERCHANT_STATUS.ACTIVE,
-        sla_hours: 24,
-        contact_person: 'Rahul Kumar',
-        phone: '+91-9876543210',
-        created_by: admin._id
-      },
-      {
-        merchant_id: 'MER002',
-        name: 'Fashion Hub',
-        email: 'accounts@fashionhub.com',
-        settlement_cycle: SETTLEMENT_CYCLE.WEEKLY,
-        payment_gateway: PAYMENT_GATEWAY.STRIPE,
-        status: MERCHANT_STATUS.ACTIVE,
-        sla_hours: 48,
-        contact_person: 'Priya Sharma',
-        phone: '+91-9876543211',
-        created_by: admin._id
-      },
-      {
-        merchant_id: 'MER003',
-        name: 'GroceryMart',
-        email: 'finance@grocerymart.com',
-        settlement_cycle: SETTLEMENT_CYCLE.DAILY,
-        payment_gateway: PAYMENT_GATEWAY.BANK,
-        status: MERCHANT_STATUS.ACTIVE,
-        sla_hours: 12,
-        contact_person: 'Amit Patel',
-        phone: '+91-9876543212',
-        created_by: admin._id
-      },
-      {
-        merchant_id: 'MER004',
-        name: 'BookWorld',
-        email: 'payments@bookworld.com',
-        settlement_cycle: SETTLEMENT_CYCLE.MONTHLY,
-        payment_gateway: PAYMENT_GATEWAY.RAZORPAY,
-        status: MERCHANT_STATUS.ACTIVE,
-        sla_hours: 72,
-        contact_person: 'Sneha Gupta',
-        phone: '+91-9876543213',
-        created_by: admin._id
-      },
-      {
-        merchant_id: 'MER005',
-        name: 'HomeDecor Plus',
-        email: 'settlements@homedecorplus.com',
-        settlement_cycle: SETTLEMENT_CYCLE.WEEKLY,
-        payment_gateway: PAYMENT_GATEWAY.STRIPE,
-        status: MERCHANT_STATUS.ACTIVE,
-        sla_hours: 36,
-        contact_person: 'Vikram Singh',
-        phone: '+91-9876543214',
-        created_by: admin._id
-      }
-    ]);
+    const merchants = await Merchant.insertMany(buildMerchants(admin._id));
 
     console.log(`Created ${merchants.length} merchants`);
 
     // Generate sample transactions
     console.log('Creating transactions...');
-    const transactions = [];
-    const now = new Date();
-    
-    for (let i = 0; i < 500; i++) {
-      const merchant = merchants[Math.floor(Math.random() * merchants.length)];
-      const daysAgo = Math.floor(Math.random() * 30);
-      const transactionDate = new Date(now);
-      transactionDate.setDate(transactionDate.getDate() - daysAgo);
-      
-      const amount = Math.floor(Math.random() * 50000) + 100;
-      const source = i % 2 === 0 ? TRANSACTION_SOURCE.BANK : TRANSACTION_SOURCE.MERCHANT;
-      const status = Math.random() > 0.1 
-        ? TRANSACTION_STATUS.SUCCESS 
-        : (Math.random() > 0.5 ? TRANSACTION_STATUS.PENDING : TRANSACTION_STATUS.FAILED);
-      
-      const txnId = `TXN${Date.now().toString(36).toUpperCase()}${i.toString().padStart(4, '0')}`;
-      
-      transactions.push({
-        transaction_id: txnId,
-        merchant_id: merchant.merchant_id,
-        merchant: merchant._id,
-        amount,
-        currency: 'INR',
-        payment_gateway: merchant.payment_gateway,
-        status,
-        source,
-        reference_id: `REF${Math.random().toString(36).substring(2, 10).toUpperCase()}`,
-        reconciliation_status: RECONCILIATION_STATUS.PENDING,
-        transaction_date: transactionDate,
-        sla_hours: merchant.sla_hours,
-        created_by: admin._id
-      });
-    }
-
-    // Create matching pairs for reconciliation demo
-    for (let i = 0; i < 100; i++) {
-      const merchant = merchants[Math.floor(Math.random() * merchants.length)];
-      const daysAgo = Math.floor(Math.random() * 15);
-      const transactionDate = new Date(now);
-      transactionDate.setDate(transactionDate.getDate() - daysAgo);
-      
-      const amount = Math.floor(Math.random() * 30000) + 500;
-      const txnId = `MATCH${Date.now().toString(36).toUpperCase()}${i.toString().padStart(4, '0')}`;
-      
-      // Bank transaction
-      transactions.push({
-        transaction_id: txnId,
-        merchant_id: merchant.merchant_id,
-        merchant: merchant._id,
-        amount,
-        currency: 'INR',
-        payment_gateway: PAYMENT_GATEWAY.BANK,
-        status: TRANSACTION_STATUS.SUCCESS,
-        source: TRANSACTION_SOURCE.BANK,
-        reference_id: `BREF${Math.random().toString(36).substring(2, 8).toUpperCase()}`,
-        reconciliation_status: RECONCILIATION_STATUS.PENDING,
-        transaction_date: transactionDate,
-        sla_hours: merchant.sla_hours,
-        created_by: admin._id
-      });
-
-      // Merchant transaction (for matching)
-      transactions.push({
-        transaction_id: txnId,
-        merchant_id: merchant.merchant_id,
-        merchant: merchant._id,
-        amount,
-        currency: 'INR',
-        payment_gateway: merchant.payment_gateway,
-        status: TRANSACTION_STATUS.SUCCESS,
-        source: TRANSACTION_SOURCE.MERCHANT,
-        reference_id: `MREF${Math.random().toString(36).substring(2, 8).toUpperCase()}`,
-        reconciliation_status: RECONCILIATION_STATUS.PENDING,
-        transaction_date: transactionDate,
-        sla_hours: merchant.sla_hours,
-        created_by: admin._id
-      });
-    }
+    const transactions = buildTransactions(merchants, { createdBy: admin._id });
 
     await Transaction.insertMany(transactions);
     console.log(`Created ${transactions.length} transactions`);
@@ -302,4 +313,12 @@ Payment Settlement Team`,
   }
 };
 
-seedDatabase();
+// Run when invoked directly (npm run seed); other scripts reuse the builders
+if (require.main === module) {
+  seedDatabase();
+}
+
+module.exports = {
+  buildMerchants,
+  buildTransactions
+};
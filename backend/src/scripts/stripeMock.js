@@ -0,0 +1,252 @@
+const http = require('http');
+
+// Local stand-in for the parts of the Stripe API the gateway adapter uses:
+// balance, charges, refunds, payouts and balance transactions, paginated and
+// expandable like the real API. Point the backend at it with
+// STRIPE_API_HOST=http://localhost:12111 and any sk_test_ key.
+//
+// Usage: npm run mock:stripe [-- --port=12111] [-- --page-limit=5]
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value === undefined ? true : value];
+}));
+
+const PORT = parseInt(args.port) || parseInt(process.env.STRIPE_MOCK_PORT) || 12111;
+
+// Largest page a list returns (Stripe's is 100); a lower limit makes the few
+// objects here span several pages
+const PAGE_LIMIT = parseInt(args['page-limit']) || parseInt(process.env.STRIPE_MOCK_PAGE_LIMIT) || 100;
+
+// 2026-01-11 09:00 UTC; charges follow every 20 minutes
+const START = 1768122000;
+const USD_TO_INR = 83.2;
+
+// Stripe fee: 2% + 18% GST on it, in paise
+const stripeFees = (amount) => {
+  const fee = Math.round(amount * 0.02);
+  const tax = Math.round(fee * 0.18);
+  return [
+    { amount: fee, currency: 'inr', description: 'Stripe processing fees', type: 'stripe_fee' },
+    { amount: tax, currency: 'inr', description: 'GST', type: 'tax' }
+  ];
+};
+
+const pad = (n) => String(n).padStart(4, '0');
+
+// Deterministic account: INR and USD charges (USD converted to INR on
+// settlement), one failed and one pending charge, a refund and a payout of
+// the first day's balance
+const buildAccount = () => {
+  const charges = [];
+  const balanceTransactions = [];
+
+  const plan = [
+    [500000, 'inr'], [750000, 'inr'], [300000, 'inr'], [1250000, 'inr'], [99900, 'inr'],
+    [4999, 'usd'], [12000, 'usd'], [250000, 'inr'], [180000, 'inr', 'failed'], [60000, 'inr', 'pending'],
+    [845000, 'inr'], [15000, 'usd']
+  ];
+
+  plan.forEach(([amount, currency, status = 'succeeded'], i) => {
+    const n = i + 1;
+    const created = START + i * 1200;
+    const id = `ch_3MockCharge${pad(n)}`;
+    const btId = status === 'succeeded' ? `txn_3MockCharge${pad(n)}` : null;
+
+    charges.push({
+      id,
+      object: 'charge',
+      amount,
+      amount_captured: status === 'succeeded' ? amount : 0,
+      amount_refunded: 0,
+      balance_transaction: btId,
+      billing_details: { email: `customer${n}@example.com`, name: `Customer ${n}` },
+      created,
+      currency,
+      description: `Order ORD-${pad(n)}`,
+      metadata: { merchant_id: 'MER002', order_id: `ORD-${pad(n)}` },
+      paid: status === 'succeeded',
+      payment_intent: `pi_3MockCharge${pad(n)}`,
+      payment_method_details: { type: 'card', card: { brand: 'visa', last4: '4242' } },
+      receipt_email: `customer${n}@example.com`,
+      refunded: false,
+      status
+    });
+
+    if (btId) {
+      const exchangeRate = currency === 'inr' ? null : USD_TO_INR;
+      const settled = exchangeRate ? Math.round(amount * exchangeRate) : amount;
+      const feeDetails = stripeFees(settled);
+      const fee = feeDetails.reduce((sum, detail) => sum + detail.amount, 0);
+      balanceTransactions.push({
+        id: btId,
+        object: 'balance_transaction',
+        amount: settled,
+        available_on: created + 2 * 86400,
+        created,
+        currency: 'inr',
+        description: `Order ORD-${pad(n)}`,
+        exchange_rate: exchangeRate,
+        fee,
+        fee_details: feeDetails,
+        net: settled - fee,
+        reporting_category: 'charge',
+        source: id,
+        status: 'available',
+        type: 'charge'
+      });
+    }
+  });
+
+  // Partial refund of the second charge
+  const refunded = charges[1];
+  refunded.amount_refunded = 250000;
+  balanceTransactions.push({
+    id: 'txn_3MockRefund0001',
+    object: 'balance_transaction',
+    amount: -250000,
+    available_on: START + 86400,
+    created: START + 86400,
+    currency: 'inr',
+    description: 'REFUND FOR CHARGE (Order ORD-0002)',
+    exchange_rate: null,
+    fee: 0,
+    fee_details: [],
+    net: -250000,
+    reporting_category: 'refund',
+    source: { id: 're_3MockRefund0001', object: 'refund', amount: 250000, charge: refunded.id, currency: 'inr', status: 'succeeded' },
+    status: 'available',
+    type: 'refund'
+  });
+
+  // Payout of the first five charges' net, less the refund
+  const paidOut = balanceTransactions.filter(bt => bt.type === 'charge').slice(0, 5);
+  const payoutAmount = paidOut.reduce((sum, bt) => sum + bt.net, 0) - 250000;
+  const payout = {
+    id: 'po_1MockPayout0001',
+    object: 'payout',
+    amount: payoutAmount,
+    arrival_date: START + 3 * 86400,
+    automatic: true,
+    balance_transaction: 'txn_1MockPayout0001',
+    created: START + 2 * 86400,
+    currency: 'inr',
+    destination: 'ba_1MockBankAccount',
+    method: 'standard',
+    statement_descriptor: 'STRIPE PAYOUT',
+    status: 'paid',
+    type: 'bank_account'
+  };
+  balanceTransactions.push({
+    id: payout.balance_transaction,
+    object: 'balance_transaction',
+    amount: -payoutAmount,
+    available_on: payout.created,
+    created: payout.created,
+    currency: 'inr',
+    description: 'STRIPE PAYOUT',
+    exchange_rate: null,
+    fee: 0,
+    fee_details: [],
+    net: -payoutAmount,
+    reporting_category: 'payout',
+    source: payout.id,
+    status: 'available',
+    type: 'payout'
+  });
+
+  const refunds = [{ ...balanceTransactions.find(bt => bt.type === 'refund').source, created: START + 86400 }];
+
+  const payoutMembers = {
+    [payout.id]: [...paidOut.map(bt => bt.id), 'txn_3MockRefund0001']
+  };
+
+  return { charges, refunds, balanceTransactions, payouts: [payout], payoutMembers };
+};
+
+const account = buildAccount();
+const byId = new Map([...account.charges, ...account.payouts].map(object => [object.id, object]));
+const balanceTxnById = new Map(account.balanceTransactions.map(bt => [bt.id, bt]));
+
+const send = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Request-Id': `req_mock_${Date.now()}` });
+  res.end(JSON.stringify(body, null, 2));
+};
+
+const stripeError = (res, status, type, message) => send(res, status, { error: { type, message } });
+
+// expand[]=data.source / expand[0]=data.source, as the SDK sends it
+const expansions = (params) => [...params.entries()]
+  .filter(([key]) => key === 'expand' || key.startsWith('expand['))
+  .map(([, value]) => value);
+
+// Newest first, cut at starting_after, limited; like Stripe's list endpoints
+const list = (url, objects, params) => {
+  const sorted = [...objects].sort((a, b) => b.created - a.created || (a.id < b.id ? 1 : -1));
+  const limit = Math.min(parseInt(params.get('limit')) || 10, PAGE_LIMIT);
+  const after = params.get('starting_after');
+  const start = after ? sorted.findIndex(object => object.id === after) + 1 : 0;
+  const data = sorted.slice(start, start + limit);
+  return { object: 'list', url, has_more: start + limit < sorted.length, data };
+};
+
+const expand = (page, field, lookup, params) => {
+  if (!expansions(params).includes(`data.${field}`)) return page;
+  return {
+    ...page,
+    data: page.data.map(object => ({
+      ...object,
+      [field]: typeof object[field] === 'string' ? lookup.get(object[field]) || object[field] : object[field]
+    }))
+  };
+};
+
+const routes = {
+  '/v1/balance': () => {
+    const available = account.balanceTransactions.reduce((sum, bt) => sum + bt.net, 0);
+    return {
+      object: 'balance',
+      livemode: false,
+      available: [{ amount: available, currency: 'inr' }],
+      pending: [{ amount: 0, currency: 'inr' }]
+    };
+  },
+  '/v1/charges': (params) => expand(list('/v1/charges', account.charges, params), 'balance_transaction', balanceTxnById, params),
+  '/v1/refunds': (params) => list('/v1/refunds', account.refunds, params),
+  '/v1/payouts': (params) => list('/v1/payouts', account.payouts, params),
+  '/v1/balance_transactions': (params) => {
+    let transactions = account.balanceTransactions;
+    if (params.get('payout')) {
+      const members = account.payoutMembers[params.get('payout')];
+      if (!members) return null;
+      transactions = transactions.filter(bt => members.includes(bt.id));
+    }
+    if (params.get('type')) transactions = transactions.filter(bt => bt.type === params.get('type'));
+    return expand(list('/v1/balance_transactions', transactions, params), 'source', byId, params);
+  }
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const key = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+
+  if (!/^(sk|rk)_(test|live)_\w+$/.test(key)) {
+    return stripeError(res, 401, 'invalid_request_error', `Invalid API Key provided: ${key ? `${key.slice(0, 8)}***` : '(none)'}`);
+  }
+  if (req.method !== 'GET' || !routes[url.pathname]) {
+    return stripeError(res, 404, 'invalid_request_error', `Unrecognized request URL (${req.method}: ${url.pathname})`);
+  }
+
+  const body = routes[url.pathname](url.searchParams);
+  if (!body) return stripeError(res, 404, 'invalid_request_error', 'No such payout');
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+  send(res, 200, body);
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Mock Stripe API on http://localhost:${PORT} (${account.charges.length} charges, ${account.balanceTransactions.length} balance transactions)`);
+  });
+}
+
+module.exports = { server, buildAccount };
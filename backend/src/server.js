@@ -13,6 +13,9 @@ const { connectDatabase } = require('./config/database');
 const { errorHandler, notFoundHandler } = require('./middleware');
 const routes = require('./routes');
 const { setupSocketHandlers } = require('./websockets/socketHandler');
+const reconciliationQueue = require('./services/reconciliationQueue');
+const { startAgingMonitor } = require('./services/agingService');
+const reconciliationScheduler = require('./services/reconciliationScheduler');
 
 // Create Express app
 const app = express();
@@ -53,7 +56,13 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Gateways sign webhook bodies byte for byte; keep them for verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging
@@ -95,6 +104,12 @@ app.use('/api/dashboard', routes.dashboardRoutes);
 app.use('/api/alerts', routes.alertRoutes);
 app.use('/api/reports', routes.reportRoutes);
 app.use('/api/gateways', routes.gatewayRoutes);
+app.use('/api/match-rules', routes.matchRuleRoutes);
+app.use('/api/aging-rules', routes.agingRuleRoutes);
+app.use('/api/fee-schedules', routes.feeScheduleRoutes);
+app.use('/api/reconciliation-schedules', routes.reconciliationScheduleRoutes);
+app.use('/api/mapping-profiles', routes.mappingProfileRoutes);
+app.use('/api/webhooks', routes.webhookRoutes);
 
 // Static files for uploads (if needed)
 app.use('/uploads', express.static(uploadDir));
@@ -114,6 +129,15 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDatabase();
 
+    // Start background reconciliation worker
+    reconciliationQueue.startWorker(io);
+
+    // Start periodic aging escalation checks
+    startAgingMonitor(io);
+
+    // Queue scheduled runs at each settlement cycle's cut-off
+    reconciliationScheduler.startScheduler();
+
     // Start listening
     server.listen(config.port, () => {
       console.log(`
@@ -141,6 +165,8 @@ const startServer = async () => {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  reconciliationScheduler.stopScheduler();
+  reconciliationQueue.stopWorker();
   server.close(() => {
     console.log('Server closed.');
     process.exit(0);
@@ -149,6 +175,8 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  reconciliationScheduler.stopScheduler();
+  reconciliationQueue.stopWorker();
   server.close(() => {
     console.log('Server closed.');
     process.exit(0);
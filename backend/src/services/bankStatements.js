@@ -0,0 +1,189 @@
+const path = require('path');
+const { Transaction, Merchant } = require('../models');
+const { TRANSACTION_SOURCE } = require('../config/constants');
+const { isMT940, parseMT940 } = require('./mt940Parser');
+const { isCamt053, parseCamt053 } = require('./camt053Parser');
+const config = require('../config');
+
+const MT940_EXTENSIONS = ['.sta', '.mt940', '.940', '.txt'];
+const CAMT053_EXTENSIONS = ['.xml'];
+const STATEMENT_EXTENSIONS = [...MT940_EXTENSIONS, ...CAMT053_EXTENSIONS];
+
+// Columns of the rows a statement is turned into (named after the target
+// fields, so the suggested mapping imports them as they are)
+const STATEMENT_HEADERS = [
+  'transaction_id',
+  'merchant_id',
+  'amount',
+  'currency',
+  'status',
+  'reference_id',
+  'bank_reference',
+  'transaction_date',
+  'value_date',
+  'credit_debit',
+  'remittance_info'
+];
+
+// Balances this close are treated as equal
+const BALANCE_TOLERANCE = 0.005;
+
+const isStatementFile = (filename) => STATEMENT_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+
+const transactionIdPattern = () => new RegExp(config.upload.transactionIdPattern, 'g');
+
+// Transaction IDs quoted in remittance text and references, in order of appearance
+const extractTransactionIds = (...texts) => {
+  const ids = [];
+  for (const value of texts.filter(Boolean)) {
+    const found = String(value).match(transactionIdPattern()) || [];
+    found.forEach(id => { if (!ids.includes(id)) ids.push(id); });
+  }
+  return ids;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Statement metadata kept on the file record
+const summarizeStatement = (statement) => {
+  const credits = statement.entries.filter(e => e.credit_debit === 'CREDIT' && e.status === 'BOOKED');
+  const debits = statement.entries.filter(e => e.credit_debit === 'DEBIT' && e.status === 'BOOKED');
+  const total = (entries) => round(entries.reduce((sum, e) => sum + e.amount, 0));
+  const net = round(total(credits) - total(debits));
+
+  const { opening_balance: opening, closing_balance: closing } = statement;
+  const balanced = opening && closing
+    ? Math.abs(round(opening.amount + net) - closing.amount) < BALANCE_TOLERANCE
+    : null;
+
+  return {
+    format: statement.format,
+    reference: statement.reference,
+    account: statement.account,
+    number: statement.number,
+    currency: statement.currency,
+    opening_balance: opening && { amount: opening.amount, date: opening.date },
+    closing_balance: closing && { amount: closing.amount, date: closing.date },
+    entry_count: statement.entries.length,
+    total_credits: total(credits),
+    total_debits: total(debits),
+    balanced
+  };
+};
+
+// One row per entry of a statement
+const statementRows = (statement) => statement.entries.map((entry, index) => {
+  const [transactionId] = extractTransactionIds(entry.remittance_info, entry.end_to_end_id, entry.customer_reference, entry.supplementary_details);
+
+  return {
+    transaction_id: transactionId || entry.end_to_end_id || entry.bank_reference || `${statement.reference}/${index + 1}`,
+    merchant_id: '',
+    amount: entry.amount,
+    currency: statement.currency,
+    status: entry.reversal ? 'REVERSED' : entry.status === 'PENDING' ? 'PENDING' : 'SUCCESS',
+    reference_id: entry.customer_reference || entry.end_to_end_id || '',
+    bank_reference: entry.bank_reference || '',
+    transaction_date: entry.booking_date,
+    value_date: entry.value_date,
+    credit_debit: entry.credit_debit,
+    remittance_info: entry.remittance_info || ''
+  };
+});
+
+// Account numbers a statement account may be stored as: the account itself,
+// and the account number after the bank code (MT940 "BANKCODE/ACCOUNT")
+const accountNumbers = (account) => {
+  const compact = String(account || '').replace(/\s+/g, '').toUpperCase();
+  if (!compact) return [];
+  return [...new Set([compact, compact.split('/').pop()])];
+};
+
+// Merchant whose bank account (bank_details.account_number) each statement is
+// for, by statement account; accounts shared by several merchants are left out
+const merchantsByAccount = async (statements) => {
+  const numbers = [...new Set(statements.flatMap(statement => accountNumbers(statement.account)))];
+  if (!numbers.length) return new Map();
+
+  const merchants = await Merchant.find({ 'bank_details.account_number': { $in: numbers } })
+    .select('merchant_id bank_details.account_number');
+
+  const byAccount = new Map();
+  for (const statement of statements) {
+    const owners = new Set(merchants
+      .filter(m => accountNumbers(statement.account).includes(String(m.bank_details.account_number).toUpperCase()))
+      .map(m => m.merchant_id));
+    if (owners.size === 1) byAccount.set(statement.account, [...owners][0]);
+  }
+  return byAccount;
+};
+
+// Rows of every statement, each with the merchant of the merchant or gateway
+// transaction it pays, else the merchant whose account the statement is for
+const resolveMerchants = async (statements) => {
+  const rowsByStatement = statements.map(statementRows);
+  const rows = rowsByStatement.flat();
+
+  const ids = [...new Set(rows.map(row => String(row.transaction_id).toUpperCase()))];
+  const [known, accountMerchants] = await Promise.all([
+    Transaction.find({
+      transaction_id: { $in: ids },
+      source: { $ne: TRANSACTION_SOURCE.BANK }
+    }).select('transaction_id merchant_id'),
+    merchantsByAccount(statements)
+  ]);
+
+  const merchantByTxn = new Map(known.map(t => [t.transaction_id, t.merchant_id]));
+  rowsByStatement.forEach((rowsOfStatement, i) => {
+    const accountMerchant = accountMerchants.get(statements[i].account) || '';
+    rowsOfStatement.forEach(row => {
+      row.merchant_id = merchantByTxn.get(String(row.transaction_id).toUpperCase()) || accountMerchant;
+    });
+  });
+  return rows;
+};
+
+// Parse an MT940 or camt.053 file into rows and statement metadata
+const readStatement = async (content, filename) => {
+  const isXml = CAMT053_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+  let statements;
+
+  if (isXml) {
+    if (!isCamt053(content)) throw new Error('XML file is not a camt.053 statement');
+    statements = parseCamt053(content);
+  } else {
+    if (!isMT940(content)) throw new Error('File is not an MT940 statement');
+    statements = parseMT940(content);
+  }
+
+  return {
+    headers: STATEMENT_HEADERS,
+    rows: await resolveMerchants(statements),
+    statements: statements.map(summarizeStatement)
+  };
+};
+
+// Consecutive statements of an account (ordered by opening date, then number)
+// with the gap between each opening balance and the previous closing balance
+const checkContinuity = (statements) => {
+  const ordered = [...statements].sort((a, b) => (
+    (new Date(a.opening_balance?.date) - new Date(b.opening_balance?.date))
+    || String(a.number).localeCompare(String(b.number), undefined, { numeric: true })
+  ));
+
+  return ordered.map((statement, index) => {
+    const previous = ordered[index - 1];
+    if (!previous || !previous.closing_balance || !statement.opening_balance) {
+      return { ...statement, gap: null, continuous: null };
+    }
+    const gap = round(statement.opening_balance.amount - previous.closing_balance.amount);
+    return { ...statement, gap, continuous: Math.abs(gap) < BALANCE_TOLERANCE };
+  });
+};
+
+module.exports = {
+  STATEMENT_EXTENSIONS,
+  isStatementFile,
+  extractTransactionIds,
+  readStatement,
+  checkContinuity
+};
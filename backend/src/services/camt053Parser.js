@@ -0,0 +1,141 @@
+const { XMLParser } = require('fast-xml-parser');
+
+// ISO 20022 camt.053 (bank to customer statement) parser. Entries (Ntry) that
+// batch several transactions are split into one entry per TxDtls.
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  removeNSPrefix: true,
+  parseTagValue: false,
+  trimValues: true
+});
+
+// References banks fill in when there is none
+const NOT_PROVIDED = 'NOTPROVIDED';
+
+// Unstructured remittance lines (<Ustrd>) are at most 140 characters; a full
+// line runs on into the next
+const USTRD_WIDTH = 140;
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+const text = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'object') return value['#text'] !== undefined ? String(value['#text']) : null;
+  return String(value);
+};
+
+const reference = (value) => {
+  const ref = text(value);
+  return ref && ref.toUpperCase() !== NOT_PROVIDED ? ref : null;
+};
+
+// <Dt> or <DtTm> inside a date choice element
+const parseDate = (choice) => {
+  const value = text(choice?.Dt) || text(choice?.DtTm);
+  if (!value) return null;
+  return new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : value);
+};
+
+const parseAmount = (amt) => ({ amount: parseFloat(text(amt)), currency: amt?.['@_Ccy'] || null });
+
+const creditDebit = (indicator) => (text(indicator) === 'DBIT' ? 'DEBIT' : 'CREDIT');
+
+// Entry status: <Sts>BOOK</Sts> (camt.053.001.02-07) or <Sts><Cd>BOOK</Cd></Sts> (08+)
+const entryStatus = (sts) => {
+  const code = typeof sts === 'object' && sts !== null ? text(sts.Cd) || text(sts.Prtry) : text(sts);
+  return code === 'PDNG' ? 'PENDING' : 'BOOKED';
+};
+
+// Balance of the given type codes (first found), signed by its credit/debit indicator
+const findBalance = (balances, codes) => {
+  for (const code of codes) {
+    const balance = balances.find(bal => text(bal.Tp?.CdOrPrtry?.Cd) === code);
+    if (balance) {
+      const { amount, currency } = parseAmount(balance.Amt);
+      return {
+        amount: text(balance.CdtDbtInd) === 'DBIT' ? -amount : amount,
+        date: parseDate(balance.Dt),
+        currency
+      };
+    }
+  }
+  return undefined;
+};
+
+// Unstructured and structured remittance lines of a transaction
+const remittanceText = (rmtInf) => {
+  if (!rmtInf) return null;
+  const unstructured = asArray(rmtInf.Ustrd).map(text).filter(Boolean)
+    .reduce((joined, line, i, lines) => (i === 0 ? line : joined + (lines[i - 1].length >= USTRD_WIDTH ? '' : ' ') + line), '');
+  const lines = [
+    unstructured,
+    ...asArray(rmtInf.Strd).map(strd => text(strd?.CdtrRefInf?.Ref))
+  ].filter(Boolean);
+  return lines.length ? lines.join(' ') : null;
+};
+
+const parseEntries = (ntry) => {
+  const entry = {
+    amount: parseAmount(ntry.Amt).amount,
+    credit_debit: creditDebit(ntry.CdtDbtInd),
+    reversal: text(ntry.RvslInd) === 'true',
+    value_date: parseDate(ntry.ValDt),
+    booking_date: parseDate(ntry.BookgDt) || parseDate(ntry.ValDt),
+    transaction_code: text(ntry.BkTxCd?.Domn?.Fmly?.SubFmlyCd) || text(ntry.BkTxCd?.Prtry?.Cd),
+    customer_reference: reference(ntry.NtryRef),
+    bank_reference: reference(ntry.AcctSvcrRef),
+    remittance_info: text(ntry.AddtlNtryInf),
+    status: entryStatus(ntry.Sts)
+  };
+
+  const details = asArray(ntry.NtryDtls).flatMap(dtls => asArray(dtls.TxDtls));
+  if (!details.length) return [entry];
+
+  return details.map(tx => {
+    const txAmount = tx.AmtDtls?.TxAmt?.Amt || tx.Amt;
+    return {
+      ...entry,
+      amount: details.length > 1 && txAmount ? parseAmount(txAmount).amount : entry.amount,
+      end_to_end_id: reference(tx.Refs?.EndToEndId),
+      customer_reference: reference(tx.Refs?.InstrId) || reference(tx.Refs?.TxId) || entry.customer_reference,
+      bank_reference: reference(tx.Refs?.AcctSvcrRef) || entry.bank_reference,
+      remittance_info: [remittanceText(tx.RmtInf), text(tx.AddtlTxInf), entry.remittance_info].filter(Boolean).join(' ') || null,
+      counterparty: text(tx.RltdPties?.Dbtr?.Nm) || text(tx.RltdPties?.Dbtr?.Pty?.Nm) || undefined
+    };
+  });
+};
+
+// True when the text looks like a camt.053 document
+const isCamt053 = (xml) => /camt\.053|BkToCstmrStmt/.test(xml.slice(0, 4096));
+
+// Statements in a camt.053 document
+const parseCamt053 = (xml) => {
+  const document = xmlParser.parse(xml).Document;
+  const statements = asArray(document?.BkToCstmrStmt?.Stmt);
+
+  if (!statements.length) {
+    throw new Error('No camt.053 statement found (missing BkToCstmrStmt/Stmt)');
+  }
+
+  return statements.map(stmt => {
+    const balances = asArray(stmt.Bal);
+    const opening = findBalance(balances, ['OPBD', 'PRCD']);
+    return {
+      format: 'CAMT053',
+      reference: text(stmt.Id),
+      account: text(stmt.Acct?.Id?.IBAN) || text(stmt.Acct?.Id?.Othr?.Id),
+      number: text(stmt.ElctrncSeqNb) || text(stmt.LglSeqNb),
+      currency: text(stmt.Acct?.Ccy) || opening?.currency,
+      opening_balance: opening,
+      closing_balance: findBalance(balances, ['CLBD']),
+      entries: asArray(stmt.Ntry).flatMap(parseEntries)
+    };
+  });
+};
+
+module.exports = {
+  isCamt053,
+  parseCamt053
+};
@@ -0,0 +1,228 @@
+const config = require('../config');
+const { TRANSACTION_STATUS, TRANSACTION_SOURCE, PAYMENT_GATEWAY, AMOUNT_GROUPING, AMOUNT_UNIT } = require('../config/constants');
+const { DEFAULT_AMOUNT_FORMAT, parseAmount, parseDate, isValidTimezone, isValidDateFormat } = require('./valueParsing');
+
+// Fields a file can fill, with the header aliases auto-mapping recognises
+const COLUMN_MAPPINGS = {
+  bank: {
+    transaction_id: ['transaction_id', 'txn_id', 'txnid', 'trans_id', 'id'],
+    merchant_id: ['merchant_id', 'merchid', 'mid', 'merchant'],
+    amount: ['amount', 'amt', 'value', 'transaction_amount'],
+    currency: ['currency', 'curr', 'ccy'],
+    status: ['status', 'txn_status', 'transaction_status'],
+    reference_id: ['reference_id', 'ref_id', 'utr', 'utr_number', 'bank_ref'],
+    bank_reference: ['bank_reference'],
+    transaction_date: ['transaction_date', 'txn_date', 'date', 'created_at', 'timestamp'],
+    value_date: ['value_date', 'valuta'],
+    credit_debit: ['credit_debit', 'dr_cr', 'cr_dr', 'debit_credit'],
+    remittance_info: ['remittance_info', 'narration', 'remarks', 'remittance']
+  },
+  merchant: {
+    transaction_id: ['transaction_id', 'txn_id', 'order_id', 'payment_id'],
+    merchant_id: ['merchant_id', 'store_id', 'shop_id'],
+    amount: ['amount', 'total', 'payment_amount', 'order_amount'],
+    currency: ['currency', 'curr'],
+    status: ['status', 'payment_status', 'order_status'],
+    reference_id: ['reference_id', 'gateway_ref', 'pg_ref'],
+    transaction_date: ['transaction_date', 'payment_date', 'order_date', 'created_at'],
+    customer_email: ['customer_email', 'email', 'buyer_email'],
+    customer_name: ['customer_name', 'name', 'buyer_name'],
+    gateway_fee: ['gateway_fee', 'fee', 'pg_fee', 'mdr'],
+    gateway_tax: ['gateway_tax', 'tax', 'gst', 'fee_tax']
+  }
+};
+
+// Fields every row must end up with (from a column or a default)
+const REQUIRED_FIELDS = ['transaction_id', 'amount', 'transaction_date'];
+
+const mappingKey = (fileType) => String(fileType).toLowerCase();
+
+// Target fields for a file type ('bank' / 'merchant', any case)
+const targetFields = (fileType) => Object.keys(COLUMN_MAPPINGS[mappingKey(fileType)] || {});
+
+// Suggest a source column for each target field from the file's headers
+const suggestMapping = (headers, fileType) => {
+  const columns = {};
+  const aliases = COLUMN_MAPPINGS[mappingKey(fileType)];
+
+  for (const [targetField, possibleNames] of Object.entries(aliases)) {
+    for (const name of possibleNames) {
+      const header = headers.find(h => String(h).toLowerCase().trim() === name);
+      if (header !== undefined) {
+        columns[targetField] = header;
+        break;
+      }
+    }
+  }
+
+  return {
+    columns,
+    defaults: {},
+    date_format: null,
+    timezone: config.upload.timezone,
+    amount_format: { ...DEFAULT_AMOUNT_FORMAT }
+  };
+};
+
+// Plain-object mapping from a profile (Mongoose maps) or a request body
+const toMapping = (source = {}) => {
+  const plain = (value) => (value instanceof Map ? Object.fromEntries(value) : { ...(value || {}) });
+  return {
+    columns: plain(source.columns),
+    defaults: plain(source.defaults),
+    date_format: source.date_format || null,
+    timezone: source.timezone || config.upload.timezone,
+    amount_format: { ...DEFAULT_AMOUNT_FORMAT, ...(source.amount_format?.toObject?.() || source.amount_format || {}) }
+  };
+};
+
+// Headers a mapping reads that the file does not have
+const missingColumns = (mapping, headers) => Object.values(mapping.columns)
+  .filter(column => column && !headers.includes(column));
+
+// Reasons a mapping's date and amount settings cannot be used
+const formatProblems = (mapping) => {
+  const problems = [];
+  const { decimal_separator: decimal, thousands_separator: thousands, grouping, unit } = mapping.amount_format;
+
+  if (mapping.date_format && !isValidDateFormat(mapping.date_format)) {
+    problems.push(`Invalid date format: ${mapping.date_format}`);
+  }
+  if (!isValidTimezone(mapping.timezone)) problems.push(`Unknown time zone: ${mapping.timezone}`);
+  if (decimal === thousands) problems.push('Thousands and decimal separators must differ');
+  if (!Object.values(AMOUNT_GROUPING).includes(grouping)) problems.push(`Unknown digit grouping: ${grouping}`);
+  if (!Object.values(AMOUNT_UNIT).includes(unit)) problems.push(`Unknown amount unit: ${unit}`);
+
+  return problems;
+};
+
+// Reasons a mapping cannot import a file of this type with these headers
+const mappingProblems = (mapping, headers, fileType) => {
+  const fields = targetFields(fileType);
+  const problems = [];
+
+  const unknown = [...Object.keys(mapping.columns), ...Object.keys(mapping.defaults)].filter(field => !fields.includes(field));
+  if (unknown.length) problems.push(`Unknown fields: ${[...new Set(unknown)].join(', ')}`);
+
+  const missing = missingColumns(mapping, headers);
+  if (missing.length) problems.push(`Columns not in the file: ${missing.join(', ')}`);
+
+  const unmapped = REQUIRED_FIELDS.filter(field => !mapping.columns[field] && !mapping.defaults[field]);
+  if (unmapped.length) problems.push(`No column or default for: ${unmapped.join(', ')}`);
+
+  return [...problems, ...formatProblems(mapping)];
+};
+
+// Normalize status string
+const normalizeStatus = (status) => {
+  if (!status) return TRANSACTION_STATUS.PENDING;
+
+  const s = String(status).toUpperCase().trim();
+
+  if (['SUCCESS', 'SUCCESSFUL', 'COMPLETED', 'PAID', 'CAPTURED'].includes(s)) {
+    return TRANSACTION_STATUS.SUCCESS;
+  }
+  if (['FAILED', 'FAILURE', 'DECLINED', 'REJECTED', 'CANCELLED', 'REVERSED'].includes(s)) {
+    return TRANSACTION_STATUS.FAILED;
+  }
+  return TRANSACTION_STATUS.PENDING;
+};
+
+// CREDIT / DEBIT from the usual spellings of a debit/credit flag
+const normalizeCreditDebit = (flag) => {
+  if (!flag) return undefined;
+  const s = String(flag).toUpperCase().trim();
+  if (['C', 'CR', 'CRDT', 'CREDIT'].includes(s)) return 'CREDIT';
+  if (['D', 'DR', 'DBIT', 'DEBIT'].includes(s)) return 'DEBIT';
+  return null;
+};
+
+// Pick each target field's value: its mapped column, else the mapping's default
+const applyMapping = (row, mapping) => {
+  const mapped = {};
+  const fields = new Set([...Object.keys(mapping.columns), ...Object.keys(mapping.defaults)]);
+
+  for (const field of fields) {
+    const column = mapping.columns[field];
+    const value = column ? row[column] : undefined;
+    if (value !== undefined && value !== null && value !== '') {
+      mapped[field] = value;
+    } else if (mapping.defaults[field] !== undefined && mapping.defaults[field] !== '') {
+      mapped[field] = mapping.defaults[field];
+    }
+  }
+
+  return mapped;
+};
+
+// Map, normalize and validate one row
+const normalizeRow = (row, fileType, mapping, merchant_id = null) => {
+  const mapped = applyMapping(row, mapping);
+  const errors = [];
+
+  // Required fields
+  for (const field of REQUIRED_FIELDS) {
+    if (mapped[field] === undefined) errors.push(`Missing ${field}`);
+  }
+
+  // Amounts and dates are read strictly; a cell that can't be read fails the row
+  const read = (parsed, label) => {
+    if (parsed.error) errors.push(label ? `${label}: ${parsed.error}` : parsed.error);
+    return parsed.value;
+  };
+
+  const amount = read(parseAmount(mapped.amount, mapping.amount_format));
+  const fee = read(parseAmount(mapped.gateway_fee, mapping.amount_format), 'Gateway fee');
+  const tax = read(parseAmount(mapped.gateway_tax, mapping.amount_format), 'Gateway tax');
+  const transactionDate = read(parseDate(mapped.transaction_date, mapping.date_format, mapping.timezone));
+  const valueDate = read(parseDate(mapped.value_date, mapping.date_format, mapping.timezone), 'Value date');
+
+  let creditDebit = normalizeCreditDebit(mapped.credit_debit);
+  if (creditDebit === null) errors.push(`Unreadable debit/credit flag "${mapped.credit_debit}"`);
+
+  // Amounts are stored positive: a negative one is a debit
+  if (amount < 0) {
+    if (creditDebit === 'CREDIT') errors.push(`Amount "${mapped.amount}" is negative but the row is a credit`);
+    creditDebit = 'DEBIT';
+  }
+
+  const merchantId = String(mapped.merchant_id || merchant_id || '').toUpperCase().trim();
+  if (!merchantId) errors.push('Missing merchant_id');
+
+  const bank = mappingKey(fileType) === 'bank';
+
+  // Normalize values
+  const normalized = {
+    transaction_id: mapped.transaction_id ? String(mapped.transaction_id).toUpperCase().trim() : null,
+    merchant_id: merchantId,
+    amount: Math.abs(amount ?? 0),
+    currency: String(mapped.currency || 'INR').toUpperCase().trim(),
+    status: normalizeStatus(mapped.status),
+    reference_id: mapped.reference_id ? String(mapped.reference_id).trim() : null,
+    bank_reference: mapped.bank_reference ? String(mapped.bank_reference).trim() : undefined,
+    transaction_date: transactionDate,
+    value_date: valueDate,
+    credit_debit: creditDebit || undefined,
+    remittance_info: mapped.remittance_info ? String(mapped.remittance_info).trim() : undefined,
+    customer_email: mapped.customer_email || null,
+    customer_name: mapped.customer_name || null,
+    gateway_fee: fee,
+    gateway_tax: tax,
+    source: bank ? TRANSACTION_SOURCE.BANK : TRANSACTION_SOURCE.MERCHANT,
+    payment_gateway: bank ? PAYMENT_GATEWAY.BANK : PAYMENT_GATEWAY.RAZORPAY
+  };
+
+  return { normalized, errors };
+};
+
+module.exports = {
+  COLUMN_MAPPINGS,
+  REQUIRED_FIELDS,
+  targetFields,
+  suggestMapping,
+  toMapping,
+  missingColumns,
+  formatProblems,
+  mappingProblems,
+  normalizeRow
+};
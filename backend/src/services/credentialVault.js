@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Envelope encryption of gateway credentials. Each credential's secrets are
+// encrypted with its own random data key (AES-256-GCM), and the data key is
+// stored encrypted ("wrapped") with the master key from the environment, so
+// rotating the master key only re-wraps data keys.
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Master key from base64 or hex
+const parseMasterKey = (text) => {
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== KEY_BYTES) {
+    throw new Error('Gateway master keys must be 32 bytes, written in base64 or hex');
+  }
+  return key;
+};
+
+// Short fingerprint naming a master key on the credentials it wraps
+const keyId = (key) => crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+
+// Current master key first, then the previous ones still accepted for reading
+const masterKeys = () => [config.gateways.masterKey, ...config.gateways.previousMasterKeys]
+  .filter(Boolean)
+  .map(text => {
+    const key = parseMasterKey(text);
+    return { id: keyId(key), key };
+  });
+
+const isEnabled = () => !!config.gateways.masterKey;
+
+const currentMasterKey = () => {
+  if (!isEnabled()) {
+    throw new Error('GATEWAY_MASTER_KEY is not set, so gateway credentials cannot be stored');
+  }
+  return masterKeys()[0];
+};
+
+const encrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64')
+  };
+};
+
+const decrypt = (key, { ciphertext, iv, tag }) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+};
+
+const wrap = (dataKey) => {
+  const master = currentMasterKey();
+  return { ...encrypt(master.key, dataKey), master_key_id: master.id };
+};
+
+const unwrap = (dataKey) => {
+  const master = masterKeys().find(candidate => candidate.id === dataKey.master_key_id);
+  if (!master) {
+    throw new Error(`Master key ${dataKey.master_key_id} is not configured (set it in GATEWAY_MASTER_KEY_PREVIOUS)`);
+  }
+  return decrypt(master.key, dataKey);
+};
+
+// Encrypt secrets under a new data key
+const seal = (secrets) => {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  return {
+    ...encrypt(dataKey, JSON.stringify(secrets)),
+    data_key: wrap(dataKey)
+  };
+};
+
+const open = (sealed) => JSON.parse(decrypt(unwrap(sealed.data_key), sealed).toString('utf8'));
+
+// Same secrets and data key, wrapped with the current master key
+const rewrap = (sealed) => ({ ...sealed, data_key: wrap(unwrap(sealed.data_key)) });
+
+// Wrapped with an older master key than the current one
+const needsRewrap = (sealed) => sealed.data_key.master_key_id !== currentMasterKey().id;
+
+// Secret shown by its ends only: sk_test_...1234
+const maskSecret = (value) => {
+  const text = String(value);
+  if (text.length <= 8) return '••••';
+  return `${text.slice(0, Math.min(8, Math.floor(text.length / 4)))}...${text.slice(-4)}`;
+};
+
+module.exports = {
+  isEnabled,
+  seal,
+  open,
+  rewrap,
+  needsRewrap,
+  maskSecret
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { FileUpload } = require('../models');
+const { DUPLICATE_MATCH, ORIGINAL_UPLOAD_STATUSES } = require('../config/constants');
+const { openRows } = require('./fileImport');
+
+// Row digests are summed modulo 2^256, so the fingerprint ignores row order
+const FINGERPRINT_MODULUS = 1n << 256n;
+
+const sha256 = () => crypto.createHash('sha256');
+
+// SHA-256 of an uploaded file as stored (hex)
+const fileChecksum = async (filePath) => {
+  const hash = sha256();
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest('hex');
+};
+
+// Digest of one row's values, keyed by column name (case, surrounding spaces,
+// empty cells and column order don't count)
+const rowDigest = (row) => {
+  const cells = Object.entries(row)
+    .map(([column, value]) => [String(column).trim().toLowerCase(), value === null || value === undefined ? '' : String(value).trim()])
+    .filter(([, value]) => value !== '')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return BigInt(`0x${sha256().update(JSON.stringify(cells)).digest('hex')}`);
+};
+
+// Fingerprint of a file's rows: the same for a file re-saved with other line
+// endings, quoting, column order, row order or compression. Null for a file
+// without rows.
+const rowsFingerprint = async (filePath, originalName) => {
+  const source = await openRows(filePath, originalName);
+  let sum = 0n;
+  let count = 0;
+
+  try {
+    for await (const row of source.rows) {
+      sum = (sum + rowDigest(row)) % FINGERPRINT_MODULUS;
+      count++;
+    }
+  } finally {
+    source.close();
+  }
+
+  return count ? `${count}:${sum.toString(16).padStart(64, '0')}` : null;
+};
+
+// Earliest other upload of the same type with the file's checksum (CHECKSUM)
+// or row fingerprint (ROWS). Returns { file, match } or null.
+const findOriginalUpload = async (fileRecord, match) => {
+  const field = match === DUPLICATE_MATCH.CHECKSUM ? 'checksum' : 'rows_fingerprint';
+  if (!fileRecord[field]) return null;
+
+  const original = await FileUpload.findOne({
+    _id: { $ne: fileRecord._id },
+    [field]: fileRecord[field],
+    file_type: fileRecord.file_type,
+    status: { $in: ORIGINAL_UPLOAD_STATUSES }
+  })
+    .populate('uploaded_by', 'name email')
+    .sort('createdAt');
+
+  return original && { file: original, match };
+};
+
+// What the file duplicates, for a response or an error message
+const describeDuplicate = ({ file, match }) => ({
+  file_id: file._id,
+  original_filename: file.original_filename,
+  uploaded_by: file.uploaded_by && { name: file.uploaded_by.name, email: file.uploaded_by.email },
+  uploaded_at: file.createdAt,
+  match
+});
+
+const duplicateMessage = ({ file, match }) => {
+  const uploader = file.uploaded_by?.name || file.uploaded_by?.email;
+  const what = match === DUPLICATE_MATCH.CHECKSUM ? 'This file was' : 'A file with the same rows was';
+  return `${what} already uploaded as ${file.original_filename}${uploader ? ` by ${uploader}` : ''} on ${file.createdAt.toISOString().slice(0, 10)} (file ${file._id})`;
+};
+
+module.exports = {
+  fileChecksum,
+  rowsFingerprint,
+  findOriginalUpload,
+  describeDuplicate,
+  duplicateMessage
+};
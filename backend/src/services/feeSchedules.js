@@ -0,0 +1,103 @@
+const { FeeSchedule } = require('../models');
+const { FEE_SOURCE } = require('../config/constants');
+const config = require('../config');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Active schedules a run will choose from
+const loadFeeSchedules = () => FeeSchedule.find({ is_active: true }).sort('name').lean();
+
+// Most specific schedule for a merchant and gateway: merchant, then gateway, then unscoped
+const selectFeeSchedule = (schedules, merchantId, paymentGateway) => {
+  let best = null;
+  let bestScore = -1;
+
+  for (const schedule of schedules) {
+    const scope = schedule.scope || {};
+    if (scope.merchant_id && scope.merchant_id !== merchantId) continue;
+    if (scope.payment_gateway && scope.payment_gateway !== paymentGateway) continue;
+
+    const score = (scope.merchant_id ? 2 : 0) + (scope.payment_gateway ? 1 : 0);
+    if (score > bestScore) {
+      best = schedule;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+// Fee and tax a schedule charges on a gross amount
+const scheduledFee = (schedule, gross) => {
+  let fee = gross * (schedule.percentage || 0) / 100 + (schedule.fixed_fee || 0);
+  if (schedule.min_fee != null) fee = Math.max(fee, schedule.min_fee);
+  if (schedule.max_fee != null) fee = Math.min(fee, schedule.max_fee);
+  fee = round(fee);
+
+  return { fee, tax: round(fee * (schedule.tax_percentage || 0) / 100) };
+};
+
+// Fee and tax deducted from a row before it settles. The row's own gateway fee
+// wins, then the fee Razorpay sync kept in metadata (paise, GST included),
+// then the matching schedule. Returns null when no fee is known.
+const resolveFees = (txn, schedules) => {
+  const varianceTolerance = config.reconciliation.fees.varianceTolerance;
+
+  if (txn.gateway_fee != null) {
+    return {
+      fee: txn.gateway_fee,
+      tax: txn.gateway_tax || 0,
+      source: FEE_SOURCE.TRANSACTION,
+      variance_tolerance: varianceTolerance
+    };
+  }
+
+  if (txn.metadata?.fee != null) {
+    const tax = (txn.metadata.tax || 0) / 100;
+    return {
+      fee: round(txn.metadata.fee / 100 - tax),
+      tax: round(tax),
+      source: FEE_SOURCE.TRANSACTION,
+      variance_tolerance: varianceTolerance
+    };
+  }
+
+  const schedule = selectFeeSchedule(schedules, txn.merchant_id, txn.payment_gateway);
+  if (!schedule) return null;
+
+  return {
+    ...scheduledFee(schedule, txn.amount),
+    source: FEE_SOURCE.SCHEDULE,
+    schedule: schedule._id,
+    variance_tolerance: schedule.variance_tolerance ?? varianceTolerance
+  };
+};
+
+// Copy of a row whose amount is net of fees (gross - fee - tax), so match passes,
+// grouping and scoring compare it with what the bank actually credits. A row
+// linked to its gateway settlement uses what the settlement paid for it
+// (settled_amount, refunds reversed) instead.
+// The original amount is kept on gross_amount and the fees on `fees`.
+const netOfFees = (txn, schedules) => {
+  const fees = resolveFees(txn, schedules);
+  if (!fees && txn.settled_amount == null) return txn;
+
+  return {
+    ...txn,
+    gross_amount: txn.amount,
+    amount: txn.settled_amount ?? round(txn.amount - fees.fee - fees.tax),
+    ...(fees && { fees })
+  };
+};
+
+// Amount as recorded on the row, before any fee deduction
+const grossAmount = (txn) => txn.gross_amount ?? txn.amount;
+
+module.exports = {
+  loadFeeSchedules,
+  selectFeeSchedule,
+  scheduledFee,
+  resolveFees,
+  netOfFees,
+  grossAmount
+};
@@ -0,0 +1,414 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+const yauzl = require('yauzl');
+const { Transaction, Merchant, MappingProfile, FileRowError } = require('../models');
+const { TRANSACTION_SOURCE, RECONCILIATION_STATUS } = require('../config/constants');
+const { toMapping, missingColumns, normalizeRow } = require('./columnMapping');
+const { STATEMENT_EXTENSIONS, isStatementFile, readStatement } = require('./bankStatements');
+const config = require('../config');
+
+// CSV, Excel, and MT940 / camt.053 bank statements
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx', '.xls', ...STATEMENT_EXTENSIONS];
+
+const extension = (filename) => path.extname(filename).toLowerCase();
+
+// Name of the data file inside a gzipped upload (statement.csv.gz -> statement.csv)
+const unwrappedName = (filename) => (extension(filename) === '.gz' ? filename.slice(0, -3) : filename);
+
+// A supported file, optionally gzipped; zip archives are checked for a supported entry when opened
+const isSupportedFile = (filename) => (
+  extension(filename) === '.zip' || SUPPORTED_EXTENSIONS.includes(extension(unwrappedName(filename)))
+);
+
+const isCSV = (filename) => extension(filename) === '.csv';
+
+// First supported entry of a zip archive, as a stream
+const openZipEntry = async (filePath) => {
+  const zipfile = await yauzl.openPromise(filePath, { autoClose: false });
+
+  for await (const entry of zipfile.eachEntry()) {
+    if (SUPPORTED_EXTENSIONS.includes(extension(entry.fileName))) {
+      const stream = await zipfile.openReadStreamPromise(entry);
+      stream.on('close', () => zipfile.close());
+      return { name: path.basename(entry.fileName), stream, size: entry.uncompressedSize };
+    }
+  }
+
+  zipfile.close();
+  throw new Error('Zip archive contains no CSV, Excel or statement file');
+};
+
+// Decompressed contents of an upload as a stream, with a progress reading
+// in bytes (of the file on disk, or of the zip entry)
+const openData = async (filePath, originalName) => {
+  if (extension(originalName) === '.zip') {
+    const { name, stream, size } = await openZipEntry(filePath);
+    let bytesRead = 0;
+    stream.on('data', (chunk) => { bytesRead += chunk.length; });
+    return { name, stream, progress: () => ({ bytes_read: bytesRead, bytes_total: size }) };
+  }
+
+  const { size } = await fs.promises.stat(filePath);
+  const raw = fs.createReadStream(filePath);
+  const progress = () => ({ bytes_read: raw.bytesRead, bytes_total: size });
+
+  if (extension(originalName) === '.gz') {
+    return { name: unwrappedName(originalName), stream: pipeline(raw, zlib.createGunzip(), () => {}), progress };
+  }
+  return { name: originalName, stream: raw, progress };
+};
+
+// Whole stream as a buffer (Excel workbooks and statements are not read incrementally)
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Headers as soon as the parser has read the first line ([] for an empty file)
+const waitForHeaders = (parser) => new Promise((resolve, reject) => {
+  parser.once('headers', resolve);
+  parser.once('finish', () => resolve([]));
+  parser.once('error', reject);
+});
+
+// Open an upload for reading: its headers and its rows as an async iterable.
+// CSV is parsed as it is read, so iterating applies backpressure all the way
+// to the file; Excel sheets are loaded whole (reading `limit` rows when given).
+// MT940 / camt.053 statements are parsed whole into one row per entry, and
+// also return their `statements` (account, balances).
+// Call close() when done, whether or not the rows were read to the end.
+const openRows = async (filePath, originalName, limit = Infinity) => {
+  const { name, stream, progress } = await openData(filePath, originalName);
+
+  if (isStatementFile(name)) {
+    const { headers, rows, statements } = await readStatement((await readAll(stream)).toString('utf8'), name);
+    return { headers, rows, statements, progress, close: () => {} };
+  }
+
+  if (!isCSV(name)) {
+    const workbook = XLSX.read(await readAll(stream), Number.isFinite(limit) ? { sheetRows: limit + 1 } : {});
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const [headers = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
+    return {
+      headers: headers.map(String),
+      rows: XLSX.utils.sheet_to_json(worksheet),
+      progress,
+      close: () => {}
+    };
+  }
+
+  const parser = pipeline(stream, csv(), () => {});
+  const headers = await waitForHeaders(parser);
+
+  return {
+    headers,
+    rows: parser,
+    progress,
+    close: () => parser.destroy()
+  };
+};
+
+// Headers, statements (MT940 / camt.053 only) and the first `limit` rows of
+// an uploaded file (all rows when no limit)
+const readFile = async (filePath, originalName, limit = Infinity) => {
+  const source = await openRows(filePath, originalName, limit);
+  const rows = [];
+
+  try {
+    for await (const row of source.rows) {
+      rows.push(row);
+      if (rows.length >= limit) break;
+    }
+  } finally {
+    source.close();
+  }
+
+  return { headers: source.headers, rows, statements: source.statements };
+};
+
+// Best saved profile for a file: an active profile of the file's type whose
+// columns are all in the headers, preferring the merchant's own, then the one
+// mapping the most columns
+const suggestProfile = async (headers, fileType, merchantId = null) => {
+  const profiles = await MappingProfile.find({ file_type: fileType, is_active: true });
+
+  const usable = profiles
+    .map(profile => ({ profile, mapping: toMapping(profile) }))
+    .filter(({ mapping }) => Object.keys(mapping.columns).length && !missingColumns(mapping, headers).length)
+    .map(({ profile, mapping }) => ({
+      profile,
+      score: (merchantId && profile.merchant_id === String(merchantId).toUpperCase() ? 1000 : 0) + Object.keys(mapping.columns).length
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  return usable[0]?.profile || null;
+};
+
+// Map and normalize rows without writing anything (upload preview)
+const previewRows = (rows, fileType, mapping, merchantId = null) => rows.map((row, i) => {
+  const { normalized, errors } = normalizeRow(row, fileType, mapping, merchantId);
+  return { row: i + 2, data: row, normalized, errors };
+});
+
+const sourceOf = (fileType) => (fileType === 'BANK' ? TRANSACTION_SOURCE.BANK : TRANSACTION_SOURCE.MERCHANT);
+
+// Merchant lookup remembering the merchants already found
+const merchantFinder = () => {
+  const merchants = new Map();
+  return async (merchantId) => {
+    if (!merchants.has(merchantId)) {
+      merchants.set(merchantId, await Merchant.findOne({ merchant_id: merchantId }).select('_id'));
+    }
+    return merchants.get(merchantId);
+  };
+};
+
+// Transaction for a file row that passed validation
+const rowTransaction = (fileRecord, normalized, merchant, rowNumber, userId) => ({
+  ...normalized,
+  merchant: merchant?._id,
+  uploaded_from_file: fileRecord._id,
+  file_row_number: rowNumber,
+  created_by: userId,
+  reconciliation_status: RECONCILIATION_STATUS.PENDING
+});
+
+// Mapping a file was imported with
+const fileMapping = (fileRecord) => toMapping({
+  columns: fileRecord.column_mapping,
+  defaults: fileRecord.column_defaults,
+  date_format: fileRecord.date_format,
+  timezone: fileRecord.timezone,
+  amount_format: fileRecord.amount_format
+});
+
+const DUPLICATE_KEY = 11000;
+
+// Row error ({ field, message }) for a transaction the database would not
+// store: one the schema rejects, or a duplicate transaction ID. Null for
+// other errors (not the row's fault).
+const rejection = (error) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    return { field: 'validation', message: Object.values(error.errors).map(e => e.message).join(', ') };
+  }
+  if (error.code === DUPLICATE_KEY) {
+    return { field: 'transaction_id', message: 'Duplicate transaction' };
+  }
+  return null;
+};
+
+// Results counter a stored error is counted in
+const errorCounter = (error) => (error.field === 'transaction_id' ? 'duplicate_rows' : 'failed_rows');
+
+// Insert a chunk's transactions, going on past the ones that fail. Returns
+// the rejection of each transaction, in order (null when it was inserted).
+const insertTransactions = async (transactions) => {
+  try {
+    await Transaction.insertMany(transactions, { ordered: false, throwOnValidationError: true });
+    return transactions.map(() => null);
+  } catch (error) {
+    // Per-document results (the document, or its validation or write error)
+    // come only with validation and write errors
+    if (error.name !== 'MongooseBulkWriteError' && !error.writeErrors) throw error;
+    return error.results.map((result) => {
+      const failure = result instanceof Error ? result : result?.err;
+      if (!failure) return null;
+      return rejection(failure) || { field: 'validation', message: failure.message || failure.errmsg };
+    });
+  }
+};
+
+// Map, validate and insert a file's rows as transactions, `chunkSize` rows at a
+// time. Rows that fail are stored as FileRowErrors with each chunk. The file
+// record's results are saved after every chunk (and reported to onProgress) so
+// progress can be followed while a large file is imported; its final status and
+// timings are set at the end (the caller saves them).
+// Rows are read only as fast as chunks are written.
+const importRows = async (fileRecord, rows, {
+  mapping,
+  merchantId = null,
+  userId,
+  chunkSize = config.upload.chunkSize,
+  progress = null,
+  onProgress = null
+}) => {
+  const fileType = fileRecord.file_type;
+  const source = sourceOf(fileType);
+  const results = fileRecord.results;
+  const findMerchant = merchantFinder();
+  let imported = 0;
+
+  fileRecord.column_mapping = mapping.columns;
+  fileRecord.column_defaults = mapping.defaults;
+  fileRecord.date_format = mapping.date_format;
+  fileRecord.timezone = mapping.timezone;
+  fileRecord.amount_format = mapping.amount_format;
+
+  const importChunk = async (chunk) => {
+    const normalizedRows = chunk.map(({ row }) => normalizeRow(row, fileType, mapping, merchantId));
+
+    // Earlier chunks are already inserted, so this also catches repeats within the file
+    const existingTxnIds = new Set();
+    const chunkTxnIds = normalizedRows.map(({ normalized }) => normalized.transaction_id).filter(Boolean);
+    const existing = await Transaction.find({
+      transaction_id: { $in: chunkTxnIds },
+      source
+    }).select('transaction_id');
+    existing.forEach(t => existingTxnIds.add(t.transaction_id));
+
+    const transactions = [];
+    const inserting = []; // Row of each transaction
+    const rowErrors = [];
+    const recordError = (error) => rowErrors.push({ file: fileRecord._id, ...error });
+
+    for (let i = 0; i < chunk.length; i++) {
+      const { row, rowNumber } = chunk[i];
+      const { normalized, errors } = normalizedRows[i];
+
+      if (errors.length > 0) {
+        recordError({ row: rowNumber, field: 'validation', message: errors.join(', '), data: row });
+        results.failed_rows++;
+        continue;
+      }
+
+      if (existingTxnIds.has(normalized.transaction_id)) {
+        recordError({ row: rowNumber, field: 'transaction_id', message: 'Duplicate transaction', data: row });
+        results.duplicate_rows++;
+        continue;
+      }
+
+      transactions.push(rowTransaction(fileRecord, normalized, await findMerchant(normalized.merchant_id), rowNumber, userId));
+      inserting.push({ row, rowNumber });
+
+      existingTxnIds.add(normalized.transaction_id);
+    }
+
+    // Bulk insert transactions; rows the schema or the database rejects fail
+    if (transactions.length > 0) {
+      const rejections = await insertTransactions(transactions);
+      rejections.forEach((rejected, i) => {
+        if (rejected) {
+          recordError({ row: inserting[i].rowNumber, ...rejected, data: inserting[i].row });
+          results[errorCounter(rejected)]++;
+        } else {
+          results.successful_rows++;
+          imported++;
+        }
+      });
+    }
+    if (rowErrors.length > 0) {
+      await FileRowError.insertMany(rowErrors);
+    }
+
+    results.total_rows += chunk.length;
+    results.processed_rows += chunk.length;
+    if (progress) Object.assign(fileRecord.processing, progress());
+    await fileRecord.save();
+    if (onProgress) onProgress(fileRecord);
+  };
+
+  let chunk = [];
+  let rowNumber = 1; // Row 1 is the header line
+
+  for await (const row of rows) {
+    chunk.push({ row, rowNumber: ++rowNumber });
+    if (chunk.length >= chunkSize) {
+      await importChunk(chunk);
+      chunk = [];
+    }
+  }
+  if (chunk.length > 0) {
+    await importChunk(chunk);
+  }
+
+  const errorCount = results.failed_rows + results.duplicate_rows;
+
+  // Update file record
+  fileRecord.status = errorCount > 0 ? 'PARTIAL' : 'COMPLETED';
+  fileRecord.processing.completed_at = new Date();
+  fileRecord.processing.duration_ms = Date.now() - fileRecord.processing.started_at.getTime();
+
+  return { total: results.total_rows, imported, errorCount };
+};
+
+// Import corrected versions of a file's failed rows, read with the mapping the
+// file was imported with. Each correction is { error_id, data } for one of the
+// file's FileRowErrors (data in the file's own columns). Rows that import are
+// deleted from the errors and counted as successful; the others keep their
+// error, updated with the corrected data (a row the schema rejects fails with
+// its reason). The file's status follows its remaining errors; the caller saves
+// the file, also when this throws, since earlier corrections are already written.
+// Returns one result per correction: { error_id, row, status, errors, transaction_id }.
+const resubmitRows = async (fileRecord, corrections, { userId }) => {
+  const mapping = fileMapping(fileRecord);
+  const source = sourceOf(fileRecord.file_type);
+  const findMerchant = merchantFinder();
+  const results = fileRecord.results;
+  const outcomes = [];
+
+  try {
+    for (const { error_id, data } of corrections) {
+      const error = mongoose.isValidObjectId(error_id)
+        ? await FileRowError.findOne({ _id: error_id, file: fileRecord._id })
+        : null;
+      if (!error) {
+        outcomes.push({ error_id, status: 'NOT_FOUND', errors: ['No failed row with this id'] });
+        continue;
+      }
+
+      const { normalized, errors: rowErrors } = normalizeRow(data, fileRecord.file_type, mapping, fileRecord.merchant_id);
+      const outcome = { error_id, row: error.row, transaction_id: normalized.transaction_id, errors: rowErrors };
+      const counted = errorCounter(error);
+
+      if (!rowErrors.length && await Transaction.exists({ transaction_id: normalized.transaction_id, source })) {
+        outcome.status = 'DUPLICATE';
+        outcome.errors = ['Duplicate transaction'];
+        Object.assign(error, { field: 'transaction_id', message: 'Duplicate transaction', data });
+      } else if (rowErrors.length) {
+        outcome.status = 'FAILED';
+        Object.assign(error, { field: 'validation', message: rowErrors.join(', '), data });
+      } else {
+        try {
+          await Transaction.create(rowTransaction(fileRecord, normalized, await findMerchant(normalized.merchant_id), error.row, userId));
+          outcome.status = 'IMPORTED';
+          results.successful_rows++;
+        } catch (createError) {
+          const rejected = rejection(createError);
+          if (!rejected) throw createError;
+          outcome.status = rejected.field === 'transaction_id' ? 'DUPLICATE' : 'FAILED';
+          outcome.errors = [rejected.message];
+          Object.assign(error, { ...rejected, data });
+        }
+      }
+
+      results[counted]--;
+      if (outcome.status === 'IMPORTED') {
+        await error.deleteOne();
+      } else {
+        results[errorCounter(error)]++;
+        await error.save();
+      }
+      outcomes.push(outcome);
+    }
+  } finally {
+    fileRecord.status = results.failed_rows + results.duplicate_rows > 0 ? 'PARTIAL' : 'COMPLETED';
+  }
+  return outcomes;
+};
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  isSupportedFile,
+  openRows,
+  readFile,
+  suggestProfile,
+  previewRows,
+  importRows,
+  resubmitRows
+};
@@ -0,0 +1,121 @@
+const { GatewayCredential } = require('../models');
+const { GATEWAY_CREDENTIAL_SOURCE } = require('../config/constants');
+const vault = require('./credentialVault');
+
+// Gateway accounts (GatewayCredential) and the credentials each gateway call
+// is made with. Without a stored account, a gateway falls back to the
+// credentials set in the environment.
+
+// Seal an account's credentials (all of them, as { [field name]: value }):
+// secret fields are encrypted under a new data key and masked for display,
+// the others kept as they are
+const setCredentials = (account, gateway, credentials) => {
+  const identifiers = {};
+  const secrets = {};
+  const masked = {};
+
+  for (const field of gateway.credentialFields || []) {
+    const value = credentials[field.name];
+    if (value == null || value === '') continue;
+
+    if (field.secret) {
+      secrets[field.name] = value;
+      masked[field.name] = vault.maskSecret(value);
+    } else {
+      identifiers[field.name] = value;
+    }
+  }
+
+  account.identifiers = identifiers;
+  account.masked = masked;
+  account.sealed = vault.seal(secrets);
+  return account;
+};
+
+// Every required credential field is set
+const isComplete = (gateway, credentials) => (gateway.credentialFields || [])
+  .every(field => !field.required || credentials[field.name]);
+
+// Decrypted credentials of an account loaded with +sealed
+const accountCredentials = (account) => ({ ...account.identifiers, ...vault.open(account.sealed) });
+
+// Account to use: the one asked for, else the merchant's own (default first),
+// else the platform default, else the most recently updated platform account
+const findAccount = async (gateway, { accountId, merchantId } = {}) => {
+  if (accountId) {
+    return GatewayCredential.findOne({ _id: accountId, gateway: gateway.code, is_active: true }).select('+sealed');
+  }
+
+  const owners = merchantId ? [merchantId.toUpperCase(), null] : [null];
+  const accounts = await GatewayCredential.find({ gateway: gateway.code, is_active: true, merchant_id: { $in: owners } })
+    .select('+sealed')
+    .sort('-updatedAt');
+
+  const rank = (account) => (account.merchant_id ? 0 : 2) + (account.is_default ? 0 : 1);
+  return accounts.sort((a, b) => rank(a) - rank(b))[0] || null;
+};
+
+// The environment's credentials, as resolved credentials (null when incomplete)
+const environmentCredentials = (gateway) => {
+  const credentials = gateway.environmentCredentials();
+  return isComplete(gateway, credentials) ? { credentials, account: null, source: GATEWAY_CREDENTIAL_SOURCE.ENVIRONMENT } : null;
+};
+
+// Credentials for a call to the gateway, with where they came from:
+// { credentials, account, source }, or null when it has none. A named account
+// has no fallback.
+const resolveCredentials = async (gateway, options = {}) => {
+  const account = await findAccount(gateway, options);
+  if (account) {
+    return { credentials: accountCredentials(account), account, source: GATEWAY_CREDENTIAL_SOURCE.STORE };
+  }
+  if (options.accountId) return null;
+
+  return environmentCredentials(gateway);
+};
+
+// Every set of credentials with a webhook secret, to find the one a webhook
+// was signed with (accounts first, then the environment). An account whose
+// credentials cannot be decrypted is skipped, so it cannot block the others.
+const webhookCredentials = async (gateway) => {
+  const accounts = await GatewayCredential.find({ gateway: gateway.code, is_active: true, 'masked.webhookSecret': { $exists: true } })
+    .select('+sealed');
+
+  const candidates = [];
+  for (const account of accounts) {
+    try {
+      candidates.push({ credentials: accountCredentials(account), account, source: GATEWAY_CREDENTIAL_SOURCE.STORE });
+    } catch (error) {
+      console.warn(`Skipping ${gateway.label} account ${account.label} (${account._id}) for webhooks: ${error.message}`);
+    }
+  }
+
+  const environment = gateway.environmentCredentials();
+  if (environment?.webhookSecret) {
+    candidates.push({ credentials: environment, account: null, source: GATEWAY_CREDENTIAL_SOURCE.ENVIRONMENT });
+  }
+  return candidates;
+};
+
+// Re-wrap the data keys of accounts still under an older master key, after
+// GATEWAY_MASTER_KEY was rotated; returns how many were re-wrapped
+const rewrapAccounts = async () => {
+  let rewrapped = 0;
+  for (const account of await GatewayCredential.find({}).select('+sealed')) {
+    if (!vault.needsRewrap(account.sealed)) continue;
+
+    account.sealed = vault.rewrap(account.sealed);
+    await account.save();
+    rewrapped++;
+  }
+  return rewrapped;
+};
+
+module.exports = {
+  setCredentials,
+  accountCredentials,
+  environmentCredentials,
+  resolveCredentials,
+  webhookCredentials,
+  rewrapAccounts
+};
@@ -0,0 +1,222 @@
+const { GatewaySettlement } = require('../models');
+const { GATEWAY_SYNC_STATUS, GATEWAY_SYNC_STAGE } = require('../config/constants');
+const { findPayment, upsertPayment, applyRefund, linkSettledPayment } = require('./gatewayTransactions');
+
+// Full gateway sync: payments, refunds and settlements created in the range,
+// then the recon items of each day's settlements, which link payments to the
+// settlement (and UTR) that paid them out. Every list is read page by page and
+// the cursor saved after each, so a sync that fails resumes from the page it
+// failed on; pages are applied idempotently, so re-reading one is harmless.
+
+const STAGES = Object.values(GATEWAY_SYNC_STAGE);
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Items that failed to apply are kept on the sync, up to this many
+const MAX_WARNINGS = 50;
+
+// Syncs running in this process (a RUNNING sync not in here was interrupted)
+const activeSyncs = new Set();
+
+const isSyncActive = (syncId) => activeSyncs.has(String(syncId));
+
+const startOfDay = (date) => new Date(Math.floor(new Date(date).getTime() / DAY) * DAY);
+
+// Apply one listed item, counting it under the key apply returns (nothing
+// counted for null); an item that fails is counted and noted, not fatal
+const applyItem = async (page, what, apply) => {
+  try {
+    const key = await apply();
+    if (key) page.counts[key] = (page.counts[key] || 0) + 1;
+  } catch (error) {
+    page.counts.errors = (page.counts.errors || 0) + 1;
+    page.warnings.push(`${what}: ${error.message}`);
+  }
+};
+
+const syncPayments = async (sync, gateway, credentials, page) => {
+  const { items } = await gateway.listPayments(credentials, page.query);
+  for (const payment of items) {
+    await applyItem(page, `Payment ${payment.id}`, async () => {
+      const { created } = await upsertPayment(gateway, payment, { created_by: sync.started_by });
+      return created ? 'payments_imported' : 'payments_updated';
+    });
+  }
+  return items.length;
+};
+
+const syncRefunds = async (sync, gateway, credentials, page) => {
+  const { items } = await gateway.listRefunds(credentials, page.query);
+  for (const refund of items) {
+    await applyItem(page, `Refund ${refund.id}`, async () => {
+      if (!await findPayment(gateway, refund.payment_id)) return 'missing_payments';
+      await applyRefund(gateway, refund);
+      return 'refunds';
+    });
+  }
+  return items.length;
+};
+
+const syncSettlements = async (sync, gateway, credentials, page) => {
+  const { items } = await gateway.listSettlements(credentials, page.query);
+  for (const settlement of items) {
+    await applyItem(page, `Settlement ${settlement.id}`, async () => {
+      await GatewaySettlement.updateOne(
+        { gateway: gateway.code, settlement_id: settlement.id },
+        {
+          $set: {
+            account: sync.account,
+            utr: settlement.utr,
+            amount: settlement.amount,
+            fees: settlement.fees,
+            tax: settlement.tax,
+            currency: settlement.currency,
+            status: settlement.status,
+            settled_at: settlement.settled_at,
+            synced_at: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      return 'settlements';
+    });
+  }
+  return items.length;
+};
+
+// Payments are linked to their settlement; refunds are recorded on their
+// payment with the settlement that deducted them, reversing its settled amount
+const syncSettlementItems = async (sync, gateway, credentials, page) => {
+  const { items } = await gateway.listSettlementItems(credentials, { ...page.query, day: sync.cursor.day });
+  for (const item of items) {
+    await applyItem(page, `Settlement ${item.settlement_id} ${item.type} ${item.id}`, async () => {
+      if (item.type === 'payment') {
+        return await linkSettledPayment(gateway, item) ? 'payments_linked' : 'missing_payments';
+      }
+      if (item.type === 'refund') {
+        if (!await findPayment(gateway, item.payment_id)) return 'missing_payments';
+        await applyRefund(gateway, {
+          id: item.id,
+          payment_id: item.payment_id,
+          amount: item.amount,
+          currency: item.currency,
+          settlement_id: item.settlement_id,
+          settlement_utr: item.utr
+        });
+        return 'refunds_linked';
+      }
+      return 'adjustments';
+    });
+  }
+  return items.length;
+};
+
+const STAGE_SYNCS = {
+  [GATEWAY_SYNC_STAGE.PAYMENTS]: syncPayments,
+  [GATEWAY_SYNC_STAGE.REFUNDS]: syncRefunds,
+  [GATEWAY_SYNC_STAGE.SETTLEMENTS]: syncSettlements,
+  [GATEWAY_SYNC_STAGE.SETTLEMENT_ITEMS]: syncSettlementItems
+};
+
+// Move the cursor past a page of `read` items: to the next page, else the
+// next day (settlement items), else the next stage. Returns false when done.
+const advanceCursor = (sync, read) => {
+  const { cursor } = sync;
+  if (read >= sync.page_size) {
+    cursor.skip += read;
+    return true;
+  }
+
+  cursor.skip = 0;
+  if (cursor.stage === GATEWAY_SYNC_STAGE.SETTLEMENT_ITEMS) {
+    const next = new Date(cursor.day.getTime() + DAY);
+    if (next <= sync.to) {
+      cursor.day = next;
+      return true;
+    }
+    return false;
+  }
+
+  const stage = STAGES[STAGES.indexOf(cursor.stage) + 1];
+  cursor.stage = stage;
+  if (stage === GATEWAY_SYNC_STAGE.SETTLEMENT_ITEMS) cursor.day = startOfDay(sync.from);
+  return true;
+};
+
+// Run a sync from its cursor to the end (or the first page that fails),
+// emitting gateway:sync progress after each page
+const runSync = async (sync, gateway, credentials, { emit = () => {} } = {}) => {
+  const progress = () => emit('gateway:sync', {
+    _id: sync._id,
+    gateway: gateway.name,
+    status: sync.status,
+    cursor: sync.cursor,
+    counts: sync.counts,
+    error: sync.error
+  });
+
+  sync.status = GATEWAY_SYNC_STATUS.RUNNING;
+  sync.error = undefined;
+  await sync.save();
+
+  try {
+    let more = true;
+    while (more) {
+      const page = {
+        query: { from: sync.from, to: sync.to, skip: sync.cursor.skip, count: sync.page_size },
+        counts: {},
+        warnings: []
+      };
+
+      let read;
+      try {
+        read = await STAGE_SYNCS[sync.cursor.stage](sync, gateway, credentials, page);
+      } catch (error) {
+        throw new Error(`Failed to read ${gateway.label} ${sync.cursor.stage.toLowerCase().replace(/_/g, ' ')}: ${error.message}`);
+      }
+
+      // Counted only once the page is done, so a page re-read on resume counts once
+      for (const [key, count] of Object.entries(page.counts)) {
+        sync.counts[key] += count;
+      }
+      sync.warnings.push(...page.warnings.slice(0, MAX_WARNINGS - sync.warnings.length));
+      sync.pages += 1;
+
+      more = advanceCursor(sync, read);
+      if (!more) {
+        sync.status = GATEWAY_SYNC_STATUS.COMPLETED;
+        sync.finished_at = new Date();
+      }
+      await sync.save();
+      progress();
+    }
+  } catch (error) {
+    console.error(`${gateway.label} sync ${sync._id} failed:`, error.message);
+    sync.status = GATEWAY_SYNC_STATUS.FAILED;
+    sync.error = error.message;
+    sync.finished_at = new Date();
+    await sync.save().catch(() => {});
+    progress();
+  }
+
+  return sync;
+};
+
+// Run a sync in the background (once at a time per sync); false when it is
+// already running in this process
+const startSync = (sync, gateway, credentials, options) => {
+  const id = String(sync._id);
+  if (activeSyncs.has(id)) return false;
+
+  activeSyncs.add(id);
+  runSync(sync, gateway, credentials, options)
+    .catch(error => console.error(`${gateway.label} sync ${id} failed:`, error))
+    .finally(() => activeSyncs.delete(id));
+  return true;
+};
+
+module.exports = {
+  isSyncActive,
+  runSync,
+  startSync
+};
@@ -0,0 +1,122 @@
+const { Transaction } = require('../models');
+const { TRANSACTION_SOURCE, TRANSACTION_STATUS } = require('../config/constants');
+
+// Gateway payments as transactions, shared by webhooks and gateway sync:
+// payments are upserted, refunds recorded on the payment they belong to and
+// settlements linked to the payments they paid out. These are the gateway's
+// records, not user changes, so they are saved without bumping updatedAt (which
+// reconciliation rollback reads as a manual touch after the run).
+
+// Refund statuses that did not (or will not) return money
+const UNREFUNDED = ['failed', 'canceled', 'cancelled'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const withoutUndefined = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// Gateway transaction of a gateway payment ID
+const findPayment = (gateway, paymentId) => Transaction.findOne({
+  source: TRANSACTION_SOURCE.GATEWAY,
+  $or: [
+    { transaction_id: paymentId },
+    { payment_gateway: gateway.code, gateway_transaction_id: paymentId }
+  ]
+});
+
+// Missing payments are an error, so the event can be replayed once the payment
+// has been synced
+const paymentFor = async (gateway, paymentId, what) => {
+  const transaction = await findPayment(gateway, paymentId);
+  if (!transaction) {
+    throw new Error(`Payment ${paymentId} of ${what} is not in transactions yet`);
+  }
+  return transaction;
+};
+
+// What the settlement paid for the payment, less the refunds reversed against
+// it (kept only when it settled in the payment's currency)
+const updateSettledAmount = (transaction) => {
+  const { net, currency } = transaction.metadata?.settlement || {};
+  if (transaction.gateway_settlement_id == null || net == null || currency !== transaction.currency) return;
+  transaction.settled_amount = round2(Math.max(net - (transaction.metadata.amount_refunded || 0), 0));
+};
+
+// Create or update the transaction of a payment. Fields the payment leaves out
+// (e.g. fees a webhook does not carry) keep what was stored, and a settled
+// outcome is not undone by an older event arriving late. `fields` are set on
+// new transactions only (e.g. created_by).
+const upsertPayment = async (gateway, payment, fields = {}) => {
+  const { transaction_id, metadata, ...mapped } = gateway.toTransaction(payment);
+
+  const transaction = await findPayment(gateway, transaction_id);
+  if (!transaction) {
+    return { transaction: await Transaction.create({ ...fields, transaction_id, metadata, ...mapped }), created: true };
+  }
+
+  if (mapped.status === TRANSACTION_STATUS.PENDING && transaction.status !== TRANSACTION_STATUS.PENDING) {
+    delete mapped.status;
+  }
+  Object.assign(transaction, withoutUndefined(mapped));
+  transaction.metadata = { ...transaction.metadata, ...withoutUndefined(metadata || {}) };
+  await transaction.save({ timestamps: false });
+  return { transaction, created: false };
+};
+
+// Record a refund (by its ID, merged with what is known of it) on its payment,
+// with the total refunded; the refund reverses the payment's settled amount
+const applyRefund = async (gateway, refund) => {
+  const transaction = await paymentFor(gateway, refund.payment_id, `refund ${refund.id}`);
+
+  const existing = (transaction.metadata?.refunds || []).find(entry => entry.id === refund.id);
+  const refunds = (transaction.metadata?.refunds || []).filter(entry => entry.id !== refund.id);
+  refunds.push({ ...existing, ...withoutUndefined(refund) });
+  const refunded = refunds
+    .filter(entry => !UNREFUNDED.includes(entry.status))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  transaction.metadata = { ...transaction.metadata, refunds, amount_refunded: round2(refunded) };
+  updateSettledAmount(transaction);
+  await transaction.save({ timestamps: false });
+  return transaction;
+};
+
+// Link a payment to the settlement that paid it out, with the fees deducted
+// and the net credited (a settlement recon item, see listSettlementItems);
+// returns null when the payment is not in transactions
+const linkSettledPayment = async (gateway, item) => {
+  const transaction = await findPayment(gateway, item.payment_id);
+  if (!transaction) return null;
+
+  transaction.gateway_settlement_id = item.settlement_id;
+  transaction.settlement_time = item.settled_at;
+  if (item.utr) transaction.utr_number = item.utr;
+  if (item.fee != null) {
+    transaction.gateway_fee = round2(item.fee - (item.tax || 0));
+    transaction.gateway_tax = item.tax || 0;
+    transaction.gateway_fee_currency = item.currency;
+  }
+  transaction.metadata = {
+    ...transaction.metadata,
+    settlement: {
+      id: item.settlement_id,
+      utr: item.utr,
+      amount: item.amount,
+      fee: item.fee,
+      tax: item.tax,
+      net: item.credit,
+      currency: item.currency,
+      settled_at: item.settled_at
+    }
+  };
+  updateSettledAmount(transaction);
+  await transaction.save({ timestamps: false });
+  return transaction;
+};
+
+module.exports = {
+  findPayment,
+  paymentFor,
+  upsertPayment,
+  applyRefund,
+  linkSettledPayment
+};
@@ -0,0 +1,85 @@
+const path = require('path');
+const config = require('../../config');
+const { PAYMENT_GATEWAY } = require('../../config/constants');
+
+// Payment gateway adapters. An adapter is a plain object:
+//
+//   name      route segment, e.g. 'razorpay' (/api/gateways/razorpay/...)
+//   code      payment_gateway of its transactions, e.g. 'RAZORPAY'
+//   label     display name
+//   credentialFields  [{ name, label, required, secret }] making up its credentials
+//
+// Adapters keep no credentials: each call is given the credentials of the
+// account it is for (see services/gatewayCredentials), as { [field name]: value }.
+//
+//   environmentCredentials()       credentials set in the environment (unset fields empty)
+//   describe(credentials)          { mode, keyPrefix } (no secrets)
+//   testConnection(credentials)    details of a working connection; throws if it fails
+//   listPayments(credentials, { count })     { items, count } as the gateway returns them
+//   listRefunds(credentials, { count })      { items: [{ id, payment_id, amount, currency, status, created_at }], count }
+//   listSettlements(credentials, { count })  { items: [{ id, amount, fees, tax, currency, status, utr, settled_at }], count }
+//                                  (the list calls page with { skip, from, to } where
+//                                  the gateway supports it)
+//   toTransaction(payment)         Transaction fields for a listed payment
+//   verifyWebhook(rawBody, headers, credentials) whether a webhook request is signed
+//                                  with the credentials' webhook secret
+//   stats(credentials)             gateway-side totals of recent payments
+//
+// Optional:
+//   paymentsToSync(credentials, { count })  { items, settlements, skipped, total } to
+//                                  import, when sync reads more than listPayments
+//                                  (settlements as listed)
+//   settlementPaymentIds(credentials, settlement) gateway payment IDs paid out in a settlement
+//   listSettlementItems(credentials, { day, count, skip })  { items: [{ id, type, payment_id,
+//                                  settlement_id, utr, amount, fee, tax, credit, debit,
+//                                  currency, settled_at }], count }: recon items of the
+//                                  settlements made on a day (type payment, refund or
+//                                  adjustment); needed for a full sync
+//   parseWebhook(payload, headers) { id, type, payment, refund, dispute } of a verified
+//                                  webhook event (payment as toTransaction takes it,
+//                                  refund as listed, dispute as { id, payment_id, amount,
+//                                  currency, status, reason, resolved }); needed to
+//                                  receive webhooks
+
+const ADAPTER_METHODS = [
+  'environmentCredentials', 'describe', 'testConnection', 'listPayments', 'listRefunds',
+  'listSettlements', 'toTransaction', 'verifyWebhook', 'stats'
+];
+
+const adapters = new Map();
+
+// Add an adapter (replacing one with the same name); its code becomes a valid
+// payment_gateway
+const registerGateway = (adapter) => {
+  const missing = ADAPTER_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+  if (!adapter?.name || !adapter.code || missing.length) {
+    throw new Error(`Invalid gateway adapter ${adapter?.name || '(unnamed)'}: needs name, code and ${missing.join(', ') || 'label'}`);
+  }
+
+  adapters.set(adapter.name.toLowerCase(), adapter);
+  PAYMENT_GATEWAY[adapter.code] = adapter.code;
+  return adapter;
+};
+
+// Adapter by route name (any case), or null
+const getGateway = (name) => adapters.get(String(name).toLowerCase()) || null;
+
+// Adapter whose transactions have this payment_gateway, or null
+const getGatewayByCode = (code) => [...adapters.values()].find(adapter => adapter.code === code) || null;
+
+const listGateways = () => [...adapters.values()];
+
+registerGateway(require('./razorpay'));
+registerGateway(require('./stripe'));
+
+for (const modulePath of config.gateways.adapters) {
+  registerGateway(require(path.resolve(modulePath)));
+}
+
+module.exports = {
+  ADAPTER_METHODS,
+  registerGateway,
+  getGateway,
+  getGatewayByCode,
+  listGateways
+};
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const config = require('../../config');
+const { TRANSACTION_SOURCE, PAYMENT_GATEWAY } = require('../../config/constants');
+
+// Razorpay amounts are in paise
+const fromPaise = (amount) => (amount == null ? undefined : amount / 100);
+
+const client = ({ keyId, keySecret }) => new Razorpay({
+  key_id: keyId,
+  key_secret: keySecret
+});
+
+const mode = (keyId) => (keyId?.startsWith('rzp_test_') ? 'test' : 'live');
+
+const maskKeyId = (keyId) => (keyId ? keyId.substring(0, 15) + '...' : null);
+
+// Credentials set in the environment (RAZORPAY_*)
+const environmentCredentials = () => ({
+  keyId: config.razorpay.keyId,
+  keySecret: config.razorpay.keySecret,
+  webhookSecret: config.razorpay.webhookSecret
+});
+
+const describe = ({ keyId }) => ({
+  mode: mode(keyId),
+  keyPrefix: maskKeyId(keyId)
+});
+
+const testConnection = async (credentials) => {
+  // Try to fetch payments to verify connection
+  const payments = await client(credentials).payments.all({ count: 1 });
+  return {
+    ...describe(credentials),
+    paymentCount: payments.count || 0
+  };
+};
+
+const toUnixTime = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : undefined);
+
+// Query of a list call: a page (count items after skip) of what was created
+// between from and to
+const listQuery = ({ count = 10, skip, from, to }) => {
+  const query = { count, skip, from: toUnixTime(from), to: toUnixTime(to) };
+  return Object.fromEntries(Object.entries(query).filter(([, value]) => value !== undefined));
+};
+
+const listPayments = async (credentials, options = {}) => {
+  const payments = await client(credentials).payments.all(listQuery(options));
+  return { items: payments.items || [], count: payments.count || 0 };
+};
+
+const toRefund = (refund) => ({
+  id: refund.id,
+  payment_id: refund.payment_id,
+  amount: fromPaise(refund.amount),
+  currency: refund.currency?.toUpperCase() || 'INR',
+  status: refund.status,
+  created_at: new Date(refund.created_at * 1000)
+});
+
+const toDispute = (dispute) => ({
+  id: dispute.id,
+  payment_id: dispute.payment_id,
+  amount: fromPaise(dispute.amount),
+  currency: dispute.currency?.toUpperCase() || 'INR',
+  status: dispute.status,
+  reason: dispute.reason_description || dispute.reason_code,
+  resolved: ['won', 'lost', 'closed'].includes(dispute.status)
+});
+
+const listRefunds = async (credentials, options = {}) => {
+  const refunds = await client(credentials).refunds.all(listQuery(options));
+  return { items: (refunds.items || []).map(toRefund), count: refunds.count || 0 };
+};
+
+const toSettlement = (settlement) => ({
+  id: settlement.id,
+  amount: fromPaise(settlement.amount),
+  fees: fromPaise(settlement.fees),
+  tax: fromPaise(settlement.tax),
+  currency: 'INR',
+  status: settlement.status,
+  utr: settlement.utr,
+  settled_at: new Date(settlement.created_at * 1000)
+});
+
+const listSettlements = async (credentials, options = {}) => {
+  const settlements = await client(credentials).settlements.all(listQuery(options));
+  return { items: (settlements.items || []).map(toSettlement), count: settlements.count || 0 };
+};
+
+// A settlement recon item: what a settlement paid out for a payment (credit) or
+// took back for a refund or adjustment (debit). The fee includes its tax.
+const toSettlementItem = (item) => ({
+  id: item.entity_id,
+  type: item.type,
+  payment_id: item.type === 'payment' ? item.entity_id : item.payment_id,
+  settlement_id: item.settlement_id,
+  utr: item.settlement_utr,
+  amount: fromPaise(item.amount),
+  fee: fromPaise(item.fee),
+  tax: fromPaise(item.tax),
+  credit: fromPaise(item.credit),
+  debit: fromPaise(item.debit),
+  currency: item.currency?.toUpperCase() || 'INR',
+  settled_at: item.settled_at ? new Date(item.settled_at * 1000) : undefined
+});
+
+// Recon items of the settlements made on a day (in IST, as Razorpay reports them)
+const listSettlementItems = async (credentials, { day, count = 100, skip = 0 }) => {
+  const date = new Date(day);
+  const items = await client(credentials).settlements.reports({
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    count,
+    skip
+  });
+  return { items: (items.items || []).map(toSettlementItem), count: items.count || 0 };
+};
+
+const toTransaction = (payment) => ({
+  transaction_id: payment.id,
+  merchant_id: payment.notes?.merchant_id || 'RAZORPAY',
+  amount: fromPaise(payment.amount),
+  currency: payment.currency?.toUpperCase() || 'INR',
+  payment_gateway: PAYMENT_GATEWAY.RAZORPAY,
+  status: payment.status === 'captured' ? 'SUCCESS' :
+          payment.status === 'failed' ? 'FAILED' : 'PENDING',
+  source: TRANSACTION_SOURCE.GATEWAY,
+  gateway_transaction_id: payment.id,
+  // Razorpay's fee includes the GST on it; keep them apart
+  gateway_fee: payment.fee != null ? (payment.fee - (payment.tax || 0)) / 100 : undefined,
+  gateway_tax: payment.tax != null ? payment.tax / 100 : undefined,
+  gateway_fee_currency: payment.fee != null ? payment.currency?.toUpperCase() || 'INR' : undefined,
+  reference_id: payment.order_id || payment.id,
+  transaction_date: new Date(payment.created_at * 1000),
+  customer_email: payment.email || payment.notes?.email,
+  customer_name: payment.notes?.name,
+  description: payment.description || `Razorpay payment via ${payment.method}`,
+  metadata: {
+    razorpay_payment_id: payment.id,
+    razorpay_order_id: payment.order_id,
+    method: payment.method,
+    bank: payment.bank,
+    wallet: payment.wallet,
+    vpa: payment.vpa,
+    card_id: payment.card_id,
+    international: payment.international,
+    fee: payment.fee,
+    tax: payment.tax
+  }
+});
+
+// Razorpay signs the raw body with the webhook secret (HMAC-SHA256, hex)
+const verifyWebhook = (rawBody, headers = {}, { webhookSecret } = {}) => {
+  const signature = headers['x-razorpay-signature'];
+  if (!webhookSecret || !signature) return false;
+
+  const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+  const given = Buffer.from(String(signature));
+  return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+};
+
+// Razorpay sends the event ID as a header; the payload holds the entities the
+// event is about (refund and dispute events also hold their payment)
+const parseWebhook = (payload, headers = {}) => {
+  const entities = payload.payload || {};
+  return {
+    id: headers['x-razorpay-event-id'],
+    type: payload.event,
+    payment: entities.payment?.entity,
+    refund: entities.refund?.entity && toRefund(entities.refund.entity),
+    dispute: entities.dispute?.entity && toDispute(entities.dispute.entity)
+  };
+};
+
+const stats = async (credentials) => {
+  // Fetch recent payments to calculate stats
+  const payments = await client(credentials).payments.all({ count: 100 });
+
+  let totalReceived = 0;
+  let totalCaptured = 0;
+  let totalFailed = 0;
+  let totalPending = 0;
+
+  for (const payment of payments.items || []) {
+    const amount = fromPaise(payment.amount);
+
+    if (payment.status === 'captured') {
+      totalCaptured += amount;
+      totalReceived += amount;
+    } else if (payment.status === 'failed') {
+      totalFailed += amount;
+    } else {
+      totalPending += amount;
+    }
+  }
+
+  return {
+    currency: 'INR',
+    totalReceived,
+    totalCaptured,
+    totalFailed,
+    totalPending,
+    paymentCount: payments.count || 0
+  };
+};
+
+module.exports = {
+  name: 'razorpay',
+  code: PAYMENT_GATEWAY.RAZORPAY,
+  label: 'Razorpay',
+  credentialFields: [
+    { name: 'keyId', label: 'Key ID', required: true },
+    { name: 'keySecret', label: 'Key Secret', required: true, secret: true },
+    { name: 'webhookSecret', label: 'Webhook Secret', secret: true }
+  ],
+  environmentCredentials,
+  describe,
+  testConnection,
+  listPayments,
+  listRefunds,
+  listSettlements,
+  listSettlementItems,
+  toTransaction,
+  verifyWebhook,
+  stats,
+  parseWebhook
+};
@@ -0,0 +1,289 @@
+const Stripe = require('stripe');
+const config = require('../../config');
+const { TRANSACTION_SOURCE, PAYMENT_GATEWAY } = require('../../config/constants');
+
+// Currencies Stripe amounts are not in hundredths of
+const STRIPE_ZERO_DECIMAL = ['BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'];
+const STRIPE_THREE_DECIMAL = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+// Stripe client, pointed at STRIPE_API_HOST when set (e.g. the local mock)
+const client = ({ secretKey }) => {
+  const options = {};
+  if (config.stripe.apiHost) {
+    const url = new URL(config.stripe.apiHost);
+    options.protocol = url.protocol.replace(':', '');
+    options.host = url.hostname;
+    options.port = url.port || (options.protocol === 'http' ? 80 : 443);
+  }
+  return new Stripe(secretKey, options);
+};
+
+const mode = (secretKey) => (secretKey?.startsWith('sk_test_') || secretKey?.startsWith('rk_test_') ? 'test' : 'live');
+
+// Secret keys are never shown whole
+const maskKey = (secretKey) => (secretKey ? `${secretKey.substring(0, 8)}...${secretKey.slice(-4)}` : null);
+
+// Stripe amount (smallest currency unit) in the currency's major unit
+const fromStripeAmount = (amount, currency) => {
+  const code = String(currency).toUpperCase();
+  if (STRIPE_ZERO_DECIMAL.includes(code)) return amount;
+  if (STRIPE_THREE_DECIMAL.includes(code)) return amount / 1000;
+  return amount / 100;
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sourceId = (source) => (typeof source === 'string' ? source : source?.id);
+
+// Credentials set in the environment (STRIPE_*)
+const environmentCredentials = () => ({
+  secretKey: config.stripe.secretKey,
+  webhookSecret: config.stripe.webhookSecret
+});
+
+const describe = ({ secretKey }) => ({
+  mode: mode(secretKey),
+  keyPrefix: maskKey(secretKey)
+});
+
+const testConnection = async (credentials) => {
+  // Fetch the balance to verify the key
+  const balance = await client(credentials).balance.retrieve();
+  return {
+    ...describe(credentials),
+    available: balance.available.map(({ amount, currency }) => ({
+      amount: fromStripeAmount(amount, currency),
+      currency: currency.toUpperCase()
+    }))
+  };
+};
+
+const listPayments = async (credentials, { count = 10 } = {}) => {
+  const charges = await client(credentials).charges.list({ limit: Math.min(count, 100) });
+  return { items: charges.data, count: charges.data.length, has_more: charges.has_more };
+};
+
+const toRefund = (refund) => ({
+  id: refund.id,
+  payment_id: sourceId(refund.charge),
+  amount: fromStripeAmount(refund.amount, refund.currency),
+  currency: refund.currency.toUpperCase(),
+  status: refund.status,
+  created_at: new Date(refund.created * 1000)
+});
+
+const toDispute = (dispute) => ({
+  id: dispute.id,
+  payment_id: sourceId(dispute.charge),
+  amount: fromStripeAmount(dispute.amount, dispute.currency),
+  currency: dispute.currency.toUpperCase(),
+  status: dispute.status,
+  reason: dispute.reason,
+  resolved: ['won', 'lost'].includes(dispute.status)
+});
+
+const listRefunds = async (credentials, { count = 10 } = {}) => {
+  const refunds = await client(credentials).refunds.list({ limit: Math.min(count, 100) });
+  return { items: refunds.data.map(toRefund), count: refunds.data.length, has_more: refunds.has_more };
+};
+
+const toSettlement = (payout) => ({
+  id: payout.id,
+  amount: fromStripeAmount(payout.amount, payout.currency),
+  fees: 0,
+  tax: 0,
+  currency: payout.currency.toUpperCase(),
+  status: payout.status,
+  utr: payout.trace_id?.value || null,
+  settled_at: new Date(payout.arrival_date * 1000),
+  automatic: payout.automatic
+});
+
+const listSettlements = async (credentials, { count = 10 } = {}) => {
+  const payouts = await client(credentials).payouts.list({ limit: Math.min(count, 100) });
+  return { items: payouts.data.map(toSettlement), count: payouts.data.length, has_more: payouts.has_more };
+};
+
+// Transaction for a Stripe charge and (as its expanded balance_transaction)
+// what it settled as. Amounts are in the charge's currency; the fee is
+// converted back from the settlement currency when the charge was converted,
+// and the settled figures are kept in metadata.
+const toTransaction = (charge) => {
+  const currency = charge.currency.toUpperCase();
+  const balanceTxn = typeof charge.balance_transaction === 'object' ? charge.balance_transaction : null;
+
+  const transaction = {
+    transaction_id: charge.id,
+    merchant_id: charge.metadata?.merchant_id || 'STRIPE',
+    amount: fromStripeAmount(charge.amount, currency),
+    currency,
+    payment_gateway: PAYMENT_GATEWAY.STRIPE,
+    status: charge.status === 'succeeded' ? 'SUCCESS' :
+            charge.status === 'failed' ? 'FAILED' : 'PENDING',
+    source: TRANSACTION_SOURCE.GATEWAY,
+    gateway_transaction_id: charge.id,
+    reference_id: charge.payment_intent || charge.id,
+    transaction_date: new Date(charge.created * 1000),
+    customer_email: charge.billing_details?.email || charge.receipt_email,
+    customer_name: charge.billing_details?.name,
+    description: charge.description || `Stripe payment via ${charge.payment_method_details?.type || 'card'}`,
+    metadata: {
+      stripe_charge_id: charge.id,
+      stripe_payment_intent: charge.payment_intent,
+      method: charge.payment_method_details?.type,
+      amount_refunded: fromStripeAmount(charge.amount_refunded || 0, currency),
+      order_id: charge.metadata?.order_id
+    }
+  };
+  if (!balanceTxn) return transaction;
+
+  const settlementCurrency = balanceTxn.currency.toUpperCase();
+  const rate = settlementCurrency !== currency && balanceTxn.exchange_rate ? balanceTxn.exchange_rate : 1;
+  const sumFees = (details) => details.reduce((sum, detail) => sum + detail.amount, 0);
+  const tax = sumFees((balanceTxn.fee_details || []).filter(detail => detail.type === 'tax'));
+  const inChargeCurrency = (amount) => round2(fromStripeAmount(amount, settlementCurrency) / rate);
+
+  return {
+    ...transaction,
+    // Stripe's fee details list the tax on the fee separately
+    gateway_fee: inChargeCurrency(balanceTxn.fee - tax),
+    gateway_tax: inChargeCurrency(tax),
+    gateway_fee_currency: currency,
+    metadata: {
+      ...transaction.metadata,
+      stripe_balance_transaction: balanceTxn.id,
+      settlement: {
+        amount: fromStripeAmount(balanceTxn.amount, settlementCurrency),
+        fee: fromStripeAmount(balanceTxn.fee, settlementCurrency),
+        net: fromStripeAmount(balanceTxn.net, settlementCurrency),
+        currency: settlementCurrency,
+        exchange_rate: balanceTxn.exchange_rate,
+        available_on: new Date(balanceTxn.available_on * 1000)
+      }
+    }
+  };
+};
+
+// Sync reads balance transactions rather than charges, so each charge comes
+// with its fees and conversion, and the automatic payouts they settled in
+const paymentsToSync = async (credentials, { count = 50 } = {}) => {
+  const items = [];
+  const settlements = [];
+  let total = 0;
+  let skipped = 0;
+
+  const balanceTxns = client(credentials).balanceTransactions.list({ limit: Math.min(count, 100), expand: ['data.source'] });
+  for await (const balanceTxn of balanceTxns) {
+    if (total >= count) break;
+    total++;
+
+    if (balanceTxn.type === 'payout') {
+      if (balanceTxn.source?.automatic) settlements.push(toSettlement(balanceTxn.source));
+      continue;
+    }
+    // Refunds, adjustments and Stripe's own fees are not payments
+    if (!['charge', 'payment'].includes(balanceTxn.type) || balanceTxn.source?.object !== 'charge') {
+      skipped++;
+      continue;
+    }
+    const { source: charge, ...settled } = balanceTxn;
+    items.push({ ...charge, balance_transaction: settled });
+  }
+
+  return { items, settlements, skipped, total };
+};
+
+// Charges paid out in a payout
+const settlementPaymentIds = async (credentials, settlement) => {
+  const chargeIds = [];
+  for await (const balanceTxn of client(credentials).balanceTransactions.list({ payout: settlement.id, type: 'charge', limit: 100 })) {
+    chargeIds.push(sourceId(balanceTxn.source));
+  }
+  return chargeIds;
+};
+
+const verifyWebhook = (rawBody, headers = {}, { webhookSecret } = {}) => {
+  const signature = headers['stripe-signature'];
+  if (!webhookSecret || !signature) return false;
+
+  try {
+    Stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Event about a charge (charge.*), refund (charge.refund.*, refund.*) or
+// dispute (charge.dispute.*)
+const parseWebhook = (payload) => {
+  const object = payload.data?.object || {};
+  return {
+    id: payload.id,
+    type: payload.type,
+    payment: object.object === 'charge' ? object : undefined,
+    refund: object.object === 'refund' ? toRefund(object) : undefined,
+    dispute: object.object === 'dispute' ? toDispute(object) : undefined
+  };
+};
+
+const stats = async (credentials) => {
+  // Fetch recent charges with what they settled as, to total them in one currency
+  const charges = await client(credentials).charges.list({ limit: 100, expand: ['data.balance_transaction'] });
+
+  let currency = null;
+  let totalCaptured = 0;
+  let totalFees = 0;
+  let totalRefunded = 0;
+  let failedCount = 0;
+  let pendingCount = 0;
+
+  for (const charge of charges.data) {
+    const balanceTxn = charge.balance_transaction;
+
+    if (charge.status === 'succeeded' && balanceTxn && typeof balanceTxn === 'object') {
+      const rate = balanceTxn.exchange_rate || 1;
+      currency = balanceTxn.currency.toUpperCase();
+      totalCaptured += fromStripeAmount(balanceTxn.amount, currency);
+      totalFees += fromStripeAmount(balanceTxn.fee, currency);
+      totalRefunded += fromStripeAmount(charge.amount_refunded * rate, currency);
+    } else if (charge.status === 'failed') {
+      failedCount++;
+    } else if (charge.status === 'pending') {
+      pendingCount++;
+    }
+  }
+
+  return {
+    currency,
+    totalReceived: round2(totalCaptured),
+    totalCaptured: round2(totalCaptured),
+    totalFees: round2(totalFees),
+    totalRefunded: round2(totalRefunded),
+    failedCount,
+    pendingCount,
+    paymentCount: charges.data.length
+  };
+};
+
+module.exports = {
+  name: 'stripe',
+  code: PAYMENT_GATEWAY.STRIPE,
+  label: 'Stripe',
+  credentialFields: [
+    { name: 'secretKey', label: 'Secret Key', required: true, secret: true },
+    { name: 'webhookSecret', label: 'Webhook Secret', secret: true }
+  ],
+  environmentCredentials,
+  describe,
+  testConnection,
+  listPayments,
+  listRefunds,
+  listSettlements,
+  toTransaction,
+  verifyWebhook,
+  stats,
+  parseWebhook,
+  paymentsToSync,
+  settlementPaymentIds
+};
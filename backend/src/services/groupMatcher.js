@@ -0,0 +1,114 @@
+const { MATCH_GROUP_TYPE } = require('../config/constants');
+
+// Work in paise so sums compare exactly
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Calendar day (UTC) a transaction settles on
+const settlementDay = (txn) => {
+  const date = new Date(txn.bank_settlement_date || txn.settlement_time || txn.transaction_date);
+  return date.toISOString().slice(0, 10);
+};
+
+const hoursBetween = (a, b) => Math.abs(new Date(a.transaction_date) - new Date(b.transaction_date)) / (1000 * 60 * 60);
+
+// Group rows by merchant and settlement day
+const bucketize = (transactions) => {
+  const buckets = new Map();
+  for (const txn of transactions) {
+    const key = `${txn.merchant_id}|${settlementDay(txn)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(txn);
+  }
+  return buckets;
+};
+
+// Find at least two candidates whose amounts sum to target within tolerance.
+// Depth-first over candidates sorted by amount (largest first), pruned on the
+// remaining sum and capped by maxSize / maxSteps so large buckets stay bounded.
+const findSubset = (target, candidates, { tolerance, maxSize, maxSteps }) => {
+  const sorted = [...candidates].sort((a, b) => b.amount - a.amount);
+  const amounts = sorted.map(c => toPaise(c.amount));
+  const low = toPaise(target) - toPaise(tolerance);
+  const high = toPaise(target) + toPaise(tolerance);
+
+  // suffix[i] = sum of amounts[i..]
+  const suffix = new Array(amounts.length + 1).fill(0);
+  for (let i = amounts.length - 1; i >= 0; i--) suffix[i] = suffix[i + 1] + amounts[i];
+
+  const chosen = [];
+  let steps = 0;
+
+  const search = (start, sum) => {
+    if (chosen.length >= 2 && sum >= low && sum <= high) return true;
+    if (chosen.length >= maxSize || start >= amounts.length) return false;
+    if (sum + suffix[start] < low) return false;
+
+    for (let i = start; i < amounts.length; i++) {
+      if (++steps > maxSteps) return false;
+      if (sum + amounts[i] > high) continue;
+
+      chosen.push(i);
+      if (search(i + 1, sum + amounts[i])) return true;
+      chosen.pop();
+    }
+    return false;
+  };
+
+  return search(0, 0) ? chosen.map(i => sorted[i]) : null;
+};
+
+// Find 1:N groups (one bank credit settling many merchant orders) and
+// N:1 groups (one merchant order paid by several partial bank credits).
+// Rows are only grouped within the same merchant and settlement day, and
+// every member must fall inside the date window of the single-side row.
+const findGroupMatches = (bankTransactions, merchantTransactions, options) => {
+  const { dateWindowHours, amountTolerance = 0, maxGroupSize, maxSearchSteps } = options;
+  const searchOptions = { tolerance: amountTolerance, maxSize: maxGroupSize, maxSteps: maxSearchSteps };
+
+  const groups = [];
+  const used = new Set();
+  const unused = (txn) => !used.has(txn._id.toString());
+  const take = (txns) => txns.forEach(txn => used.add(txn._id.toString()));
+
+  const bankBuckets = bucketize(bankTransactions);
+  const merchantBuckets = bucketize(merchantTransactions);
+
+  for (const [bucketKey, bankRows] of bankBuckets) {
+    const merchantRows = merchantBuckets.get(bucketKey);
+    if (!merchantRows) continue;
+
+    // One bank credit -> many merchant orders
+    for (const bankTxn of [...bankRows].sort((a, b) => b.amount - a.amount)) {
+      const candidates = merchantRows.filter(mTxn => unused(mTxn) && hoursBetween(bankTxn, mTxn) <= dateWindowHours);
+      if (candidates.length < 2) continue;
+
+      const members = findSubset(bankTxn.amount, candidates, searchOptions);
+      if (members) {
+        take([bankTxn, ...members]);
+        groups.push({ type: MATCH_GROUP_TYPE.ONE_TO_MANY, bank: [bankTxn], merchant: members });
+      }
+    }
+
+    // Many partial bank credits -> one merchant order
+    for (const mTxn of [...merchantRows].sort((a, b) => b.amount - a.amount)) {
+      if (!unused(mTxn)) continue;
+
+      const candidates = bankRows.filter(bankTxn => unused(bankTxn) && hoursBetween(bankTxn, mTxn) <= dateWindowHours);
+      if (candidates.length < 2) continue;
+
+      const members = findSubset(mTxn.amount, candidates, searchOptions);
+      if (members) {
+        take([mTxn, ...members]);
+        groups.push({ type: MATCH_GROUP_TYPE.MANY_TO_ONE, bank: members, merchant: [mTxn] });
+      }
+    }
+  }
+
+  return groups;
+};
+
+module.exports = {
+  findGroupMatches,
+  findSubset,
+  settlementDay
+};
@@ -0,0 +1,151 @@
+const { MatchRule } = require('../models');
+const { RECONCILIATION_LEG } = require('../config/constants');
+
+// Built-in rule used when no configured rule applies.
+// Mirrors the original transaction_id + merchant_id (+ amount) matching.
+const DEFAULT_MATCH_RULE = {
+  _id: null,
+  name: 'Built-in default',
+  version: 1,
+  scope: {},
+  passes: [{
+    name: 'transaction_id',
+    keys: [
+      { bank_field: 'transaction_id', merchant_field: 'transaction_id' },
+      { bank_field: 'merchant_id', merchant_field: 'merchant_id' }
+    ],
+    normalization: { trim: true, case: 'UPPER', strip_prefixes: [] }
+  }]
+};
+
+// Built-in rules for the legs of a three-way run, used when no leg rule applies.
+// bank_field reads the settling side of the leg (see MatchRule scope.leg).
+const DEFAULT_LEG_RULES = {
+  [RECONCILIATION_LEG.MERCHANT_GATEWAY]: {
+    _id: null,
+    name: 'Built-in merchant-gateway',
+    version: 1,
+    scope: { leg: RECONCILIATION_LEG.MERCHANT_GATEWAY },
+    passes: [
+      {
+        name: 'gateway_payment_id',
+        keys: [{ bank_field: 'transaction_id', merchant_field: 'gateway_transaction_id' }],
+        normalization: { trim: true, case: 'UPPER', strip_prefixes: [] }
+      },
+      {
+        name: 'payment_reference',
+        keys: [{ bank_field: 'transaction_id', merchant_field: 'reference_id' }],
+        normalization: { trim: true, case: 'UPPER', strip_prefixes: [] }
+      },
+      {
+        name: 'order_reference',
+        keys: [{ bank_field: 'reference_id', merchant_field: 'reference_id' }],
+        normalization: { trim: true, case: 'UPPER', strip_prefixes: [] }
+      }
+    ]
+  },
+  [RECONCILIATION_LEG.GATEWAY_BANK]: {
+    _id: null,
+    name: 'Built-in gateway-bank',
+    version: 1,
+    scope: { leg: RECONCILIATION_LEG.GATEWAY_BANK },
+    passes: [
+      {
+        name: 'utr',
+        keys: [{ bank_field: 'utr_number', merchant_field: 'utr_number' }],
+        normalization: { trim: true, case: 'UPPER', strip_prefixes: [] }
+      },
+      {
+        // Bank uploads map the UTR column to reference_id
+        name: 'bank_reference_utr',
+        keys: [{ bank_field: 'reference_id', merchant_field: 'utr_number' }],
+        normalization: { trim: true, case: 'UPPER', strip_prefixes: [] }
+      }
+    ]
+  }
+};
+
+// Normalise a single key value; empty values normalise to null
+const normalizeKeyValue = (value, normalization = {}) => {
+  if (value === undefined || value === null) return null;
+
+  let normalized = String(value);
+  if (normalization.trim !== false) normalized = normalized.trim();
+
+  for (const prefix of normalization.strip_prefixes || []) {
+    if (prefix && normalized.toUpperCase().startsWith(prefix.toUpperCase())) {
+      normalized = normalized.slice(prefix.length);
+      if (normalization.trim !== false) normalized = normalized.trim();
+      break;
+    }
+  }
+
+  if (normalization.case === 'LOWER') normalized = normalized.toLowerCase();
+  else if (normalization.case !== 'NONE') normalized = normalized.toUpperCase();
+
+  return normalized === '' ? null : normalized;
+};
+
+// Build the composite key for one side ('BANK' or 'MERCHANT') of a pass.
+// Returns null when any key field is empty, so the pass is skipped for that row.
+const buildPassKey = (txn, pass, side) => {
+  const field = side === 'BANK' ? 'bank_field' : 'merchant_field';
+  const parts = [];
+
+  for (const key of pass.keys) {
+    const value = normalizeKeyValue(txn[key[field]], pass.normalization);
+    if (value === null) return null;
+    parts.push(value);
+  }
+
+  return parts.join('|');
+};
+
+// Load the rules a run will choose from
+const loadRulesForRun = async (matchRuleId) => {
+  if (matchRuleId) {
+    const rule = await MatchRule.findById(matchRuleId).lean();
+    if (!rule) {
+      throw new Error(`Match rule ${matchRuleId} not found`);
+    }
+    return { rules: [rule], explicit: true };
+  }
+
+  const rules = await MatchRule.find({ is_active: true }).sort('name').lean();
+  return { rules, explicit: false };
+};
+
+// Pick the rule for a merchant: an explicitly chosen rule always wins,
+// otherwise the most specific active rule (merchant, then gateway), then the default.
+// Three-way legs only consider rules scoped to that leg.
+const selectRule = ({ rules, explicit }, merchantId, paymentGateway, leg = null) => {
+  if (explicit) return rules[0];
+
+  let best = null;
+  let bestScore = -1;
+
+  for (const rule of rules) {
+    const scope = rule.scope || {};
+    if ((scope.leg || null) !== leg) continue;
+    if (scope.merchant_id && scope.merchant_id !== merchantId) continue;
+    if (scope.payment_gateway && scope.payment_gateway !== paymentGateway) continue;
+    if (!scope.merchant_id && !scope.payment_gateway && !rule.is_default) continue;
+
+    const score = (scope.merchant_id ? 2 : 0) + (scope.payment_gateway ? 1 : 0);
+    if (score > bestScore) {
+      best = rule;
+      bestScore = score;
+    }
+  }
+
+  return best || (leg ? DEFAULT_LEG_RULES[leg] : DEFAULT_MATCH_RULE);
+};
+
+module.exports = {
+  DEFAULT_MATCH_RULE,
+  DEFAULT_LEG_RULES,
+  normalizeKeyValue,
+  buildPassKey,
+  loadRulesForRun,
+  selectRule
+};
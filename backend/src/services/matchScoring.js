@@ -0,0 +1,188 @@
+const config = require('../config');
+
+// Relative weight of each field in the confidence score
+const SCORE_WEIGHTS = {
+  amount: 35,
+  date: 20,
+  reference: 25,
+  customer_email: 10,
+  merchant: 10
+};
+
+// Reference-like fields compared across sides
+const BANK_REFERENCE_FIELDS = ['reference_id', 'utr_number', 'bank_reference', 'transaction_id'];
+const MERCHANT_REFERENCE_FIELDS = ['reference_id', 'utr_number', 'gateway_transaction_id', 'transaction_id'];
+
+// Amount difference (relative) at which the amount score reaches zero
+const AMOUNT_ZERO_AT = 0.05;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const normalizeReference = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 64);
+
+// Levenshtein distance with a single rolling row
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 0..1 similarity of two references; containment counts as a near match
+const referenceSimilarity = (a, b) => {
+  if (a === b) return 1;
+  if (a.length >= 6 && b.length >= 6 && (a.includes(b) || b.includes(a))) return 0.9;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+};
+
+// Best-matching reference pair between the two rows, or null when either side has none
+const bestReference = (bankTxn, merchantTxn) => {
+  const bankRefs = BANK_REFERENCE_FIELDS
+    .filter(field => bankTxn[field])
+    .map(field => ({ field, value: normalizeReference(bankTxn[field]) }));
+  const merchantRefs = MERCHANT_REFERENCE_FIELDS
+    .filter(field => merchantTxn[field])
+    .map(field => ({ field, value: normalizeReference(merchantTxn[field]) }));
+
+  if (!bankRefs.length || !merchantRefs.length) return null;
+
+  let best = null;
+  for (const bankRef of bankRefs) {
+    for (const merchantRef of merchantRefs) {
+      if (!bankRef.value || !merchantRef.value) continue;
+      const similarity = referenceSimilarity(bankRef.value, merchantRef.value);
+      if (!best || similarity > best.similarity) {
+        best = { similarity, bank_field: bankRef.field, merchant_field: merchantRef.field };
+      }
+    }
+  }
+  return best;
+};
+
+// Score how likely a merchant row is the counterpart of a bank row (0-100).
+// Fields missing on either side are left out rather than counted against the pair.
+// Returns the score and a per-field explanation.
+const scoreCandidate = (bankTxn, merchantTxn, { dateWindowHours = 24 } = {}) => {
+  const fields = [];
+
+  // Amount
+  const difference = Math.abs(bankTxn.amount - merchantTxn.amount);
+  const relative = difference / Math.max(bankTxn.amount, merchantTxn.amount, 0.01);
+  fields.push({
+    field: 'amount',
+    score: Math.max(0, 1 - relative / AMOUNT_ZERO_AT),
+    detail: difference === 0 ? 'Amounts equal' : `Differs by ${round(difference)} (${round(relative * 100)}%)`
+  });
+
+  // Date distance
+  const hours = Math.abs(new Date(bankTxn.transaction_date) - new Date(merchantTxn.transaction_date)) / (1000 * 60 * 60);
+  fields.push({
+    field: 'date',
+    score: Math.max(0, 1 - hours / (2 * Math.max(dateWindowHours, 1))),
+    detail: `${round(hours, 1)}h apart (window ${dateWindowHours}h)`
+  });
+
+  // Reference / UTR similarity
+  const reference = bestReference(bankTxn, merchantTxn);
+  if (reference) {
+    fields.push({
+      field: 'reference',
+      score: reference.similarity,
+      detail: `${reference.bank_field} vs ${reference.merchant_field}: ${Math.round(reference.similarity * 100)}% similar`
+    });
+  }
+
+  // Customer email
+  if (bankTxn.customer_email && merchantTxn.customer_email) {
+    const same = bankTxn.customer_email.toLowerCase() === merchantTxn.customer_email.toLowerCase();
+    fields.push({
+      field: 'customer_email',
+      score: same ? 1 : 0,
+      detail: same ? 'Customer email matches' : 'Customer email differs'
+    });
+  }
+
+  // Merchant
+  const sameMerchant = bankTxn.merchant_id === merchantTxn.merchant_id;
+  fields.push({
+    field: 'merchant',
+    score: sameMerchant ? 1 : 0,
+    detail: sameMerchant ? 'Same merchant' : `${bankTxn.merchant_id} vs ${merchantTxn.merchant_id}`
+  });
+
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const entry of fields) {
+    entry.weight = SCORE_WEIGHTS[entry.field];
+    entry.score = round(entry.score);
+    weighted += entry.weight * entry.score;
+    totalWeight += entry.weight;
+  }
+
+  return {
+    score: Math.floor((weighted / totalWeight) * 100),
+    fields
+  };
+};
+
+// Rank leftover merchant rows for each leftover bank row.
+// Candidates are limited to amounts within the scoring range and dates within
+// twice the window, so this stays cheap on large merchants.
+// Returns Map(bankId -> [{ merchantTxn, score, fields }]) sorted best first.
+const findSuggestions = (bankTransactions, merchantTransactions, { dateWindowHours = 24 } = {}) => {
+  const { suggestionThreshold, maxSuggestions, maxCandidates } = config.reconciliation.scoring;
+  const sorted = [...merchantTransactions].sort((a, b) => a.amount - b.amount);
+  const suggestions = new Map();
+
+  // First merchant row with amount >= value
+  const lowerBound = (value) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (sorted[mid].amount < value) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  };
+
+  for (const bankTxn of bankTransactions) {
+    const maxHours = 2 * Math.max(dateWindowHours, 1);
+    const ranked = [];
+    let scanned = 0;
+
+    for (let i = lowerBound(bankTxn.amount * (1 - AMOUNT_ZERO_AT)); i < sorted.length && scanned < maxCandidates; i++) {
+      const merchantTxn = sorted[i];
+      if (merchantTxn.amount > bankTxn.amount * (1 + AMOUNT_ZERO_AT)) break;
+      scanned++;
+
+      const hours = Math.abs(new Date(bankTxn.transaction_date) - new Date(merchantTxn.transaction_date)) / (1000 * 60 * 60);
+      if (hours > maxHours) continue;
+
+      const { score, fields } = scoreCandidate(bankTxn, merchantTxn, { dateWindowHours });
+      if (score >= suggestionThreshold) ranked.push({ merchantTxn, score, fields });
+    }
+
+    if (ranked.length) {
+      ranked.sort((a, b) => b.score - a.score);
+      suggestions.set(bankTxn._id.toString(), ranked.slice(0, maxSuggestions));
+    }
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  SCORE_WEIGHTS,
+  scoreCandidate,
+  findSuggestions
+};
@@ -0,0 +1,52 @@
+const { MerchantLock } = require('../models');
+const config = require('../config');
+
+const DUPLICATE_KEY = 11000;
+
+// A lock lives as long as its run heartbeats: it expires when the run would be
+// treated as interrupted, and is renewed with every heartbeat
+const lockExpiry = (now = new Date()) => new Date(now.getTime() + config.reconciliation.recovery.staleAfterMs);
+
+// Take (or refresh) the lock on a merchant for a run. A stale lock left by a
+// dead process is taken over. Returns false while another run holds it.
+const acquireMerchantLock = async (merchantId, runId) => {
+  const now = new Date();
+  const expires_at = lockExpiry(now);
+
+  const taken = await MerchantLock.findOneAndUpdate(
+    { merchant_id: merchantId, $or: [{ run: runId }, { expires_at: { $lt: now } }] },
+    { run: runId, locked_at: now, expires_at },
+    { new: true }
+  );
+  if (taken) return true;
+  if (await MerchantLock.exists({ merchant_id: merchantId })) return false;
+
+  try {
+    await MerchantLock.create({ merchant_id: merchantId, run: runId, locked_at: now, expires_at });
+    return true;
+  } catch (error) {
+    // Another run created the lock first
+    if (error.code === DUPLICATE_KEY) return false;
+    throw error;
+  }
+};
+
+// Extend every lock a run holds (called with the run's heartbeat)
+const renewRunLocks = (runId) => MerchantLock.updateMany({ run: runId }, { expires_at: lockExpiry() });
+
+// Those of the merchants a live run holds a lock on
+const lockedMerchants = async (merchantIds) => {
+  const locks = await MerchantLock.find({ merchant_id: { $in: merchantIds }, expires_at: { $gt: new Date() } })
+    .select('merchant_id');
+  return locks.map(lock => lock.merchant_id);
+};
+
+// Release every lock a run holds
+const releaseRunLocks = (runId) => MerchantLock.deleteMany({ run: runId });
+
+module.exports = {
+  acquireMerchantLock,
+  renewRunLocks,
+  lockedMerchants,
+  releaseRunLocks
+};
@@ -0,0 +1,184 @@
+// SWIFT MT940 customer statement parser. A file may hold several statements,
+// each a run of tagged fields (:20: reference, :25: account, :28C: number,
+// :60F:/:60M: opening balance, :61:/:86: entries, :62F:/:62M: closing balance).
+
+// Start of a tagged field, e.g. ":61:" or ":28C:"
+const TAG_PATTERN = /^:(\d{2}[A-Z]?):/;
+
+// :60a:/:62a: balance - D/C mark, YYMMDD, currency, amount (comma decimal)
+const BALANCE_PATTERN = /^([CD])(\d{6})([A-Z]{3})(\d+,\d*)/;
+
+// :61: statement line - value date, optional entry date (MMDD), D/C mark (R = reversal),
+// funds code, amount, transaction type, customer reference, //bank reference
+const ENTRY_PATTERN = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NFS][A-Z0-9]{3})(.*?)(?:\/\/(.*))?$/;
+
+// Statement lines say NONREF when there is no customer reference
+const NO_REFERENCE = 'NONREF';
+
+// :86: lines are at most 65 characters and structured subfields 27; text only
+// runs on into the next line (possibly mid-word) when a line is full
+const INFORMATION_LINE_WIDTH = 65;
+const SUBFIELD_WIDTH = 27;
+
+// Join wrapped lines: straight on after a full line, with a space otherwise
+const joinWrapped = (lines, width) => lines.reduce((joined, line, i) => (
+  i === 0 ? line : joined + (lines[i - 1].length >= width ? '' : ' ') + line
+), '').trim();
+
+const parseAmount = (text) => parseFloat(text.replace(',', '.'));
+
+// YYMMDD -> Date (UTC midnight)
+const parseDate = (text) => {
+  const year = 2000 + Number(text.slice(0, 2));
+  return new Date(Date.UTC(year, Number(text.slice(2, 4)) - 1, Number(text.slice(4, 6))));
+};
+
+// Entry date is MMDD; take the year of the value date, moving across a year end
+const parseEntryDate = (text, valueDate) => {
+  const month = Number(text.slice(0, 2)) - 1;
+  const day = Number(text.slice(2, 4));
+  let year = valueDate.getUTCFullYear();
+  if (month === 11 && valueDate.getUTCMonth() === 0) year--;
+  if (month === 0 && valueDate.getUTCMonth() === 11) year++;
+  return new Date(Date.UTC(year, month, day));
+};
+
+const parseBalance = (value) => {
+  const match = BALANCE_PATTERN.exec(value);
+  if (!match) {
+    throw new Error(`Unreadable MT940 balance "${value}"`);
+  }
+  const [, mark, date, currency, amount] = match;
+  return {
+    amount: (mark === 'D' ? -1 : 1) * parseAmount(amount),
+    date: parseDate(date),
+    currency
+  };
+};
+
+// :86: information - structured ?20-?29 (remittance) and ?32/?33 (counterparty)
+// subfields when present, otherwise the free text
+const parseInformation = (value) => {
+  if (!/^\d{3}\?/.test(value.replace(/\n/g, ''))) {
+    return { remittance_info: joinWrapped(value.split('\n'), INFORMATION_LINE_WIDTH) };
+  }
+
+  const subfields = {};
+  for (const part of value.replace(/\n/g, '').split('?').slice(1)) {
+    const key = part.slice(0, 2);
+    subfields[key] = [...(subfields[key] || []), part.slice(2)];
+  }
+  const join = (keys) => joinWrapped(keys.flatMap(key => subfields[key] || []), SUBFIELD_WIDTH);
+
+  return {
+    remittance_info: join(['20', '21', '22', '23', '24', '25', '26', '27', '28', '29', '60', '61', '62', '63']),
+    counterparty: join(['32', '33']) || undefined
+  };
+};
+
+const parseEntry = (value) => {
+  const [line, ...details] = value.split('\n');
+  const match = ENTRY_PATTERN.exec(line);
+  if (!match) {
+    throw new Error(`Unreadable MT940 statement line "${line}"`);
+  }
+
+  const [, valueDate, entryDate, mark, , amount, transactionType, customerReference, bankReference] = match;
+  const value_date = parseDate(valueDate);
+  const reference = customerReference.trim();
+
+  return {
+    amount: parseAmount(amount),
+    credit_debit: mark.endsWith('C') ? 'CREDIT' : 'DEBIT',
+    reversal: mark.startsWith('R'),
+    value_date,
+    booking_date: entryDate ? parseEntryDate(entryDate, value_date) : value_date,
+    transaction_code: transactionType,
+    customer_reference: reference && reference !== NO_REFERENCE ? reference : null,
+    bank_reference: bankReference ? bankReference.trim() : null,
+    supplementary_details: details.join(' ').trim() || null,
+    remittance_info: null,
+    status: 'BOOKED'
+  };
+};
+
+// Tagged fields of the text block, continuation lines joined to their field
+const readFields = (text) => {
+  // Keep block 4 of a SWIFT envelope ({1:...}{2:...}{4:\n ... -})
+  const body = text.includes('{4:')
+    ? text.split('{4:').slice(1).map(block => block.split(/\n-\}?/)[0]).join('\n')
+    : text;
+
+  const fields = [];
+  for (const rawLine of body.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    const tag = TAG_PATTERN.exec(line);
+    if (tag) {
+      fields.push({ tag: tag[1], value: line.slice(tag[0].length) });
+    } else if (fields.length && line && line !== '-') {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  }
+  return fields;
+};
+
+// True when the text looks like an MT940 statement
+const isMT940 = (text) => /^:20:/m.test(text) && /^:6[01][A-Z]?:/m.test(text);
+
+// Statements in an MT940 file
+const parseMT940 = (text) => {
+  const statements = [];
+  let statement = null;
+  let entry = null;
+
+  for (const { tag, value } of readFields(text)) {
+    switch (tag) {
+      case '20':
+        statement = { format: 'MT940', reference: value.trim(), entries: [] };
+        statements.push(statement);
+        entry = null;
+        break;
+      case '25':
+        if (statement) statement.account = value.trim();
+        break;
+      case '28C':
+      case '28':
+        if (statement) statement.number = value.trim();
+        break;
+      case '60F':
+      case '60M':
+        if (statement) {
+          statement.opening_balance = parseBalance(value);
+          statement.currency = statement.opening_balance.currency;
+        }
+        break;
+      case '61':
+        if (statement) {
+          entry = parseEntry(value);
+          statement.entries.push(entry);
+        }
+        break;
+      case '86':
+        // Information for the preceding statement line (or the statement itself)
+        if (entry) Object.assign(entry, parseInformation(value));
+        break;
+      case '62F':
+      case '62M':
+        if (statement) statement.closing_balance = parseBalance(value);
+        entry = null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (!statements.length) {
+    throw new Error('No MT940 statement found (missing :20: field)');
+  }
+  return statements;
+};
+
+module.exports = {
+  isMT940,
+  parseMT940
+};
@@ -0,0 +1,1169 @@
+const { Transaction, Merchant, Alert, MatchGroup, ReconciliationRun } = require('../models');
+const mongoose = require('mongoose');
+const {
+  RECONCILIATION_STATUS,
+  RECONCILIATION_MODE,
+  RECONCILIATION_LEG,
+  RECONCILIATION_LEG_STATUS,
+  RECONCILIATION_BREAK_TYPE,
+  TRANSACTION_SOURCE,
+  ALERT_TYPES,
+  MATCH_GROUP_TYPE,
+  MATCH_KEY_FIELDS
+} = require('../config/constants');
+const { loadRulesForRun, selectRule, buildPassKey } = require('./matchRules');
+const { findGroupMatches, settlementDay } = require('./groupMatcher');
+const { findSuggestions } = require('./matchScoring');
+const { loadFeeSchedules, netOfFees, grossAmount } = require('./feeSchedules');
+const { acquireMerchantLock, releaseRunLocks } = require('./merchantLocks');
+const { rollbackRunWrites } = require('./reconciliationRollback');
+const { supportsTransactions } = require('../config/database');
+const config = require('../config');
+
+// Thrown between merchants when the run has been cancelled
+class RunCancelledError extends Error {
+  constructor(runId) {
+    super(`Reconciliation run ${runId} was cancelled`);
+    this.name = 'RunCancelledError';
+  }
+}
+
+// Build the pending-transaction query from the run configuration. Debits
+// (money paid out, such as refunds and chargebacks on a bank statement) are
+// never matched against sales, even when they quote the sale's transaction ID.
+const buildBaseQuery = (runConfig) => {
+  const { include_merchants = [], exclude_merchants = [], date_range = {} } = runConfig;
+
+  const baseQuery = {
+    reconciliation_status: RECONCILIATION_STATUS.PENDING,
+    credit_debit: { $ne: 'DEBIT' }
+  };
+
+  if (date_range.start || date_range.end) {
+    baseQuery.transaction_date = {};
+    if (date_range.start) baseQuery.transaction_date.$gte = new Date(date_range.start);
+    if (date_range.end) baseQuery.transaction_date.$lte = new Date(date_range.end);
+  }
+
+  if (include_merchants.length > 0) {
+    baseQuery.merchant_id = { $in: include_merchants.map(m => m.toUpperCase()) };
+  }
+
+  if (exclude_merchants.length > 0) {
+    baseQuery.merchant_id = { ...baseQuery.merchant_id, $nin: exclude_merchants.map(m => m.toUpperCase()) };
+  }
+
+  return baseQuery;
+};
+
+// Only the fields matching needs are read, keeping per-row memory small.
+// Fee fields are read for net-of-fees matching.
+const MATCH_PROJECTION = [...new Set([
+  'source', 'amount', 'transaction_date', 'settlement_time', 'bank_settlement_date', 'sla_breached',
+  'payment_gateway', 'gateway_fee', 'gateway_tax', 'metadata.fee', 'metadata.tax', 'settled_amount',
+  ...MATCH_KEY_FIELDS
+])].join(' ');
+
+// Pass name recorded on matches found by the grouping pass
+const GROUPING_PASS = 'grouping';
+
+// Pass name recorded on near-misses auto-accepted by confidence score
+const FUZZY_PASS = 'fuzzy';
+
+// Two-way runs match one leg: bank credits (settling side) against merchant orders.
+// Legs settled by a bank credit compare the other side net of fees on net-of-fees runs.
+const TWO_WAY_LEG = { name: null, bankSource: TRANSACTION_SOURCE.BANK, merchantSource: TRANSACTION_SOURCE.MERCHANT, netOfFees: true };
+
+// Three-way runs match merchant orders to gateway payments, then gateway payments
+// to bank credits. bankSource is the settling side of each leg.
+const THREE_WAY_LEGS = [
+  { name: RECONCILIATION_LEG.MERCHANT_GATEWAY, bankSource: TRANSACTION_SOURCE.GATEWAY, merchantSource: TRANSACTION_SOURCE.MERCHANT, netOfFees: false },
+  { name: RECONCILIATION_LEG.GATEWAY_BANK, bankSource: TRANSACTION_SOURCE.BANK, merchantSource: TRANSACTION_SOURCE.GATEWAY, netOfFees: true }
+];
+
+// Legs each source takes part in on a three-way run
+const SOURCE_LEGS = {
+  [TRANSACTION_SOURCE.MERCHANT]: [RECONCILIATION_LEG.MERCHANT_GATEWAY],
+  [TRANSACTION_SOURCE.GATEWAY]: [RECONCILIATION_LEG.MERCHANT_GATEWAY, RECONCILIATION_LEG.GATEWAY_BANK],
+  [TRANSACTION_SOURCE.BANK]: [RECONCILIATION_LEG.GATEWAY_BANK]
+};
+
+const UNMATCHED_STATUS = {
+  [TRANSACTION_SOURCE.BANK]: RECONCILIATION_STATUS.UNMATCHED_BANK,
+  [TRANSACTION_SOURCE.MERCHANT]: RECONCILIATION_STATUS.UNMATCHED_MERCHANT,
+  [TRANSACTION_SOURCE.GATEWAY]: RECONCILIATION_STATUS.UNMATCHED_GATEWAY
+};
+
+// Identify a rule (the built-in defaults have no _id)
+const ruleKey = (rule) => (rule._id ? rule._id.toString() : `default:${rule.name}`);
+
+// Absolute hours between two transactions
+const hoursBetween = (a, b) => Math.abs(new Date(a.transaction_date) - new Date(b.transaction_date)) / (1000 * 60 * 60);
+
+// Hours between a bank row and when a merchant row settled (gateway payments
+// linked to a settlement), else when it was made
+const settledHoursBetween = (bankTxn, mTxn) =>
+  Math.abs(new Date(bankTxn.transaction_date) - new Date(mTxn.settlement_time || mTxn.transaction_date)) / (1000 * 60 * 60);
+
+// Absolute amount difference, rounded to paise to avoid float noise
+const amountDifference = (a, b) => Math.round(Math.abs(a.amount - b.amount) * 100) / 100;
+
+const sumAmounts = (txns) => Math.round(txns.reduce((sum, txn) => sum + txn.amount, 0) * 100) / 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Largest difference accepted for a candidate. Rows compared net of fees also
+// accept their fee variance tolerance, since the deducted fee is only expected.
+const allowedDifference = (mTxn, tolerance) => (mTxn.fees ? Math.max(tolerance, mTxn.fees.variance_tolerance) : tolerance);
+
+// Candidates sharing a bank row's key that together make up its amount, e.g.
+// the payments a settlement paid out under its UTR; null unless there are several
+const keyGroup = (bankTxn, candidates, windowHours, tolerance) => {
+  const members = candidates.filter(mTxn => settledHoursBetween(bankTxn, mTxn) <= windowHours);
+  if (members.length < 2) return null;
+
+  const allowed = Math.max(...members.map(mTxn => allowedDifference(mTxn, tolerance)));
+  return Math.abs(sumAmounts(members) - bankTxn.amount) <= allowed ? members : null;
+};
+
+// Amount shown for a row, with its net amount when it was compared net of fees
+const describeAmount = (txn) => (txn.fees ? `${grossAmount(txn)} (net ${txn.amount})` : `${txn.amount}`);
+
+// Fees behind a match whose merchant side was compared net of fees, or null.
+// fee_variance is the expected net amount minus what was credited: positive
+// when more was deducted than expected.
+const feeBreakdown = (bank, merchant) => {
+  const netted = merchant.filter(txn => txn.fees);
+  if (!netted.length) return null;
+
+  return {
+    gross_amount: round(merchant.reduce((sum, txn) => sum + grossAmount(txn), 0)),
+    fee: round(netted.reduce((sum, txn) => sum + txn.fees.fee, 0)),
+    tax: round(netted.reduce((sum, txn) => sum + txn.fees.tax, 0)),
+    fee_variance: round(sumAmounts(merchant) - sumAmounts(bank))
+  };
+};
+
+// Fees recorded on a row compared net of fees
+const rowFees = (txn) => ({
+  fee: txn.fees.fee,
+  tax: txn.fees.tax,
+  net_amount: txn.amount,
+  source: txn.fees.source,
+  schedule: txn.fees.schedule
+});
+
+// Count a net-of-fees match; fee variances are tallied apart from disputes
+const tallyFees = (summary, amounts, fees) => {
+  if (!fees) return;
+  summary.net_of_fees_matches++;
+  amounts.total_fees += fees.fee + fees.tax;
+  if (fees.fee_variance !== 0) {
+    summary.fee_variances++;
+    amounts.total_fee_variance += fees.fee_variance;
+  }
+};
+
+// Suggestion as stored on a transaction, pointing at the other side
+const storedSuggestion = (counterpart, { score, fields }) => ({
+  transaction: counterpart._id,
+  transaction_id: counterpart.transaction_id,
+  amount: grossAmount(counterpart),
+  score,
+  fields
+});
+
+// Dispute alert raised for an amount mismatch
+const mismatchAlert = (bankTxn, merchantTxn, amountDiff) => ({
+  type: ALERT_TYPES.DISPUTE_DETECTED,
+  severity: 'HIGH',
+  title: 'Amount Mismatch Detected',
+  message: `Transaction ${bankTxn.transaction_id}: Bank amount ${bankTxn.amount} differs from Merchant amount ${describeAmount(merchantTxn)}`,
+  entity_type: 'TRANSACTION',
+  entity_id: bankTxn.transaction_id,
+  merchant_id: bankTxn.merchant_id,
+  transaction_id: bankTxn.transaction_id,
+  data: {
+    bank_amount: bankTxn.amount,
+    merchant_amount: grossAmount(merchantTxn),
+    ...(merchantTxn.fees && { merchant_net_amount: merchantTxn.amount }),
+    difference: amountDiff
+  }
+});
+
+// Writes the outcome of a live run to Transaction, MatchGroup and Alert.
+// Writes are buffered and flushed in batches through insertMany / bulkWrite.
+const createLiveWriter = (run) => {
+  const batchSize = Math.max(1, config.reconciliation.batchSize);
+  const historyLength = Math.max(1, config.reconciliation.historyLength);
+  let groups = [];
+  let transactionOps = [];
+  let alerts = [];
+  let unmatched = { BANK: [], MERCHANT: [] };
+  let buffered = 0;
+  let session = null;
+
+  // Set the row fields and append this run's outcome to the row's history,
+  // which is what run comparisons read
+  const outcomeUpdate = (fields) => {
+    const entry = { run: run._id, status: fields.reconciliation_status, at: new Date() };
+    if (fields.reconciled_with) entry.match_group = fields.reconciled_with;
+    if (fields.match_pass) entry.match_pass = fields.match_pass;
+
+    return {
+      $set: fields,
+      $push: { reconciliation_history: { $each: [entry], $slice: -historyLength } }
+    };
+  };
+
+  const flush = async () => {
+    if (buffered === 0) return;
+
+    const ops = transactionOps;
+    if (unmatched.BANK.length) {
+      ops.push({ updateMany: {
+        filter: { _id: { $in: unmatched.BANK } },
+        update: outcomeUpdate({ reconciliation_status: RECONCILIATION_STATUS.UNMATCHED_BANK, reconciliation_run_id: run._id })
+      } });
+    }
+    if (unmatched.MERCHANT.length) {
+      ops.push({ updateMany: {
+        filter: { _id: { $in: unmatched.MERCHANT } },
+        update: outcomeUpdate({ reconciliation_status: RECONCILIATION_STATUS.UNMATCHED_MERCHANT, reconciliation_run_id: run._id })
+      } });
+    }
+
+    // Groups first so transactions never point at a missing group
+    if (groups.length) await MatchGroup.insertMany(groups, { ordered: false, session });
+    if (ops.length) await Transaction.bulkWrite(ops, { ordered: false, session });
+    if (alerts.length) await Alert.insertMany(alerts, { ordered: false, session });
+
+    groups = [];
+    transactionOps = [];
+    alerts = [];
+    unmatched = { BANK: [], MERCHANT: [] };
+    buffered = 0;
+  };
+
+  const queued = async () => {
+    if (++buffered >= batchSize) await flush();
+  };
+
+  return {
+    // Write inside a MongoDB transaction's session (null: no transaction)
+    useSession(value) {
+      session = value;
+    },
+
+    // Create a match group and mark every member as matched to it.
+    // Fuzzy matches carry a confidence score and are flagged for review.
+    // Net-of-fees matches carry their fees; the merchant-side amount is the net one.
+    // Three-way groups carry their leg; members are written once both legs are settled.
+    // Returns the new group's id.
+    async recordGroup({ type, bank, merchant, rule, passName, confidence, fees, leg }) {
+      const bankAmount = sumAmounts(bank);
+      const merchantAmount = sumAmounts(merchant);
+      const groupId = new mongoose.Types.ObjectId();
+      const review = confidence
+        ? { confidence: confidence.score, confidence_fields: confidence.fields, needs_review: true }
+        : {};
+
+      groups.push({
+        _id: groupId,
+        type,
+        bank_transactions: bank.map(txn => txn._id),
+        merchant_transactions: merchant.map(txn => txn._id),
+        merchant_id: bank[0].merchant_id,
+        settlement_date: new Date(settlementDay(bank[0])),
+        bank_amount: bankAmount,
+        merchant_amount: merchantAmount,
+        amount_difference: Math.round(Math.abs(bankAmount - merchantAmount) * 100) / 100,
+        reconciliation_run_id: run._id,
+        match_rule: rule._id,
+        match_rule_version: rule.version,
+        match_pass: passName,
+        leg: leg || undefined,
+        fees: fees || undefined,
+        ...review
+      });
+
+      if (leg) {
+        await queued();
+        return groupId;
+      }
+
+      transactionOps.push({ updateMany: {
+        filter: { _id: { $in: [...bank, ...merchant].map(txn => txn._id) } },
+        update: outcomeUpdate({
+          reconciliation_status: RECONCILIATION_STATUS.MATCHED,
+          reconciled_with: groupId,
+          reconciliation_date: new Date(),
+          reconciliation_run_id: run._id,
+          match_rule: rule._id,
+          match_rule_version: rule.version,
+          match_pass: passName,
+          ...(confidence && { match_confidence: confidence.score, needs_review: true }),
+          ...(fees && { fee_variance: fees.fee_variance })
+        })
+      } });
+      for (const txn of merchant.filter(mTxn => mTxn.fees)) {
+        transactionOps.push({ updateOne: { filter: { _id: txn._id }, update: { $set: { settlement_fees: rowFees(txn) } } } });
+      }
+
+      await queued();
+      return groupId;
+    },
+
+    async recordMismatch(bankTxn, merchantTxn, amountDiff, leg = null) {
+      // Dispute alert
+      alerts.push({
+        ...mismatchAlert(bankTxn, merchantTxn, amountDiff),
+        reconciliation_run_id: run._id
+      });
+
+      if (!leg) {
+        transactionOps.push({ updateMany: {
+          filter: { _id: { $in: [bankTxn._id, merchantTxn._id] } },
+          update: outcomeUpdate({
+            reconciliation_status: RECONCILIATION_STATUS.AMOUNT_MISMATCH,
+            is_disputed: true,
+            dispute_reason: `Amount mismatch: Bank ${bankTxn.amount} vs Merchant ${describeAmount(merchantTxn)}`,
+            dispute_amount: amountDiff,
+            reconciliation_run_id: run._id
+          })
+        } });
+      }
+
+      await queued();
+    },
+
+    // Rows with suggestions are written one by one; the rest share one update per source
+    async markUnmatched(txn, suggestions = []) {
+      if (suggestions.length) {
+        transactionOps.push({ updateOne: {
+          filter: { _id: txn._id },
+          update: outcomeUpdate({
+            reconciliation_status: txn.source === 'BANK'
+              ? RECONCILIATION_STATUS.UNMATCHED_BANK
+              : RECONCILIATION_STATUS.UNMATCHED_MERCHANT,
+            reconciliation_run_id: run._id,
+            match_suggestions: suggestions
+          })
+        } });
+      } else {
+        unmatched[txn.source].push(txn._id);
+      }
+      await queued();
+    },
+
+    // Final per-row outcome of a three-way run
+    async recordLegOutcome(txn, fields) {
+      transactionOps.push({ updateOne: { filter: { _id: txn._id }, update: outcomeUpdate(fields) } });
+      await queued();
+    },
+
+    flush
+  };
+};
+
+// Collects a sample of what a run would do without writing anything
+const createPreviewWriter = (run) => {
+  const sampleSize = config.reconciliation.previewSampleSize;
+  const sample = (list, item) => {
+    if (list.length < sampleSize) list.push(item);
+  };
+  const brief = (txn) => ({
+    _id: txn._id,
+    transaction_id: txn.transaction_id,
+    amount: grossAmount(txn),
+    ...(txn.fees && { net_amount: txn.amount })
+  });
+
+  run.preview = { sample_size: sampleSize, matches: [], mismatches: [], alerts: [], breaks: [] };
+
+  return {
+    async recordGroup({ type, bank, merchant, rule, passName, confidence, fees, leg }) {
+      sample(run.preview.matches, {
+        type,
+        leg,
+        merchant_id: bank[0].merchant_id,
+        match_rule: rule.name,
+        match_pass: passName,
+        confidence: confidence?.score,
+        bank: bank.map(brief),
+        merchant: merchant.map(brief),
+        ...(fees && { fees }),
+        amount_difference: Math.round(Math.abs(sumAmounts(bank) - sumAmounts(merchant)) * 100) / 100
+      });
+    },
+
+    async recordMismatch(bankTxn, merchantTxn, amountDiff) {
+      sample(run.preview.mismatches, {
+        merchant_id: bankTxn.merchant_id,
+        bank: brief(bankTxn),
+        merchant: brief(merchantTxn),
+        difference: amountDiff
+      });
+
+      const { type, severity, title, message, merchant_id, transaction_id } = mismatchAlert(bankTxn, merchantTxn, amountDiff);
+      sample(run.preview.alerts, { type, severity, title, message, merchant_id, transaction_id });
+    },
+
+    useSession() {},
+
+    async markUnmatched() {},
+
+    async recordLegOutcome(txn, fields) {
+      const breaks = fields.reconciliation_legs.filter(entry => entry.break_type);
+      if (!breaks.length) return;
+      sample(run.preview.breaks, {
+        ...brief(txn),
+        source: txn.source,
+        merchant_id: txn.merchant_id,
+        reconciliation_status: fields.reconciliation_status,
+        breaks: breaks.map(({ leg, break_type }) => ({ leg, break_type }))
+      });
+    },
+
+    async flush() {}
+  };
+};
+
+// Get (or create) the per-merchant counters for a merchant
+const merchantStats = (merchantSummary, merchantId) => {
+  if (!merchantSummary.has(merchantId)) {
+    merchantSummary.set(merchantId, { matched: 0, group_matches: 0, fuzzy_matches: 0, unmatched: 0, mismatches: 0, total_amount: 0 });
+  }
+  return merchantSummary.get(merchantId);
+};
+
+// Index a merchant's rows by the merchant-side key of a pass
+const buildPassIndex = (merchantTransactions, pass) => {
+  const index = new Map();
+  for (const mTxn of merchantTransactions) {
+    const key = buildPassKey(mTxn, pass, 'MERCHANT');
+    if (key === null) continue;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(mTxn);
+  }
+  return index;
+};
+
+// Match one merchant's pending rows on one leg. Rows of the settling side (bank
+// credits on a two-way run) are streamed from a cursor; the other side is held
+// in memory so it can be indexed per pass. Counters go to ctx.summary / ctx.amounts.
+// Memory is bounded per merchant, not per run: all of the merchant's rows on the
+// in-memory side, and its settling-side rows the key passes leave unmatched
+// (kept for grouping and scoring), are held until the merchant is done.
+// On net-of-fees runs the in-memory side is compared net of fees when the leg
+// settles at the bank.
+const matchMerchant = async (ctx, merchantId) => {
+  const { run, writer, baseQuery, rule, merchantSummary, checkpoint, summary, amounts, feeSchedules, leg = TWO_WAY_LEG } = ctx;
+  const { date_window_hours = 24, amount_tolerance = 0 } = run.config;
+  const netting = run.config.net_of_fees && leg.netOfFees;
+
+  const merchantTransactions = (await Transaction.find({ ...baseQuery, source: leg.merchantSource, merchant_id: merchantId })
+    .select(MATCH_PROJECTION)
+    .lean())
+    .map(mTxn => (netting ? netOfFees(mTxn, feeSchedules) : mTxn));
+
+  const passIndexes = [];
+  const passIndex = (passNumber) => {
+    if (!passIndexes[passNumber]) {
+      passIndexes[passNumber] = buildPassIndex(merchantTransactions, rule.passes[passNumber]);
+    }
+    return passIndexes[passNumber];
+  };
+
+  const matchedMerchantIds = new Set();
+  const leftoverBank = [];
+
+  const bankCursor = Transaction.find({ ...baseQuery, source: leg.bankSource, merchant_id: merchantId })
+    .select(MATCH_PROJECTION)
+    .sort({ _id: 1 })
+    .lean()
+    .cursor({ batchSize: config.reconciliation.batchSize });
+
+  // Process bank transactions
+  for await (const bankTxn of bankCursor) {
+    let match = null;
+    let mismatch = null;
+
+    // Try each pass in order; the first candidate inside the date window and
+    // tolerance wins, else all the candidates together when they add up
+    for (let passNumber = 0; passNumber < rule.passes.length && !match; passNumber++) {
+      const pass = rule.passes[passNumber];
+      const key = buildPassKey(bankTxn, pass, 'BANK');
+      if (key === null) continue;
+
+      const windowHours = pass.date_window_hours ?? date_window_hours;
+      const tolerance = pass.amount_tolerance ?? amount_tolerance;
+      const candidates = (passIndex(passNumber).get(key) || [])
+        .filter(mTxn => !matchedMerchantIds.has(mTxn._id.toString()));
+
+      const matchedMerchant = candidates.find(mTxn =>
+        hoursBetween(bankTxn, mTxn) <= windowHours && amountDifference(bankTxn, mTxn) <= allowedDifference(mTxn, tolerance)
+      );
+
+      const group = !matchedMerchant && keyGroup(bankTxn, candidates, windowHours, tolerance);
+
+      if (matchedMerchant) {
+        match = { merchant: [matchedMerchant], pass };
+      } else if (group) {
+        match = { merchant: group, pass };
+      } else if (!mismatch) {
+        // Same key but the amount is off: remember it as a potential dispute
+        const offAmount = candidates.find(mTxn => amountDifference(bankTxn, mTxn) > allowedDifference(mTxn, tolerance));
+        if (offAmount) mismatch = offAmount;
+      }
+    }
+
+    if (match) {
+      const { merchant, pass } = match;
+      const grouped = merchant.length > 1;
+      const fees = feeBreakdown([bankTxn], merchant);
+
+      await writer.recordGroup({
+        type: grouped ? MATCH_GROUP_TYPE.ONE_TO_MANY : MATCH_GROUP_TYPE.ONE_TO_ONE,
+        bank: [bankTxn],
+        merchant,
+        rule,
+        passName: pass.name,
+        fees
+      });
+
+      merchant.forEach(mTxn => matchedMerchantIds.add(mTxn._id.toString()));
+      const stats = merchantStats(merchantSummary, merchantId);
+      if (grouped) {
+        summary.group_matches++;
+        summary.group_matched_bank++;
+        summary.group_matched_merchant += merchant.length;
+        stats.group_matches++;
+      } else {
+        summary.matched++;
+        stats.matched++;
+      }
+      amounts.total_matched_amount += bankTxn.amount;
+      stats.total_amount += bankTxn.amount;
+      tallyFees(summary, amounts, fees);
+
+    } else if (mismatch) {
+      // Amount mismatch
+      const amountDiff = amountDifference(bankTxn, mismatch);
+
+      await writer.recordMismatch(bankTxn, mismatch, amountDiff);
+
+      summary.amount_mismatch++;
+      summary.disputes_detected++;
+      amounts.total_mismatch_difference += amountDiff;
+
+      merchantStats(merchantSummary, merchantId).mismatches++;
+      matchedMerchantIds.add(mismatch._id.toString());
+
+    } else {
+      // Left for the grouping pass; marked unmatched afterwards if still alone
+      leftoverBank.push(bankTxn);
+    }
+
+    // Check for unknown merchant
+    if (!ctx.merchants.has(merchantId)) {
+      summary.unknown_merchants++;
+    }
+    if (bankTxn.sla_breached) summary.sla_breaches++;
+
+    await checkpoint();
+  }
+
+  // Grouping pass: one bank credit against many merchant orders and vice versa
+  const groupedBankIds = new Set();
+  if (run.config.group_matching !== false && leftoverBank.length > 0) {
+    const leftoverMerchant = merchantTransactions.filter(mTxn => !matchedMerchantIds.has(mTxn._id.toString()));
+    const groups = findGroupMatches(leftoverBank, leftoverMerchant, {
+      dateWindowHours: date_window_hours,
+      // Sums of net amounts carry each member's fee variance
+      amountTolerance: netting ? Math.max(amount_tolerance, config.reconciliation.fees.varianceTolerance) : amount_tolerance,
+      ...config.reconciliation.grouping
+    });
+
+    for (const group of groups) {
+      const fees = feeBreakdown(group.bank, group.merchant);
+      await writer.recordGroup({ ...group, rule, passName: GROUPING_PASS, fees });
+
+      group.bank.forEach(txn => groupedBankIds.add(txn._id.toString()));
+      group.merchant.forEach(txn => matchedMerchantIds.add(txn._id.toString()));
+
+      const bankAmount = sumAmounts(group.bank);
+      summary.group_matches++;
+      summary.group_matched_bank += group.bank.length;
+      summary.group_matched_merchant += group.merchant.length;
+      amounts.total_matched_amount += bankAmount;
+      tallyFees(summary, amounts, fees);
+
+      const stats = merchantStats(merchantSummary, merchantId);
+      stats.group_matches++;
+      stats.total_amount += bankAmount;
+    }
+  }
+
+  // Score what is still unmatched. Near-misses at or above the merchant's
+  // auto-accept threshold are matched (flagged for review), best score first;
+  // the rest are kept on the rows as suggestions.
+  const remainingBank = leftoverBank.filter(txn => !groupedBankIds.has(txn._id.toString()));
+  const remainingMerchant = merchantTransactions.filter(mTxn => !matchedMerchantIds.has(mTxn._id.toString()));
+  // Scoring is two-way only; three-way breaks are reported per leg instead
+  const suggestions = !leg.name && remainingBank.length && remainingMerchant.length
+    ? findSuggestions(remainingBank, remainingMerchant, { dateWindowHours: date_window_hours })
+    : new Map();
+
+  const threshold = ctx.merchants.get(merchantId)?.auto_accept_threshold;
+  const fuzzyBankIds = new Set();
+  if (threshold != null) {
+    const bankById = new Map(remainingBank.map(txn => [txn._id.toString(), txn]));
+    const accepted = [...suggestions]
+      .flatMap(([bankId, ranked]) => ranked.map(suggestion => ({ bankTxn: bankById.get(bankId), ...suggestion })))
+      .filter(({ score }) => score >= threshold)
+      .sort((a, b) => b.score - a.score);
+
+    for (const { bankTxn, merchantTxn, score, fields } of accepted) {
+      if (fuzzyBankIds.has(bankTxn._id.toString()) || matchedMerchantIds.has(merchantTxn._id.toString())) continue;
+
+      const fees = feeBreakdown([bankTxn], [merchantTxn]);
+      await writer.recordGroup({
+        type: MATCH_GROUP_TYPE.ONE_TO_ONE,
+        bank: [bankTxn],
+        merchant: [merchantTxn],
+        rule,
+        passName: FUZZY_PASS,
+        confidence: { score, fields },
+        fees
+      });
+
+      fuzzyBankIds.add(bankTxn._id.toString());
+      matchedMerchantIds.add(merchantTxn._id.toString());
+      summary.fuzzy_matches++;
+      amounts.total_matched_amount += bankTxn.amount;
+      tallyFees(summary, amounts, fees);
+
+      const stats = merchantStats(merchantSummary, merchantId);
+      stats.fuzzy_matches++;
+      stats.total_amount += bankTxn.amount;
+    }
+  }
+
+  // Suggestions still open on both sides, mirrored onto the merchant rows
+  const bankSuggestions = new Map();
+  const merchantSuggestions = new Map();
+  for (const bankTxn of remainingBank) {
+    const bankId = bankTxn._id.toString();
+    if (fuzzyBankIds.has(bankId)) continue;
+
+    const open = (suggestions.get(bankId) || [])
+      .filter(({ merchantTxn }) => !matchedMerchantIds.has(merchantTxn._id.toString()));
+    if (!open.length) continue;
+
+    bankSuggestions.set(bankId, open.map(suggestion => storedSuggestion(suggestion.merchantTxn, suggestion)));
+    for (const suggestion of open) {
+      const counterpartId = suggestion.merchantTxn._id.toString();
+      if (!merchantSuggestions.has(counterpartId)) merchantSuggestions.set(counterpartId, []);
+      merchantSuggestions.get(counterpartId).push(storedSuggestion(bankTxn, suggestion));
+    }
+  }
+
+  const { maxSuggestions } = config.reconciliation.scoring;
+  for (const list of merchantSuggestions.values()) {
+    list.sort((a, b) => b.score - a.score).splice(maxSuggestions);
+  }
+
+  // Mark bank transactions left over after grouping and scoring as unmatched
+  for (const bankTxn of remainingBank) {
+    if (fuzzyBankIds.has(bankTxn._id.toString())) continue;
+
+    const rowSuggestions = bankSuggestions.get(bankTxn._id.toString());
+    if (rowSuggestions) summary.suggested++;
+    await writer.markUnmatched(bankTxn, rowSuggestions);
+
+    summary.unmatched_bank++;
+    amounts.total_unmatched_bank_amount += bankTxn.amount;
+
+    merchantStats(merchantSummary, merchantId).unmatched++;
+  }
+
+  // Process unmatched merchant transactions
+  for (const mTxn of merchantTransactions) {
+    if (!matchedMerchantIds.has(mTxn._id.toString())) {
+      const rowSuggestions = merchantSuggestions.get(mTxn._id.toString());
+      if (rowSuggestions) summary.suggested++;
+      await writer.markUnmatched(mTxn, rowSuggestions);
+
+      summary.unmatched_merchant++;
+      amounts.total_unmatched_merchant_amount += grossAmount(mTxn);
+
+      merchantStats(merchantSummary, merchantId).unmatched++;
+    }
+    if (mTxn.sla_breached) summary.sla_breaches++;
+
+    await checkpoint();
+  }
+};
+
+// Counters matchMerchant fills for one leg of a three-way run
+const emptyLegCounters = () => ({
+  summary: {
+    matched: 0, group_matches: 0, group_matched_bank: 0, group_matched_merchant: 0,
+    fuzzy_matches: 0, suggested: 0, unmatched_bank: 0, unmatched_merchant: 0,
+    amount_mismatch: 0, disputes_detected: 0, sla_breaches: 0, unknown_merchants: 0,
+    net_of_fees_matches: 0, fee_variances: 0
+  },
+  amounts: {
+    total_matched_amount: 0, total_unmatched_bank_amount: 0,
+    total_unmatched_merchant_amount: 0, total_mismatch_difference: 0,
+    total_fees: 0, total_fee_variance: 0
+  },
+  merchantSummary: new Map(),
+  breaks: {}
+});
+
+// Wrap the writer for one leg of a three-way run: groups and alerts are written
+// as usual, while each row's leg outcome is kept in `outcomes` for settleThreeWay
+const trackLeg = (writer, leg, outcomes) => {
+  const note = (txn, outcome) => {
+    const id = txn._id.toString();
+    if (!outcomes.has(id)) outcomes.set(id, { txn, legs: new Map() });
+    outcomes.get(id).legs.set(leg.name, outcome);
+  };
+
+  return {
+    async recordGroup(args) {
+      const { bank, merchant, rule, passName, fees } = args;
+      const group = await writer.recordGroup({ ...args, leg: leg.name });
+      const amountDiff = Math.round(Math.abs(sumAmounts(bank) - sumAmounts(merchant)) * 100) / 100;
+
+      for (const [side, other] of [[bank, merchant], [merchant, bank]]) {
+        for (const txn of side) {
+          note(txn, {
+            status: RECONCILIATION_LEG_STATUS.MATCHED,
+            group,
+            rule,
+            match_pass: passName,
+            amount_difference: amountDiff,
+            counterparts: other.map(c => c._id.toString()),
+            fee_variance: fees?.fee_variance,
+            settlement_fees: txn.fees ? rowFees(txn) : undefined
+          });
+        }
+      }
+      return group;
+    },
+
+    async recordMismatch(bankTxn, merchantTxn, amountDiff) {
+      await writer.recordMismatch(bankTxn, merchantTxn, amountDiff, leg.name);
+      note(bankTxn, { status: RECONCILIATION_LEG_STATUS.AMOUNT_MISMATCH, amount_difference: amountDiff, counterpart: merchantTxn });
+      note(merchantTxn, { status: RECONCILIATION_LEG_STATUS.AMOUNT_MISMATCH, amount_difference: amountDiff, counterpart: bankTxn });
+    },
+
+    async markUnmatched(txn) {
+      note(txn, { status: RECONCILIATION_LEG_STATUS.UNMATCHED });
+    },
+
+    flush: () => writer.flush()
+  };
+};
+
+// Break reported for a row left unmatched on a leg
+const breakTypeFor = (source, legName, legs) => {
+  if (legName === RECONCILIATION_LEG.MERCHANT_GATEWAY) {
+    if (source === TRANSACTION_SOURCE.MERCHANT) return RECONCILIATION_BREAK_TYPE.NOT_CAPTURED;
+    return legs.get(RECONCILIATION_LEG.GATEWAY_BANK)?.status === RECONCILIATION_LEG_STATUS.MATCHED
+      ? RECONCILIATION_BREAK_TYPE.SETTLED_NOT_IN_LEDGER
+      : RECONCILIATION_BREAK_TYPE.CAPTURED_NOT_IN_LEDGER;
+  }
+  return source === TRANSACTION_SOURCE.GATEWAY
+    ? RECONCILIATION_BREAK_TYPE.CAPTURED_NOT_SETTLED
+    : RECONCILIATION_BREAK_TYPE.UNKNOWN_CREDIT;
+};
+
+// Combine both legs of a three-way run into each row's final status and write it.
+// A row is MATCHED only when its chain is complete: a merchant order whose gateway
+// payment was settled, a gateway payment matched on both legs, or a bank credit
+// whose gateway payments are all in the merchant ledger.
+const settleThreeWay = async (ctx, merchantId, outcomes, legState) => {
+  const { run, writer, merchants, merchantSummary } = ctx;
+  const legStatus = (id, legName) => outcomes.get(id)?.legs.get(legName)?.status;
+  const MATCHED = RECONCILIATION_LEG_STATUS.MATCHED;
+
+  for (const { txn, legs } of outcomes.values()) {
+    const ownLegs = SOURCE_LEGS[txn.source];
+    const entries = ownLegs.map(legName => {
+      const outcome = legs.get(legName) || { status: RECONCILIATION_LEG_STATUS.UNMATCHED };
+      const entry = {
+        leg: legName,
+        status: outcome.status,
+        match_group: outcome.group,
+        match_pass: outcome.match_pass,
+        amount_difference: outcome.amount_difference
+      };
+      if (outcome.status === RECONCILIATION_LEG_STATUS.AMOUNT_MISMATCH) {
+        entry.break_type = RECONCILIATION_BREAK_TYPE.AMOUNT_MISMATCH;
+      } else if (outcome.status === RECONCILIATION_LEG_STATUS.UNMATCHED) {
+        entry.break_type = breakTypeFor(txn.source, legName, legs);
+      }
+      return entry;
+    });
+
+    // The other end of the chain for merchant orders and bank credits
+    let chainComplete = entries.every(entry => entry.status === MATCHED);
+    if (chainComplete && txn.source === TRANSACTION_SOURCE.MERCHANT) {
+      const { counterparts } = legs.get(RECONCILIATION_LEG.MERCHANT_GATEWAY);
+      chainComplete = counterparts.every(id => legStatus(id, RECONCILIATION_LEG.GATEWAY_BANK) === MATCHED);
+    } else if (chainComplete && txn.source === TRANSACTION_SOURCE.BANK) {
+      const { counterparts } = legs.get(RECONCILIATION_LEG.GATEWAY_BANK);
+      chainComplete = counterparts.every(id => legStatus(id, RECONCILIATION_LEG.MERCHANT_GATEWAY) === MATCHED);
+    }
+
+    let status;
+    if (entries.some(entry => entry.status === RECONCILIATION_LEG_STATUS.AMOUNT_MISMATCH)) {
+      status = RECONCILIATION_STATUS.AMOUNT_MISMATCH;
+    } else if (chainComplete) {
+      status = RECONCILIATION_STATUS.MATCHED;
+    } else if (entries.some(entry => entry.status === MATCHED)) {
+      status = RECONCILIATION_STATUS.PARTIALLY_MATCHED;
+    } else {
+      status = UNMATCHED_STATUS[txn.source];
+    }
+
+    const fields = {
+      reconciliation_status: status,
+      reconciliation_run_id: run._id,
+      reconciliation_legs: entries
+    };
+
+    // The row's own group: the settlement leg for gateway payments when it matched
+    const ownLeg = [...ownLegs].reverse().map(legName => legs.get(legName)).find(outcome => outcome?.status === MATCHED);
+    if (ownLeg) {
+      Object.assign(fields, {
+        reconciled_with: ownLeg.group,
+        reconciliation_date: new Date(),
+        match_rule: ownLeg.rule._id,
+        match_rule_version: ownLeg.rule.version,
+        match_pass: ownLeg.match_pass
+      });
+    }
+
+    // Fees deducted on the settlement leg, recorded apart from disputes
+    const settled = legs.get(RECONCILIATION_LEG.GATEWAY_BANK);
+    if (settled?.status === MATCHED && settled.fee_variance !== undefined) {
+      fields.fee_variance = settled.fee_variance;
+      if (settled.settlement_fees) fields.settlement_fees = settled.settlement_fees;
+    }
+
+    const mismatch = [...legs.values()].find(outcome => outcome.status === RECONCILIATION_LEG_STATUS.AMOUNT_MISMATCH);
+    if (mismatch) {
+      Object.assign(fields, {
+        is_disputed: true,
+        dispute_reason: `Amount mismatch: ${txn.source} ${describeAmount(txn)} vs ${mismatch.counterpart.source} ${describeAmount(mismatch.counterpart)}`,
+        dispute_amount: mismatch.amount_difference
+      });
+    }
+
+    await writer.recordLegOutcome(txn, fields);
+
+    // Run and per-leg counters
+    for (const entry of entries) {
+      if (entry.break_type) {
+        const { breaks } = legState.get(entry.leg);
+        breaks[entry.break_type] = (breaks[entry.break_type] || 0) + 1;
+      }
+    }
+
+    const stats = merchantStats(merchantSummary, merchantId);
+    if (status === RECONCILIATION_STATUS.PARTIALLY_MATCHED) run.summary.partially_matched++;
+    if (status === RECONCILIATION_STATUS.AMOUNT_MISMATCH) stats.mismatches++;
+    if (entries.some(entry => entry.break_type && entry.break_type !== RECONCILIATION_BREAK_TYPE.AMOUNT_MISMATCH)) stats.unmatched++;
+    if (txn.sla_breached) run.summary.sla_breaches++;
+
+    if (txn.source === TRANSACTION_SOURCE.MERCHANT) {
+      if (status === RECONCILIATION_STATUS.MATCHED) {
+        run.summary.matched++;
+        run.amounts.total_matched_amount += txn.amount;
+        stats.matched++;
+        stats.total_amount += txn.amount;
+      } else if (status === RECONCILIATION_STATUS.UNMATCHED_MERCHANT) {
+        run.summary.unmatched_merchant++;
+        run.amounts.total_unmatched_merchant_amount += txn.amount;
+      }
+    } else if (txn.source === TRANSACTION_SOURCE.BANK) {
+      if (status === RECONCILIATION_STATUS.UNMATCHED_BANK) {
+        run.summary.unmatched_bank++;
+        run.amounts.total_unmatched_bank_amount += txn.amount;
+      }
+      if (!merchants.has(merchantId)) run.summary.unknown_merchants++;
+    } else if (status === RECONCILIATION_STATUS.UNMATCHED_GATEWAY) {
+      run.summary.unmatched_gateway++;
+    }
+  }
+};
+
+// Per-merchant counters as stored on the run
+const formatMerchantSummary = (merchantSummary, merchants) => [...merchantSummary].map(([merchant_id, stats]) => ({
+  merchant_id,
+  merchant_name: merchants.get(merchant_id)?.name || 'Unknown',
+  ...stats
+}));
+
+// Copy of the counters a run has accumulated, taken each time a merchant is committed
+const snapshotCounters = (run, merchantSummary, legState) => {
+  const { summary, amounts } = run.toObject();
+
+  return {
+    summary,
+    amounts,
+    merchantSummary: [...merchantSummary].map(([merchantId, stats]) => [merchantId, { ...stats }]),
+    legState: [...legState].map(([name, leg]) => [name, {
+      summary: { ...leg.summary },
+      amounts: { ...leg.amounts },
+      breaks: { ...leg.breaks }
+    }])
+  };
+};
+
+// Put the counters back to a snapshot, dropping whatever was counted since
+const restoreCounters = (run, snapshot, merchantSummary, legState) => {
+  run.summary = snapshot.summary;
+  run.amounts = snapshot.amounts;
+  merchantSummary.clear();
+  for (const [merchantId, stats] of snapshot.merchantSummary) merchantSummary.set(merchantId, { ...stats });
+  for (const [name, state] of snapshot.legState) Object.assign(legState.get(name), state);
+};
+
+// Match pending transactions for a run, one merchant at a time.
+// Two-way runs match bank against merchant; three-way runs match merchant -> gateway
+// and gateway -> bank, then settle each row from both legs.
+// Mutates run.summary, run.amounts, run.merchant_summary and run.leg_summary; the caller saves the run.
+// A dry run only fills run.preview and leaves every other collection untouched.
+// Live runs lock each merchant before processing it and release the locks when
+// done; merchants locked by another run are skipped (run.skipped_merchants).
+// Each merchant's writes are committed together with the run's counters and
+// checkpoint (in one MongoDB transaction where supported), so a failed run's
+// counters always match what it wrote. A run with a checkpoint resumes after
+// the merchants already committed.
+// `onProgress` is called at every checkpoint; `isCancelled` is polled between merchants.
+const matchTransactions = async (run, { onProgress = async () => {}, isCancelled = async () => false } = {}) => {
+  const baseQuery = buildBaseQuery(run.config);
+  const writer = run.config.dry_run ? createPreviewWriter(run) : createLiveWriter(run);
+  const threeWay = run.config.mode === RECONCILIATION_MODE.THREE_WAY;
+  const legs = threeWay ? THREE_WAY_LEGS : [TWO_WAY_LEG];
+  const live = !run.config.dry_run;
+  const resuming = live && run.checkpoint?.merchants?.length > 0;
+  const committedMerchants = new Set(resuming ? run.checkpoint.merchants : []);
+
+  const [totalBank, totalMerchant, totalGateway, merchantIds] = await Promise.all([
+    Transaction.countDocuments({ ...baseQuery, source: TRANSACTION_SOURCE.BANK }),
+    Transaction.countDocuments({ ...baseQuery, source: TRANSACTION_SOURCE.MERCHANT }),
+    threeWay ? Transaction.countDocuments({ ...baseQuery, source: TRANSACTION_SOURCE.GATEWAY }) : 0,
+    Transaction.distinct('merchant_id', {
+      ...baseQuery,
+      source: { $in: [...new Set(legs.flatMap(leg => [leg.bankSource, leg.merchantSource]))] }
+    })
+  ]);
+
+  // A resumed run keeps its original totals; the counts above are what is left
+  if (!resuming) {
+    run.summary.total_bank_transactions = totalBank;
+    run.summary.total_merchant_transactions = totalMerchant;
+    run.summary.total_gateway_transactions = totalGateway;
+  }
+
+  // Gateway rows are visited once per leg
+  const total = totalBank + totalMerchant + totalGateway * 2;
+  const progressEvery = Math.max(1, config.reconciliation.progressEvery);
+  let processed = 0;
+
+  const reportProgress = () => onProgress({
+    processed,
+    total,
+    percent: total === 0 ? 100 : Math.min(100, Math.floor((processed / total) * 100)),
+    matched: run.summary.matched
+  });
+
+  // Runs only stop between merchants, once everything decided is committed
+  const stopIfCancelled = async () => {
+    if (await isCancelled()) throw new RunCancelledError(run.run_id);
+  };
+
+  const checkpoint = async () => {
+    processed++;
+    if (processed % progressEvery !== 0) return;
+
+    await reportProgress();
+  };
+
+  // Load merchants and resolve the match rule for each merchant (and leg) once
+  const merchants = new Map(
+    (await Merchant.find({ merchant_id: { $in: merchantIds } }).lean()).map(m => [m.merchant_id, m])
+  );
+
+  const ruleSet = await loadRulesForRun(run.config.match_rule_id);
+  const feeSchedules = run.config.net_of_fees ? await loadFeeSchedules() : [];
+  const rulesByMerchant = new Map();
+  const appliedRules = new Map();
+  for (const merchantId of merchantIds) {
+    const rules = new Map();
+    for (const leg of legs) {
+      const rule = selectRule(ruleSet, merchantId, merchants.get(merchantId)?.payment_gateway, leg.name);
+      rules.set(leg.name, rule);
+      appliedRules.set(ruleKey(rule), rule);
+    }
+    rulesByMerchant.set(merchantId, rules);
+  }
+
+  run.config.match_rules = [...appliedRules.values()].map(rule => ({
+    rule: rule._id,
+    name: rule.name,
+    version: rule.version
+  }));
+
+  const merchantSummary = new Map();
+  const legState = new Map(legs.map(leg => [leg.name, emptyLegCounters()]));
+  if (resuming) {
+    for (const { merchant_id, merchant_name, _id, ...stats } of run.toObject().merchant_summary) {
+      merchantSummary.set(merchant_id, stats);
+    }
+    for (const [name, state] of Object.entries(run.checkpoint.leg_state || {})) {
+      Object.assign(legState.get(name), state);
+    }
+  }
+  const locking = live;
+  run.skipped_merchants = [];
+
+  const transactional = live && config.reconciliation.transactions && supportsTransactions();
+  let committed = snapshotCounters(run, merchantSummary, legState);
+
+  // Store the counters and the committed merchants on the run
+  const saveCheckpoint = (snapshot, checkpointData, session) => ReconciliationRun.updateOne(
+    { _id: run._id },
+    {
+      summary: snapshot.summary,
+      amounts: snapshot.amounts,
+      merchant_summary: formatMerchantSummary(merchantSummary, merchants),
+      skipped_merchants: [...run.skipped_merchants],
+      checkpoint: checkpointData,
+      heartbeat_at: new Date()
+    },
+    { session }
+  );
+
+  // Match one merchant and commit its writes with the run's checkpoint
+  const commitMerchant = async (merchantId, work) => {
+    const session = transactional ? await mongoose.startSession() : null;
+    try {
+      session?.startTransaction();
+      writer.useSession(session);
+
+      await work();
+      await writer.flush();
+
+      const snapshot = snapshotCounters(run, merchantSummary, legState);
+      const checkpointData = {
+        merchants: [...committedMerchants, merchantId],
+        leg_state: threeWay ? Object.fromEntries(snapshot.legState) : undefined,
+        updated_at: new Date()
+      };
+      if (live) await saveCheckpoint(snapshot, checkpointData, session);
+      await session?.commitTransaction();
+      committed = snapshot;
+      if (live) run.checkpoint = checkpointData;
+    } catch (error) {
+      if (session?.inTransaction()) await session.abortTransaction();
+      throw error;
+    } finally {
+      writer.useSession(null);
+      await session?.endSession();
+    }
+    committedMerchants.add(merchantId);
+  };
+
+  try {
+    for (const merchantId of merchantIds) {
+      if (committedMerchants.has(merchantId)) continue;
+
+      if (locking && !(await acquireMerchantLock(merchantId, run._id))) {
+        run.skipped_merchants.push(merchantId);
+        continue;
+      }
+
+      await commitMerchant(merchantId, async () => {
+        const rules = rulesByMerchant.get(merchantId);
+        const ctx = { run, writer, baseQuery, merchants, merchantSummary, checkpoint, feeSchedules };
+
+        if (!threeWay) {
+          await matchMerchant({ ...ctx, summary: run.summary, amounts: run.amounts, rule: rules.get(TWO_WAY_LEG.name) }, merchantId);
+          return;
+        }
+
+        const outcomes = new Map();
+        for (const leg of legs) {
+          const state = legState.get(leg.name);
+          await matchMerchant({
+            ...ctx,
+            writer: trackLeg(writer, leg, outcomes),
+            summary: state.summary,
+            amounts: state.amounts,
+            merchantSummary: state.merchantSummary,
+            rule: rules.get(leg.name),
+            leg
+          }, merchantId);
+        }
+
+        await settleThreeWay(ctx, merchantId, outcomes, legState);
+      });
+
+      await stopIfCancelled();
+    }
+  } catch (error) {
+    // Drop the counts of the merchant that failed part-way. Without a transaction
+    // its partial writes are still there, so they are undone as well.
+    restoreCounters(run, committed, merchantSummary, legState);
+    if (live && !transactional && !(error instanceof RunCancelledError)) {
+      await rollbackRunWrites(run, { keepMerchants: [...committedMerchants] })
+        .catch(rollbackError => console.error(`Undoing partial writes of ${run.run_id} failed:`, rollbackError));
+    }
+    throw error;
+  } finally {
+    if (locking) await releaseRunLocks(run._id);
+  }
+
+  if (threeWay) {
+    run.leg_summary = [];
+    for (const [leg, { summary, amounts, breaks }] of legState) {
+      run.leg_summary.push({
+        leg,
+        matched: summary.matched,
+        group_matches: summary.group_matches,
+        amount_mismatch: summary.amount_mismatch,
+        breaks
+      });
+      run.summary.group_matches += summary.group_matches;
+      run.summary.amount_mismatch += summary.amount_mismatch;
+      run.summary.disputes_detected += summary.disputes_detected;
+      run.summary.net_of_fees_matches += summary.net_of_fees_matches;
+      run.summary.fee_variances += summary.fee_variances;
+      run.amounts.total_mismatch_difference += amounts.total_mismatch_difference;
+      run.amounts.total_fees += amounts.total_fees;
+      run.amounts.total_fee_variance += amounts.total_fee_variance;
+    }
+  }
+
+  // Format merchant summary
+  run.merchant_summary = formatMerchantSummary(merchantSummary, merchants);
+
+  // Final progress tick so clients see 100%
+  await reportProgress();
+
+  return run;
+};
+
+module.exports = {
+  matchTransactions,
+  buildBaseQuery,
+  RunCancelledError
+};
@@ -0,0 +1,255 @@
+const { ReconciliationRun, Alert } = require('../models');
+const { RECONCILIATION_RUN_STATUS, RUN_RECOVERY_MODE, ALERT_TYPES } = require('../config/constants');
+const { matchTransactions, RunCancelledError } = require('./reconciliationEngine');
+const { rollbackRunWrites } = require('./reconciliationRollback');
+const { renewRunLocks, releaseRunLocks } = require('./merchantLocks');
+const config = require('../config');
+
+// Worker state (one run is processed at a time per process)
+let io = null;
+let pollTimer = null;
+let busy = false;
+let stopped = true;
+
+const emit = (event, data) => {
+  if (io) io.emit(event, data);
+};
+
+// Queue a new reconciliation run (no user for scheduled runs)
+const enqueueRun = async (runConfig, user, extra = {}) => {
+  const run = await ReconciliationRun.create({
+    ...extra,
+    status: RECONCILIATION_RUN_STATUS.QUEUED,
+    initiated_by: user?._id,
+    config: runConfig
+  });
+
+  emit('reconciliation:queued', { _id: run._id, run_id: run.run_id });
+  setImmediate(processQueue);
+
+  return run;
+};
+
+// Cancel a queued run immediately, or flag a running one for the worker.
+// Returns null when the run is in neither state.
+const cancelRun = async (runId, user) => {
+  const queued = await ReconciliationRun.findOneAndUpdate(
+    { _id: runId, status: RECONCILIATION_RUN_STATUS.QUEUED },
+    {
+      status: RECONCILIATION_RUN_STATUS.CANCELLED,
+      cancelled_at: new Date(),
+      cancelled_by: user._id
+    },
+    { new: true }
+  );
+
+  if (queued) {
+    emit('reconciliation:cancelled', { _id: queued._id, run_id: queued.run_id, summary: queued.summary });
+    return queued;
+  }
+
+  return ReconciliationRun.findOneAndUpdate(
+    { _id: runId, status: RECONCILIATION_RUN_STATUS.RUNNING },
+    { cancel_requested: true, cancelled_by: user._id },
+    { new: true }
+  );
+};
+
+// Atomically claim the oldest queued run
+const claimNextRun = () => ReconciliationRun.findOneAndUpdate(
+  { status: RECONCILIATION_RUN_STATUS.QUEUED },
+  { status: RECONCILIATION_RUN_STATUS.RUNNING, started_at: new Date(), heartbeat_at: new Date() },
+  { sort: { queued_at: 1 }, new: true }
+);
+
+// Fail an interrupted run. A live run's writes are rolled back so no row is
+// left pointing at a run that never finished.
+const failInterruptedRun = async (run) => {
+  if (!run.config.dry_run) {
+    run.rollback_summary = await rollbackRunWrites(run);
+  }
+
+  run.status = RECONCILIATION_RUN_STATUS.FAILED;
+  run.completed_at = new Date();
+  run.errors.push({
+    message: run.config.dry_run
+      ? 'Interrupted: the worker processing this run stopped'
+      : 'Interrupted: the worker processing this run stopped; its writes were rolled back',
+    timestamp: new Date()
+  });
+  await run.save();
+
+  emit('reconciliation:failed', { _id: run._id, run_id: run.run_id, summary: run.summary, error: run.errors[run.errors.length - 1].message });
+};
+
+// Put an interrupted live run back in the queue to resume after its checkpoint.
+// Writes for the merchant it was part-way through are undone first (a transaction
+// already does this where supported).
+const resumeInterruptedRun = async (run) => {
+  await rollbackRunWrites(run, { keepMerchants: run.checkpoint?.merchants || [] });
+
+  run.status = RECONCILIATION_RUN_STATUS.QUEUED;
+  run.resume_count += 1;
+  run.resumed_at = new Date();
+  await run.save();
+
+  emit('reconciliation:queued', { _id: run._id, run_id: run.run_id, resumed: true });
+};
+
+// Recover runs left RUNNING by a worker that stopped heartbeating (the process
+// crashed or was killed). Previews are failed (they wrote nothing); live runs
+// resume from their checkpoint, unless recovery is set to roll back or the run
+// has already been resumed too often.
+const recoverStaleRuns = async () => {
+  const { mode, staleAfterMs, maxResumes } = config.reconciliation.recovery;
+  const staleBefore = new Date(Date.now() - staleAfterMs);
+
+  const stale = await ReconciliationRun.find({
+    status: RECONCILIATION_RUN_STATUS.RUNNING,
+    $or: [
+      { heartbeat_at: { $lt: staleBefore } },
+      { heartbeat_at: null, started_at: { $lt: staleBefore } }
+    ]
+  });
+
+  for (const found of stale) {
+    // Claim the recovery so only one process handles it
+    const run = await ReconciliationRun.findOneAndUpdate(
+      { _id: found._id, status: RECONCILIATION_RUN_STATUS.RUNNING, heartbeat_at: found.heartbeat_at ?? null },
+      { heartbeat_at: new Date() },
+      { new: true }
+    );
+    if (!run) continue;
+
+    await releaseRunLocks(run._id);
+
+    const resume = !run.config.dry_run && mode === RUN_RECOVERY_MODE.RESUME && run.resume_count < maxResumes;
+    console.warn(`Reconciliation run ${run.run_id} was interrupted; ${resume ? 'resuming from its checkpoint' : 'marking it failed'}`);
+
+    if (resume) {
+      await resumeInterruptedRun(run);
+    } else {
+      await failInterruptedRun(run);
+    }
+  }
+};
+
+// Execute a claimed run and record its outcome
+const executeRun = async (run) => {
+  const onProgress = async (progress) => {
+    await ReconciliationRun.updateOne(
+      { _id: run._id },
+      { progress: { ...progress, updated_at: new Date() }, heartbeat_at: new Date() }
+    );
+    emit('reconciliation:progress', { _id: run._id, run_id: run.run_id, ...progress });
+  };
+
+  const isCancelled = () => ReconciliationRun.exists({ _id: run._id, cancel_requested: true });
+
+  // Heartbeat on a timer rather than with progress, so a long stretch without
+  // progress (a large merchant, a slow write) is not mistaken for a dead process
+  const heartbeat = async () => {
+    await ReconciliationRun.updateOne(
+      { _id: run._id, status: RECONCILIATION_RUN_STATUS.RUNNING },
+      { heartbeat_at: new Date() }
+    );
+    await renewRunLocks(run._id);
+  };
+  const heartbeatTimer = setInterval(() => {
+    heartbeat().catch(error => console.error(`Reconciliation run ${run.run_id} heartbeat failed:`, error.message));
+  }, config.reconciliation.recovery.heartbeatIntervalMs);
+
+  try {
+    await matchTransactions(run, { onProgress, isCancelled });
+
+    const preview = run.config.dry_run;
+    run.status = preview ? RECONCILIATION_RUN_STATUS.PREVIEW : RECONCILIATION_RUN_STATUS.COMPLETED;
+    run.completed_at = new Date();
+    run.duration_ms = Date.now() - run.started_at.getTime();
+    await run.save();
+
+    emit('reconciliation:complete', { _id: run._id, run_id: run.run_id, summary: run.summary, preview });
+
+    // A preview leaves alerts untouched too
+    if (preview) return;
+
+    // Create completion alert
+    await Alert.createAlert({
+      type: ALERT_TYPES.RECONCILIATION_COMPLETE,
+      severity: 'LOW',
+      title: 'Reconciliation Completed',
+      message: `Reconciliation run ${run.run_id} completed. Matched: ${run.summary.matched}, Unmatched: ${run.summary.unmatched_bank + run.summary.unmatched_merchant}`,
+      entity_type: 'RECONCILIATION',
+      entity_id: run.run_id,
+      reconciliation_run_id: run._id,
+      data: run.summary
+    });
+  } catch (error) {
+    const cancelled = error instanceof RunCancelledError;
+
+    run.status = cancelled ? RECONCILIATION_RUN_STATUS.CANCELLED : RECONCILIATION_RUN_STATUS.FAILED;
+    run.completed_at = new Date();
+    run.duration_ms = Date.now() - run.started_at.getTime();
+    if (cancelled) {
+      run.cancelled_at = run.completed_at;
+    } else {
+      run.errors.push({ message: error.message, timestamp: new Date() });
+      console.error(`Reconciliation run ${run.run_id} failed:`, error);
+    }
+    await run.save();
+
+    emit(cancelled ? 'reconciliation:cancelled' : 'reconciliation:failed', {
+      _id: run._id,
+      run_id: run.run_id,
+      summary: run.summary,
+      error: cancelled ? undefined : error.message
+    });
+  } finally {
+    clearInterval(heartbeatTimer);
+  }
+};
+
+// Recover interrupted runs, then drain the queue one run at a time
+const processQueue = async () => {
+  if (busy || stopped) return;
+  busy = true;
+
+  try {
+    await recoverStaleRuns();
+
+    let run;
+    while (!stopped && (run = await claimNextRun())) {
+      await executeRun(run);
+    }
+  } catch (error) {
+    console.error('Reconciliation worker error:', error);
+  } finally {
+    busy = false;
+  }
+};
+
+// Start polling for queued runs
+const startWorker = (socketServer) => {
+  io = socketServer;
+  stopped = false;
+  pollTimer = setInterval(processQueue, config.reconciliation.pollIntervalMs);
+  processQueue();
+  console.log('Reconciliation worker started');
+};
+
+// Stop picking up new runs (the current run finishes)
+const stopWorker = () => {
+  stopped = true;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+module.exports = {
+  enqueueRun,
+  cancelRun,
+  recoverStaleRuns,
+  startWorker,
+  stopWorker
+};
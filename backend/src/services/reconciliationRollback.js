@@ -0,0 +1,73 @@
+const { Transaction, MatchGroup, Alert } = require('../models');
+const { RECONCILIATION_STATUS } = require('../config/constants');
+
+// Rows of a run changed by anyone other than the run itself after it finished.
+// Workbench actions are caught even while the run was still going.
+const findTouchedTransactions = (run, limit = 20) => {
+  const touched = [
+    { 'manual_reconciliation.at': { $gte: run.started_at || run.queued_at } }
+  ];
+  if (run.completed_at) {
+    touched.push({ updatedAt: { $gt: run.completed_at } });
+  }
+
+  return Transaction.find({ reconciliation_run_id: run._id, $or: touched })
+    .select('transaction_id source reconciliation_status updatedAt manual_reconciliation')
+    .limit(limit);
+};
+
+// Undo everything a run wrote: its transactions go back to PENDING with the
+// match and dispute fields cleared, its match groups and alerts are removed,
+// and its entry is dropped from every row's outcome history.
+// `keepMerchants` leaves the writes for those merchants in place (used to drop
+// only the merchant an interrupted run was part-way through).
+const rollbackRunWrites = async (run, { keepMerchants = [] } = {}) => {
+  const scope = keepMerchants.length ? { merchant_id: { $nin: keepMerchants } } : {};
+
+  const transactions = await Transaction.updateMany(
+    { reconciliation_run_id: run._id, ...scope },
+    {
+      $set: {
+        reconciliation_status: RECONCILIATION_STATUS.PENDING,
+        is_disputed: false,
+        dispute_resolved: false
+      },
+      $unset: {
+        reconciled_with: 1,
+        reconciliation_date: 1,
+        reconciliation_run_id: 1,
+        match_rule: 1,
+        match_rule_version: 1,
+        match_pass: 1,
+        reconciliation_legs: 1,
+        match_confidence: 1,
+        needs_review: 1,
+        match_suggestions: 1,
+        settlement_fees: 1,
+        fee_variance: 1,
+        dispute_reason: 1,
+        dispute_amount: 1,
+        dispute_resolution: 1
+      }
+    }
+  );
+
+  await Transaction.updateMany(
+    { 'reconciliation_history.run': run._id, ...scope },
+    { $pull: { reconciliation_history: { run: run._id } } }
+  );
+
+  const groups = await MatchGroup.deleteMany({ reconciliation_run_id: run._id, ...scope });
+  const alerts = await Alert.deleteMany({ reconciliation_run_id: run._id, ...scope });
+
+  return {
+    transactions: transactions.modifiedCount,
+    match_groups: groups.deletedCount,
+    alerts: alerts.deletedCount
+  };
+};
+
+module.exports = {
+  findTouchedTransactions,
+  rollbackRunWrites
+};
@@ -0,0 +1,159 @@
+const { ReconciliationSchedule, ReconciliationRun, Merchant } = require('../models');
+const { SETTLEMENT_CYCLE, MERCHANT_STATUS, RECONCILIATION_RUN_STATUS } = require('../config/constants');
+const { enqueueRun } = require('./reconciliationQueue');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Furthest a cut-off search looks (covers a monthly cycle)
+const SEARCH_DAYS = 62;
+
+let schedulerTimer = null;
+let checking = false;
+
+// Whether a (wall-clock) day is a cut-off day for the schedule
+const isCutoffDay = (schedule, day) => {
+  if (schedule.settlement_cycle === SETTLEMENT_CYCLE.WEEKLY) return day.getUTCDay() === schedule.day_of_week;
+  if (schedule.settlement_cycle === SETTLEMENT_CYCLE.MONTHLY) return day.getUTCDate() === schedule.day_of_month;
+  return true;
+};
+
+// Cut-off instants around `now`, walking day by day in the given direction (1 or -1).
+// Wall-clock days are handled as UTC dates shifted by the configured offset.
+const findCutoff = (schedule, now, direction) => {
+  const offsetMs = config.reconciliation.scheduler.utcOffsetMinutes * 60 * 1000;
+  const [hours, minutes] = schedule.cutoff_time.split(':').map(Number);
+  const today = new Date(now.getTime() + offsetMs);
+  today.setUTCHours(0, 0, 0, 0);
+
+  for (let i = 0; i <= SEARCH_DAYS; i++) {
+    const day = new Date(today.getTime() + direction * i * DAY_MS);
+    if (!isCutoffDay(schedule, day)) continue;
+
+    const cutoff = new Date(day.getTime() + (hours * 60 + minutes) * 60 * 1000 - offsetMs);
+    if (direction < 0 ? cutoff <= now : cutoff > now) return cutoff;
+  }
+  return null;
+};
+
+// Latest cut-off at or before now
+const previousCutoff = (schedule, now = new Date()) => findCutoff(schedule, now, -1);
+
+// First cut-off after now
+const nextCutoff = (schedule, now = new Date()) => findCutoff(schedule, now, 1);
+
+// Active merchants settled on a cycle
+const cycleMerchantIds = (cycle) => Merchant.distinct('merchant_id', {
+  settlement_cycle: cycle,
+  status: MERCHANT_STATUS.ACTIVE
+});
+
+// Queue the run for one cut-off: the cycle's merchants, rows dated up to the cut-off.
+// Nothing is queued while the schedule's previous run is still queued or running.
+// Returns { run, message }.
+const queueScheduledRun = async (schedule, cutoff, user = null) => {
+  if (schedule.last_run) {
+    const active = await ReconciliationRun.exists({
+      _id: schedule.last_run,
+      status: { $in: [RECONCILIATION_RUN_STATUS.QUEUED, RECONCILIATION_RUN_STATUS.RUNNING] }
+    });
+    if (active) {
+      return { run: null, message: 'Previous run still in progress; its merchants are picked up at the next cut-off' };
+    }
+  }
+
+  const merchantIds = await cycleMerchantIds(schedule.settlement_cycle);
+  if (!merchantIds.length) {
+    return { run: null, message: `No active ${schedule.settlement_cycle} merchants` };
+  }
+
+  const run = await enqueueRun({
+    ...schedule.toObject().run_config,
+    include_merchants: merchantIds,
+    date_range: { end: cutoff },
+    dry_run: false
+  }, user, { schedule: schedule._id, scheduled_cutoff: cutoff });
+
+  return { run, message: `Queued ${run.run_id} for ${merchantIds.length} merchant(s)` };
+};
+
+// Record a trigger on the schedule
+const recordTrigger = (schedule, { run, message }, now) => ReconciliationSchedule.updateOne(
+  { _id: schedule._id },
+  {
+    ...(run && { last_run: run._id }),
+    last_triggered_at: now,
+    last_message: message,
+    next_run_at: nextCutoff(schedule, now)
+  }
+);
+
+// Queue runs for every schedule whose cut-off has passed since it last ran.
+// Cut-offs missed while the server was down are caught up with one run
+// covering everything up to the latest missed cut-off.
+const runDueSchedules = async (now = new Date()) => {
+  const schedules = await ReconciliationSchedule.find({ is_active: true });
+  const queued = [];
+
+  for (const schedule of schedules) {
+    const due = previousCutoff(schedule, now);
+    if (!due || (schedule.last_cutoff_at && due <= schedule.last_cutoff_at)) continue;
+
+    // Claim the cut-off so it is handled once, even with several processes
+    const claimed = await ReconciliationSchedule.findOneAndUpdate(
+      { _id: schedule._id, last_cutoff_at: schedule.last_cutoff_at || null },
+      { last_cutoff_at: due },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    try {
+      const outcome = await queueScheduledRun(claimed, due);
+      await recordTrigger(claimed, outcome, now);
+      if (outcome.run) queued.push(outcome.run);
+    } catch (error) {
+      console.error(`Reconciliation schedule ${schedule.name} failed:`, error);
+      await recordTrigger(claimed, { run: null, message: `Failed: ${error.message}` }, now);
+    }
+  }
+
+  return queued;
+};
+
+const checkSchedules = async () => {
+  if (checking) return;
+  checking = true;
+
+  try {
+    await runDueSchedules();
+  } catch (error) {
+    console.error('Reconciliation scheduler error:', error);
+  } finally {
+    checking = false;
+  }
+};
+
+// Check schedules now (catching up on missed cut-offs) and then periodically
+const startScheduler = () => {
+  schedulerTimer = setInterval(checkSchedules, config.reconciliation.scheduler.checkIntervalMs);
+  checkSchedules();
+  console.log('Reconciliation scheduler started');
+};
+
+const stopScheduler = () => {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+};
+
+module.exports = {
+  previousCutoff,
+  nextCutoff,
+  cycleMerchantIds,
+  queueScheduledRun,
+  recordTrigger,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,207 @@
+const { Transaction } = require('../models');
+const config = require('../config');
+
+// Status used when a row has no outcome recorded for one of the runs
+const NOT_IN_RUN = 'NOT_IN_RUN';
+
+// Run settings compared between two runs
+const CONFIG_FIELDS = [
+  'mode',
+  'date_window_hours',
+  'amount_tolerance',
+  'include_merchants',
+  'exclude_merchants',
+  'date_range',
+  'match_rule_id',
+  'match_rules',
+  'group_matching',
+  'net_of_fees',
+  'dry_run'
+];
+
+const MERCHANT_FIELDS = ['matched', 'group_matches', 'fuzzy_matches', 'unmatched', 'mismatches', 'total_amount'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// $push recording a workbench action (manualAction) and the status it left the
+// row in on the row's outcome history, so comparisons show changes made by hand
+const manualHistoryPush = (action, status, matchGroup) => ({
+  reconciliation_history: {
+    $each: [{
+      action: action.action,
+      status,
+      match_group: matchGroup,
+      reason_code: action.reason_code,
+      by: action.by,
+      at: action.at
+    }],
+    $slice: -Math.max(1, config.reconciliation.historyLength)
+  }
+});
+
+// Plain JSON value for comparing (ObjectIds, dates and subdocuments included).
+// Subdocument ids are dropped, they differ on every run.
+const plain = (value) => (value === undefined
+  ? null
+  : JSON.parse(JSON.stringify(value), (key, item) => (key === '_id' ? undefined : item)));
+
+// Settings that differ between the two runs
+const compareConfig = (configA = {}, configB = {}) => CONFIG_FIELDS
+  .map(field => ({ field, a: plain(configA[field]), b: plain(configB[field]) }))
+  .filter(({ a, b }) => JSON.stringify(a) !== JSON.stringify(b));
+
+// Numeric summary counters side by side
+const compareSummary = (summaryA = {}, summaryB = {}) => Object.keys({ ...summaryA, ...summaryB })
+  .filter(key => typeof (summaryA[key] ?? summaryB[key]) === 'number')
+  .map(key => ({
+    field: key,
+    a: summaryA[key] || 0,
+    b: summaryB[key] || 0,
+    delta: round((summaryB[key] || 0) - (summaryA[key] || 0))
+  }));
+
+// Per-merchant deltas from both runs' merchant_summary, changed merchants first
+const compareMerchants = (merchantsA = [], merchantsB = []) => {
+  const merchants = new Map();
+  const add = (side, entry) => {
+    if (!merchants.has(entry.merchant_id)) {
+      merchants.set(entry.merchant_id, { merchant_id: entry.merchant_id, merchant_name: entry.merchant_name, a: null, b: null });
+    }
+    merchants.get(entry.merchant_id)[side] = entry;
+  };
+  merchantsA.forEach(entry => add('a', entry));
+  merchantsB.forEach(entry => add('b', entry));
+
+  return [...merchants.values()]
+    .map(({ merchant_id, merchant_name, a, b }) => {
+      const pick = (entry) => Object.fromEntries(MERCHANT_FIELDS.map(field => [field, entry?.[field] || 0]));
+      const before = pick(a);
+      const after = pick(b);
+      const delta = Object.fromEntries(MERCHANT_FIELDS.map(field => [field, round(after[field] - before[field])]));
+      return {
+        merchant_id,
+        merchant_name,
+        in_a: !!a,
+        in_b: !!b,
+        a: before,
+        b: after,
+        delta,
+        changed: !a || !b || MERCHANT_FIELDS.some(field => delta[field] !== 0)
+      };
+    })
+    .sort((x, y) => Number(y.changed) - Number(x.changed) || x.merchant_id.localeCompare(y.merchant_id));
+};
+
+const entryTime = (entry) => (entry?.at ? new Date(entry.at).getTime() : null);
+
+// Rows whose outcome differs between two runs, read from each row's outcome history.
+// A run only picks up pending rows, so the rows compared are those the later run
+// re-processed (re-queued, corrected or new rows) and those changed in the
+// workbench after the earlier run; the rest kept the earlier run's outcome
+// (carried_over). A row's side of the later run is the outcome of the last
+// workbench action when the run did not process it, and the workbench actions
+// taken in between are listed on it.
+// Streams the rows so large runs are not held in memory; only the requested page
+// is kept. transition filters on "FROM>TO" (e.g. "UNMATCHED_BANK>MATCHED").
+const diffRunTransactions = async (runA, runB, { merchant_id, transition, page = 1, limit = 50 } = {}) => {
+  const [earlier, later] = new Date(runA.started_at) <= new Date(runB.started_at) ? [runA, runB] : [runB, runA];
+  const since = earlier.completed_at || earlier.started_at;
+  const until = later.completed_at || new Date();
+
+  const scope = merchant_id ? { merchant_id: merchant_id.toUpperCase() } : {};
+  const query = {
+    ...scope,
+    $or: [
+      { 'reconciliation_history.run': later._id },
+      { reconciliation_history: { $elemMatch: { action: { $exists: true }, at: { $gt: since, $lte: until } } } }
+    ]
+  };
+
+  const earlierId = earlier._id.toString();
+  const laterId = later._id.toString();
+  const skip = (page - 1) * limit;
+
+  const transitions = new Map();
+  const changes = [];
+  let compared = 0;
+  let changedCount = 0;
+  let filteredCount = 0;
+
+  const cursor = Transaction.find(query)
+    .select('transaction_id merchant_id source amount reconciliation_history')
+    .sort({ _id: 1 })
+    .lean()
+    .cursor();
+
+  for await (const txn of cursor) {
+    compared++;
+    const history = txn.reconciliation_history || [];
+    const entryEarlier = history.find(entry => entry.run?.toString() === earlierId);
+    const entryLater = history.find(entry => entry.run?.toString() === laterId);
+    const manual = history.filter(entry => entry.action && entryTime(entry) > since.getTime() && entryTime(entry) <= until.getTime());
+    const after = entryLater || manual[manual.length - 1];
+
+    const sides = {
+      [earlierId]: { status: entryEarlier?.status || NOT_IN_RUN, match_pass: entryEarlier?.match_pass || null },
+      [laterId]: { status: after?.status || NOT_IN_RUN, match_pass: after?.match_pass || (after?.action ? 'MANUAL' : null) }
+    };
+    const a = sides[runA._id.toString()];
+    const b = sides[runB._id.toString()];
+
+    if (a.status === b.status && a.match_pass === b.match_pass && !manual.length) continue;
+
+    changedCount++;
+    const key = `${a.status}>${b.status}`;
+    transitions.set(key, (transitions.get(key) || 0) + 1);
+
+    if (transition && key !== transition) continue;
+    if (filteredCount++ < skip || changes.length >= limit) continue;
+
+    changes.push({
+      _id: txn._id,
+      transaction_id: txn.transaction_id,
+      merchant_id: txn.merchant_id,
+      source: txn.source,
+      amount: txn.amount,
+      a,
+      b,
+      manual_actions: manual.map(({ action, status, reason_code, by, at }) => ({ action, status, reason_code, by, at }))
+    });
+  }
+
+  // Rows of the earlier run left alone since
+  const carriedOver = await Transaction.countDocuments({
+    ...scope,
+    'reconciliation_history.run': earlier._id,
+    $nor: query.$or
+  });
+
+  return {
+    compared,
+    changed: changedCount,
+    unchanged: compared - changedCount,
+    carried_over: carriedOver,
+    transitions: [...transitions]
+      .map(([key, count]) => {
+        const [from, to] = key.split('>');
+        return { from, to, count };
+      })
+      .sort((x, y) => y.count - x.count),
+    transactions: changes,
+    pagination: {
+      page,
+      limit,
+      total: filteredCount,
+      pages: Math.ceil(filteredCount / limit)
+    }
+  };
+};
+
+module.exports = {
+  NOT_IN_RUN,
+  manualHistoryPush,
+  compareConfig,
+  compareSummary,
+  compareMerchants,
+  diffRunTransactions
+};
@@ -0,0 +1,281 @@
+const { parse, isValid, format } = require('date-fns');
+const { AMOUNT_GROUPING, AMOUNT_UNIT } = require('../config/constants');
+const config = require('../config');
+
+// Strict parsing of the amounts and dates in uploaded files. Each parser returns
+// { value } (undefined for an empty cell) or { error } saying why the cell was
+// not read; nothing is guessed or defaulted.
+
+// Amounts written 1,234.56 in rupees unless a profile says otherwise
+const DEFAULT_AMOUNT_FORMAT = {
+  decimal_separator: '.',
+  thousands_separator: ',',
+  grouping: AMOUNT_GROUPING.STANDARD,
+  unit: AMOUNT_UNIT.MAJOR,
+  negative_parentheses: false
+};
+
+// Integer part with thousands separators (T), by grouping
+const GROUPED_INTEGER = {
+  [AMOUNT_GROUPING.STANDARD]: (t) => new RegExp(`^\\d{1,3}(?:${t}\\d{3})+$`),
+  [AMOUNT_GROUPING.INDIAN]: (t) => new RegExp(`^\\d{1,2}(?:${t}\\d{2})*${t}\\d{3}$`)
+};
+
+const GROUPING_EXAMPLES = {
+  [AMOUNT_GROUPING.STANDARD]: '1,234,567',
+  [AMOUNT_GROUPING.INDIAN]: '12,34,567'
+};
+
+// Currency code or symbol written before or after an amount
+const CURRENCY_PREFIX = /^(?:[A-Z]{3}|Rs\.?|[₹$€£¥])\s*/i;
+const CURRENCY_SUFFIX = /\s*(?:[A-Z]{3}|[₹$€£¥])$/i;
+
+// Dates tried, in order, when a profile has no date format (after ISO 8601).
+// A day-first date whose day could also be a month (01/02/2026) is ambiguous
+// without a format and is rejected rather than guessed.
+const DEFAULT_DATE_FORMATS = [
+  'dd/MM/yyyy',
+  'dd-MM-yyyy',
+  'dd/MM/yyyy HH:mm',
+  'dd/MM/yyyy HH:mm:ss',
+  'dd-MM-yyyy HH:mm:ss',
+  'yyyy/MM/dd'
+];
+
+// 2026-01-11, 2026-01-11T10:15, 2026-01-11 10:15:00.000+05:30, ...
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// Day 0 of Excel's serial dates (spreadsheet cells hold dates as day numbers)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Years a transaction date can plausibly have (catches a two-digit year read
+// with a four-digit format, e.g. 11/01/26 as dd/MM/yyyy)
+const MIN_YEAR = 2000;
+const MAX_YEAR = 2100;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Amount in rupees from an amount in the file's unit
+const inRupees = (amount, unit) => (unit === AMOUNT_UNIT.MINOR ? amount / 100 : amount);
+
+// Amount written in the given format
+const parseAmount = (value, amountFormat = {}) => {
+  if (isEmpty(value)) return { value: undefined };
+
+  const { decimal_separator: decimal, thousands_separator: thousands, grouping, unit, negative_parentheses: parentheses } = {
+    ...DEFAULT_AMOUNT_FORMAT,
+    ...amountFormat
+  };
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return { error: `Unreadable amount "${value}"` };
+    if (unit === AMOUNT_UNIT.MINOR && !Number.isInteger(value)) {
+      return { error: `Amount "${value}" has decimals but amounts are in paise` };
+    }
+    return { value: inRupees(value, unit) };
+  }
+
+  const original = String(value).trim();
+  let text = original.replace(/[\u00a0\u202f]/g, ' ');
+  let negative = false;
+
+  if (/^\(.*\)$/.test(text)) {
+    if (!parentheses) {
+      return { error: `Amount "${original}" is in parentheses, which this mapping does not read as negative` };
+    }
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+
+  const takeSign = () => {
+    const sign = /^[-+]\s*/.exec(text);
+    if (sign) {
+      negative = negative !== sign[0].startsWith('-');
+      text = text.slice(sign[0].length);
+    }
+  };
+
+  takeSign();
+  text = text.replace(CURRENCY_PREFIX, '').replace(CURRENCY_SUFFIX, '');
+  takeSign();
+  if (text.endsWith('-')) {
+    negative = !negative;
+    text = text.slice(0, -1).trim();
+  }
+
+  const parts = text.split(decimal);
+  if (parts.length > 2) return { error: `Unreadable amount "${original}"` };
+  const [integer, fraction] = parts;
+
+  if (fraction !== undefined && !/^\d+$/.test(fraction)) return { error: `Unreadable amount "${original}"` };
+  if (fraction !== undefined && unit === AMOUNT_UNIT.MINOR) {
+    return { error: `Amount "${original}" has decimals but amounts are in paise` };
+  }
+
+  let digits = integer;
+  if (thousands && integer.includes(thousands)) {
+    if (!GROUPED_INTEGER[grouping](escapeRegExp(thousands)).test(integer)) {
+      return { error: `Amount "${original}" is not grouped like ${GROUPING_EXAMPLES[grouping].replace(/,/g, thousands)}` };
+    }
+    digits = integer.split(thousands).join('');
+  }
+  if (!/^\d*$/.test(digits) || (digits === '' && fraction === undefined)) {
+    return { error: `Unreadable amount "${original}"` };
+  }
+
+  const amount = inRupees(parseFloat(`${digits || '0'}.${fraction || '0'}`), unit);
+  return { value: negative ? -amount : amount };
+};
+
+// Fixed UTC offset in minutes ("UTC", "Z", "+05:30", "UTC+0530"), or null
+const fixedOffset = (timezone) => {
+  const match = /^(?:UTC|GMT|Z)?(?:([+-])(\d{2}):?(\d{2}))?$/i.exec(String(timezone).trim());
+  if (!match) return null;
+  if (!match[1]) return 0;
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+};
+
+// Offset from UTC (minutes) of a time zone at an instant
+const zoneOffset = (timezone, instant) => {
+  const fixed = fixedOffset(timezone);
+  if (fixed !== null) return fixed;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(instant)).map(({ type, value }) => [type, Number(value)]));
+
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((local - instant) / 60000);
+};
+
+// IANA time zone name or fixed offset
+const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  if (fixedOffset(timezone) !== null) return true;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Date-fns format that can be used to read dates
+const isValidDateFormat = (dateFormat) => {
+  try {
+    format(new Date(), dateFormat);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Instant at a wall-clock time in a time zone (checked again after the first
+// guess so times near a daylight saving change land on the right offset)
+const zonedTime = ([year, month, day, hour = 0, minute = 0, second = 0, ms = 0], timezone) => {
+  const wall = Date.UTC(year, month, day, hour, minute, second, ms);
+  const guess = wall - zoneOffset(timezone, wall) * 60000;
+  return new Date(wall - zoneOffset(timezone, guess) * 60000);
+};
+
+// Wall-clock fields of an Excel serial date, to the nearest second
+const excelWallClock = (serial) => {
+  const date = new Date(EXCEL_EPOCH + Math.round(serial * DAY_MS / 1000) * 1000);
+  return [
+    date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()
+  ];
+};
+
+// Wall-clock fields of a date-fns parse result (read in the process's own zone)
+const wallClock = (date) => [
+  date.getFullYear(), date.getMonth(), date.getDate(),
+  date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()
+];
+
+// Formats that carry their own UTC offset (X, x, O tokens outside quotes)
+const hasOffsetToken = (dateFormat) => /[XxO]/.test(dateFormat.replace(/'[^']*'/g, ''));
+
+const parseIsoDate = (text, timezone) => {
+  const match = ISO_DATE.exec(text);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, ms, offset] = match;
+  const fields = [Number(year), Number(month) - 1, Number(day), Number(hour || 0), Number(minute || 0), Number(second || 0), Number((ms || '0').padEnd(3, '0'))];
+
+  // Reject dates that roll over (2026-02-30)
+  const check = new Date(Date.UTC(...fields));
+  if (check.getUTCMonth() !== fields[1] || check.getUTCDate() !== fields[2] || fields[3] > 23 || fields[4] > 59 || fields[5] > 59) {
+    return new Date(NaN);
+  }
+  return zonedTime(fields, offset || timezone);
+};
+
+// A date read day first that would read as another date month first
+const isAmbiguousDayFirst = (parsed, dateFormat) => {
+  const day = parsed.getDate();
+  const month = parsed.getMonth() + 1;
+  return dateFormat.startsWith('dd') && day <= 12 && day !== month;
+};
+
+// Date written in the given date-fns format, or (without one) ISO 8601 or one of
+// the default day-first formats when the day can't be a month; numbers are Excel
+// serial dates. Times without
+// a UTC offset are in `timezone`.
+const parseDate = (value, dateFormat = null, timezone = config.upload.timezone) => {
+  if (isEmpty(value)) return { value: undefined };
+  if (value instanceof Date) {
+    return isValid(value) ? { value } : { error: 'Unreadable date' };
+  }
+
+  const text = String(value).trim();
+  let date = null;
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) return { error: `Unreadable date "${text}"` };
+    date = zonedTime(excelWallClock(value), timezone);
+  } else if (dateFormat) {
+    const parsed = parse(text, dateFormat, new Date());
+    if (!isValid(parsed)) return { error: `Date "${text}" does not match ${dateFormat}` };
+    date = hasOffsetToken(dateFormat) ? parsed : zonedTime(wallClock(parsed), timezone);
+  } else {
+    date = parseIsoDate(text, timezone);
+    for (const candidate of date ? [] : DEFAULT_DATE_FORMATS) {
+      const parsed = parse(text, candidate, new Date());
+      if (isValid(parsed)) {
+        if (isAmbiguousDayFirst(parsed, candidate)) {
+          return { error: `Ambiguous date "${text}": day and month could be either way (set the date format, e.g. dd/MM/yyyy or MM/dd/yyyy)` };
+        }
+        date = zonedTime(wallClock(parsed), timezone);
+        break;
+      }
+    }
+    if (!date || !isValid(date)) {
+      return { error: `Unreadable date "${text}" (set the date format, e.g. dd/MM/yyyy)` };
+    }
+  }
+
+  const year = date.getUTCFullYear();
+  if (year < MIN_YEAR || year > MAX_YEAR) {
+    return { error: `Date "${text}" is out of range (year ${year})` };
+  }
+  return { value: date };
+};
+
+module.exports = {
+  DEFAULT_AMOUNT_FORMAT,
+  parseAmount,
+  parseDate,
+  isValidTimezone,
+  isValidDateFormat
+};
@@ -0,0 +1,83 @@
+const { Alert } = require('../models');
+const { WEBHOOK_EVENT_STATUS, ALERT_TYPES } = require('../config/constants');
+const { paymentFor, upsertPayment, applyRefund } = require('./gatewayTransactions');
+
+// Applies verified gateway webhook events (stored as WebhookEvent) to
+// transactions: payments are upserted, refunds and disputes recorded on the
+// payment they belong to.
+
+// Mark a payment disputed (resolved once the gateway closes the dispute);
+// returns the alert raised when the payment was not disputed before
+const applyDispute = async (gateway, dispute) => {
+  const transaction = await paymentFor(gateway, dispute.payment_id, `dispute ${dispute.id}`);
+  const newlyDisputed = !transaction.is_disputed;
+
+  transaction.is_disputed = true;
+  transaction.dispute_amount = dispute.amount;
+  transaction.dispute_reason = dispute.reason;
+  transaction.dispute_resolved = dispute.resolved;
+  if (dispute.resolved) transaction.dispute_resolution = `${gateway.label} dispute ${dispute.status}`;
+  transaction.metadata = { ...transaction.metadata, dispute_id: dispute.id, dispute_status: dispute.status };
+  // Bumps updatedAt on purpose: rolling back the row's run would clear the dispute
+  await transaction.save();
+
+  if (!newlyDisputed) return { transaction };
+
+  const alert = await Alert.createAlert({
+    type: ALERT_TYPES.DISPUTE_DETECTED,
+    severity: 'HIGH',
+    title: 'Dispute Opened',
+    message: `${gateway.label} dispute ${dispute.id} opened on transaction ${transaction.transaction_id} for ${dispute.amount} ${dispute.currency}`,
+    entity_type: 'TRANSACTION',
+    entity_id: transaction.transaction_id,
+    merchant_id: transaction.merchant_id,
+    transaction_id: transaction.transaction_id,
+    transaction: transaction._id,
+    data: { dispute_id: dispute.id, reason: dispute.reason, status: dispute.status }
+  });
+  return { transaction, alert };
+};
+
+// Process a stored event and record the outcome on it. Payment events emit
+// transaction:new or transaction:update; refund and dispute events emit
+// transaction:update.
+const processEvent = async (gateway, event, io) => {
+  const emit = (name, data) => io && io.emit(name, data);
+
+  event.attempts += 1;
+  event.error = undefined;
+
+  try {
+    const { payment, refund, dispute } = gateway.parseWebhook(event.payload);
+    let transaction = null;
+    let created = false;
+
+    if (payment) ({ transaction, created } = await upsertPayment(gateway, payment));
+    if (refund) transaction = await applyRefund(gateway, refund);
+    if (dispute) {
+      const result = await applyDispute(gateway, dispute);
+      transaction = result.transaction;
+      if (result.alert) emit('alert:new', { _id: result.alert._id, severity: result.alert.severity, message: result.alert.message });
+    }
+
+    if (transaction) {
+      event.status = WEBHOOK_EVENT_STATUS.PROCESSED;
+      event.transaction = transaction._id;
+      event.transaction_id = transaction.transaction_id;
+      emit(created ? 'transaction:new' : 'transaction:update', { transaction: transaction.toJSON() });
+    } else {
+      event.status = WEBHOOK_EVENT_STATUS.IGNORED;
+    }
+    event.processed_at = new Date();
+  } catch (error) {
+    event.status = WEBHOOK_EVENT_STATUS.FAILED;
+    event.error = error.message;
+  }
+
+  await event.save();
+  return event;
+};
+
+module.exports = {
+  processEvent
+};
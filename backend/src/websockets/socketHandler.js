@@ -87,7 +87,11 @@ const setupSocketHandlers = (io) => {
 const SOCKET_EVENTS = {
   TRANSACTION_NEW: 'transaction:new',
   TRANSACTION_UPDATE: 'transaction:update',
+  RECONCILIATION_QUEUED: 'reconciliation:queued',
+  RECONCILIATION_PROGRESS: 'reconciliation:progress',
   RECONCILIATION_COMPLETE: 'reconciliation:complete',
+  RECONCILIATION_CANCELLED: 'reconciliation:cancelled',
+  RECONCILIATION_FAILED: 'reconciliation:failed',
   DISPUTE_NEW: 'dispute:new',
   ALERT_NEW: 'alert:new',
   SLA_BREACH: 'sla:breach'
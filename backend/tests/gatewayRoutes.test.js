@@ -0,0 +1,164 @@
+// Gateway endpoints for Stripe, against the mock Stripe API
+// (src/scripts/stripeMock.js). The database calls they make are mocked.
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { server } = require('../src/scripts/stripeMock');
+const config = require('../src/config');
+const { User, GatewayCredential, Transaction } = require('../src/models');
+const { errorHandler } = require('../src/middleware');
+const gatewayRoutes = require('../src/routes/gatewayRoutes');
+
+// Not connected: a database call left unmocked fails at once instead of waiting
+mongoose.set('bufferCommands', false);
+
+const admin = {
+  _id: '6500000000000000000000aa',
+  role: 'ADMIN',
+  status: 'ACTIVE',
+  changedPasswordAfter: () => false
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/gateways', gatewayRoutes);
+app.use(errorHandler);
+
+const token = jwt.sign({ id: admin._id }, config.jwt.secret);
+const api = (method, path) => request(app)[method](`/api/gateways${path}`).set('Authorization', `Bearer ${token}`);
+
+beforeAll((done) => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  server.listen(0, '127.0.0.1', () => {
+    config.stripe.apiHost = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+beforeEach(() => {
+  config.stripe.secretKey = 'sk_test_mock';
+  jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(admin) });
+  // No stored accounts: the environment's key is used
+  jest.spyOn(GatewayCredential, 'find').mockReturnValue({ select: () => ({ sort: () => Promise.resolve([]) }) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll((done) => {
+  server.closeAllConnections();
+  server.close(done);
+});
+
+describe('POST /api/gateways/stripe/test', () => {
+  it('connects with the configured key', async () => {
+    const res = await api('post', '/stripe/test');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data).toEqual(expect.objectContaining({ connected: true, mode: 'test', keyPrefix: 'sk_test_...mock' }));
+  });
+
+  it('reports a key Stripe rejects', async () => {
+    config.stripe.secretKey = 'sk_test_';
+
+    const res = await api('post', '/stripe/test');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(false);
+    expect(res.body.data.connected).toBe(false);
+    expect(res.body.data.error).toMatch(/Invalid API Key/);
+  });
+
+  it('is refused without a token', async () => {
+    const res = await request(app).post('/api/gateways/stripe/test');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/gateways/stripe/*', () => {
+  it('lists payments', async () => {
+    const res = await api('get', '/stripe/payments?count=3');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.payments.map(charge => charge.id)).toEqual(['ch_3MockCharge0012', 'ch_3MockCharge0011', 'ch_3MockCharge0010']);
+    expect(res.body.data.has_more).toBe(true);
+  });
+
+  it('lists refunds and settlements', async () => {
+    const refunds = await api('get', '/stripe/refunds');
+    const settlements = await api('get', '/stripe/settlements');
+
+    expect(refunds.body.data.refunds).toEqual([expect.objectContaining({ id: 're_3MockRefund0001', payment_id: 'ch_3MockCharge0002', amount: 2500 })]);
+    expect(settlements.body.data.settlements).toEqual([expect.objectContaining({ id: 'po_1MockPayout0001', currency: 'INR', automatic: true })]);
+  });
+
+  it('totals recent charges', async () => {
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([]);
+
+    const res = await api('get', '/stripe/stats');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.gateway).toEqual(expect.objectContaining({ currency: 'INR', paymentCount: 12, failedCount: 1, pendingCount: 1 }));
+    expect(res.body.data.local.count).toBe(0);
+  });
+
+  it('rejects an unknown gateway', async () => {
+    const res = await api('get', '/paypal/payments');
+
+    expect(res.status).toBe(404);
+  });
+
+  it('needs a key', async () => {
+    config.stripe.secretKey = '';
+
+    const res = await api('get', '/stripe/payments');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Stripe is not configured/);
+  });
+});
+
+describe('POST /api/gateways/stripe/sync', () => {
+  it('imports new charges and links those paid out in a payout', async () => {
+    jest.spyOn(Transaction, 'findOne').mockImplementation(({ $or }) => Promise.resolve(
+      $or[0].transaction_id === 'ch_3MockCharge0012' ? { _id: 'existing' } : null
+    ));
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(doc => Promise.resolve(doc));
+    const updateMany = jest.spyOn(Transaction, 'updateMany').mockResolvedValue({ modifiedCount: 5 });
+
+    const res = await api('post', '/stripe/sync').send({ count: 50 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ imported: 9, skipped: 2, errors: 0, settlements: 1, linked: 5, total: 12 });
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      transaction_id: 'ch_3MockCharge0001',
+      amount: 5000,
+      gateway_fee: 100,
+      gateway_tax: 18,
+      created_by: admin._id
+    }));
+
+    const [filter, update, options] = updateMany.mock.calls[0];
+    expect(filter.payment_gateway).toBe('STRIPE');
+    expect(filter.gateway_transaction_id.$in.sort()).toEqual([1, 2, 3, 4, 5].map(n => `ch_3MockCharge000${n}`));
+    expect(update.$set).toEqual(expect.objectContaining({ gateway_settlement_id: 'po_1MockPayout0001', 'metadata.settlement_status': 'paid' }));
+    expect(options).toEqual({ timestamps: false });
+  });
+
+  it('fails when Stripe cannot be read', async () => {
+    config.stripe.secretKey = 'sk_test_';
+
+    const res = await api('post', '/stripe/sync');
+
+    expect(res.status).toBe(500);
+    expect(res.body.message).toMatch(/Failed to sync Stripe payments/);
+  });
+});
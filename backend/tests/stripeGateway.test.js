@@ -0,0 +1,158 @@
+// Stripe adapter against the mock Stripe API (src/scripts/stripeMock.js),
+// with pages of 5 so the sync reads several
+
+process.env.STRIPE_MOCK_PAGE_LIMIT = '5';
+
+const { server, buildAccount } = require('../src/scripts/stripeMock');
+const config = require('../src/config');
+const stripe = require('../src/services/gateways/stripe');
+
+const credentials = { secretKey: 'sk_test_mock' };
+const account = buildAccount();
+
+// Requests the mock received during a test
+let requests = [];
+server.on('request', (req) => requests.push(new URL(req.url, 'http://mock')));
+
+const listRequests = (path) => requests.filter(url => url.pathname === path);
+
+beforeAll((done) => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  server.listen(0, '127.0.0.1', () => {
+    config.stripe.apiHost = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+afterAll((done) => {
+  server.closeAllConnections();
+  server.close(done);
+});
+
+describe('testConnection', () => {
+  it('reports the mode, the masked key and the available balance in rupees', async () => {
+    const available = account.balanceTransactions.reduce((sum, bt) => sum + bt.net, 0) / 100;
+
+    await expect(stripe.testConnection(credentials)).resolves.toEqual({
+      mode: 'test',
+      keyPrefix: 'sk_test_...mock',
+      available: [{ amount: available, currency: 'INR' }]
+    });
+  });
+
+  it('fails for a key Stripe rejects', async () => {
+    await expect(stripe.testConnection({ secretKey: 'sk_test_' })).rejects.toThrow(/Invalid API Key/);
+  });
+});
+
+describe('paymentsToSync', () => {
+  it('reads every page of balance transactions', async () => {
+    const batch = await stripe.paymentsToSync(credentials, { count: 50 });
+
+    // 10 settled charges, the refund (skipped) and the payout
+    expect(batch.total).toBe(12);
+    expect(batch.items).toHaveLength(10);
+    expect(batch.skipped).toBe(1);
+    expect(batch.settlements).toEqual([expect.objectContaining({ id: 'po_1MockPayout0001', automatic: true, currency: 'INR' })]);
+
+    const pages = listRequests('/v1/balance_transactions');
+    expect(pages).toHaveLength(3);
+    expect(pages[0].searchParams.get('starting_after')).toBeNull();
+    expect(pages.slice(1).map(url => url.searchParams.get('starting_after'))).toEqual(['txn_3MockCharge0008', 'txn_3MockCharge0003']);
+    expect(pages.every(url => url.searchParams.get('expand[0]') === 'data.source')).toBe(true);
+  });
+
+  it('stops after count balance transactions', async () => {
+    const batch = await stripe.paymentsToSync(credentials, { count: 7 });
+
+    expect(batch.total).toBe(7);
+    expect(batch.items.map(charge => charge.id)).toEqual([
+      'ch_3MockCharge0012', 'ch_3MockCharge0011', 'ch_3MockCharge0008', 'ch_3MockCharge0007', 'ch_3MockCharge0006'
+    ]);
+    expect(listRequests('/v1/balance_transactions')).toHaveLength(2);
+  });
+
+  it('keeps the balance transaction on each charge', async () => {
+    const { items } = await stripe.paymentsToSync(credentials, { count: 50 });
+
+    for (const charge of items) {
+      expect(charge.balance_transaction).toEqual(expect.objectContaining({ id: charge.id.replace('ch_', 'txn_'), type: 'charge' }));
+      expect(charge.balance_transaction.source).toBeUndefined();
+    }
+  });
+});
+
+describe('settlementPaymentIds', () => {
+  it('lists the charges a payout paid out', async () => {
+    const ids = await stripe.settlementPaymentIds(credentials, { id: 'po_1MockPayout0001' });
+
+    expect(ids.sort()).toEqual([1, 2, 3, 4, 5].map(n => `ch_3MockCharge000${n}`));
+  });
+});
+
+describe('toTransaction', () => {
+  let charges;
+
+  beforeAll(async () => {
+    const { items } = await stripe.paymentsToSync(credentials, { count: 50 });
+    charges = new Map(items.map(charge => [charge.id, charge]));
+  });
+
+  it('maps a settled INR charge with its fees', () => {
+    const transaction = stripe.toTransaction(charges.get('ch_3MockCharge0001'));
+
+    expect(transaction).toEqual(expect.objectContaining({
+      transaction_id: 'ch_3MockCharge0001',
+      merchant_id: 'MER002',
+      amount: 5000,
+      currency: 'INR',
+      payment_gateway: 'STRIPE',
+      status: 'SUCCESS',
+      source: 'GATEWAY',
+      gateway_transaction_id: 'ch_3MockCharge0001',
+      reference_id: 'pi_3MockCharge0001',
+      customer_email: 'customer1@example.com',
+      customer_name: 'Customer 1',
+      // 2% fee, and 18% GST on it
+      gateway_fee: 100,
+      gateway_tax: 18,
+      gateway_fee_currency: 'INR'
+    }));
+    expect(transaction.transaction_date).toEqual(new Date(charges.get('ch_3MockCharge0001').created * 1000));
+    expect(transaction.metadata).toEqual(expect.objectContaining({
+      order_id: 'ORD-0001',
+      method: 'card',
+      amount_refunded: 0,
+      stripe_balance_transaction: 'txn_3MockCharge0001',
+      settlement: expect.objectContaining({ amount: 5000, fee: 118, net: 4882, currency: 'INR', exchange_rate: null })
+    }));
+  });
+
+  it('states the fee of a converted charge in the charge currency', () => {
+    const transaction = stripe.toTransaction(charges.get('ch_3MockCharge0006'));
+
+    expect(transaction).toEqual(expect.objectContaining({ amount: 49.99, currency: 'USD', gateway_fee_currency: 'USD' }));
+    // 83.18 INR fee and 14.97 INR GST at 83.2 INR to the dollar
+    expect(transaction.gateway_fee).toBe(1);
+    expect(transaction.gateway_tax).toBe(0.18);
+    expect(transaction.metadata.settlement).toEqual(expect.objectContaining({ amount: 4159.17, currency: 'INR', exchange_rate: 83.2 }));
+  });
+
+  it('records the refunded amount', () => {
+    expect(stripe.toTransaction(charges.get('ch_3MockCharge0002')).metadata.amount_refunded).toBe(2500);
+  });
+
+  it('maps a charge without a balance transaction', () => {
+    const failed = account.charges.find(charge => charge.status === 'failed');
+    const transaction = stripe.toTransaction(failed);
+
+    expect(transaction.status).toBe('FAILED');
+    expect(transaction.gateway_fee).toBeUndefined();
+    expect(transaction.metadata.settlement).toBeUndefined();
+    expect(stripe.toTransaction(account.charges.find(charge => charge.status === 'pending')).status).toBe('PENDING');
+  });
+});
@@ -0,0 +1,275 @@
+import { useState, useEffect } from 'react';
+import { Plus, KeyRound, RotateCcw, Trash2, History, Star, Plug, Save, X, AlertTriangle } from 'lucide-react';
+import { gatewayAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = { label: '', mode: '', merchant_id: '', is_default: false, credentials: {} };
+
+// Stored accounts (encrypted credentials) of one gateway: secrets are only
+// ever shown masked, and new ones replace the stored ones
+const GatewayAccountsPanel = ({ gateway }) => {
+  const [status, setStatus] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [masterKeyConfigured, setMasterKeyConfigured] = useState(true);
+  const [form, setForm] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [busy, setBusy] = useState(null);
+  const [history, setHistory] = useState(null);
+
+  const fetchAccounts = async () => {
+    try {
+      const [statusResponse, accountsResponse] = await Promise.all([
+        gatewayAPI.getStatus(),
+        gatewayAPI.getAccounts({ gateway })
+      ]);
+      setStatus(statusResponse.data.data.gateways[gateway]);
+      setAccounts(accountsResponse.data.data.accounts);
+      setMasterKeyConfigured(accountsResponse.data.data.master_key_configured);
+    } catch (error) {
+      toast.error('Failed to load gateway accounts');
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+    setForm(null);
+    setHistory(null);
+  }, [gateway]);
+
+  const fields = status?.credentialFields || [];
+
+  const openForm = (account = null) => {
+    setEditing(account);
+    setForm(account ? {
+      label: account.label,
+      mode: account.mode,
+      merchant_id: account.merchant_id || '',
+      is_default: account.is_default,
+      credentials: {}
+    } : EMPTY_FORM);
+  };
+
+  const setCredential = (name, value) => {
+    setForm(prev => ({ ...prev, credentials: { ...prev.credentials, [name]: value } }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const data = { ...form, mode: form.mode || undefined };
+      if (editing) {
+        await gatewayAPI.updateAccount(editing._id, data);
+        toast.success('Account updated');
+      } else {
+        await gatewayAPI.createAccount({ ...data, gateway });
+        toast.success('Account added and verified');
+      }
+      setForm(null);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save account');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Run an action on an account, then reload
+  const run = async (account, action, success) => {
+    try {
+      setBusy(account._id);
+      const response = await action();
+      if (response.data.success === false) {
+        toast.error(response.data.data?.error || response.data.message);
+      } else {
+        toast.success(success || response.data.message);
+      }
+      fetchAccounts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Action failed');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleDelete = (account) => {
+    if (!window.confirm(`Delete the ${account.label} account? Gateway calls will use another account.`)) return;
+    run(account, () => gatewayAPI.deleteAccount(account._id));
+  };
+
+  const handleRewrap = async () => {
+    try {
+      const response = await gatewayAPI.rewrapAccounts();
+      toast.success(response.data.message);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to re-wrap credentials');
+    }
+  };
+
+  const toggleHistory = async (account) => {
+    if (history?.account === account._id) {
+      setHistory(null);
+      return;
+    }
+    try {
+      const response = await gatewayAPI.getAccountHistory(account._id);
+      setHistory({ account: account._id, entries: response.data.data.history });
+    } catch (error) {
+      toast.error('Failed to load history');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="font-medium text-slate-900">API Credentials</h4>
+        {masterKeyConfigured && !form && (
+          <button onClick={() => openForm()} className="btn btn-outline btn-sm inline-flex items-center gap-1">
+            <Plus className="w-3 h-3" /> Add Account
+          </button>
+        )}
+      </div>
+
+      {!masterKeyConfigured && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+          <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+          Set GATEWAY_MASTER_KEY on the server to store gateway credentials.
+        </div>
+      )}
+      {status?.source === 'environment' && (
+        <p className="text-sm text-slate-500">
+          Using the credentials set in the server environment ({status.keyPrefix}). An account added here takes their place.
+        </p>
+      )}
+      {status?.error && <p className="text-sm text-red-600">{status.error}</p>}
+      {accounts.some(account => account.needs_rewrap) && (
+        <div className="flex items-center justify-between gap-2 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+          Some credentials are still encrypted under a previous master key.
+          <button onClick={handleRewrap} className="btn btn-outline btn-sm">Re-wrap</button>
+        </div>
+      )}
+
+      {form && (
+        <form onSubmit={handleSave} className="card p-4 bg-slate-50 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="label">Label</label>
+              <input className="input" value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} placeholder={`${status?.label || ''} live`} />
+            </div>
+            <div>
+              <label className="label">Mode</label>
+              <select className="input" value={form.mode} onChange={(e) => setForm({ ...form, mode: e.target.value })}>
+                <option value="">From the key</option>
+                <option value="test">Test</option>
+                <option value="live">Live</option>
+              </select>
+            </div>
+            <div>
+              <label className="label">Merchant ID</label>
+              <input className="input" value={form.merchant_id} onChange={(e) => setForm({ ...form, merchant_id: e.target.value })} placeholder="Platform account" />
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-700 mt-6">
+              <input type="checkbox" checked={form.is_default} onChange={(e) => setForm({ ...form, is_default: e.target.checked })} />
+              Default account
+            </label>
+          </div>
+          {fields.map(field => (
+            <div key={field.name}>
+              <label className="label">{field.label}{field.required && !editing && ' *'}</label>
+              <input
+                type={field.secret ? 'password' : 'text'}
+                autoComplete="off"
+                className="input"
+                value={form.credentials[field.name] || ''}
+                onChange={(e) => setCredential(field.name, e.target.value)}
+                placeholder={editing ? editing.masked?.[field.name] || editing.identifiers?.[field.name] || 'Not set' : ''}
+              />
+            </div>
+          ))}
+          {editing && <p className="text-xs text-slate-500">Leave a field blank to keep it. New credentials are verified with {status?.label} before they are saved.</p>}
+          <div className="flex gap-2">
+            <button type="submit" disabled={saving} className="btn btn-primary btn-sm inline-flex items-center gap-1">
+              <Save className="w-3 h-3" /> {saving ? 'Verifying...' : 'Save'}
+            </button>
+            <button type="button" onClick={() => setForm(null)} className="btn btn-outline btn-sm inline-flex items-center gap-1">
+              <X className="w-3 h-3" /> Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {accounts.length === 0 && !form && (
+        <p className="text-sm text-slate-400">No stored accounts</p>
+      )}
+
+      {accounts.map(account => (
+        <div key={account._id} className={`card p-4 ${account.is_active ? '' : 'opacity-60'}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <div className="flex items-center gap-2">
+                <p className="font-medium text-slate-900">{account.label}</p>
+                <span className={`badge ${account.mode === 'live' ? 'badge-info' : 'badge-warning'}`}>{account.mode.toUpperCase()}</span>
+                {account.is_default && <span className="badge badge-success">Default</span>}
+                {!account.is_active && <span className="badge badge-neutral">Inactive</span>}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">{account.merchant_id ? `Merchant ${account.merchant_id}` : 'Platform account'}</p>
+            </div>
+            <div className="flex gap-1">
+              <button onClick={() => run(account, () => gatewayAPI.test(gateway, { account: account._id }))} disabled={busy === account._id} className="btn btn-outline btn-sm" title="Test connection">
+                <Plug className="w-3 h-3" />
+              </button>
+              {!account.is_default && (
+                <button onClick={() => run(account, () => gatewayAPI.updateAccount(account._id, { is_default: true }), `${account.label} is the default`)} disabled={busy === account._id} className="btn btn-outline btn-sm" title="Make default">
+                  <Star className="w-3 h-3" />
+                </button>
+              )}
+              <button onClick={() => openForm(account)} className="btn btn-outline btn-sm" title="Replace credentials">
+                <KeyRound className="w-3 h-3" />
+              </button>
+              <button onClick={() => run(account, () => gatewayAPI.rotateAccountKey(account._id))} disabled={busy === account._id} className="btn btn-outline btn-sm" title="Rotate encryption key">
+                <RotateCcw className="w-3 h-3" />
+              </button>
+              <button onClick={() => toggleHistory(account)} className="btn btn-outline btn-sm" title="History">
+                <History className="w-3 h-3" />
+              </button>
+              <button onClick={() => handleDelete(account)} disabled={busy === account._id} className="btn btn-outline btn-sm text-red-600" title="Delete">
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+          </div>
+
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mt-3 text-sm">
+            {fields.map(field => (
+              <div key={field.name} className="flex gap-2">
+                <dt className="text-slate-500">{field.label}:</dt>
+                <dd className="font-mono text-slate-800">{account.identifiers?.[field.name] || account.masked?.[field.name] || '–'}</dd>
+              </div>
+            ))}
+          </dl>
+          <p className="text-xs text-slate-400 mt-2">
+            Version {account.version}
+            {account.rotated_at && ` · rotated ${new Date(account.rotated_at).toLocaleString()}`}
+            {account.last_verified_at && ` · verified ${new Date(account.last_verified_at).toLocaleString()}`}
+            {account.updated_by?.name && ` · last changed by ${account.updated_by.name}`}
+          </p>
+
+          {history?.account === account._id && (
+            <ul className="mt-3 pt-3 border-t border-slate-100 space-y-1 text-xs text-slate-600">
+              {history.entries.length === 0 && <li>No changes recorded</li>}
+              {history.entries.map(entry => (
+                <li key={entry._id}>
+                  {new Date(entry.timestamp).toLocaleString()} · {entry.action.replace('GATEWAY_CREDENTIAL_', '').toLowerCase()} by {entry.user?.name || entry.user_email}
+                  {entry.details?.fields?.length > 0 && ` (${entry.details.fields.join(', ')})`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GatewayAccountsPanel;
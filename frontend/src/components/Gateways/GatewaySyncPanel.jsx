@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { RefreshCw, Play, RotateCcw } from 'lucide-react';
+import { gatewayAPI } from '../../services/api';
+import { useSocket } from '../../context/SocketContext';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const STATUS_BADGES = {
+  RUNNING: 'badge-info',
+  COMPLETED: 'badge-success',
+  FAILED: 'badge-danger'
+};
+
+const COUNT_LABELS = [
+  ['payments_imported', 'imported'],
+  ['payments_updated', 'updated'],
+  ['refunds', 'refunds'],
+  ['settlements', 'settlements'],
+  ['payments_linked', 'payments settled'],
+  ['refunds_linked', 'refunds settled'],
+  ['adjustments', 'adjustments'],
+  ['missing_payments', 'payment not found'],
+  ['errors', 'errors']
+];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const describeCursor = ({ stage, skip, day }) => [
+  stage.toLowerCase().replace(/_/g, ' '),
+  day && new Date(day).toISOString().slice(0, 10),
+  skip > 0 && `after ${skip}`
+].filter(Boolean).join(' · ');
+
+// Full syncs of a gateway (payments, refunds, settlements and the settlement
+// items linking them) over a date range, with progress and resume
+const GatewaySyncPanel = ({ gateway }) => {
+  const { isAdmin } = useAuth();
+  const { subscribe } = useSocket() || {};
+  const [syncs, setSyncs] = useState([]);
+  const [range, setRange] = useState({ from: daysAgo(7), to: today() });
+  const [starting, setStarting] = useState(false);
+  const [resuming, setResuming] = useState(null);
+
+  const fetchSyncs = async () => {
+    try {
+      const response = await gatewayAPI.getSyncs({ gateway, limit: 10 });
+      setSyncs(response.data.data.syncs);
+    } catch (error) {
+      toast.error('Failed to load gateway syncs');
+    }
+  };
+
+  useEffect(() => {
+    fetchSyncs();
+  }, [gateway]);
+
+  useEffect(() => {
+    if (!subscribe) return undefined;
+    return subscribe('gateway:sync', (data) => {
+      if (data.gateway !== gateway) return;
+      setSyncs(current => current.map(sync => (sync._id === data._id ? { ...sync, ...data, active: data.status === 'RUNNING' } : sync)));
+      if (data.status === 'FAILED') toast.error(`Sync failed: ${data.error}`);
+      if (data.status === 'COMPLETED') toast.success('Sync completed');
+    });
+  }, [subscribe, gateway]);
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    try {
+      setStarting(true);
+      const response = await gatewayAPI.fullSync(gateway, range);
+      toast.success(response.data.message);
+      fetchSyncs();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start sync');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const handleResume = async (sync) => {
+    try {
+      setResuming(sync._id);
+      const response = await gatewayAPI.resumeSync(sync._id);
+      toast.success(response.data.message);
+      fetchSyncs();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to resume sync');
+    } finally {
+      setResuming(null);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="font-medium text-slate-900">Settlement Sync</h4>
+          <p className="text-sm text-slate-500">Payments, refunds and settlements with their UTRs, for settlement-level reconciliation</p>
+        </div>
+        <button onClick={fetchSyncs} className="btn btn-outline btn-sm" title="Refresh">
+          <RefreshCw className="w-3 h-3" />
+        </button>
+      </div>
+
+      {isAdmin() && (
+        <form onSubmit={handleStart} className="flex items-end gap-3">
+          <div>
+            <label className="label">From</label>
+            <input type="date" className="input" value={range.from} max={range.to} onChange={(e) => setRange({ ...range, from: e.target.value })} />
+          </div>
+          <div>
+            <label className="label">To</label>
+            <input type="date" className="input" value={range.to} min={range.from} onChange={(e) => setRange({ ...range, to: e.target.value })} />
+          </div>
+          <button type="submit" disabled={starting} className="btn btn-primary inline-flex items-center gap-2">
+            <Play className="w-4 h-4" /> {starting ? 'Starting...' : 'Start Sync'}
+          </button>
+        </form>
+      )}
+
+      {syncs.length === 0 && <p className="text-sm text-slate-400">No syncs yet</p>}
+
+      {syncs.map(sync => (
+        <div key={sync._id} className="card p-4">
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <div className="flex items-center gap-2">
+                <p className="font-medium text-slate-900">
+                  {new Date(sync.from).toISOString().slice(0, 10)} to {new Date(sync.to).toISOString().slice(0, 10)}
+                </p>
+                <span className={`badge ${STATUS_BADGES[sync.status]}`}>{sync.status}</span>
+                {sync.status === 'RUNNING' && !sync.active && <span className="badge badge-warning">Interrupted</span>}
+              </div>
+              <p className="text-xs text-slate-500 mt-1">
+                {sync.account?.label || 'Environment credentials'}
+                {sync.started_by?.name && ` · started by ${sync.started_by.name}`}
+                {sync.status !== 'COMPLETED' && ` · at ${describeCursor(sync.cursor)}`}
+              </p>
+            </div>
+            {isAdmin() && sync.status !== 'COMPLETED' && !sync.active && (
+              <button onClick={() => handleResume(sync)} disabled={resuming === sync._id} className="btn btn-outline btn-sm inline-flex items-center gap-1">
+                <RotateCcw className="w-3 h-3" /> Resume
+              </button>
+            )}
+          </div>
+          <p className="text-sm text-slate-700 mt-2">
+            {COUNT_LABELS
+              .filter(([key]) => sync.counts?.[key] > 0)
+              .map(([key, label]) => `${sync.counts[key]} ${label}`)
+              .join(' · ') || 'Nothing synced yet'}
+          </p>
+          {sync.error && <p className="text-sm text-red-600 mt-1">{sync.error}</p>}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default GatewaySyncPanel;
@@ -0,0 +1,182 @@
+import { Fragment, useState, useEffect } from 'react';
+import { RefreshCw, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react';
+import { webhookAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const STATUSES = ['FAILED', 'PROCESSED', 'IGNORED', 'RECEIVED'];
+
+const STATUS_BADGES = {
+  RECEIVED: 'badge-info',
+  PROCESSED: 'badge-success',
+  IGNORED: 'badge-neutral',
+  FAILED: 'badge-danger'
+};
+
+// Webhook events received from the gateways, with a replay of failed ones
+const WebhookEventsPanel = () => {
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('FAILED');
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, pages: 1 });
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [replaying, setReplaying] = useState(null);
+
+  const fetchEvents = async () => {
+    try {
+      setLoading(true);
+      const response = await webhookAPI.getEvents({ status: status || undefined, page: pagination.page, limit: pagination.limit });
+      setEvents(response.data.data.events);
+      setCounts(response.data.data.counts);
+      setPagination(prev => ({ ...prev, ...response.data.data.pagination }));
+    } catch (error) {
+      toast.error('Failed to load webhook events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchEvents();
+  }, [status, pagination.page]);
+
+  const toggleExpanded = async (event) => {
+    if (expanded?._id === event._id) {
+      setExpanded(null);
+      return;
+    }
+    try {
+      const response = await webhookAPI.getEvent(event._id);
+      setExpanded(response.data.data.event);
+    } catch (error) {
+      toast.error('Failed to load event');
+    }
+  };
+
+  const handleReplay = async (event) => {
+    try {
+      setReplaying(event._id);
+      const response = await webhookAPI.replay(event._id);
+      if (response.data.success) {
+        toast.success(`${event.event_id}: ${response.data.message}`);
+      } else {
+        toast.error(response.data.message);
+      }
+      fetchEvents();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Replay failed');
+    } finally {
+      setReplaying(null);
+    }
+  };
+
+  const selectStatus = (value) => {
+    setStatus(value);
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-slate-900">Webhook Events</h3>
+          <p className="text-sm text-slate-500">
+            Verified events from the gateways. Failed events are retried when the gateway delivers them again, or can be replayed here once the cause is fixed.
+          </p>
+        </div>
+        <button onClick={fetchEvents} disabled={loading} className="btn btn-secondary btn-sm inline-flex items-center gap-1">
+          <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} /> Refresh
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {[...STATUSES, ''].map(value => (
+          <button
+            key={value || 'ALL'}
+            onClick={() => selectStatus(value)}
+            className={`btn btn-sm ${status === value ? 'btn-primary' : 'btn-outline'}`}
+          >
+            {value || 'All'}
+            {value && ` (${counts[value] || 0})`}
+          </button>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b">
+              <th className="px-4 py-2"></th>
+              <th className="px-4 py-2">Event</th>
+              <th className="px-4 py-2">Gateway</th>
+              <th className="px-4 py-2">Status</th>
+              <th className="px-4 py-2">Transaction</th>
+              <th className="px-4 py-2">Received</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.length === 0 ? (
+              <tr><td colSpan={7} className="px-4 py-6 text-center text-slate-400">No events</td></tr>
+            ) : events.map(event => (
+              <Fragment key={event._id}>
+                <tr className="border-b">
+                  <td className="px-4 py-2">
+                    <button onClick={() => toggleExpanded(event)} className="text-slate-400 hover:text-slate-700" title="Show payload">
+                      {expanded?._id === event._id ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                    </button>
+                  </td>
+                  <td className="px-4 py-2">
+                    <p className="font-medium">{event.event_type}</p>
+                    <p className="text-xs text-slate-500">{event.event_id}</p>
+                  </td>
+                  <td className="px-4 py-2">{event.gateway}</td>
+                  <td className="px-4 py-2">
+                    <span className={`badge ${STATUS_BADGES[event.status]}`}>{event.status}</span>
+                    {event.error && <p className="text-xs text-red-600 mt-1">{event.error}</p>}
+                  </td>
+                  <td className="px-4 py-2 text-slate-500">{event.transaction_id || '–'}</td>
+                  <td className="px-4 py-2 text-slate-500">
+                    {new Date(event.received_at).toLocaleString()}
+                    {event.attempts > 1 && ` · ${event.attempts} attempts`}
+                    {event.replayed_by?.name && <p className="text-xs">Replayed by {event.replayed_by.name}</p>}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {event.status === 'FAILED' && (
+                      <button
+                        onClick={() => handleReplay(event)}
+                        disabled={replaying === event._id}
+                        className="btn btn-outline btn-sm inline-flex items-center gap-1"
+                      >
+                        <RotateCcw className={`w-3 h-3 ${replaying === event._id ? 'animate-spin' : ''}`} /> Replay
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {expanded?._id === event._id && (
+                  <tr className="border-b bg-slate-50">
+                    <td colSpan={7} className="px-4 py-2">
+                      <pre className="text-xs text-slate-700 overflow-x-auto max-h-64">{JSON.stringify(expanded.payload, null, 2)}</pre>
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between text-sm text-slate-500">
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <div className="flex gap-2">
+            <button onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))} disabled={pagination.page === 1} className="btn btn-outline btn-sm">Previous</button>
+            <button onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))} disabled={pagination.page >= pagination.pages} className="btn btn-outline btn-sm">Next</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookEventsPanel;
@@ -0,0 +1,265 @@
+import { useState, useEffect } from 'react';
+import { Download, BellRing, Plus, Trash2 } from 'lucide-react';
+import { reconciliationAPI, reportAPI, agingRuleAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+
+const SEVERITY_BADGES = {
+  LOW: 'badge-neutral',
+  MEDIUM: 'badge-info',
+  HIGH: 'badge-warning',
+  CRITICAL: 'badge-danger'
+};
+
+const EMPTY_RULE = { name: '', bucket: 'D2_3', severity: 'LOW', merchant_id: '', source: '' };
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN')}`;
+
+// Unmatched and disputed items by age, with the escalation rules behind aging alerts
+const AgingPanel = () => {
+  const { isAdmin } = useAuth();
+  const [source, setSource] = useState('');
+  const [aging, setAging] = useState(null);
+  const [rules, setRules] = useState({ rules: [], buckets: [], defaults: [] });
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+
+  const fetchAging = async () => {
+    try {
+      const response = await reconciliationAPI.getAging(source ? { source } : {});
+      setAging(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load aging');
+    }
+  };
+
+  const fetchRules = async () => {
+    try {
+      const response = await agingRuleAPI.getAll();
+      setRules(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load aging rules');
+    }
+  };
+
+  useEffect(() => {
+    fetchAging();
+  }, [source]);
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  const handleDownload = async (format) => {
+    try {
+      const response = await reportAPI.getAging({ format, ...(source && { source }) });
+      const blob = new Blob([response.data], { type: format === 'csv' ? 'text/csv' : 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `aging_report_${new Date().toISOString().split('T')[0]}.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.parentNode.removeChild(link);
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download aging report');
+    }
+  };
+
+  const handleEscalate = async () => {
+    try {
+      const response = await agingRuleAPI.escalate();
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Escalation check failed');
+    }
+  };
+
+  const handleCreateRule = async (e) => {
+    e.preventDefault();
+    try {
+      const { merchant_id, source: ruleSource, ...rule } = newRule;
+      await agingRuleAPI.create({
+        ...rule,
+        scope: {
+          ...(merchant_id && { merchant_id }),
+          ...(ruleSource && { source: ruleSource })
+        }
+      });
+      toast.success('Aging rule created');
+      setNewRule(EMPTY_RULE);
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create aging rule');
+    }
+  };
+
+  const handleToggleRule = async (rule) => {
+    try {
+      await agingRuleAPI.update(rule._id, { is_active: !rule.is_active });
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update aging rule');
+    }
+  };
+
+  const handleDeleteRule = async (rule) => {
+    if (!window.confirm(`Delete aging rule "${rule.name}"?`)) return;
+    try {
+      await agingRuleAPI.delete(rule._id);
+      fetchRules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete aging rule');
+    }
+  };
+
+  const bucketLabel = (key) => rules.buckets.find(b => b.key === key)?.label || key;
+  const activeRules = rules.rules.filter(rule => rule.is_active);
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold dark:text-white">Aging</h3>
+          <p className="text-sm text-slate-500">
+            {aging ? `${aging.total_count} open items · ${formatAmount(aging.total_amount)}` : 'Unmatched and disputed items by age'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select value={source} onChange={(e) => setSource(e.target.value)} className="input w-36 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+            <option value="">All sources</option>
+            <option value="BANK">Bank</option>
+            <option value="MERCHANT">Merchant</option>
+            <option value="GATEWAY">Gateway</option>
+          </select>
+          <button onClick={() => handleDownload('csv')} className="btn btn-outline btn-sm flex items-center gap-1">
+            <Download className="w-3 h-3" /> CSV
+          </button>
+          <button onClick={() => handleDownload('pdf')} className="btn btn-outline btn-sm flex items-center gap-1">
+            <Download className="w-3 h-3" /> PDF
+          </button>
+        </div>
+      </div>
+      <div className="p-4 space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-sm">
+          {(aging?.buckets || []).map(bucket => (
+            <div key={bucket.key} className="p-3 bg-slate-50 dark:bg-slate-700 rounded-lg">
+              <p className="text-slate-500">{bucket.label}</p>
+              <p className="text-lg font-semibold dark:text-white">{bucket.count}</p>
+              <p className="text-xs text-slate-500">{formatAmount(bucket.amount)}</p>
+            </div>
+          ))}
+        </div>
+
+        {aging?.by_merchant?.length > 0 && (
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr className="text-left text-xs text-slate-500">
+                  <th className="px-3 py-2">Merchant</th>
+                  {aging.buckets.map(bucket => (
+                    <th key={bucket.key} className="px-3 py-2">{bucket.label}</th>
+                  ))}
+                  <th className="px-3 py-2">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="text-sm dark:text-slate-300">
+                {aging.by_merchant.slice(0, 10).map(m => (
+                  <tr key={m.merchant_id}>
+                    <td className="px-3 py-2">{m.merchant_name} ({m.merchant_id})</td>
+                    {aging.buckets.map(bucket => (
+                      <td key={bucket.key} className="px-3 py-2">{m.buckets[bucket.key].count || '-'}</td>
+                    ))}
+                    <td className="px-3 py-2">{formatAmount(m.total_amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="border-t border-slate-200 dark:border-slate-700 pt-4">
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm font-medium text-slate-700 dark:text-slate-300">Escalation rules</p>
+            {isAdmin() && (
+              <button onClick={handleEscalate} className="btn btn-outline btn-sm flex items-center gap-1">
+                <BellRing className="w-3 h-3" /> Check now
+              </button>
+            )}
+          </div>
+
+          {activeRules.length === 0 && (
+            <p className="text-xs text-slate-500 mb-2">
+              No active rules — built-in defaults apply: {rules.defaults.map(rule => `${bucketLabel(rule.bucket)} ${rule.severity}`).join(', ')}
+            </p>
+          )}
+
+          <div className="space-y-1 text-sm">
+            {rules.rules.map(rule => (
+              <div key={rule._id} className={`flex items-center gap-2 ${rule.is_active ? '' : 'opacity-50'}`}>
+                <span className={`badge ${SEVERITY_BADGES[rule.severity]}`}>{rule.severity}</span>
+                <span className="dark:text-slate-300">{rule.name}</span>
+                <span className="text-xs text-slate-500">
+                  at {bucketLabel(rule.bucket)}
+                  {rule.scope?.merchant_id && ` · ${rule.scope.merchant_id}`}
+                  {rule.scope?.source && ` · ${rule.scope.source}`}
+                </span>
+                {isAdmin() && (
+                  <span className="ml-auto flex items-center gap-2">
+                    <button onClick={() => handleToggleRule(rule)} className="text-xs text-slate-500 hover:text-primary-600">
+                      {rule.is_active ? 'Disable' : 'Enable'}
+                    </button>
+                    <button onClick={() => handleDeleteRule(rule)} className="text-slate-400 hover:text-red-600" title="Delete">
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {isAdmin() && (
+            <form onSubmit={handleCreateRule} className="flex flex-wrap items-center gap-2 mt-3">
+              <input
+                value={newRule.name}
+                onChange={(e) => setNewRule(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="Rule name"
+                required
+                className="input w-40 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200"
+              />
+              <select value={newRule.bucket} onChange={(e) => setNewRule(prev => ({ ...prev, bucket: e.target.value }))} className="input w-28 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+                {rules.buckets.map(bucket => (
+                  <option key={bucket.key} value={bucket.key}>{bucket.label}</option>
+                ))}
+              </select>
+              <select value={newRule.severity} onChange={(e) => setNewRule(prev => ({ ...prev, severity: e.target.value }))} className="input w-32 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+                {SEVERITIES.map(severity => (
+                  <option key={severity} value={severity}>{severity}</option>
+                ))}
+              </select>
+              <input
+                value={newRule.merchant_id}
+                onChange={(e) => setNewRule(prev => ({ ...prev, merchant_id: e.target.value }))}
+                placeholder="Merchant ID (optional)"
+                className="input w-44 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200"
+              />
+              <select value={newRule.source} onChange={(e) => setNewRule(prev => ({ ...prev, source: e.target.value }))} className="input w-36 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+                <option value="">Any source</option>
+                <option value="BANK">Bank</option>
+                <option value="MERCHANT">Merchant</option>
+                <option value="GATEWAY">Gateway</option>
+              </select>
+              <button type="submit" className="btn btn-primary btn-sm flex items-center gap-1">
+                <Plus className="w-3 h-3" /> Add rule
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AgingPanel;
@@ -0,0 +1,150 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+import { feeScheduleAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  merchant_id: '',
+  payment_gateway: '',
+  percentage: '',
+  fixed_fee: '',
+  tax_percentage: '18',
+  variance_tolerance: ''
+};
+
+// Optional numeric fields are left out when empty
+const numberFields = (values, fields) => Object.fromEntries(
+  fields.filter(field => values[field] !== '').map(field => [field, Number(values[field])])
+);
+
+const describeFee = (schedule) => {
+  const parts = [];
+  if (schedule.percentage) parts.push(`${schedule.percentage}%`);
+  if (schedule.fixed_fee) parts.push(`₹${schedule.fixed_fee}`);
+  const fee = parts.join(' + ') || '₹0';
+  return schedule.tax_percentage ? `${fee} + ${schedule.tax_percentage}% GST` : fee;
+};
+
+// Fee schedules used by net-of-fees runs for rows that carry no fee of their own
+const FeeSchedulePanel = () => {
+  const { isAdmin } = useAuth();
+  const [data, setData] = useState({ schedules: [], default_variance_tolerance: 0 });
+  const [newSchedule, setNewSchedule] = useState(EMPTY_SCHEDULE);
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await feeScheduleAPI.getAll();
+      setData(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load fee schedules');
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedules();
+  }, []);
+
+  const setField = (field) => (e) => setNewSchedule(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const { name, merchant_id, payment_gateway } = newSchedule;
+      await feeScheduleAPI.create({
+        name,
+        scope: {
+          ...(merchant_id && { merchant_id }),
+          ...(payment_gateway && { payment_gateway })
+        },
+        ...numberFields(newSchedule, ['percentage', 'fixed_fee', 'tax_percentage', 'variance_tolerance'])
+      });
+      toast.success('Fee schedule created');
+      setNewSchedule(EMPTY_SCHEDULE);
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create fee schedule');
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await feeScheduleAPI.update(schedule._id, { is_active: !schedule.is_active });
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update fee schedule');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete fee schedule "${schedule.name}"?`)) return;
+    try {
+      await feeScheduleAPI.delete(schedule._id);
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete fee schedule');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="font-semibold dark:text-white">Fee Schedules</h3>
+        <p className="text-sm text-slate-500">
+          Net-of-fees runs deduct these when a row has no gateway fee of its own.
+          Credits within ₹{data.default_variance_tolerance} of the expected net (unless a schedule sets its own tolerance) are matched as fee variance, not disputes.
+        </p>
+      </div>
+      <div className="p-4">
+        {data.schedules.length === 0 && <p className="text-xs text-slate-500 mb-2">No fee schedules yet.</p>}
+
+        <div className="space-y-1 text-sm">
+          {data.schedules.map(schedule => (
+            <div key={schedule._id} className={`flex items-center gap-2 ${schedule.is_active ? '' : 'opacity-50'}`}>
+              <span className="dark:text-slate-300">{schedule.name}</span>
+              <span className="text-xs text-slate-500">
+                {describeFee(schedule)}
+                {schedule.scope?.merchant_id && ` · ${schedule.scope.merchant_id}`}
+                {schedule.scope?.payment_gateway && ` · ${schedule.scope.payment_gateway}`}
+                {schedule.variance_tolerance != null && ` · variance ±₹${schedule.variance_tolerance}`}
+              </span>
+              {isAdmin() && (
+                <span className="ml-auto flex items-center gap-2">
+                  <button onClick={() => handleToggle(schedule)} className="text-xs text-slate-500 hover:text-primary-600">
+                    {schedule.is_active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => handleDelete(schedule)} className="text-slate-400 hover:text-red-600" title="Delete">
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {isAdmin() && (
+          <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2 mt-3">
+            <input value={newSchedule.name} onChange={setField('name')} placeholder="Schedule name" required className="input w-40 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <input value={newSchedule.merchant_id} onChange={setField('merchant_id')} placeholder="Merchant ID (optional)" className="input w-44 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <select value={newSchedule.payment_gateway} onChange={setField('payment_gateway')} className="input w-36 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+              <option value="">Any gateway</option>
+              <option value="RAZORPAY">Razorpay</option>
+              <option value="STRIPE">Stripe</option>
+              <option value="BANK">Bank</option>
+            </select>
+            <input type="number" min="0" step="0.01" value={newSchedule.percentage} onChange={setField('percentage')} placeholder="Fee %" className="input w-24 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <input type="number" min="0" step="0.01" value={newSchedule.fixed_fee} onChange={setField('fixed_fee')} placeholder="Fixed ₹" className="input w-24 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <input type="number" min="0" step="0.01" value={newSchedule.tax_percentage} onChange={setField('tax_percentage')} placeholder="GST %" title="Tax on the fee (%)" className="input w-24 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <input type="number" min="0" step="0.01" value={newSchedule.variance_tolerance} onChange={setField('variance_tolerance')} placeholder="Variance ₹" title="Accepted fee variance (₹)" className="input w-28 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <button type="submit" className="btn btn-primary btn-sm flex items-center gap-1">
+              <Plus className="w-3 h-3" /> Add schedule
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FeeSchedulePanel;
@@ -0,0 +1,434 @@
+import { useState, useEffect } from 'react';
+import { Link2, Unlink, RotateCcw, Search, Sparkles, CheckCircle } from 'lucide-react';
+import { reconciliationAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const REASON_CODES = [
+  { value: 'REFERENCE_VERIFIED', label: 'Reference verified' },
+  { value: 'BATCH_SETTLEMENT', label: 'Batch settlement' },
+  { value: 'PARTIAL_SETTLEMENT', label: 'Partial settlement' },
+  { value: 'AMOUNT_ADJUSTED', label: 'Amount adjusted (fees/charges)' },
+  { value: 'BANK_CONFIRMATION', label: 'Confirmed with bank' },
+  { value: 'INCORRECT_MATCH', label: 'Incorrect match' },
+  { value: 'DATA_CORRECTED', label: 'Data corrected' },
+  { value: 'OTHER', label: 'Other' }
+];
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`;
+
+const FIELD_LABELS = {
+  amount: 'Amount',
+  date: 'Date',
+  reference: 'Reference / UTR',
+  customer_email: 'Customer email',
+  merchant: 'Merchant'
+};
+
+const scoreClass = (score) => {
+  if (score >= 85) return 'text-emerald-600';
+  if (score >= 70) return 'text-amber-600';
+  return 'text-slate-500';
+};
+
+// Confidence score with a per-field explanation
+const ScoreBreakdown = ({ label, score, fields = [] }) => (
+  <details className="text-xs" onClick={(e) => e.stopPropagation()}>
+    <summary className={`cursor-pointer ${scoreClass(score)}`}>
+      {label} · {score}% confidence
+    </summary>
+    <ul className="mt-1 ml-3 space-y-0.5 text-slate-500">
+      {fields.map(f => (
+        <li key={f.field}>
+          {FIELD_LABELS[f.field] || f.field} ({f.weight}): {Math.round(f.score * 100)}% · {f.detail}
+        </li>
+      ))}
+    </ul>
+  </details>
+);
+
+const TransactionList = ({ title, transactions, selected, suggestions, onToggle, onSuggest }) => (
+  <div className="border border-slate-200 dark:border-slate-700 rounded-lg">
+    <div className="px-3 py-2 border-b border-slate-200 dark:border-slate-700 flex items-center justify-between">
+      <p className="text-sm font-medium text-slate-700 dark:text-slate-300">{title}</p>
+      <span className="text-xs text-slate-500">{transactions.length} rows</span>
+    </div>
+    <div className="max-h-80 overflow-y-auto divide-y dark:divide-slate-700">
+      {transactions.length === 0 ? (
+        <p className="p-4 text-sm text-slate-500 text-center">Nothing to match</p>
+      ) : (
+        transactions.map((txn) => {
+          const suggestion = suggestions[txn._id];
+          return (
+            <label
+              key={txn._id}
+              className={`flex items-center gap-3 px-3 py-2 cursor-pointer hover:bg-slate-50 dark:hover:bg-slate-700 ${suggestion ? 'bg-primary-50 dark:bg-slate-700' : ''}`}
+            >
+              <input type="checkbox" checked={selected.includes(txn._id)} onChange={() => onToggle(txn._id)} />
+              <div className="flex-1 min-w-0">
+                <p className="font-mono text-sm truncate dark:text-slate-300">{txn.transaction_id}</p>
+                <p className="text-xs text-slate-500">
+                  {txn.merchant_id} · {new Date(txn.transaction_date).toLocaleDateString()}
+                  {txn.reconciliation_status === 'AMOUNT_MISMATCH' && ' · mismatch'}
+                </p>
+                {suggestion && (
+                  <ScoreBreakdown
+                    label={`Suggested · diff ${formatAmount(suggestion.amount_difference)} · ${suggestion.hours_apart}h apart`}
+                    score={suggestion.score}
+                    fields={suggestion.fields}
+                  />
+                )}
+                {!suggestion && txn.match_suggestions?.length > 0 && (
+                  <ScoreBreakdown
+                    label={`Near miss: ${txn.match_suggestions[0].transaction_id}`}
+                    score={txn.match_suggestions[0].score}
+                    fields={txn.match_suggestions[0].fields}
+                  />
+                )}
+              </div>
+              <span className="text-sm font-medium dark:text-white">{formatAmount(txn.amount)}</span>
+              <button
+                type="button"
+                title="Suggest candidates"
+                onClick={(e) => { e.preventDefault(); onSuggest(txn); }}
+                className="p-1 text-slate-400 hover:text-primary-600"
+              >
+                <Sparkles className="w-4 h-4" />
+              </button>
+            </label>
+          );
+        })
+      )}
+    </div>
+  </div>
+);
+
+const MatchWorkbench = ({ onChange }) => {
+  const [filters, setFilters] = useState({ merchant_id: '', search: '', include_mismatches: true });
+  const [bankRows, setBankRows] = useState([]);
+  const [merchantRows, setMerchantRows] = useState([]);
+  const [selectedBank, setSelectedBank] = useState([]);
+  const [selectedMerchant, setSelectedMerchant] = useState([]);
+  const [suggestions, setSuggestions] = useState({});
+  const [groups, setGroups] = useState([]);
+  const [reasonCode, setReasonCode] = useState('');
+  const [notes, setNotes] = useState('');
+  const [requeueOnUnmatch, setRequeueOnUnmatch] = useState(true);
+  const [reviewOnly, setReviewOnly] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchRows = async () => {
+    try {
+      setLoading(true);
+      const params = {
+        limit: 100,
+        merchant_id: filters.merchant_id || undefined,
+        search: filters.search || undefined,
+        include_mismatches: filters.include_mismatches ? 'true' : undefined
+      };
+      const [bankRes, merchantRes, groupsRes] = await Promise.all([
+        reconciliationAPI.getUnmatched({ ...params, source: 'BANK' }),
+        reconciliationAPI.getUnmatched({ ...params, source: 'MERCHANT' }),
+        reconciliationAPI.getGroups({
+          limit: 10,
+          status: 'ACTIVE',
+          merchant_id: filters.merchant_id || undefined,
+          needs_review: reviewOnly ? 'true' : undefined
+        })
+      ]);
+      setBankRows(bankRes.data.data.transactions);
+      setMerchantRows(merchantRes.data.data.transactions);
+      setGroups(groupsRes.data.data.groups);
+      setSelectedBank([]);
+      setSelectedMerchant([]);
+      setSuggestions({});
+    } catch (error) {
+      toast.error('Failed to load unmatched transactions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchRows();
+  }, [reviewOnly]);
+
+  const toggle = (setter) => (id) => {
+    setter(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]);
+  };
+
+  // Load candidates for one row and surface them on the other side
+  const handleSuggest = async (txn) => {
+    try {
+      const res = await reconciliationAPI.getCandidates(txn._id, {
+        date_window_hours: 72,
+        amount_tolerance: Math.max(1, txn.amount * 0.01)
+      });
+      const candidates = res.data.data.candidates;
+      if (candidates.length === 0) {
+        toast('No candidates found');
+        return;
+      }
+
+      const setOther = txn.source === 'BANK' ? setMerchantRows : setBankRows;
+      const candidateIds = new Set(candidates.map(c => c.transaction._id));
+      setOther(prev => [
+        ...candidates.map(c => c.transaction),
+        ...prev.filter(row => !candidateIds.has(row._id))
+      ]);
+      setSuggestions(Object.fromEntries(candidates.map(c => [c.transaction._id, c])));
+
+      if (txn.source === 'BANK') {
+        setSelectedBank([txn._id]);
+        setSelectedMerchant([candidates[0].transaction._id]);
+      } else {
+        setSelectedMerchant([txn._id]);
+        setSelectedBank([candidates[0].transaction._id]);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load candidates');
+    }
+  };
+
+  const requireReason = () => {
+    if (!reasonCode) {
+      toast.error('Choose a reason code first');
+      return false;
+    }
+    return true;
+  };
+
+  const afterChange = () => {
+    setNotes('');
+    fetchRows();
+    onChange?.();
+  };
+
+  const handleMatch = async () => {
+    if (!requireReason()) return;
+    try {
+      setSaving(true);
+      await reconciliationAPI.manualMatch({
+        bank_transaction_ids: selectedBank,
+        merchant_transaction_ids: selectedMerchant,
+        reason_code: reasonCode,
+        notes
+      });
+      toast.success('Transactions matched');
+      afterChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to match transactions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRequeue = async () => {
+    if (!requireReason()) return;
+    try {
+      setSaving(true);
+      const res = await reconciliationAPI.requeue({
+        transaction_ids: [...selectedBank, ...selectedMerchant],
+        reason_code: reasonCode,
+        notes
+      });
+      toast.success(res.data.message);
+      afterChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to re-queue transactions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnmatch = async (group) => {
+    if (!requireReason()) return;
+    try {
+      setSaving(true);
+      const res = await reconciliationAPI.unmatchGroup(group._id, {
+        reason_code: reasonCode,
+        notes,
+        requeue: requeueOnUnmatch
+      });
+      toast.success(res.data.message);
+      afterChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unmatch');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleApprove = async (group) => {
+    try {
+      setSaving(true);
+      const res = await reconciliationAPI.reviewGroup(group._id, { notes });
+      toast.success(res.data.message);
+      afterChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to approve match');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const sumSelected = (rows, ids) => rows.filter(r => ids.includes(r._id)).reduce((sum, r) => sum + r.amount, 0);
+  const bankTotal = sumSelected(bankRows, selectedBank);
+  const merchantTotal = sumSelected(merchantRows, selectedMerchant);
+  const canMatch = selectedBank.length > 0 && selectedMerchant.length > 0 &&
+    !(selectedBank.length > 1 && selectedMerchant.length > 1);
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="font-semibold dark:text-white">Manual Match Workbench</h3>
+        {loading && <span className="text-xs text-slate-500">Loading...</span>}
+      </div>
+      <div className="p-4 space-y-4">
+        {/* Filters */}
+        <form
+          onSubmit={(e) => { e.preventDefault(); fetchRows(); }}
+          className="flex flex-wrap items-center gap-2"
+        >
+          <input
+            className="input w-40"
+            placeholder="Merchant ID"
+            value={filters.merchant_id}
+            onChange={(e) => setFilters({ ...filters, merchant_id: e.target.value.toUpperCase() })}
+          />
+          <input
+            className="input w-64"
+            placeholder="Transaction ID, reference, UTR, email"
+            value={filters.search}
+            onChange={(e) => setFilters({ ...filters, search: e.target.value })}
+          />
+          <label className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
+            <input
+              type="checkbox"
+              checked={filters.include_mismatches}
+              onChange={(e) => setFilters({ ...filters, include_mismatches: e.target.checked })}
+            />
+            Include amount mismatches
+          </label>
+          <button type="submit" className="btn btn-outline btn-sm flex items-center gap-2">
+            <Search className="w-4 h-4" />
+            Filter
+          </button>
+        </form>
+
+        {/* Side-by-side lists */}
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+          <TransactionList
+            title="Bank"
+            transactions={bankRows}
+            selected={selectedBank}
+            suggestions={suggestions}
+            onToggle={toggle(setSelectedBank)}
+            onSuggest={handleSuggest}
+          />
+          <TransactionList
+            title="Merchant"
+            transactions={merchantRows}
+            selected={selectedMerchant}
+            suggestions={suggestions}
+            onToggle={toggle(setSelectedMerchant)}
+            onSuggest={handleSuggest}
+          />
+        </div>
+
+        {/* Confirm */}
+        <div className="p-3 bg-slate-50 dark:bg-slate-700 rounded-lg space-y-3">
+          <div className="flex flex-wrap gap-4 text-sm text-slate-600 dark:text-slate-300">
+            <span>Bank: {selectedBank.length} · {formatAmount(bankTotal)}</span>
+            <span>Merchant: {selectedMerchant.length} · {formatAmount(merchantTotal)}</span>
+            <span className={Math.abs(bankTotal - merchantTotal) > 0.009 ? 'text-amber-600' : 'text-emerald-600'}>
+              Difference: {formatAmount(Math.abs(bankTotal - merchantTotal))}
+            </span>
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <select className="input w-56" value={reasonCode} onChange={(e) => setReasonCode(e.target.value)}>
+              <option value="">Reason code (required)</option>
+              {REASON_CODES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+            </select>
+            <input
+              className="input flex-1 min-w-[12rem]"
+              placeholder="Notes"
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+            />
+            <button onClick={handleMatch} disabled={!canMatch || saving} className="btn btn-primary btn-sm flex items-center gap-2">
+              <Link2 className="w-4 h-4" />
+              Match Selected
+            </button>
+            <button
+              onClick={handleRequeue}
+              disabled={selectedBank.length + selectedMerchant.length === 0 || saving}
+              className="btn btn-outline btn-sm flex items-center gap-2"
+            >
+              <RotateCcw className="w-4 h-4" />
+              Re-queue
+            </button>
+          </div>
+        </div>
+
+        {/* Recent matches */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <p className="text-sm font-medium text-slate-700 dark:text-slate-300">Recent Matches</p>
+            <div className="flex items-center gap-4">
+              <label className="flex items-center gap-2 text-xs text-slate-500">
+                <input type="checkbox" checked={reviewOnly} onChange={(e) => setReviewOnly(e.target.checked)} />
+                Needs review only
+              </label>
+              <label className="flex items-center gap-2 text-xs text-slate-500">
+                <input type="checkbox" checked={requeueOnUnmatch} onChange={(e) => setRequeueOnUnmatch(e.target.checked)} />
+                Re-queue as pending on unmatch
+              </label>
+            </div>
+          </div>
+          <div className="divide-y dark:divide-slate-700 border border-slate-200 dark:border-slate-700 rounded-lg">
+            {groups.length === 0 ? (
+              <p className="p-4 text-sm text-slate-500 text-center">No matches</p>
+            ) : (
+              groups.map((group) => (
+                <div key={group._id} className="p-3 flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium dark:text-white">
+                      {group.group_id}
+                      <span className="ml-2 badge badge-neutral">{group.type}</span>
+                      {group.is_manual && <span className="ml-1 badge badge-info">MANUAL</span>}
+                      {group.needs_review && <span className="ml-1 badge badge-warning">NEEDS REVIEW</span>}
+                    </p>
+                    <p className="text-xs text-slate-500 truncate">
+                      {group.bank_transactions.map(t => t.transaction_id).join(', ')}
+                      {' ↔ '}
+                      {group.merchant_transactions.map(t => t.transaction_id).join(', ')}
+                    </p>
+                    {group.confidence != null && (
+                      <ScoreBreakdown label="Auto-accepted" score={group.confidence} fields={group.confidence_fields} />
+                    )}
+                  </div>
+                  <div className="flex items-center gap-3">
+                    <span className="text-sm dark:text-slate-300">{formatAmount(group.bank_amount)}</span>
+                    {group.needs_review && (
+                      <button onClick={() => handleApprove(group)} disabled={saving} className="btn btn-outline btn-sm flex items-center gap-2">
+                        <CheckCircle className="w-4 h-4" />
+                        Approve
+                      </button>
+                    )}
+                    <button onClick={() => handleUnmatch(group)} disabled={saving} className="btn btn-outline btn-sm flex items-center gap-2">
+                      <Unlink className="w-4 h-4" />
+                      Unmatch
+                    </button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MatchWorkbench;
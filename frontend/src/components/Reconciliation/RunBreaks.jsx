@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { reconciliationAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const LEG_LABELS = {
+  MERCHANT_GATEWAY: 'Merchant → Gateway',
+  GATEWAY_BANK: 'Gateway → Bank'
+};
+
+const BREAK_LABELS = {
+  NOT_CAPTURED: 'Order not captured',
+  CAPTURED_NOT_IN_LEDGER: 'Captured, not in ledger',
+  SETTLED_NOT_IN_LEDGER: 'Settled, not in ledger',
+  CAPTURED_NOT_SETTLED: 'Captured, not settled',
+  UNKNOWN_CREDIT: 'Unknown bank credit',
+  AMOUNT_MISMATCH: 'Amount mismatch'
+};
+
+// Breaks on a row: live rows carry reconciliation_legs, preview samples carry breaks
+const rowBreaks = (row) => row.breaks || (row.reconciliation_legs || []).filter(entry => entry.break_type);
+
+// Per-leg counts for a three-way run
+export const LegSummary = ({ legs = [] }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
+    {legs.map(leg => (
+      <div key={leg.leg} className="p-3 bg-slate-50 dark:bg-slate-700 rounded-lg">
+        <p className="font-medium text-slate-700 dark:text-slate-300">{LEG_LABELS[leg.leg] || leg.leg}</p>
+        <p className="text-slate-500">
+          Matched {leg.matched || 0} · Groups {leg.group_matches || 0} · Mismatches {leg.amount_mismatch || 0}
+        </p>
+        {Object.entries(leg.breaks || {}).map(([type, count]) => (
+          <p key={type} className="text-xs text-slate-500">{BREAK_LABELS[type] || type}: {count}</p>
+        ))}
+      </div>
+    ))}
+  </div>
+);
+
+// Break drill-down for a three-way run
+const RunBreaks = ({ run, onClose }) => {
+  const [leg, setLeg] = useState('');
+  const [breakType, setBreakType] = useState('');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    setPage(1);
+  }, [leg, breakType]);
+
+  useEffect(() => {
+    reconciliationAPI.getRunBreaks(run._id, {
+      page,
+      limit: 20,
+      ...(leg && { leg }),
+      ...(breakType && { break_type: breakType })
+    })
+      .then(res => setData(res.data.data))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to load breaks'));
+  }, [run._id, leg, breakType, page]);
+
+  const pagination = data?.pagination;
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold dark:text-white">Breaks · {run.run_id}</h3>
+          <p className="text-sm text-slate-500">
+            {data?.sampled ? 'Preview sample — nothing has been written' : `${pagination?.total || 0} rows with a break`}
+          </p>
+        </div>
+        <button onClick={onClose} className="p-1 text-slate-400 hover:text-slate-600" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <div className="p-4 space-y-4">
+        <LegSummary legs={data?.run?.leg_summary} />
+
+        <div className="flex items-center gap-3">
+          <select value={leg} onChange={(e) => setLeg(e.target.value)} className="input w-52 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+            <option value="">All legs</option>
+            {Object.entries(LEG_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={breakType} onChange={(e) => setBreakType(e.target.value)} className="input w-56 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+            <option value="">All breaks</option>
+            {Object.entries(BREAK_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr className="text-left text-xs text-slate-500">
+                <th className="px-3 py-2">Transaction</th>
+                <th className="px-3 py-2">Source</th>
+                <th className="px-3 py-2">Merchant</th>
+                <th className="px-3 py-2">Amount</th>
+                <th className="px-3 py-2">Status</th>
+                <th className="px-3 py-2">Breaks</th>
+              </tr>
+            </thead>
+            <tbody className="text-sm dark:text-slate-300">
+              {(data?.transactions || []).length === 0 ? (
+                <tr><td colSpan={6} className="px-3 py-4 text-center text-slate-500">No breaks</td></tr>
+              ) : (
+                data.transactions.map(row => (
+                  <tr key={row._id || row.transaction_id}>
+                    <td className="px-3 py-2 font-mono">{row.transaction_id}</td>
+                    <td className="px-3 py-2">{row.source}</td>
+                    <td className="px-3 py-2">{row.merchant_id}</td>
+                    <td className="px-3 py-2">₹{(row.amount || 0).toLocaleString('en-IN')}</td>
+                    <td className="px-3 py-2">{row.reconciliation_status}</td>
+                    <td className="px-3 py-2">
+                      {rowBreaks(row).map(entry => (
+                        <span key={entry.leg} className="badge badge-warning mr-1" title={LEG_LABELS[entry.leg]}>
+                          {BREAK_LABELS[entry.break_type] || entry.break_type}
+                        </span>
+                      ))}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {pagination?.pages > 1 && (
+          <div className="flex items-center justify-end gap-2 text-sm">
+            <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="btn btn-outline btn-sm">Previous</button>
+            <span className="text-slate-500">Page {page} of {pagination.pages}</span>
+            <button onClick={() => setPage(p => p + 1)} disabled={page >= pagination.pages} className="btn btn-outline btn-sm">Next</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RunBreaks;
@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { X, ArrowRight } from 'lucide-react';
+import { reconciliationAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const COMPARABLE_STATUSES = ['COMPLETED', 'CANCELLED', 'FAILED', 'PREVIEW', 'ROLLED_BACK'];
+
+const MERCHANT_FIELDS = [
+  ['matched', 'Matched'],
+  ['group_matches', 'Groups'],
+  ['fuzzy_matches', 'Fuzzy'],
+  ['mismatches', 'Mismatches'],
+  ['unmatched', 'Unmatched']
+];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const Delta = ({ value }) => {
+  if (!value) return <span className="text-slate-400">0</span>;
+  return <span className={value > 0 ? 'text-emerald-600' : 'text-red-600'}>{value > 0 ? `+${value}` : value}</span>;
+};
+
+// Side-by-side comparison of two finished runs
+const RunDiff = ({ onClose }) => {
+  const [runs, setRuns] = useState([]);
+  const [runA, setRunA] = useState('');
+  const [runB, setRunB] = useState('');
+  const [transition, setTransition] = useState('');
+  const [page, setPage] = useState(1);
+  const [diff, setDiff] = useState(null);
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  useEffect(() => {
+    reconciliationAPI.getRuns({ limit: 20 })
+      .then(res => {
+        const finished = res.data.data.runs.filter(run => COMPARABLE_STATUSES.includes(run.status));
+        setRuns(finished);
+        // Default: previous run (A) against the latest one (B)
+        if (finished.length >= 2) {
+          setRunA(finished[1]._id);
+          setRunB(finished[0]._id);
+        }
+      })
+      .catch(() => toast.error('Failed to load runs'));
+  }, []);
+
+  useEffect(() => {
+    setPage(1);
+    setTransition('');
+  }, [runA, runB]);
+
+  useEffect(() => {
+    if (!runA || !runB || runA === runB) {
+      setDiff(null);
+      return;
+    }
+    reconciliationAPI.compareRuns(runA, runB, { page, limit: 25, ...(transition && { transition }) })
+      .then(res => setDiff(res.data.data))
+      .catch(error => toast.error(error.response?.data?.message || 'Failed to compare runs'));
+  }, [runA, runB, transition, page]);
+
+  const runOption = (run) => `${run.run_id} · ${run.status} · ${new Date(run.started_at || run.queued_at).toLocaleString()}`;
+  const changedSummary = (diff?.summary || []).filter(entry => entry.delta !== 0);
+  const merchants = (diff?.merchants || []).filter(m => showUnchanged || m.changed);
+  const rows = diff?.rows;
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="font-semibold dark:text-white">Compare Runs</h3>
+        <button onClick={onClose} className="p-1 text-slate-400 hover:text-slate-600" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <div className="p-4 space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={runA} onChange={(e) => setRunA(e.target.value)} className="input w-80 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+            <option value="">Base run (A)</option>
+            {runs.map(run => <option key={run._id} value={run._id}>{runOption(run)}</option>)}
+          </select>
+          <ArrowRight className="w-4 h-4 text-slate-400" />
+          <select value={runB} onChange={(e) => setRunB(e.target.value)} className="input w-80 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+            <option value="">Compared run (B)</option>
+            {runs.map(run => <option key={run._id} value={run._id}>{runOption(run)}</option>)}
+          </select>
+        </div>
+
+        {runA && runA === runB && <p className="text-sm text-slate-500">Choose two different runs.</p>}
+
+        {diff && (
+          <>
+            {/* Settings */}
+            <div>
+              <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Settings</p>
+              {diff.config.length === 0 ? (
+                <p className="text-sm text-slate-500">Both runs used the same settings.</p>
+              ) : (
+                <div className="space-y-1 text-sm">
+                  {diff.config.map(entry => (
+                    <p key={entry.field} className="dark:text-slate-300">
+                      <span className="font-mono text-xs text-slate-500">{entry.field}</span>: {formatValue(entry.a)} → <strong>{formatValue(entry.b)}</strong>
+                    </p>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Summary deltas */}
+            <div>
+              <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Summary</p>
+              {changedSummary.length === 0 ? (
+                <p className="text-sm text-slate-500">No change in totals.</p>
+              ) : (
+                <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+                  {changedSummary.map(entry => (
+                    <div key={entry.field} className="p-3 bg-slate-50 dark:bg-slate-700 rounded-lg">
+                      <p className="text-slate-500 capitalize">{entry.field.replace(/_/g, ' ')}</p>
+                      <p className="dark:text-white">{entry.a} → {entry.b} (<Delta value={entry.delta} />)</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Merchant deltas */}
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm font-medium text-slate-700 dark:text-slate-300">Merchants</p>
+                <label className="text-xs text-slate-500 flex items-center gap-1">
+                  <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                  Show unchanged
+                </label>
+              </div>
+              {merchants.length === 0 ? (
+                <p className="text-sm text-slate-500">No merchant changed.</p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr className="text-left text-xs text-slate-500">
+                        <th className="px-3 py-2">Merchant</th>
+                        {MERCHANT_FIELDS.map(([, label]) => <th key={label} className="px-3 py-2">{label}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody className="text-sm dark:text-slate-300">
+                      {merchants.map(m => (
+                        <tr key={m.merchant_id}>
+                          <td className="px-3 py-2">
+                            {m.merchant_name} ({m.merchant_id})
+                            {!m.in_a && <span className="badge badge-info ml-1">B only</span>}
+                            {!m.in_b && <span className="badge badge-neutral ml-1">A only</span>}
+                          </td>
+                          {MERCHANT_FIELDS.map(([field]) => (
+                            <td key={field} className="px-3 py-2">
+                              {m.a[field]} → {m.b[field]} <Delta value={m.delta[field]} />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+
+            {/* Row changes */}
+            <div>
+              <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Transactions that changed outcome</p>
+              {!rows.available ? (
+                <p className="text-sm text-slate-500">{rows.reason}</p>
+              ) : (
+                <>
+                  <p className="text-xs text-slate-500 mb-2">
+                    {rows.changed} of {rows.compared} re-processed or hand-changed rows changed
+                    {rows.carried_over > 0 && ` · ${rows.carried_over} kept the earlier run's outcome`}
+                  </p>
+                  <div className="flex flex-wrap gap-2 mb-2">
+                    {rows.transitions.map(t => {
+                      const key = `${t.from}>${t.to}`;
+                      return (
+                        <button
+                          key={key}
+                          onClick={() => { setTransition(transition === key ? '' : key); setPage(1); }}
+                          className={`badge ${transition === key ? 'badge-info' : 'badge-neutral'}`}
+                        >
+                          {t.from} → {t.to} · {t.count}
+                        </button>
+                      );
+                    })}
+                  </div>
+                  {rows.transactions.length > 0 && (
+                    <div className="table-container">
+                      <table className="table">
+                        <thead>
+                          <tr className="text-left text-xs text-slate-500">
+                            <th className="px-3 py-2">Transaction</th>
+                            <th className="px-3 py-2">Merchant</th>
+                            <th className="px-3 py-2">Source</th>
+                            <th className="px-3 py-2">Amount</th>
+                            <th className="px-3 py-2">Run A</th>
+                            <th className="px-3 py-2">Run B</th>
+                          </tr>
+                        </thead>
+                        <tbody className="text-sm dark:text-slate-300">
+                          {rows.transactions.map(row => (
+                            <tr key={row._id}>
+                              <td className="px-3 py-2 font-mono">{row.transaction_id}</td>
+                              <td className="px-3 py-2">{row.merchant_id}</td>
+                              <td className="px-3 py-2">{row.source}</td>
+                              <td className="px-3 py-2">₹{(row.amount || 0).toLocaleString('en-IN')}</td>
+                              <td className="px-3 py-2">
+                                {row.a.status}
+                                {row.a.match_pass && <span className="text-xs text-slate-400"> · {row.a.match_pass}</span>}
+                              </td>
+                              <td className="px-3 py-2">
+                                {row.b.status}
+                                {row.b.match_pass && <span className="text-xs text-slate-400"> · {row.b.match_pass}</span>}
+                                {row.manual_actions?.length > 0 && (
+                                  <span className="text-xs text-slate-400"> · by hand: {row.manual_actions.map(m => m.action.toLowerCase().replace(/_/g, ' ')).join(', ')}</span>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                  {rows.pagination.pages > 1 && (
+                    <div className="flex items-center justify-end gap-2 text-sm mt-2">
+                      <button onClick={() => setPage(p => p - 1)} disabled={page <= 1} className="btn btn-outline btn-sm">Previous</button>
+                      <span className="text-slate-500">Page {page} of {rows.pagination.pages}</span>
+                      <button onClick={() => setPage(p => p + 1)} disabled={page >= rows.pagination.pages} className="btn btn-outline btn-sm">Next</button>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RunDiff;
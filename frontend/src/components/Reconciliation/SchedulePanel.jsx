@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2, Play } from 'lucide-react';
+import { reconciliationScheduleAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EMPTY_SCHEDULE = {
+  name: '',
+  settlement_cycle: 'DAILY',
+  cutoff_time: '18:00',
+  day_of_week: '1',
+  day_of_month: '1',
+  mode: 'TWO_WAY',
+  net_of_fees: false
+};
+
+const describeCutoff = (schedule) => {
+  if (schedule.settlement_cycle === 'WEEKLY') return `${WEEKDAYS[schedule.day_of_week]}s at ${schedule.cutoff_time}`;
+  if (schedule.settlement_cycle === 'MONTHLY') return `Day ${schedule.day_of_month} at ${schedule.cutoff_time}`;
+  return `Daily at ${schedule.cutoff_time}`;
+};
+
+// Runs queued automatically for each settlement cycle's merchants at its cut-off
+const SchedulePanel = ({ onChange }) => {
+  const { isAdmin } = useAuth();
+  const [schedules, setSchedules] = useState([]);
+  const [newSchedule, setNewSchedule] = useState(EMPTY_SCHEDULE);
+
+  const fetchSchedules = async () => {
+    try {
+      const response = await reconciliationScheduleAPI.getAll();
+      setSchedules(response.data.data.schedules);
+    } catch (error) {
+      toast.error('Failed to load schedules');
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedules();
+  }, []);
+
+  const setField = (field) => (e) => setNewSchedule(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const { name, settlement_cycle, cutoff_time, day_of_week, day_of_month, mode, net_of_fees } = newSchedule;
+      await reconciliationScheduleAPI.create({
+        name,
+        settlement_cycle,
+        cutoff_time,
+        day_of_week: Number(day_of_week),
+        day_of_month: Number(day_of_month),
+        run_config: { mode, net_of_fees }
+      });
+      toast.success('Schedule created');
+      setNewSchedule(EMPTY_SCHEDULE);
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create schedule');
+    }
+  };
+
+  const handleToggle = async (schedule) => {
+    try {
+      await reconciliationScheduleAPI.update(schedule._id, { is_active: !schedule.is_active });
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update schedule');
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete schedule "${schedule.name}"?`)) return;
+    try {
+      await reconciliationScheduleAPI.delete(schedule._id);
+      fetchSchedules();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete schedule');
+    }
+  };
+
+  const handleTrigger = async (schedule) => {
+    try {
+      const response = await reconciliationScheduleAPI.trigger(schedule._id);
+      toast.success(response.data.message);
+      fetchSchedules();
+      onChange?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to run schedule');
+      fetchSchedules();
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header">
+        <h3 className="font-semibold dark:text-white">Scheduled Runs</h3>
+        <p className="text-sm text-slate-500">
+          At each cut-off a run is queued for the cycle's active merchants, covering rows dated up to the cut-off.
+          Merchants already being processed by another run are skipped and picked up next time.
+        </p>
+      </div>
+      <div className="p-4">
+        {schedules.length === 0 && <p className="text-xs text-slate-500 mb-2">No schedules yet.</p>}
+
+        <div className="space-y-2 text-sm">
+          {schedules.map(schedule => (
+            <div key={schedule._id} className={`flex items-start gap-2 ${schedule.is_active ? '' : 'opacity-50'}`}>
+              <div>
+                <span className="dark:text-slate-300">{schedule.name}</span>
+                <span className="text-xs text-slate-500">
+                  {' '}· {schedule.settlement_cycle} · {describeCutoff(schedule)}
+                  {schedule.run_config?.mode === 'THREE_WAY' && ' · 3-way'}
+                  {schedule.run_config?.net_of_fees && ' · net of fees'}
+                </span>
+                <p className="text-xs text-slate-500">
+                  {schedule.is_active && schedule.next_run_at && `Next: ${new Date(schedule.next_run_at).toLocaleString()}`}
+                  {schedule.last_run && ` · Last: ${schedule.last_run.run_id} (${schedule.last_run.status})`}
+                  {schedule.last_message && ` · ${schedule.last_message}`}
+                </p>
+              </div>
+              {isAdmin() && (
+                <span className="ml-auto flex items-center gap-2">
+                  <button onClick={() => handleTrigger(schedule)} className="text-xs text-slate-500 hover:text-primary-600 inline-flex items-center gap-1">
+                    <Play className="w-3 h-3" /> Run now
+                  </button>
+                  <button onClick={() => handleToggle(schedule)} className="text-xs text-slate-500 hover:text-primary-600">
+                    {schedule.is_active ? 'Disable' : 'Enable'}
+                  </button>
+                  <button onClick={() => handleDelete(schedule)} className="text-slate-400 hover:text-red-600" title="Delete">
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </span>
+              )}
+            </div>
+          ))}
+        </div>
+
+        {isAdmin() && (
+          <form onSubmit={handleCreate} className="flex flex-wrap items-center gap-2 mt-3">
+            <input value={newSchedule.name} onChange={setField('name')} placeholder="Schedule name" required className="input w-40 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <select value={newSchedule.settlement_cycle} onChange={setField('settlement_cycle')} className="input w-32 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+              <option value="DAILY">Daily</option>
+              <option value="WEEKLY">Weekly</option>
+              <option value="MONTHLY">Monthly</option>
+            </select>
+            {newSchedule.settlement_cycle === 'WEEKLY' && (
+              <select value={newSchedule.day_of_week} onChange={setField('day_of_week')} className="input w-32 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+                {WEEKDAYS.map((day, index) => <option key={day} value={index}>{day}</option>)}
+              </select>
+            )}
+            {newSchedule.settlement_cycle === 'MONTHLY' && (
+              <input type="number" min="1" max="28" value={newSchedule.day_of_month} onChange={setField('day_of_month')} title="Day of month (1-28)" className="input w-20 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            )}
+            <input type="time" value={newSchedule.cutoff_time} onChange={setField('cutoff_time')} required title="Cut-off time" className="input w-28 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200" />
+            <select value={newSchedule.mode} onChange={setField('mode')} className="input w-32 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200">
+              <option value="TWO_WAY">Two-way</option>
+              <option value="THREE_WAY">Three-way</option>
+            </select>
+            <label className="flex items-center gap-1 text-xs text-slate-600 dark:text-slate-400">
+              <input
+                type="checkbox"
+                checked={newSchedule.net_of_fees}
+                onChange={(e) => setNewSchedule(prev => ({ ...prev, net_of_fees: e.target.checked }))}
+              />
+              Net of fees
+            </label>
+            <button type="submit" className="btn btn-primary btn-sm flex items-center gap-1">
+              <Plus className="w-3 h-3" /> Add schedule
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SchedulePanel;
@@ -0,0 +1,285 @@
+import { useState } from 'react';
+import { X, RefreshCw, AlertTriangle } from 'lucide-react';
+import { uploadAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const DECIMAL_SEPARATORS = [['.', 'Point (.)'], [',', 'Comma (,)']];
+const THOUSANDS_SEPARATORS = [[',', 'Comma (,)'], ['.', 'Point (.)'], [' ', 'Space'], ["'", "Apostrophe (')"], ['', 'None']];
+const GROUPINGS = [['STANDARD', '1,234,567'], ['INDIAN', '12,34,567 (lakh)']];
+const UNITS = [['MAJOR', 'Rupees'], ['MINOR', 'Paise']];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return new Date(value).toLocaleDateString();
+  return String(value);
+};
+
+// Map a previewed file's columns onto transaction fields by dragging header
+// chips onto the fields, check the first rows, then import
+const ColumnMapper = ({ preview: initialPreview, onImported, onCancel }) => {
+  const { isAdmin } = useAuth();
+  const [preview, setPreview] = useState(initialPreview);
+  const [mapping, setMapping] = useState(initialPreview.mapping);
+  const [profileId, setProfileId] = useState(initialPreview.profile?._id || '');
+  const [dirty, setDirty] = useState(false);
+  const [profileName, setProfileName] = useState('');
+  const [dragOver, setDragOver] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [allowDuplicate, setAllowDuplicate] = useState(false);
+
+  const fileId = preview.file._id;
+  const usedColumns = new Set(Object.values(mapping.columns));
+
+  // Any manual change detaches the mapping from the selected profile
+  const updateMapping = (change) => {
+    setMapping(prev => change(prev));
+    setProfileId('');
+    setDirty(true);
+  };
+
+  const setColumn = (field, column) => updateMapping(prev => {
+    const columns = { ...prev.columns };
+    if (column) columns[field] = column;
+    else delete columns[field];
+    return { ...prev, columns };
+  });
+
+  const setDefault = (field, value) => updateMapping(prev => ({ ...prev, defaults: { ...prev.defaults, [field]: value } }));
+
+  const setAmountFormat = (key, value) => updateMapping(prev => ({
+    ...prev,
+    amount_format: { ...prev.amount_format, [key]: value }
+  }));
+
+  const handleDrop = (field) => (e) => {
+    e.preventDefault();
+    setDragOver(null);
+    const column = e.dataTransfer.getData('text/plain');
+    if (column) setColumn(field, column);
+  };
+
+  const refresh = async (request) => {
+    try {
+      setBusy(true);
+      const response = await uploadAPI.previewFile(fileId, request);
+      setPreview(response.data.data);
+      setMapping(response.data.data.mapping);
+      setDirty(false);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Preview failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleProfileChange = (e) => {
+    const id = e.target.value;
+    setProfileId(id);
+    if (id) refresh({ profile_id: id });
+  };
+
+  const handleImport = async () => {
+    try {
+      setBusy(true);
+      const request = profileId ? { profile_id: profileId } : { mapping };
+      if (!profileId && profileName) request.save_profile = { name: profileName };
+      if (allowDuplicate) request.allow_duplicate = true;
+      const response = await uploadAPI.commit(fileId, request);
+      toast.success(response.data.message);
+      onImported(response.data.data);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Map columns · {preview.file.original_filename}</h3>
+          <p className="text-sm text-slate-500">Drag a column from the file onto the field it fills. Fields without a column can use a fixed value.</p>
+        </div>
+        <button onClick={onCancel} className="text-slate-400 hover:text-slate-600" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="card-body space-y-4">
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="text-sm text-slate-600">Profile</label>
+          <select value={profileId} onChange={handleProfileChange} className="input w-56">
+            <option value="">{dirty || !preview.profile ? 'Custom mapping' : 'Suggested mapping'}</option>
+            {preview.profiles.map(profile => (
+              <option key={profile._id} value={profile._id}>
+                {profile.name}{profile.merchant_id ? ` (${profile.merchant_id})` : ''}
+              </option>
+            ))}
+          </select>
+          {preview.profile && !dirty && <span className="text-xs text-slate-500">Matched profile "{preview.profile.name}"</span>}
+        </div>
+
+        {/* File columns */}
+        <div>
+          <p className="text-xs font-medium text-slate-500 mb-1">File columns</p>
+          <div className="flex flex-wrap gap-2">
+            {preview.headers.map(header => (
+              <span
+                key={header}
+                draggable
+                onDragStart={(e) => e.dataTransfer.setData('text/plain', header)}
+                className={`px-2 py-1 rounded text-xs cursor-move border ${usedColumns.has(header) ? 'bg-slate-100 text-slate-400 border-slate-200' : 'bg-primary-50 text-primary-700 border-primary-200'}`}
+              >
+                {header}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Target fields */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          {preview.target_fields.map(field => (
+            <div
+              key={field}
+              onDragOver={(e) => { e.preventDefault(); setDragOver(field); }}
+              onDragLeave={() => setDragOver(null)}
+              onDrop={handleDrop(field)}
+              className={`flex items-center gap-2 p-2 rounded border-2 border-dashed ${dragOver === field ? 'border-primary-500 bg-primary-50' : 'border-slate-200'}`}
+            >
+              <span className="text-sm w-36">
+                {field}
+                {preview.required_fields.includes(field) && <span className="text-red-500"> *</span>}
+              </span>
+              {mapping.columns[field] ? (
+                <span className="px-2 py-1 rounded text-xs bg-primary-100 text-primary-700 inline-flex items-center gap-1">
+                  {mapping.columns[field]}
+                  <button onClick={() => setColumn(field, null)} title="Unmap">
+                    <X className="w-3 h-3" />
+                  </button>
+                </span>
+              ) : (
+                <input
+                  value={mapping.defaults[field] || ''}
+                  onChange={(e) => setDefault(field, e.target.value)}
+                  placeholder="Drop a column or type a fixed value"
+                  className="input flex-1 text-xs"
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        {/* Formats */}
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <label className="text-slate-600">Date format</label>
+          <input
+            value={mapping.date_format || ''}
+            onChange={(e) => updateMapping(prev => ({ ...prev, date_format: e.target.value || null }))}
+            placeholder="ISO or dd/MM/yyyy"
+            className="input w-44"
+          />
+          <label className="text-slate-600">Time zone</label>
+          <input
+            value={mapping.timezone || ''}
+            onChange={(e) => updateMapping(prev => ({ ...prev, timezone: e.target.value }))}
+            placeholder="e.g. Asia/Kolkata or +05:30"
+            className="input w-44"
+          />
+          <label className="text-slate-600">Decimal</label>
+          <select value={mapping.amount_format.decimal_separator} onChange={(e) => setAmountFormat('decimal_separator', e.target.value)} className="input w-32">
+            {DECIMAL_SEPARATORS.map(([value, label]) => <option key={label} value={value}>{label}</option>)}
+          </select>
+          <label className="text-slate-600">Thousands</label>
+          <select value={mapping.amount_format.thousands_separator} onChange={(e) => setAmountFormat('thousands_separator', e.target.value)} className="input w-36">
+            {THOUSANDS_SEPARATORS.map(([value, label]) => <option key={label} value={value}>{label}</option>)}
+          </select>
+          <label className="text-slate-600">Grouping</label>
+          <select value={mapping.amount_format.grouping} onChange={(e) => setAmountFormat('grouping', e.target.value)} className="input w-40">
+            {GROUPINGS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <label className="text-slate-600">Amounts in</label>
+          <select value={mapping.amount_format.unit} onChange={(e) => setAmountFormat('unit', e.target.value)} className="input w-28">
+            {UNITS.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+          <label className="inline-flex items-center gap-1 text-slate-600">
+            <input
+              type="checkbox"
+              checked={!!mapping.amount_format.negative_parentheses}
+              onChange={(e) => setAmountFormat('negative_parentheses', e.target.checked)}
+            />
+            (123) is negative
+          </label>
+          <button onClick={() => refresh({ mapping })} disabled={busy} className="btn btn-secondary btn-sm inline-flex items-center gap-1">
+            <RefreshCw className="w-3 h-3" /> Refresh preview
+          </button>
+        </div>
+
+        {preview.duplicate && (
+          <div className="text-sm text-amber-700 bg-amber-50 rounded p-2 flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5" />
+            <div>
+              <p>
+                This file was already uploaded as {preview.duplicate.original_filename}
+                {preview.duplicate.uploaded_by?.name && ` by ${preview.duplicate.uploaded_by.name}`} on {new Date(preview.duplicate.uploaded_at).toLocaleString()}.
+              </p>
+              {isAdmin() && (
+                <label className="inline-flex items-center gap-1 mt-1">
+                  <input type="checkbox" checked={allowDuplicate} onChange={(e) => setAllowDuplicate(e.target.checked)} />
+                  Import it again anyway
+                </label>
+              )}
+            </div>
+          </div>
+        )}
+
+        {preview.problems.length > 0 && !dirty && (
+          <div className="text-sm text-amber-700 bg-amber-50 rounded p-2 flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5" />
+            <div>{preview.problems.map(problem => <p key={problem}>{problem}</p>)}</div>
+          </div>
+        )}
+
+        {/* Normalised rows */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-slate-500 border-b">
+                <th className="py-1 pr-2">Row</th>
+                {preview.target_fields.map(field => <th key={field} className="py-1 pr-2">{field}</th>)}
+                <th className="py-1">Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map(row => (
+                <tr key={row.row} className={`border-b ${row.errors.length ? 'bg-red-50' : ''}`}>
+                  <td className="py-1 pr-2 text-slate-400">{row.row}</td>
+                  {preview.target_fields.map(field => <td key={field} className="py-1 pr-2">{formatValue(row.normalized[field])}</td>)}
+                  <td className="py-1 text-red-600">{row.errors.join(', ')}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {dirty && <p className="text-xs text-slate-500 mt-1">Mapping changed — refresh to see the rows with it.</p>}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-end gap-2">
+          {!profileId && (
+            <input
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="Save mapping as profile (optional)"
+              className="input w-64"
+            />
+          )}
+          <button onClick={handleImport} disabled={busy} className="btn btn-primary">
+            {busy ? 'Working...' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMapper;
@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import { uploadAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+// Grid of a file's failed rows in the file's own columns, a page at a time:
+// edit the values in place and re-import the rows with the mapping the file
+// was imported with
+const FailedRowsEditor = ({ fileId, onChanged, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [failedRows, setFailedRows] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 50, pages: 1, total: 0 });
+  const [edits, setEdits] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const fetchFile = async () => {
+    try {
+      const response = await uploadAPI.getFileDetails(fileId);
+      setFile(response.data.data.file);
+    } catch (error) {
+      toast.error('Failed to load the file');
+    }
+  };
+
+  const fetchRows = async () => {
+    try {
+      const response = await uploadAPI.getFailedRows(fileId, { page: pagination.page, limit: pagination.limit });
+      setFailedRows(response.data.data.rows);
+      setPagination(prev => ({ ...prev, ...response.data.data.pagination }));
+    } catch (error) {
+      toast.error('Failed to load the failed rows');
+    }
+  };
+
+  useEffect(() => {
+    fetchFile();
+    setEdits({});
+    setPagination(prev => ({ ...prev, page: 1 }));
+  }, [fileId]);
+
+  useEffect(() => {
+    fetchRows();
+  }, [fileId, pagination.page]);
+
+  if (!file) return null;
+
+  const columns = file.headers?.length
+    ? file.headers
+    : [...new Set(failedRows.flatMap(error => Object.keys(error.data)))];
+
+  const valueOf = (error, column) => edits[error._id]?.[column] ?? error.data[column] ?? '';
+
+  const setValue = (error, column, value) => setEdits(prev => ({
+    ...prev,
+    [error._id]: { ...error.data, ...prev[error._id], [column]: value }
+  }));
+
+  const resubmit = async (errors) => {
+    if (errors.length === 0) return;
+    try {
+      setBusy(true);
+      const rows = errors.map(error => ({ error_id: error._id, data: edits[error._id] || error.data }));
+      const response = await uploadAPI.resubmitRows(fileId, { rows });
+      const { results, file: updated } = response.data.data;
+      const failed = results.filter(result => result.status !== 'IMPORTED');
+      if (failed.length) toast.error(`${response.data.message}; ${failed.length} still failing`);
+      else toast.success(response.data.message);
+
+      // Keep the edits of rows that still fail so they can be corrected further
+      setEdits(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => failed.some(result => result.error_id === id))));
+      setFile(prev => ({ ...prev, ...updated }));
+      fetchRows();
+      onChanged?.();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Re-import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const editedRows = failedRows.filter(error => edits[error._id]);
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Failed rows · {file.original_filename}</h3>
+          <p className="text-sm text-slate-500">
+            Correct the values and re-import. {pagination.total} rows failed.
+          </p>
+        </div>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600" title="Close">
+          <X className="w-5 h-5" />
+        </button>
+      </div>
+      <div className="card-body space-y-3">
+        {failedRows.length === 0 ? (
+          <p className="text-sm text-slate-500">All rows of this file are imported.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500 border-b">
+                  <th className="py-1 pr-2">Row</th>
+                  {columns.map(column => <th key={column} className="py-1 pr-2">{column}</th>)}
+                  <th className="py-1 pr-2">Error</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {failedRows.map(error => (
+                  <tr key={error._id} className={`border-b ${edits[error._id] ? 'bg-primary-50' : ''}`}>
+                    <td className="py-1 pr-2 text-slate-400">{error.row}</td>
+                    {columns.map(column => (
+                      <td key={column} className="py-1 pr-2">
+                        <input
+                          value={valueOf(error, column)}
+                          onChange={(e) => setValue(error, column, e.target.value)}
+                          className="input text-xs w-28"
+                        />
+                      </td>
+                    ))}
+                    <td className="py-1 pr-2 text-red-600">{error.message}</td>
+                    <td className="py-1">
+                      <button onClick={() => resubmit([error])} disabled={busy} className="btn btn-outline btn-sm" title="Re-import this row">
+                        <RotateCcw className="w-3 h-3" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="flex items-center justify-between gap-2">
+          {pagination.pages > 1 ? (
+            <div className="flex items-center gap-2 text-sm text-slate-500">
+              <button onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))} disabled={pagination.page === 1} className="btn btn-outline btn-sm">Previous</button>
+              <span>Page {pagination.page} of {pagination.pages}</span>
+              <button onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))} disabled={pagination.page >= pagination.pages} className="btn btn-outline btn-sm">Next</button>
+            </div>
+          ) : <span />}
+          <button onClick={() => resubmit(editedRows)} disabled={busy || editedRows.length === 0} className="btn btn-primary">
+            {busy ? 'Working...' : `Re-import ${editedRows.length} edited rows`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FailedRowsEditor;
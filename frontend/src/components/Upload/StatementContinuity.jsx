@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { RefreshCw, CheckCircle, AlertTriangle } from 'lucide-react';
+import { uploadAPI } from '../../services/api';
+import toast from 'react-hot-toast';
+
+const formatAmount = (amount) => (amount === null || amount === undefined
+  ? '-'
+  : `${amount < 0 ? '-' : ''}₹${Math.abs(amount).toLocaleString('en-IN', { minimumFractionDigits: 2 })}`);
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : '-');
+
+// Imported MT940 / camt.053 statements per account, flagging statements whose
+// opening balance doesn't continue the previous closing balance and statements
+// whose entries don't add up to their closing balance
+const StatementContinuity = ({ refreshKey }) => {
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const fetchStatements = async () => {
+    try {
+      setLoading(true);
+      const response = await uploadAPI.getStatements();
+      setAccounts(response.data.data.accounts);
+    } catch (error) {
+      toast.error('Failed to load bank statements');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatements();
+  }, [refreshKey]);
+
+  if (!accounts.length) return null;
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold">Bank Statements</h3>
+          <p className="text-sm text-slate-500">Balance continuity of imported MT940 / camt.053 statements</p>
+        </div>
+        <button onClick={fetchStatements} disabled={loading} className="btn btn-secondary btn-sm inline-flex items-center gap-1">
+          <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} /> Refresh
+        </button>
+      </div>
+      <div className="divide-y">
+        {accounts.map(account => (
+          <div key={account.account} className="p-4 space-y-2">
+            <div className="flex items-center gap-2">
+              <p className="font-medium">Account {account.account}</p>
+              {account.breaks === 0 && account.unbalanced === 0 ? (
+                <span className="badge badge-success">Continuous</span>
+              ) : (
+                <>
+                  {account.breaks > 0 && <span className="badge badge-danger">{account.breaks} balance gap(s)</span>}
+                  {account.unbalanced > 0 && <span className="badge badge-warning">{account.unbalanced} unbalanced</span>}
+                </>
+              )}
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-slate-500 border-b">
+                    <th className="py-1 pr-2">Statement</th>
+                    <th className="py-1 pr-2">File</th>
+                    <th className="py-1 pr-2">Opening</th>
+                    <th className="py-1 pr-2">Credits</th>
+                    <th className="py-1 pr-2">Debits</th>
+                    <th className="py-1 pr-2">Closing</th>
+                    <th className="py-1">Check</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {account.statements.map(statement => (
+                    <tr
+                      key={`${statement.file_id}-${statement.reference}-${statement.number}`}
+                      className={`border-b ${statement.continuous === false ? 'bg-red-50' : statement.balanced === false ? 'bg-amber-50' : ''}`}
+                    >
+                      <td className="py-1 pr-2">
+                        {statement.number || statement.reference}
+                        <span className="text-slate-400"> · {statement.format === 'CAMT053' ? 'camt.053' : 'MT940'}</span>
+                      </td>
+                      <td className="py-1 pr-2 text-slate-500">{statement.original_filename}</td>
+                      <td className="py-1 pr-2">
+                        {formatAmount(statement.opening_balance?.amount)}
+                        <span className="text-slate-400"> · {formatDate(statement.opening_balance?.date)}</span>
+                      </td>
+                      <td className="py-1 pr-2">{formatAmount(statement.total_credits)}</td>
+                      <td className="py-1 pr-2">{formatAmount(statement.total_debits)}</td>
+                      <td className="py-1 pr-2">
+                        {formatAmount(statement.closing_balance?.amount)}
+                        <span className="text-slate-400"> · {formatDate(statement.closing_balance?.date)}</span>
+                      </td>
+                      <td className="py-1">
+                        {statement.continuous === false ? (
+                          <span className="text-red-600 inline-flex items-center gap-1">
+                            <AlertTriangle className="w-3 h-3" /> Gap of {formatAmount(statement.gap)} from previous closing
+                          </span>
+                        ) : statement.balanced === false ? (
+                          <span className="text-amber-700 inline-flex items-center gap-1">
+                            <AlertTriangle className="w-3 h-3" /> Entries don't add up to the closing balance
+                          </span>
+                        ) : (
+                          <CheckCircle className="w-4 h-4 text-emerald-500" />
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default StatementContinuity;
@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react';
+import { RefreshCw, Pencil, Undo2 } from 'lucide-react';
+import { uploadAPI } from '../../services/api';
+import { useAuth } from '../../context/AuthContext';
+import toast from 'react-hot-toast';
+
+const STATUS_BADGES = {
+  UPLOADED: 'badge-neutral',
+  PROCESSING: 'badge-info',
+  COMPLETED: 'badge-success',
+  PARTIAL: 'badge-warning',
+  FAILED: 'badge-danger',
+  ROLLED_BACK: 'badge-neutral'
+};
+
+// Rows of a file that failed to import (each is kept for correction)
+const failedRowCount = (file) => file.results.failed_rows + file.results.duplicate_rows;
+
+// Past uploads, with their failed rows to correct and a roll back of the whole file
+const UploadHistory = ({ refreshKey, onFixRows }) => {
+  const { hasPermission } = useAuth();
+  const [files, setFiles] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 10, pages: 1 });
+  const [loading, setLoading] = useState(false);
+
+  const fetchFiles = async () => {
+    try {
+      setLoading(true);
+      const response = await uploadAPI.getFiles({ page: pagination.page, limit: pagination.limit });
+      setFiles(response.data.data.files);
+      setPagination(prev => ({ ...prev, ...response.data.data.pagination }));
+    } catch (error) {
+      toast.error('Failed to load uploads');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchFiles();
+  }, [pagination.page, refreshKey]);
+
+  const handleRollback = async (file) => {
+    if (!window.confirm(`Roll back ${file.original_filename}? Every transaction imported from it will be deleted; the upload stays in the history.`)) return;
+    try {
+      const response = await uploadAPI.deleteFile(file._id);
+      toast.success(response.data.message);
+      fetchFiles();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Roll back failed');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="card-header flex items-center justify-between">
+        <h3 className="font-semibold">Upload History</h3>
+        <button onClick={fetchFiles} disabled={loading} className="btn btn-secondary btn-sm inline-flex items-center gap-1">
+          <RefreshCw className={`w-3 h-3 ${loading ? 'animate-spin' : ''}`} /> Refresh
+        </button>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b">
+              <th className="px-4 py-2">File</th>
+              <th className="px-4 py-2">Type</th>
+              <th className="px-4 py-2">Status</th>
+              <th className="px-4 py-2">Rows</th>
+              <th className="px-4 py-2">Uploaded</th>
+              <th className="px-4 py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {files.length === 0 ? (
+              <tr><td colSpan={6} className="px-4 py-6 text-center text-slate-400">No uploads yet</td></tr>
+            ) : files.map(file => (
+              <tr key={file._id} className="border-b">
+                <td className="px-4 py-2 font-medium">{file.original_filename}</td>
+                <td className="px-4 py-2">{file.file_type}</td>
+                <td className="px-4 py-2">
+                  <span className={`badge ${STATUS_BADGES[file.status]}`} title={file.rolled_back?.at && `Rolled back ${new Date(file.rolled_back.at).toLocaleString()}`}>{file.status}</span>
+                  {file.duplicate_of?.file && (
+                    <span
+                      className="badge badge-warning ml-1"
+                      title={`Repeats ${file.duplicate_of.file.original_filename || 'an earlier upload'}${file.duplicate_of.match === 'ROWS' ? ' (same rows)' : ''}`}
+                    >
+                      {file.duplicate_override ? 'Re-imported' : 'Duplicate'}
+                    </span>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-slate-500">
+                  {file.results.successful_rows} imported
+                  {file.results.failed_rows > 0 && `, ${file.results.failed_rows} failed`}
+                  {file.results.duplicate_rows > 0 && `, ${file.results.duplicate_rows} duplicate`}
+                </td>
+                <td className="px-4 py-2 text-slate-500">
+                  {new Date(file.createdAt).toLocaleString()}
+                  {file.uploaded_by?.name && ` · ${file.uploaded_by.name}`}
+                </td>
+                <td className="px-4 py-2">
+                  <div className="flex justify-end gap-2">
+                    {['COMPLETED', 'PARTIAL'].includes(file.status) && failedRowCount(file) > 0 && (
+                      <button onClick={() => onFixRows(file._id)} className="btn btn-outline btn-sm inline-flex items-center gap-1" title="Correct failed rows and import them">
+                        <Pencil className="w-3 h-3" /> Fix {failedRowCount(file)} rows
+                      </button>
+                    )}
+                    {hasPermission('canDeleteRecords') && !['PROCESSING', 'ROLLED_BACK'].includes(file.status) && (
+                      <button onClick={() => handleRollback(file)} className="btn btn-outline btn-sm inline-flex items-center gap-1 text-red-600" title="Delete the transactions imported from the file">
+                        <Undo2 className="w-3 h-3" /> Roll back
+                      </button>
+                    )}
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {pagination.pages > 1 && (
+        <div className="flex items-center justify-between px-4 py-3 text-sm text-slate-500">
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <div className="flex gap-2">
+            <button onClick={() => setPagination(prev => ({ ...prev, page: prev.page - 1 }))} disabled={pagination.page === 1} className="btn btn-outline btn-sm">Previous</button>
+            <button onClick={() => setPagination(prev => ({ ...prev, page: prev.page + 1 }))} disabled={pagination.page >= pagination.pages} className="btn btn-outline btn-sm">Next</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UploadHistory;
@@ -1,4 +1,4 @@
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
 import toast from 'react-hot-toast';
@@ -52,7 +52,11 @@ export const SocketProvider = ({ children }) => {
       });
 
       newSocket.on('reconciliation:complete', (data) => {
-        toast.success(`Reconciliation ${data.run_id} completed!`);
+        toast.success(data.preview ? `Preview ${data.run_id} ready` : `Reconciliation ${data.run_id} completed!`);
+      });
+
+      newSocket.on('reconciliation:failed', (data) => {
+        toast.error(`Reconciliation ${data.run_id} failed: ${data.error}`);
       });
 
       newSocket.on('sla:breach', (data) => {
@@ -75,13 +79,13 @@ export const SocketProvider = ({ children }) => {
     }
   }, [isAuthenticated]);
 
-  const subscribe = (event, callback) => {
+  const subscribe = useCallback((event, callback) => {
     if (socket) {
       socket.on(event, callback);
       return () => socket.off(event, callback);
     }
     return () => {};
-  };
+  }, [socket]);
 
   const emit = (event, data) => {
     if (socket && connected) {
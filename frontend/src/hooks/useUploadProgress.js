@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef } from 'react';
+import { uploadAPI } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+
+// Milliseconds between polls of an import's file record when the socket is down
+const POLL_INTERVAL = 3000;
+
+const SETTLED_STATUSES = ['COMPLETED', 'PARTIAL', 'FAILED'];
+
+// Upload entry from a file record or an upload:* socket event
+const toUpload = (file) => ({
+  _id: file._id,
+  type: file.file_type,
+  filename: file.original_filename,
+  status: file.status,
+  total: file.results?.total_rows || 0,
+  imported: file.results?.successful_rows || 0,
+  failed: (file.results?.failed_rows || 0) + (file.results?.duplicate_rows || 0),
+  percent: file.processing?.bytes_total
+    ? Math.min(100, Math.round((file.processing.bytes_read / file.processing.bytes_total) * 100))
+    : null,
+  error: file.error
+});
+
+// Follow files being imported in the background: live over socket.io, or by
+// polling their records while the socket is disconnected. onSettled is called
+// with each entry once its import completes or fails.
+export const useUploadProgress = (onSettled) => {
+  const { subscribe, connected } = useSocket() || {};
+  const [uploads, setUploads] = useState([]);
+  const uploadsRef = useRef(uploads);
+  const settledRef = useRef(onSettled);
+  uploadsRef.current = uploads;
+  settledRef.current = onSettled;
+
+  const update = (file) => {
+    const next = toUpload(file);
+    const current = uploadsRef.current.find(upload => upload._id === next._id);
+    if (!current) return;
+
+    setUploads(prev => prev.map(upload => (upload._id === next._id ? { ...upload, ...next } : upload)));
+    if (!SETTLED_STATUSES.includes(current.status) && SETTLED_STATUSES.includes(next.status)) {
+      settledRef.current?.(next);
+    }
+  };
+
+  useEffect(() => {
+    if (!subscribe) return;
+    const unsubscribers = ['upload:progress', 'upload:complete', 'upload:failed']
+      .map(event => subscribe(event, update));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [subscribe]);
+
+  const pending = uploads.filter(upload => upload.status === 'PROCESSING').map(upload => upload._id);
+
+  useEffect(() => {
+    if (connected || pending.length === 0) return;
+    const timer = setInterval(() => {
+      pending.forEach(id => uploadAPI.getFileDetails(id)
+        .then(response => update(response.data.data.file))
+        .catch(() => {}));
+    }, POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [connected, pending.join(',')]);
+
+  // Start following a file accepted for import (re-reading it in case the
+  // import finished before its events could be matched)
+  const track = (file) => {
+    setUploads(prev => [...prev, toUpload(file)]);
+    uploadAPI.getFileDetails(file._id)
+      .then(response => update(response.data.data.file))
+      .catch(() => {});
+  };
+
+  // Record a file that was rejected before its import started
+  const addRejected = (entry) => setUploads(prev => [...prev, { status: 'FAILED', imported: 0, failed: 0, ...entry }]);
+
+  const clear = () => setUploads([]);
+
+  return { uploads, track, addRejected, clear };
+};
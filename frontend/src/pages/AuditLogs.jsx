@@ -51,7 +51,8 @@ const AuditLogs = () => {
     TRANSACTION_DELETE: 'text-red-600 bg-red-50',
     MERCHANT_CREATE: 'text-purple-600 bg-purple-50',
     RECONCILIATION_RUN: 'text-indigo-600 bg-indigo-50',
-    FILE_UPLOAD: 'text-teal-600 bg-teal-50'
+    FILE_UPLOAD: 'text-teal-600 bg-teal-50',
+    FILE_ROLLBACK: 'text-red-600 bg-red-50'
   };
 
   return (
@@ -80,6 +81,7 @@ const AuditLogs = () => {
               <option value="TRANSACTION_EDIT">Transaction Edit</option>
               <option value="MERCHANT_CREATE">Merchant Create</option>
               <option value="FILE_UPLOAD">File Upload</option>
+              <option value="FILE_ROLLBACK">File Rollback</option>
               <option value="RECONCILIATION_RUN">Reconciliation Run</option>
             </select>
           </div>
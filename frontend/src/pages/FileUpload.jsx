@@ -1,44 +1,76 @@
 import { useState, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { Upload, FileText, CheckCircle, XCircle, AlertTriangle } from 'lucide-react';
+import { Upload, FileText, CheckCircle, XCircle, AlertTriangle, Columns, Loader2 } from 'lucide-react';
 import { uploadAPI } from '../services/api';
+import ColumnMapper from '../components/Upload/ColumnMapper';
+import StatementContinuity from '../components/Upload/StatementContinuity';
+import UploadHistory from '../components/Upload/UploadHistory';
+import FailedRowsEditor from '../components/Upload/FailedRowsEditor';
+import { useUploadProgress } from '../hooks/useUploadProgress';
+import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 
 const FileUpload = () => {
+  const { isAdmin } = useAuth();
   const [bankFile, setBankFile] = useState(null);
   const [merchantFiles, setMerchantFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
-  const [results, setResults] = useState([]);
+  const [historyKey, setHistoryKey] = useState(0);
+  const [fixingFileId, setFixingFileId] = useState(null);
+  const { uploads: results, track, addRejected } = useUploadProgress((upload) => {
+    if (upload.status === 'FAILED') toast.error(`${upload.filename}: ${upload.error || 'import failed'}`);
+    else toast.success(`${upload.filename}: ${upload.imported} transactions imported, ${upload.failed} errors`);
+    setHistoryKey(key => key + 1);
+  });
+  const [merchantId, setMerchantId] = useState('');
+  const [preview, setPreview] = useState(null);
   const bankInputRef = useRef(null);
   const merchantInputRef = useRef(null);
 
-  const handleBankUpload = async () => {
+  // A file repeating an earlier upload is rejected; admins may import it again deliberately
+  const confirmDuplicate = (message) => isAdmin() && window.confirm(`${message}\n\nImport it again anyway?`);
+
+  const handleBankUpload = async (allowDuplicate = false) => {
     if (!bankFile) return;
     try {
       setUploading(true);
       const formData = new FormData();
       formData.append('file', bankFile);
+      if (allowDuplicate) formData.append('allow_duplicate', 'true');
       const response = await uploadAPI.uploadBank(formData);
       toast.success(response.data.message);
-      setResults(prev => [...prev, { type: 'BANK', ...response.data.data.summary }]);
+      track(response.data.data.file);
       setBankFile(null);
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Upload failed');
+      const data = error.response?.data;
+      if (data?.code === 'DUPLICATE_FILE' && !allowDuplicate && confirmDuplicate(data.message)) {
+        return await handleBankUpload(true);
+      }
+      toast.error(data?.message || 'Upload failed');
     } finally {
       setUploading(false);
     }
   };
 
-  const handleMerchantUpload = async () => {
-    if (merchantFiles.length === 0) return;
+  const handleMerchantUpload = async (files = merchantFiles, allowDuplicate = false) => {
+    if (files.length === 0) return;
     try {
       setUploading(true);
       const formData = new FormData();
-      merchantFiles.forEach(file => formData.append('files', file));
+      files.forEach(file => formData.append('files', file));
+      if (allowDuplicate) formData.append('allow_duplicate', 'true');
       const response = await uploadAPI.uploadMerchant(formData);
       toast.success(response.data.message);
-      setResults(prev => [...prev, ...response.data.data.results.map(r => ({ type: 'MERCHANT', ...r }))]);
+      const { results: fileResults } = response.data.data;
+      const duplicates = fileResults.filter(result => result.code === 'DUPLICATE_FILE');
+      fileResults.forEach(result => (result.status === 'FAILED'
+        ? addRejected({ type: 'MERCHANT', filename: result.filename, error: result.error })
+        : track({ _id: result.file_id, file_type: 'MERCHANT', original_filename: result.filename, status: result.status })));
       setMerchantFiles([]);
+
+      if (duplicates.length > 0 && !allowDuplicate && confirmDuplicate(duplicates.map(result => `${result.filename}: ${result.error}`).join('\n'))) {
+        await handleMerchantUpload(files.filter(file => duplicates.some(result => result.filename === file.name)), true);
+      }
     } catch (error) {
       toast.error(error.response?.data?.message || 'Upload failed');
     } finally {
@@ -46,6 +78,30 @@ const FileUpload = () => {
     }
   };
 
+  // Upload one file without importing it and open the column mapper
+  const handlePreview = async (file, fileType) => {
+    try {
+      setUploading(true);
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('file_type', fileType);
+      if (fileType === 'MERCHANT' && merchantId) formData.append('merchant_id', merchantId);
+      const response = await uploadAPI.preview(formData);
+      setPreview(response.data.data);
+      if (fileType === 'BANK') setBankFile(null);
+      else setMerchantFiles([]);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Preview failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleMappedImport = (data) => {
+    track(data.file);
+    setPreview(null);
+  };
+
   return (
     <div className="space-y-6">
       <div>
@@ -64,18 +120,28 @@ const FileUpload = () => {
             >
               <Upload className="w-10 h-10 mx-auto text-slate-400 mb-3" />
               <p className="text-sm text-slate-600">{bankFile ? bankFile.name : 'Click to upload or drag & drop'}</p>
-              <p className="text-xs text-slate-400 mt-1">CSV or Excel files</p>
+              <p className="text-xs text-slate-400 mt-1">CSV, Excel, MT940 or camt.053 files, optionally gzipped or zipped</p>
             </div>
             <input
               ref={bankInputRef}
               type="file"
-              accept=".csv,.xlsx,.xls"
+              accept=".csv,.xlsx,.xls,.sta,.mt940,.940,.txt,.xml,.gz,.zip"
               onChange={(e) => setBankFile(e.target.files[0])}
               className="hidden"
             />
-            <button onClick={handleBankUpload} disabled={!bankFile || uploading} className="btn btn-primary w-full mt-4">
-              {uploading ? 'Uploading...' : 'Upload Bank File'}
-            </button>
+            <div className="flex gap-2 mt-4">
+              <button onClick={() => handleBankUpload()} disabled={!bankFile || uploading} className="btn btn-primary flex-1">
+                {uploading ? 'Uploading...' : 'Upload Bank File'}
+              </button>
+              <button
+                onClick={() => handlePreview(bankFile, 'BANK')}
+                disabled={!bankFile || uploading}
+                className="btn btn-outline flex items-center gap-1"
+                title="Check how the columns map before importing"
+              >
+                <Columns className="w-4 h-4" /> Preview & map
+              </button>
+            </div>
           </div>
         </div>
 
@@ -89,30 +155,58 @@ const FileUpload = () => {
             >
               <Upload className="w-10 h-10 mx-auto text-slate-400 mb-3" />
               <p className="text-sm text-slate-600">{merchantFiles.length > 0 ? `${merchantFiles.length} file(s) selected` : 'Click to upload multiple files'}</p>
-              <p className="text-xs text-slate-400 mt-1">CSV or Excel files</p>
+              <p className="text-xs text-slate-400 mt-1">CSV or Excel files, optionally gzipped or zipped</p>
             </div>
             <input
               ref={merchantInputRef}
               type="file"
-              accept=".csv,.xlsx,.xls"
+              accept=".csv,.xlsx,.xls,.gz,.zip"
               multiple
               onChange={(e) => setMerchantFiles(Array.from(e.target.files))}
               className="hidden"
             />
-            <button onClick={handleMerchantUpload} disabled={merchantFiles.length === 0 || uploading} className="btn btn-primary w-full mt-4">
-              {uploading ? 'Uploading...' : 'Upload Merchant Files'}
-            </button>
+            {merchantFiles.length === 1 && (
+              <input
+                value={merchantId}
+                onChange={(e) => setMerchantId(e.target.value)}
+                placeholder="Merchant ID (when the file has no merchant column)"
+                className="input w-full mt-4"
+              />
+            )}
+            <div className="flex gap-2 mt-4">
+              <button onClick={() => handleMerchantUpload()} disabled={merchantFiles.length === 0 || uploading} className="btn btn-primary flex-1">
+                {uploading ? 'Uploading...' : 'Upload Merchant Files'}
+              </button>
+              <button
+                onClick={() => handlePreview(merchantFiles[0], 'MERCHANT')}
+                disabled={merchantFiles.length !== 1 || uploading}
+                className="btn btn-outline flex items-center gap-1"
+                title="Select a single file to map its columns before importing"
+              >
+                <Columns className="w-4 h-4" /> Preview & map
+              </button>
+            </div>
           </div>
         </div>
       </div>
 
+      {preview && (
+        <ColumnMapper
+          key={preview.file._id}
+          preview={preview}
+          onImported={handleMappedImport}
+          onCancel={() => setPreview(null)}
+        />
+      )}
+
+
       {/* Results */}
       {results.length > 0 && (
         <div className="card">
           <div className="card-header"><h3 className="font-semibold">Upload Results</h3></div>
           <div className="divide-y">
             {results.map((result, idx) => (
-              <div key={idx} className="p-4 flex items-center justify-between">
+              <div key={result._id || idx} className="p-4 flex items-center justify-between">
                 <div className="flex items-center gap-3">
                   <FileText className="w-5 h-5 text-slate-400" />
                   <div>
@@ -120,11 +214,15 @@ const FileUpload = () => {
                     <p className="text-sm text-slate-500">
                       {result.status === 'COMPLETED' || result.status === 'PARTIAL' ? (
                         `Imported: ${result.imported || 0}, Failed: ${result.failed || 0}`
-                      ) : result.status}
+                      ) : result.status === 'PROCESSING' ? (
+                        `Importing${result.percent !== null ? ` ${result.percent}%` : ''}... ${result.imported} imported so far`
+                      ) : result.error || result.status}
                     </p>
                   </div>
                 </div>
-                {result.status === 'COMPLETED' ? (
+                {result.status === 'PROCESSING' ? (
+                  <Loader2 className="w-5 h-5 text-primary-500 animate-spin" />
+                ) : result.status === 'COMPLETED' ? (
                   <CheckCircle className="w-5 h-5 text-emerald-500" />
                 ) : result.status === 'PARTIAL' ? (
                   <AlertTriangle className="w-5 h-5 text-amber-500" />
@@ -136,6 +234,18 @@ const FileUpload = () => {
           </div>
         </div>
       )}
+
+      {fixingFileId && (
+        <FailedRowsEditor
+          fileId={fixingFileId}
+          onChanged={() => setHistoryKey(key => key + 1)}
+          onClose={() => setFixingFileId(null)}
+        />
+      )}
+
+      <UploadHistory refreshKey={historyKey} onFixRows={setFixingFileId} />
+
+      <StatementContinuity refreshKey={historyKey} />
     </div>
   );
 };
@@ -20,7 +20,7 @@ const Merchants = () => {
   const [showModal, setShowModal] = useState(false);
   const [editingMerchant, setEditingMerchant] = useState(null);
   const [formData, setFormData] = useState({
-    name: '', email: '', settlement_cycle: 'DAILY', payment_gateway: 'BANK', sla_hours: 24
+    name: '', email: '', settlement_cycle: 'DAILY', payment_gateway: 'BANK', sla_hours: 24, auto_accept_threshold: ''
   });
 
   const fetchMerchants = async () => {
@@ -41,17 +41,18 @@ const Merchants = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const payload = { ...formData, auto_accept_threshold: formData.auto_accept_threshold === '' ? null : formData.auto_accept_threshold };
     try {
       if (editingMerchant) {
-        await merchantAPI.update(editingMerchant._id, formData);
+        await merchantAPI.update(editingMerchant._id, payload);
         toast.success('Merchant updated');
       } else {
-        await merchantAPI.create(formData);
+        await merchantAPI.create(payload);
         toast.success('Merchant created');
       }
       setShowModal(false);
       setEditingMerchant(null);
-      setFormData({ name: '', email: '', settlement_cycle: 'DAILY', payment_gateway: 'BANK', sla_hours: 24 });
+      setFormData({ name: '', email: '', settlement_cycle: 'DAILY', payment_gateway: 'BANK', sla_hours: 24, auto_accept_threshold: '' });
       fetchMerchants();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Operation failed');
@@ -65,7 +66,8 @@ const Merchants = () => {
       email: merchant.email,
       settlement_cycle: merchant.settlement_cycle,
       payment_gateway: merchant.payment_gateway,
-      sla_hours: merchant.sla_hours
+      sla_hours: merchant.sla_hours,
+      auto_accept_threshold: merchant.auto_accept_threshold ?? ''
     });
     setShowModal(true);
   };
@@ -89,7 +91,7 @@ const Merchants = () => {
           <p className="text-slate-500">Manage merchant accounts and settings</p>
         </div>
         {hasPermission('canAddMerchant') && (
-          <button onClick={() => { setEditingMerchant(null); setFormData({ name: '', email: '', settlement_cycle: 'DAILY', payment_gateway: 'BANK', sla_hours: 24 }); setShowModal(true); }} className="btn btn-primary flex items-center gap-2">
+          <button onClick={() => { setEditingMerchant(null); setFormData({ name: '', email: '', settlement_cycle: 'DAILY', payment_gateway: 'BANK', sla_hours: 24, auto_accept_threshold: '' }); setShowModal(true); }} className="btn btn-primary flex items-center gap-2">
             <Plus className="w-4 h-4" />
             Add Merchant
           </button>
@@ -140,6 +142,9 @@ const Merchants = () => {
                 <p><span className="text-slate-500">Gateway:</span> {merchant.payment_gateway}</p>
                 <p><span className="text-slate-500">Cycle:</span> {merchant.settlement_cycle}</p>
                 <p><span className="text-slate-500">SLA:</span> {merchant.sla_hours}h</p>
+                {merchant.auto_accept_threshold != null && (
+                  <p><span className="text-slate-500">Auto-accept:</span> ≥ {merchant.auto_accept_threshold}%</p>
+                )}
               </div>
               <div className="mt-4 pt-4 border-t border-slate-100 flex items-center gap-2">
                 <button onClick={() => handleEdit(merchant)} className="btn btn-outline btn-sm flex-1">
@@ -194,6 +199,10 @@ const Merchants = () => {
                 <label className="label">SLA (hours)</label>
                 <input type="number" value={formData.sla_hours} onChange={(e) => setFormData({ ...formData, sla_hours: parseInt(e.target.value) })} className="input" min="1" required />
               </div>
+              <div>
+                <label className="label">Auto-accept fuzzy matches at confidence (%)</label>
+                <input type="number" value={formData.auto_accept_threshold} onChange={(e) => setFormData({ ...formData, auto_accept_threshold: e.target.value === '' ? '' : parseInt(e.target.value) })} className="input" min="50" max="100" placeholder="Off" />
+              </div>
               <div className="flex gap-3 pt-4">
                 <button type="button" onClick={() => setShowModal(false)} className="btn btn-outline flex-1">Cancel</button>
                 <button type="submit" className="btn btn-primary flex-1">{editingMerchant ? 'Update' : 'Create'}</button>
@@ -6,8 +6,6 @@ import {
   CheckCircle, 
   XCircle, 
   AlertTriangle,
-  Eye,
-  EyeOff,
   Save,
   RefreshCw,
   DollarSign,
@@ -17,15 +15,20 @@ import {
   Loader2
 } from 'lucide-react';
 import { transactionAPI, gatewayAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import WebhookEventsPanel from '../components/Gateways/WebhookEventsPanel';
+import GatewayAccountsPanel from '../components/Gateways/GatewayAccountsPanel';
+import GatewaySyncPanel from '../components/Gateways/GatewaySyncPanel';
 import toast from 'react-hot-toast';
 
 const PaymentGateways = () => {
+  const { isAdmin } = useAuth();
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
-  const [showApiKeys, setShowApiKeys] = useState({});
   const [syncing, setSyncing] = useState(false);
   const [razorpayStats, setRazorpayStats] = useState(null);
+  const [stripeStats, setStripeStats] = useState(null);
   
   // Gateway configurations
   const [gateways, setGateways] = useState({
@@ -34,9 +37,6 @@ const PaymentGateways = () => {
       name: 'Razorpay',
       logo: '🔷',
       mode: 'live',
-      keyId: 'rzp_live_xxxxxxxxxxxxxx',
-      keySecret: '••••••••••••••••••••',
-      webhookSecret: '••••••••••••••••••••',
       features: ['Cards', 'UPI', 'Netbanking', 'Wallets'],
       status: 'connected'
     },
@@ -45,9 +45,6 @@ const PaymentGateways = () => {
       name: 'Stripe',
       logo: '💳',
       mode: 'live',
-      publishableKey: 'pk_live_xxxxxxxxxxxxxx',
-      secretKey: '••••••••••••••••••••',
-      webhookSecret: '••••••••••••••••••••',
       features: ['Cards', 'Apple Pay', 'Google Pay', 'SEPA'],
       status: 'connected'
     },
@@ -66,6 +63,7 @@ const PaymentGateways = () => {
   useEffect(() => {
     fetchStats();
     fetchRazorpayStats();
+    fetchStripeStats();
   }, []);
 
   const fetchStats = async () => {
@@ -82,7 +80,7 @@ const PaymentGateways = () => {
 
   const fetchRazorpayStats = async () => {
     try {
-      const response = await gatewayAPI.getRazorpayStats();
+      const response = await gatewayAPI.getStats('razorpay');
       if (response.data.success) {
         setRazorpayStats(response.data.data);
       }
@@ -91,10 +89,21 @@ const PaymentGateways = () => {
     }
   };
 
+  const fetchStripeStats = async () => {
+    try {
+      const response = await gatewayAPI.getStats('stripe');
+      if (response.data.success) {
+        setStripeStats(response.data.data);
+      }
+    } catch (error) {
+      console.error('Failed to load Stripe stats');
+    }
+  };
+
   const syncRazorpay = async () => {
     try {
       setSyncing(true);
-      const response = await gatewayAPI.syncRazorpayPayments({ count: 100 });
+      const response = await gatewayAPI.sync('razorpay', { count: 100 });
       if (response.data.success) {
         toast.success(`Synced ${response.data.data.imported} payments from Razorpay!`);
         if (response.data.data.skipped > 0) {
@@ -111,6 +120,30 @@ const PaymentGateways = () => {
     }
   };
 
+  const syncStripe = async () => {
+    try {
+      setSyncing(true);
+      const response = await gatewayAPI.sync('stripe', { count: 100 });
+      if (response.data.success) {
+        const { imported, skipped, linked } = response.data.data;
+        toast.success(`Synced ${imported} payments from Stripe!`);
+        if (skipped > 0) {
+          toast(`${skipped} balance transactions were already imported or are not payments`, { icon: 'ℹ️' });
+        }
+        if (linked > 0) {
+          toast(`${linked} payments linked to their payouts`, { icon: 'ℹ️' });
+        }
+        // Refresh stats after sync
+        fetchStats();
+        fetchStripeStats();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sync Stripe payments');
+    } finally {
+      setSyncing(false);
+    }
+  };
+
   const toggleGateway = (gatewayId) => {
     setGateways(prev => ({
       ...prev,
@@ -128,11 +161,6 @@ const PaymentGateways = () => {
     toast.success(`${gateways[gatewayId].name} switched to ${newMode} mode`);
   };
 
-  const toggleShowKey = (gatewayId, keyName) => {
-    const key = `${gatewayId}_${keyName}`;
-    setShowApiKeys(prev => ({ ...prev, [key]: !prev[key] }));
-  };
-
   const handleSaveConfig = (gatewayId) => {
     toast.success(`${gateways[gatewayId].name} configuration saved!`);
   };
@@ -143,8 +171,8 @@ const PaymentGateways = () => {
     return gateway || { count: 0, amount: 0, successRate: 0 };
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount);
+  const formatCurrency = (amount, currency = 'INR') => {
+    return new Intl.NumberFormat('en-IN', { style: 'currency', currency: currency || 'INR' }).format(amount);
   };
 
   return (
@@ -156,7 +184,7 @@ const PaymentGateways = () => {
           <p className="text-slate-500">Manage your Stripe, Razorpay, and Bank payment configurations</p>
         </div>
         <button 
-          onClick={() => { fetchStats(); fetchRazorpayStats(); }}
+          onClick={() => { fetchStats(); fetchRazorpayStats(); fetchStripeStats(); }}
           className="btn btn-outline flex items-center gap-2"
         >
           <RefreshCw className="w-4 h-4" />
@@ -219,18 +247,22 @@ const PaymentGateways = () => {
                     <p className="text-xs text-slate-500">Transactions</p>
                     <p className="text-lg font-semibold text-slate-900">
                       {id === 'razorpay' && razorpayStats 
-                        ? razorpayStats.razorpay?.paymentCount?.toLocaleString() || 0
-                        : gatewayStats.count?.toLocaleString() || 0}
+                        ? razorpayStats.gateway?.paymentCount?.toLocaleString() || 0
+                        : id === 'stripe' && stripeStats
+                          ? stripeStats.gateway?.paymentCount?.toLocaleString() || 0
+                          : gatewayStats.count?.toLocaleString() || 0}
                     </p>
                   </div>
                   <div>
                     <p className="text-xs text-slate-500">
-                      {id === 'razorpay' ? 'Total Received' : 'Volume'}
+                      {id === 'razorpay' || id === 'stripe' ? 'Total Received' : 'Volume'}
                     </p>
                     <p className="text-lg font-semibold text-slate-900">
                       {id === 'razorpay' && razorpayStats 
-                        ? formatCurrency(razorpayStats.razorpay?.totalReceived || 0)
-                        : formatCurrency(gatewayStats.amount || 0)}
+                        ? formatCurrency(razorpayStats.gateway?.totalReceived || 0)
+                        : id === 'stripe' && stripeStats
+                          ? formatCurrency(stripeStats.gateway?.totalReceived || 0, stripeStats.gateway?.currency)
+                          : formatCurrency(gatewayStats.amount || 0)}
                     </p>
                   </div>
                 </div>
@@ -258,7 +290,7 @@ const PaymentGateways = () => {
       <div className="card">
         <div className="border-b border-slate-200">
           <nav className="flex gap-4 px-6" aria-label="Tabs">
-            {['overview', 'razorpay', 'stripe', 'bank'].map((tab) => (
+            {['overview', 'razorpay', 'stripe', 'bank', ...(isAdmin() ? ['webhooks'] : [])].map((tab) => (
               <button
                 key={tab}
                 onClick={() => setActiveTab(tab)}
@@ -268,7 +300,7 @@ const PaymentGateways = () => {
                     : 'border-transparent text-slate-500 hover:text-slate-700 hover:border-slate-300'
                 }`}
               >
-                {tab === 'overview' ? 'Overview' : gateways[tab]?.name || tab}
+                {tab === 'overview' ? 'Overview' : tab === 'webhooks' ? 'Webhooks' : gateways[tab]?.name || tab}
               </button>
             ))}
           </nav>
@@ -369,6 +401,8 @@ const PaymentGateways = () => {
             </div>
           )}
 
+          {activeTab === 'webhooks' && <WebhookEventsPanel />}
+
           {activeTab !== 'overview' && gateways[activeTab] && (
             <div className="space-y-6">
               <div className="flex items-center justify-between">
@@ -380,9 +414,9 @@ const PaymentGateways = () => {
                   </div>
                 </div>
                 <div className="flex items-center gap-3">
-                  {activeTab === 'razorpay' && (
+                  {(activeTab === 'razorpay' || activeTab === 'stripe') && (
                     <button
-                      onClick={syncRazorpay}
+                      onClick={activeTab === 'razorpay' ? syncRazorpay : syncStripe}
                       disabled={syncing}
                       className="btn btn-success flex items-center gap-2"
                     >
@@ -394,7 +428,7 @@ const PaymentGateways = () => {
                       ) : (
                         <>
                           <Download className="w-4 h-4" />
-                          Sync from Razorpay
+                          Sync from {gateways[activeTab].name}
                         </>
                       )}
                     </button>
@@ -411,110 +445,17 @@ const PaymentGateways = () => {
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 {/* API Keys Section */}
                 <div className="space-y-4">
-                  <h4 className="font-medium text-slate-900">API Credentials</h4>
-                  
-                  {activeTab === 'razorpay' && (
-                    <>
-                      <div>
-                        <label className="label">Key ID</label>
-                        <div className="relative">
-                          <input
-                            type={showApiKeys.razorpay_keyId ? 'text' : 'password'}
-                            value={gateways.razorpay.keyId}
-                            className="input pr-10"
-                            readOnly
-                          />
-                          <button
-                            onClick={() => toggleShowKey('razorpay', 'keyId')}
-                            className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
-                          >
-                            {showApiKeys.razorpay_keyId ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-                          </button>
-                        </div>
-                      </div>
-                      <div>
-                        <label className="label">Key Secret</label>
-                        <div className="relative">
-                          <input
-                            type="password"
-                            value={gateways.razorpay.keySecret}
-                            className="input pr-10"
-                            readOnly
-                          />
-                          <button className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600">
-                            <Eye className="w-4 h-4" />
-                          </button>
-                        </div>
-                      </div>
-                      <div>
-                        <label className="label">Webhook Secret</label>
-                        <div className="relative">
-                          <input
-                            type="password"
-                            value={gateways.razorpay.webhookSecret}
-                            className="input pr-10"
-                            readOnly
-                          />
-                          <button className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600">
-                            <Eye className="w-4 h-4" />
-                          </button>
-                        </div>
-                      </div>
-                    </>
-                  )}
-
-                  {activeTab === 'stripe' && (
-                    <>
-                      <div>
-                        <label className="label">Publishable Key</label>
-                        <div className="relative">
-                          <input
-                            type={showApiKeys.stripe_publishableKey ? 'text' : 'password'}
-                            value={gateways.stripe.publishableKey}
-                            className="input pr-10"
-                            readOnly
-                          />
-                          <button
-                            onClick={() => toggleShowKey('stripe', 'publishableKey')}
-                            className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
-                          >
-                            {showApiKeys.stripe_publishableKey ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
-                          </button>
-                        </div>
-                      </div>
-                      <div>
-                        <label className="label">Secret Key</label>
-                        <div className="relative">
-                          <input
-                            type="password"
-                            value={gateways.stripe.secretKey}
-                            className="input pr-10"
-                            readOnly
-                          />
-                          <button className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600">
-                            <Eye className="w-4 h-4" />
-                          </button>
-                        </div>
-                      </div>
-                      <div>
-                        <label className="label">Webhook Secret</label>
-                        <div className="relative">
-                          <input
-                            type="password"
-                            value={gateways.stripe.webhookSecret}
-                            className="input pr-10"
-                            readOnly
-                          />
-                          <button className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600">
-                            <Eye className="w-4 h-4" />
-                          </button>
-                        </div>
-                      </div>
-                    </>
+                  {(activeTab === 'razorpay' || activeTab === 'stripe') && (
+                    isAdmin() ? (
+                      <GatewayAccountsPanel gateway={activeTab} />
+                    ) : (
+                      <p className="text-sm text-slate-500">Only admins can view and change {gateways[activeTab].name} credentials.</p>
+                    )
                   )}
 
                   {activeTab === 'bank' && (
                     <>
+                      <h4 className="font-medium text-slate-900">Account Details</h4>
                       <div>
                         <label className="label">Account Number</label>
                         <input
@@ -533,16 +474,15 @@ const PaymentGateways = () => {
                           readOnly
                         />
                       </div>
+                      <button
+                        onClick={() => handleSaveConfig(activeTab)}
+                        className="btn btn-primary flex items-center gap-2"
+                      >
+                        <Save className="w-4 h-4" />
+                        Save Configuration
+                      </button>
                     </>
                   )}
-
-                  <button
-                    onClick={() => handleSaveConfig(activeTab)}
-                    className="btn btn-primary flex items-center gap-2"
-                  >
-                    <Save className="w-4 h-4" />
-                    Save Configuration
-                  </button>
                 </div>
 
                 {/* Stats Section */}
@@ -571,19 +511,19 @@ const PaymentGateways = () => {
                               <div className="grid grid-cols-2 gap-3">
                                 <div>
                                   <p className="text-xs text-blue-600">Total Received</p>
-                                  <p className="text-lg font-bold text-blue-900">{formatCurrency(razorpayStats.razorpay?.totalReceived || 0)}</p>
+                                  <p className="text-lg font-bold text-blue-900">{formatCurrency(razorpayStats.gateway?.totalReceived || 0)}</p>
                                 </div>
                                 <div>
                                   <p className="text-xs text-blue-600">Captured</p>
-                                  <p className="text-lg font-bold text-green-700">{formatCurrency(razorpayStats.razorpay?.totalCaptured || 0)}</p>
+                                  <p className="text-lg font-bold text-green-700">{formatCurrency(razorpayStats.gateway?.totalCaptured || 0)}</p>
                                 </div>
                                 <div>
                                   <p className="text-xs text-blue-600">Pending</p>
-                                  <p className="text-lg font-bold text-yellow-700">{formatCurrency(razorpayStats.razorpay?.totalPending || 0)}</p>
+                                  <p className="text-lg font-bold text-yellow-700">{formatCurrency(razorpayStats.gateway?.totalPending || 0)}</p>
                                 </div>
                                 <div>
                                   <p className="text-xs text-blue-600">Payment Count</p>
-                                  <p className="text-lg font-bold text-blue-900">{razorpayStats.razorpay?.paymentCount || 0}</p>
+                                  <p className="text-lg font-bold text-blue-900">{razorpayStats.gateway?.paymentCount || 0}</p>
                                 </div>
                               </div>
                               <div className="mt-3 pt-3 border-t border-blue-200">
@@ -595,6 +535,40 @@ const PaymentGateways = () => {
                             </div>
                           )}
                           
+                          {/* Stripe Live Stats */}
+                          {activeTab === 'stripe' && stripeStats && (
+                            <div className="bg-gradient-to-r from-purple-50 to-indigo-50 p-4 rounded-lg border border-purple-200">
+                              <p className="text-sm font-medium text-purple-800 mb-3">📊 Live Stripe Stats</p>
+                              <div className="grid grid-cols-2 gap-3">
+                                <div>
+                                  <p className="text-xs text-purple-600">Total Received</p>
+                                  <p className="text-lg font-bold text-purple-900">{formatCurrency(stripeStats.gateway?.totalReceived || 0, stripeStats.gateway?.currency)}</p>
+                                </div>
+                                <div>
+                                  <p className="text-xs text-purple-600">Stripe Fees</p>
+                                  <p className="text-lg font-bold text-red-700">{formatCurrency(stripeStats.gateway?.totalFees || 0, stripeStats.gateway?.currency)}</p>
+                                </div>
+                                <div>
+                                  <p className="text-xs text-purple-600">Refunded</p>
+                                  <p className="text-lg font-bold text-yellow-700">{formatCurrency(stripeStats.gateway?.totalRefunded || 0, stripeStats.gateway?.currency)}</p>
+                                </div>
+                                <div>
+                                  <p className="text-xs text-purple-600">Payment Count</p>
+                                  <p className="text-lg font-bold text-purple-900">
+                                    {stripeStats.gateway?.paymentCount || 0}
+                                    {stripeStats.gateway?.failedCount > 0 && <span className="text-xs font-normal text-red-600"> · {stripeStats.gateway.failedCount} failed</span>}
+                                  </p>
+                                </div>
+                              </div>
+                              <div className="mt-3 pt-3 border-t border-purple-200">
+                                <p className="text-xs text-purple-600">Synced to Local Database</p>
+                                <p className="text-sm font-medium text-purple-900">
+                                  {stripeStats.local?.count || 0} transactions ({formatCurrency(stripeStats.local?.successAmount || 0)} success)
+                                </p>
+                              </div>
+                            </div>
+                          )}
+
                           <div className="bg-white p-4 rounded-lg border border-slate-200">
                             <p className="text-sm text-slate-500 mb-2">Success Rate</p>
                             <div className="flex items-center gap-3">
@@ -625,6 +599,13 @@ const PaymentGateways = () => {
                   </div>
                 </div>
               </div>
+
+              {/* Full sync of settlements (Razorpay reports settlement items) */}
+              {activeTab === 'razorpay' && (
+                <div className="mt-6 pt-6 border-t border-slate-200">
+                  <GatewaySyncPanel gateway={activeTab} />
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -1,21 +1,47 @@
 import { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
-import { Play, RefreshCw, CheckCircle, XCircle, AlertTriangle, Clock, Upload, FileText } from 'lucide-react';
-import { reconciliationAPI, uploadAPI } from '../services/api';
+import { Play, RefreshCw, CheckCircle, XCircle, AlertTriangle, Clock, Upload, FileText, StopCircle, Eye, X, Undo2, GitCompare } from 'lucide-react';
+import { reconciliationAPI, uploadAPI, matchRuleAPI } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import { useUploadProgress } from '../hooks/useUploadProgress';
+import MatchWorkbench from '../components/Reconciliation/MatchWorkbench';
+import RunBreaks, { LegSummary } from '../components/Reconciliation/RunBreaks';
+import AgingPanel from '../components/Reconciliation/AgingPanel';
+import RunDiff from '../components/Reconciliation/RunDiff';
+import FeeSchedulePanel from '../components/Reconciliation/FeeSchedulePanel';
+import SchedulePanel from '../components/Reconciliation/SchedulePanel';
 import toast from 'react-hot-toast';
 
+const ACTIVE_RUN_STATUSES = ['QUEUED', 'RUNNING'];
+const ROLLBACK_RUN_STATUSES = ['COMPLETED', 'CANCELLED', 'FAILED'];
+
 const Reconciliation = () => {
   const [stats, setStats] = useState(null);
   const [runs, setRuns] = useState([]);
   const [disputes, setDisputes] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [running, setRunning] = useState(false);
+  const [starting, setStarting] = useState(false);
+  const [activeRun, setActiveRun] = useState(null);
+  const [matchRules, setMatchRules] = useState([]);
+  const [selectedRuleId, setSelectedRuleId] = useState('');
+  const [dateWindowHours, setDateWindowHours] = useState(24);
+  const [amountTolerance, setAmountTolerance] = useState(0);
+  const [mode, setMode] = useState('TWO_WAY');
+  const [netOfFees, setNetOfFees] = useState(false);
+  const [previewRun, setPreviewRun] = useState(null);
+  const [breaksRun, setBreaksRun] = useState(null);
+  const [comparing, setComparing] = useState(false);
+  const { subscribe } = useSocket() || {};
   
   // File upload states
   const [bankFile, setBankFile] = useState(null);
   const [merchantFile, setMerchantFile] = useState(null);
   const [uploading, setUploading] = useState(false);
-  const [uploadResults, setUploadResults] = useState([]);
+  const { uploads: uploadResults, track, addRejected, clear: clearUploadResults } = useUploadProgress((upload) => {
+    if (upload.status === 'FAILED') toast.error(`${upload.filename}: import failed`);
+    else toast.success(`${upload.filename}: ${upload.imported} records imported`);
+    fetchData(); // Refresh stats
+  });
   const bankInputRef = useRef(null);
   const merchantInputRef = useRef(null);
 
@@ -30,6 +56,15 @@ const Reconciliation = () => {
       setStats(statsRes.data.data);
       setRuns(runsRes.data.data.runs);
       setDisputes(disputesRes.data.data.disputes);
+
+      // Pick up a run that is still queued or in progress (e.g. after a page reload)
+      const inProgress = runsRes.data.data.runs.find(r => ACTIVE_RUN_STATUSES.includes(r.status));
+      setActiveRun(prev => prev || (inProgress ? {
+        _id: inProgress._id,
+        run_id: inProgress.run_id,
+        status: inProgress.status,
+        ...inProgress.progress
+      } : null));
     } catch (error) {
       toast.error('Failed to load data');
     } finally {
@@ -39,8 +74,44 @@ const Reconciliation = () => {
 
   useEffect(() => {
     fetchData();
+    matchRuleAPI.getAll({ is_active: 'true' })
+      .then(res => setMatchRules(res.data.data.rules))
+      .catch(() => setMatchRules([]));
   }, []);
 
+  // Live progress for the active run
+  useEffect(() => {
+    if (!subscribe) return;
+
+    const isActive = (data) => (current) => current && current._id === data._id;
+
+    const finish = (data) => {
+      setActiveRun(current => (isActive(data)(current) ? null : current));
+      fetchData();
+    };
+
+    const unsubscribers = [
+      subscribe('reconciliation:progress', (data) => {
+        setActiveRun(current => (isActive(data)(current) ? { ...current, ...data, status: 'RUNNING' } : current));
+      }),
+      subscribe('reconciliation:complete', (data) => {
+        if (data.preview) {
+          loadPreview(data._id);
+        } else {
+          clearUploadResults(); // Clear upload results after successful run
+        }
+        finish(data);
+      }),
+      subscribe('reconciliation:cancelled', (data) => {
+        toast(`Reconciliation ${data.run_id} cancelled`);
+        finish(data);
+      }),
+      subscribe('reconciliation:failed', finish)
+    ];
+
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [subscribe]);
+
   // Bank file upload
   const handleBankUpload = async () => {
     if (!bankFile) return;
@@ -49,10 +120,9 @@ const Reconciliation = () => {
       const formData = new FormData();
       formData.append('file', bankFile);
       const response = await uploadAPI.uploadBank(formData);
-      toast.success(`Bank file uploaded: ${response.data.data.summary?.imported || 0} records`);
-      setUploadResults(prev => [...prev, { type: 'BANK', filename: bankFile.name, ...response.data.data.summary }]);
+      toast.success(`Bank file uploaded, importing ${bankFile.name}`);
+      track(response.data.data.file);
       setBankFile(null);
-      fetchData(); // Refresh stats
     } catch (error) {
       toast.error(error.response?.data?.message || 'Bank upload failed');
     } finally {
@@ -68,10 +138,15 @@ const Reconciliation = () => {
       const formData = new FormData();
       formData.append('files', merchantFile);
       const response = await uploadAPI.uploadMerchant(formData);
-      toast.success(`Merchant file uploaded: ${response.data.data.results?.[0]?.imported || 0} records`);
-      setUploadResults(prev => [...prev, { type: 'MERCHANT', filename: merchantFile.name, ...(response.data.data.results?.[0] || {}) }]);
+      const [result] = response.data.data.results;
+      if (result.status === 'FAILED') {
+        toast.error(`Merchant upload failed: ${result.error}`);
+        addRejected({ type: 'MERCHANT', filename: result.filename, error: result.error });
+      } else {
+        toast.success(`Merchant file uploaded, importing ${merchantFile.name}`);
+        track({ _id: result.file_id, file_type: 'MERCHANT', original_filename: result.filename, status: result.status });
+      }
       setMerchantFile(null);
-      fetchData(); // Refresh stats
     } catch (error) {
       toast.error(error.response?.data?.message || 'Merchant upload failed');
     } finally {
@@ -79,22 +154,73 @@ const Reconciliation = () => {
     }
   };
 
-  const handleRunReconciliation = async () => {
+  const handleRunReconciliation = async (dryRun = false) => {
     try {
-      setRunning(true);
-      toast.loading('Running reconciliation...', { id: 'recon' });
-      const response = await reconciliationAPI.run({ date_window_hours: 24 });
-      const summary = response.data.data.run.summary;
-      toast.success(
-        `Done! Matched: ${summary.matched}, Unmatched: ${summary.unmatched_bank + summary.unmatched_merchant}, Mismatches: ${summary.amount_mismatch}`,
-        { id: 'recon' }
-      );
-      setUploadResults([]); // Clear upload results after successful run
-      fetchData();
+      setStarting(true);
+      const response = await reconciliationAPI.run({
+        date_window_hours: Number(dateWindowHours),
+        amount_tolerance: Number(amountTolerance),
+        dry_run: dryRun,
+        net_of_fees: netOfFees,
+        mode,
+        ...(selectedRuleId && mode === 'TWO_WAY' && { match_rule_id: selectedRuleId })
+      });
+      const run = response.data.data.run;
+      setActiveRun({ _id: run._id, run_id: run.run_id, status: run.status, ...run.progress });
+      toast.success(response.data.message);
     } catch (error) {
-      toast.error('Reconciliation failed: ' + (error.response?.data?.message || error.message), { id: 'recon' });
+      toast.error('Reconciliation failed: ' + (error.response?.data?.message || error.message));
     } finally {
-      setRunning(false);
+      setStarting(false);
+    }
+  };
+
+  const loadPreview = async (id) => {
+    try {
+      const response = await reconciliationAPI.getRunById(id);
+      setPreviewRun(response.data.data.run);
+    } catch (error) {
+      toast.error('Failed to load preview');
+    }
+  };
+
+  const handlePromotePreview = async (force = false) => {
+    if (!previewRun) return;
+    try {
+      const response = await reconciliationAPI.promoteRun(previewRun._id, { force });
+      const run = response.data.data.run;
+      setActiveRun({ _id: run._id, run_id: run.run_id, status: run.status, ...run.progress });
+      setPreviewRun(null);
+      toast.success(response.data.message);
+      fetchData();
+    } catch (error) {
+      if (error.response?.status === 409 && window.confirm(`${error.response.data.message}\n\nPromote anyway?`)) {
+        handlePromotePreview(true);
+        return;
+      }
+      toast.error(error.response?.data?.message || 'Failed to promote preview');
+    }
+  };
+
+  const handleCancelRun = async () => {
+    if (!activeRun) return;
+    try {
+      const response = await reconciliationAPI.cancelRun(activeRun._id);
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel run');
+    }
+  };
+
+  const handleRollbackRun = async (run) => {
+    const reason = window.prompt(`Roll back ${run.run_id}? Its transactions go back to PENDING.\n\nReason:`);
+    if (!reason || !reason.trim()) return;
+    try {
+      const response = await reconciliationAPI.rollbackRun(run._id, { reason });
+      toast.success(response.data.message);
+      fetchData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to roll back run');
     }
   };
 
@@ -119,16 +245,226 @@ const Reconciliation = () => {
           <h1 className="text-2xl font-bold text-slate-900 dark:text-white">Reconciliation</h1>
           <p className="text-slate-500 dark:text-slate-400">Upload files and match bank/merchant transactions</p>
         </div>
-        <button 
-          onClick={handleRunReconciliation} 
-          disabled={running} 
-          className="btn btn-primary flex items-center gap-2"
-        >
-          {running ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
-          Run Reconciliation
-        </button>
+        <div className="flex items-center gap-3">
+          <select
+            value={mode}
+            onChange={(e) => setMode(e.target.value)}
+            className="input w-36 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200"
+            title="Reconciliation mode"
+          >
+            <option value="TWO_WAY">Two-way</option>
+            <option value="THREE_WAY">Three-way</option>
+          </select>
+          <select
+            value={selectedRuleId}
+            onChange={(e) => setSelectedRuleId(e.target.value)}
+            disabled={mode === 'THREE_WAY'}
+            className="input w-56 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200"
+            title={mode === 'THREE_WAY' ? 'Three-way runs use per-leg rules' : 'Match rule set'}
+          >
+            <option value="">Rules: per merchant / default</option>
+            {matchRules.map(rule => (
+              <option key={rule._id} value={rule._id}>{rule.name} (v{rule.version})</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            value={dateWindowHours}
+            onChange={(e) => setDateWindowHours(e.target.value)}
+            className="input w-24 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200"
+            title="Date window (hours)"
+          />
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={amountTolerance}
+            onChange={(e) => setAmountTolerance(e.target.value)}
+            className="input w-24 dark:bg-slate-800 dark:border-slate-600 dark:text-slate-200"
+            title="Amount tolerance (₹)"
+          />
+          <label className="flex items-center gap-1 text-sm text-slate-600 dark:text-slate-300" title="Compare bank credits with amounts net of gateway fee and tax">
+            <input type="checkbox" checked={netOfFees} onChange={(e) => setNetOfFees(e.target.checked)} />
+            Net of fees
+          </label>
+          <button
+            onClick={() => handleRunReconciliation(true)}
+            disabled={starting || !!activeRun}
+            className="btn btn-outline flex items-center gap-2"
+          >
+            <Eye className="w-4 h-4" />
+            Preview
+          </button>
+          <button 
+            onClick={() => handleRunReconciliation(false)} 
+            disabled={starting || !!activeRun} 
+            className="btn btn-primary flex items-center gap-2"
+          >
+            {starting || activeRun ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />}
+            Run Reconciliation
+          </button>
+        </div>
       </div>
 
+      {/* Active Run Progress */}
+      {activeRun && (
+        <motion.div initial={{ opacity: 0, y: -10 }} animate={{ opacity: 1, y: 0 }} className="card p-4">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <p className="font-medium text-slate-900 dark:text-white">{activeRun.run_id}</p>
+              <p className="text-sm text-slate-500">
+                {activeRun.status === 'QUEUED'
+                  ? 'Waiting for the reconciliation worker...'
+                  : `${activeRun.processed || 0} of ${activeRun.total || 0} transactions processed · ${activeRun.matched || 0} matched`}
+              </p>
+            </div>
+            <button onClick={handleCancelRun} className="btn btn-outline btn-sm flex items-center gap-2">
+              <StopCircle className="w-4 h-4" />
+              Cancel
+            </button>
+          </div>
+          <div className="w-full h-3 bg-slate-100 dark:bg-slate-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-primary-600 transition-all duration-500"
+              style={{ width: `${activeRun.percent || 0}%` }}
+            />
+          </div>
+          <p className="text-xs text-slate-500 mt-1 text-right">{activeRun.percent || 0}%</p>
+        </motion.div>
+      )}
+
+      {/* Preview Results */}
+      {previewRun && (
+        <motion.div initial={{ opacity: 0, y: -10 }} animate={{ opacity: 1, y: 0 }} className="card">
+          <div className="card-header flex items-center justify-between">
+            <div>
+              <h3 className="font-semibold dark:text-white">
+                Preview {previewRun.run_id}
+                {previewRun.config?.mode === 'THREE_WAY' && <span className="badge badge-info ml-2">3-WAY</span>}
+              </h3>
+              <p className="text-sm text-slate-500">
+                Window {previewRun.config?.date_window_hours}h · Tolerance ₹{previewRun.config?.amount_tolerance}
+                {previewRun.config?.net_of_fees && ' · Net of fees'} · nothing has been written yet
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              {previewRun.promoted_at ? (
+                <span className="badge badge-neutral">Promoted</span>
+              ) : (
+                <button onClick={() => handlePromotePreview(false)} disabled={!!activeRun} className="btn btn-primary btn-sm flex items-center gap-2">
+                  <Play className="w-4 h-4" />
+                  Promote to Run
+                </button>
+              )}
+              <button onClick={() => setPreviewRun(null)} className="p-1 text-slate-400 hover:text-slate-600" title="Close">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+          </div>
+          <div className="p-4 space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-sm">
+              {[
+                ['Matched', previewRun.summary?.matched],
+                ['Groups', previewRun.summary?.group_matches],
+                ['Fuzzy (review)', previewRun.summary?.fuzzy_matches],
+                ['Mismatches', previewRun.summary?.amount_mismatch],
+                ...(previewRun.config?.net_of_fees ? [
+                  ['Net-of-fees matches', previewRun.summary?.net_of_fees_matches],
+                  ['Fee variances', previewRun.summary?.fee_variances]
+                ] : []),
+                ['Unmatched bank', previewRun.summary?.unmatched_bank],
+                ['Unmatched merchant', previewRun.summary?.unmatched_merchant],
+                ...(previewRun.config?.mode === 'THREE_WAY' ? [
+                  ['Unmatched gateway', previewRun.summary?.unmatched_gateway],
+                  ['Partially matched', previewRun.summary?.partially_matched]
+                ] : [])
+              ].map(([label, value]) => (
+                <div key={label} className="p-3 bg-slate-50 dark:bg-slate-700 rounded-lg">
+                  <p className="text-slate-500">{label}</p>
+                  <p className="text-lg font-semibold dark:text-white">{value || 0}</p>
+                </div>
+              ))}
+            </div>
+
+            {previewRun.leg_summary?.length > 0 && <LegSummary legs={previewRun.leg_summary} />}
+
+            {previewRun.merchant_summary?.length > 0 && (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr className="text-left text-xs text-slate-500">
+                      <th className="px-3 py-2">Merchant</th>
+                      <th className="px-3 py-2">Matched</th>
+                      <th className="px-3 py-2">Groups</th>
+                      <th className="px-3 py-2">Fuzzy</th>
+                      <th className="px-3 py-2">Mismatches</th>
+                      <th className="px-3 py-2">Unmatched</th>
+                    </tr>
+                  </thead>
+                  <tbody className="text-sm dark:text-slate-300">
+                    {previewRun.merchant_summary.map(m => (
+                      <tr key={m.merchant_id}>
+                        <td className="px-3 py-2">{m.merchant_name} ({m.merchant_id})</td>
+                        <td className="px-3 py-2">{m.matched}</td>
+                        <td className="px-3 py-2">{m.group_matches || 0}</td>
+                        <td className="px-3 py-2">{m.fuzzy_matches || 0}</td>
+                        <td className="px-3 py-2">{m.mismatches}</td>
+                        <td className="px-3 py-2">{m.unmatched}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
+              <div>
+                <p className="font-medium text-slate-700 dark:text-slate-300 mb-2">Proposed matches</p>
+                {(previewRun.preview?.matches || []).map((m, idx) => (
+                  <p key={idx} className="text-slate-600 dark:text-slate-400 truncate">
+                    {m.bank.map(t => t.transaction_id).join(', ')} ↔ {m.merchant.map(t => t.transaction_id).join(', ')}
+                    <span className="text-xs text-slate-400"> · {m.match_pass}</span>
+                    {m.fees?.fee_variance ? <span className="text-xs text-amber-600"> · fee variance ₹{m.fees.fee_variance}</span> : null}
+                  </p>
+                ))}
+              </div>
+              <div>
+                <p className="font-medium text-slate-700 dark:text-slate-300 mb-2">Mismatches</p>
+                {(previewRun.preview?.mismatches || []).map((m, idx) => (
+                  <p key={idx} className="text-slate-600 dark:text-slate-400 truncate">
+                    {m.bank.transaction_id}: ₹{m.bank.amount} vs ₹{m.merchant.net_amount ?? m.merchant.amount}
+                    {m.merchant.net_amount !== undefined && <span className="text-xs text-slate-400"> (net of fees)</span>}
+                  </p>
+                ))}
+              </div>
+              <div>
+                <p className="font-medium text-slate-700 dark:text-slate-300 mb-2">Alerts that would be raised</p>
+                {(previewRun.preview?.alerts || []).map((a, idx) => (
+                  <p key={idx} className="text-slate-600 dark:text-slate-400 truncate">
+                    <span className="badge badge-danger mr-1">{a.severity}</span>{a.title} · {a.transaction_id}
+                  </p>
+                ))}
+              </div>
+            </div>
+            {previewRun.preview?.breaks?.length > 0 && (
+              <button onClick={() => setBreaksRun(previewRun)} className="btn btn-outline btn-sm">
+                View {previewRun.preview.breaks.length} sampled breaks
+              </button>
+            )}
+            {previewRun.preview?.sample_size && (
+              <p className="text-xs text-slate-400">Samples show up to {previewRun.preview.sample_size} items each.</p>
+            )}
+          </div>
+        </motion.div>
+      )}
+
+      {/* Three-way breaks */}
+      {breaksRun && <RunBreaks run={breaksRun} onClose={() => setBreaksRun(null)} />}
+
+      {/* Run comparison */}
+      {comparing && <RunDiff onClose={() => setComparing(false)} />}
+
       {/* File Upload Section */}
       <div className="card">
         <div className="card-header">
@@ -151,7 +487,7 @@ const Reconciliation = () => {
               <input
                 ref={bankInputRef}
                 type="file"
-                accept=".csv,.xlsx,.xls"
+                accept=".csv,.xlsx,.xls,.sta,.mt940,.940,.txt,.xml,.gz,.zip"
                 onChange={(e) => setBankFile(e.target.files[0])}
                 className="hidden"
               />
@@ -179,7 +515,7 @@ const Reconciliation = () => {
               <input
                 ref={merchantInputRef}
                 type="file"
-                accept=".csv,.xlsx,.xls"
+                accept=".csv,.xlsx,.xls,.gz,.zip"
                 onChange={(e) => setMerchantFile(e.target.files[0])}
                 className="hidden"
               />
@@ -198,10 +534,16 @@ const Reconciliation = () => {
             <div className="mt-4 p-3 bg-slate-50 dark:bg-slate-700 rounded-lg">
               <p className="text-sm font-medium text-slate-700 dark:text-slate-300 mb-2">Uploaded Files:</p>
               {uploadResults.map((result, idx) => (
-                <div key={idx} className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
+                <div key={result._id || idx} className="flex items-center gap-2 text-sm text-slate-600 dark:text-slate-400">
                   <FileText className="w-4 h-4" />
                   <span>{result.type}: {result.filename}</span>
-                  <span className="text-emerald-600">({result.imported || 0} imported)</span>
+                  {result.status === 'PROCESSING' ? (
+                    <span className="text-primary-600">(importing{result.percent !== null ? ` ${result.percent}%` : ''}, {result.imported} so far)</span>
+                  ) : result.status === 'FAILED' ? (
+                    <span className="text-red-600">({result.error || 'failed'})</span>
+                  ) : (
+                    <span className="text-emerald-600">({result.imported || 0} imported)</span>
+                  )}
                 </div>
               ))}
             </div>
@@ -244,7 +586,12 @@ const Reconciliation = () => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Recent Runs */}
         <div className="card">
-          <div className="card-header"><h3 className="font-semibold dark:text-white">Recent Runs</h3></div>
+          <div className="card-header flex items-center justify-between">
+            <h3 className="font-semibold dark:text-white">Recent Runs</h3>
+            <button onClick={() => setComparing(true)} className="btn btn-outline btn-sm flex items-center gap-1">
+              <GitCompare className="w-3 h-3" /> Compare
+            </button>
+          </div>
           <div className="divide-y dark:divide-slate-700">
             {runs.length === 0 ? (
               <p className="p-4 text-slate-500 text-center">No runs yet. Upload files and click "Run Reconciliation"</p>
@@ -252,14 +599,58 @@ const Reconciliation = () => {
               runs.map((run) => (
                 <div key={run._id} className="p-4 flex items-center justify-between">
                   <div>
-                    <p className="font-medium text-slate-900 dark:text-white">{run.run_id}</p>
-                    <p className="text-sm text-slate-500">{new Date(run.started_at).toLocaleString()}</p>
+                    <p className="font-medium text-slate-900 dark:text-white">
+                      {run.run_id}
+                      {run.config?.mode === 'THREE_WAY' && <span className="badge badge-info ml-2">3-WAY</span>}
+                      {run.schedule && <span className="badge badge-neutral ml-2">Scheduled</span>}
+                      {run.resume_count > 0 && (
+                        <span className="badge badge-neutral ml-2" title="Resumed from its checkpoint after the worker stopped">Resumed</span>
+                      )}
+                    </p>
+                    <p className="text-sm text-slate-500">
+                      {new Date(run.started_at || run.queued_at || run.createdAt).toLocaleString()}
+                      {run.scheduled_cutoff && ` · Cut-off ${new Date(run.scheduled_cutoff).toLocaleString()}`}
+                    </p>
+                    {run.skipped_merchants?.length > 0 && (
+                      <p className="text-xs text-amber-600" title="Locked by another run; picked up by the next run">
+                        Skipped (locked): {run.skipped_merchants.join(', ')}
+                      </p>
+                    )}
                   </div>
                   <div className="text-right">
-                    <span className={`badge ${run.status === 'COMPLETED' ? 'badge-success' : run.status === 'FAILED' ? 'badge-danger' : 'badge-warning'}`}>
-                      {run.status}
-                    </span>
-                    <p className="text-sm text-slate-500 mt-1">Matched: {run.summary?.matched || 0}</p>
+                    {run.status === 'PREVIEW' ? (
+                      <button onClick={() => loadPreview(run._id)} className="badge badge-info">PREVIEW · View</button>
+                    ) : (
+                      <span className={`badge ${run.status === 'COMPLETED' ? 'badge-success' : run.status === 'FAILED' ? 'badge-danger' : ['CANCELLED', 'ROLLED_BACK'].includes(run.status) ? 'badge-neutral' : 'badge-warning'}`}>
+                        {run.status}
+                      </span>
+                    )}
+                    <p className="text-sm text-slate-500 mt-1">
+                      Matched: {run.summary?.matched || 0}
+                      {run.summary?.group_matches > 0 && ` · Groups: ${run.summary.group_matches}`}
+                      {run.summary?.fuzzy_matches > 0 && ` · Fuzzy: ${run.summary.fuzzy_matches}`}
+                      {run.summary?.suggested > 0 && ` · Suggested: ${run.summary.suggested}`}
+                      {run.summary?.partially_matched > 0 && ` · Partial: ${run.summary.partially_matched}`}
+                      {run.summary?.fee_variances > 0 && ` · Fee variances: ${run.summary.fee_variances}`}
+                    </p>
+                    {run.config?.mode === 'THREE_WAY' && run.status !== 'PREVIEW' && (
+                      <button
+                        onClick={() => setBreaksRun(run)}
+                        className="text-xs text-slate-500 hover:text-primary-600 inline-flex items-center gap-1 mt-1 mr-3"
+                      >
+                        <AlertTriangle className="w-3 h-3" />
+                        Breaks
+                      </button>
+                    )}
+                    {ROLLBACK_RUN_STATUSES.includes(run.status) && (
+                      <button
+                        onClick={() => handleRollbackRun(run)}
+                        className="text-xs text-slate-500 hover:text-red-600 inline-flex items-center gap-1 mt-1"
+                      >
+                        <Undo2 className="w-3 h-3" />
+                        Roll back
+                      </button>
+                    )}
                   </div>
                 </div>
               ))
@@ -289,6 +680,18 @@ const Reconciliation = () => {
           </div>
         </div>
       </div>
+
+      {/* Aging of open items */}
+      <AgingPanel />
+
+      {/* Fee schedules for net-of-fees matching */}
+      <FeeSchedulePanel />
+
+      {/* Scheduled runs per settlement cycle */}
+      <SchedulePanel onChange={fetchData} />
+
+      {/* Manual Match Workbench */}
+      <MatchWorkbench onChange={fetchData} />
     </div>
   );
 };
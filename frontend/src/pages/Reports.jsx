@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
-import { FileText, Download, Calendar, Building2, AlertTriangle, XCircle } from 'lucide-react';
+import { FileText, Download, Calendar, Building2, AlertTriangle, XCircle, Clock } from 'lucide-react';
 import { reportAPI, exportAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
@@ -9,7 +9,8 @@ const reportTypes = [
   { id: 'merchant', name: 'Merchant Settlements', icon: Building2, api: reportAPI.getMerchantSettlements },
   { id: 'unmatched', name: 'Unmatched Transactions', icon: AlertTriangle, api: reportAPI.getUnmatched },
   { id: 'sla', name: 'SLA Breaches', icon: AlertTriangle, api: reportAPI.getSLABreaches },
-  { id: 'failed', name: 'Failed Payments', icon: XCircle, api: reportAPI.getFailedPayments }
+  { id: 'failed', name: 'Failed Payments', icon: XCircle, api: reportAPI.getFailedPayments },
+  { id: 'aging', name: 'Aging (Unmatched & Disputed)', icon: Clock, api: reportAPI.getAging }
 ];
 
 const Reports = () => {
@@ -51,6 +52,8 @@ const Reports = () => {
       
       if (selectedReport === 'merchant') {
         response = await exportAPI.merchants(params);
+      } else if (selectedReport === 'aging') {
+        response = await reportAPI.getAging({ format });
       } else {
         response = await exportAPI.transactions(params);
       }
@@ -162,7 +165,7 @@ const Reports = () => {
             {/* Handle different report data structures */}
             {(() => {
               // Daily report returns data directly as summary
-              const summaryData = reportData.summary || (selectedReport === 'daily' ? reportData : null);
+              const summaryData = reportData.summary || (['daily', 'aging'].includes(selectedReport) ? reportData : null);
               const listData = reportData.transactions || reportData.breaches || (Array.isArray(reportData) ? reportData : null);
               
               return (
@@ -183,6 +186,39 @@ const Reports = () => {
                     </div>
                   )}
                   
+                  {/* Aging Buckets */}
+                  {selectedReport === 'aging' && reportData.buckets && (
+                    <div className="overflow-x-auto mb-6">
+                      <table className="table w-full">
+                        <thead>
+                          <tr>
+                            <th>Merchant</th>
+                            {reportData.buckets.map(bucket => <th key={bucket.key}>{bucket.label}</th>)}
+                            <th>Amount</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          <tr>
+                            <td className="font-semibold dark:text-white">All merchants</td>
+                            {reportData.buckets.map(bucket => (
+                              <td key={bucket.key} className="dark:text-slate-300">{bucket.count} · ₹{bucket.amount.toLocaleString()}</td>
+                            ))}
+                            <td className="dark:text-slate-300">₹{reportData.total_amount?.toLocaleString()}</td>
+                          </tr>
+                          {reportData.by_merchant.slice(0, 10).map(row => (
+                            <tr key={row.merchant_id}>
+                              <td className="dark:text-white">{row.merchant_name || row.merchant_id}</td>
+                              {reportData.buckets.map(bucket => (
+                                <td key={bucket.key} className="dark:text-slate-300">{row.buckets[bucket.key].count}</td>
+                              ))}
+                              <td className="dark:text-slate-300">₹{row.total_amount.toLocaleString()}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
                   {/* Merchant Settlements Table (array data) */}
                   {Array.isArray(reportData) && reportData.length > 0 && (
                     <div className="overflow-x-auto">
@@ -33,6 +33,8 @@ const reconciliationColors = {
   MATCHED: 'badge-success',
   UNMATCHED_BANK: 'badge-danger',
   UNMATCHED_MERCHANT: 'badge-danger',
+  UNMATCHED_GATEWAY: 'badge-danger',
+  PARTIALLY_MATCHED: 'badge-warning',
   AMOUNT_MISMATCH: 'badge-warning',
   PENDING: 'badge-neutral',
   DUPLICATE: 'badge-info'
@@ -419,6 +421,7 @@ const Transactions = () => {
                   <option value="">All</option>
                   <option value="BANK">Bank</option>
                   <option value="MERCHANT">Merchant</option>
+                  <option value="GATEWAY">Gateway</option>
                 </select>
               </div>
               <div>
@@ -432,6 +435,8 @@ const Transactions = () => {
                   <option value="MATCHED">Matched</option>
                   <option value="UNMATCHED_BANK">Unmatched (Bank)</option>
                   <option value="UNMATCHED_MERCHANT">Unmatched (Merchant)</option>
+                  <option value="UNMATCHED_GATEWAY">Unmatched (Gateway)</option>
+                  <option value="PARTIALLY_MATCHED">Partially Matched</option>
                   <option value="AMOUNT_MISMATCH">Amount Mismatch</option>
                   <option value="PENDING">Pending</option>
                 </select>
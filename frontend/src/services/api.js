@@ -104,18 +104,77 @@ export const uploadAPI = {
   uploadMerchant: (formData) => api.post('/upload/merchant', formData, {
     headers: { 'Content-Type': 'multipart/form-data' }
   }),
+  preview: (formData) => api.post('/upload/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }),
+  previewFile: (id, data) => api.post(`/upload/files/${id}/preview`, data),
+  commit: (id, data) => api.post(`/upload/files/${id}/commit`, data),
   getFiles: (params) => api.get('/upload/files', { params }),
-  getFileDetails: (id) => api.get(`/upload/files/${id}`)
+  getFileDetails: (id) => api.get(`/upload/files/${id}`),
+  getStatements: (params) => api.get('/upload/statements', { params }),
+  deleteFile: (id) => api.delete(`/upload/files/${id}`),
+  getFailedRows: (id, params) => api.get(`/upload/files/${id}/rows`, { params }),
+  resubmitRows: (id, data) => api.post(`/upload/files/${id}/rows`, data)
+};
+
+export const mappingProfileAPI = {
+  getAll: (params) => api.get('/mapping-profiles', { params }),
+  create: (data) => api.post('/mapping-profiles', data),
+  update: (id, data) => api.put(`/mapping-profiles/${id}`, data),
+  delete: (id) => api.delete(`/mapping-profiles/${id}`)
 };
 
 export const reconciliationAPI = {
   run: (data) => api.post('/reconciliation/run', data),
   getRuns: (params) => api.get('/reconciliation/runs', { params }),
   getRunById: (id) => api.get(`/reconciliation/runs/${id}`),
+  getRunBreaks: (id, params) => api.get(`/reconciliation/runs/${id}/breaks`, { params }),
+  compareRuns: (a, b, params) => api.get(`/reconciliation/runs/${a}/diff/${b}`, { params }),
+  cancelRun: (id) => api.post(`/reconciliation/runs/${id}/cancel`),
+  promoteRun: (id, data) => api.post(`/reconciliation/runs/${id}/promote`, data),
+  rollbackRun: (id, data) => api.post(`/reconciliation/runs/${id}/rollback`, data),
   getStats: () => api.get('/reconciliation/stats'),
   getUnmatched: (params) => api.get('/reconciliation/unmatched', { params }),
+  getAging: (params) => api.get('/reconciliation/aging', { params }),
   getDisputes: (params) => api.get('/reconciliation/disputes', { params }),
-  resolveDispute: (id, data) => api.put(`/reconciliation/disputes/${id}/resolve`, data)
+  resolveDispute: (id, data) => api.put(`/reconciliation/disputes/${id}/resolve`, data),
+  getCandidates: (id, params) => api.get(`/reconciliation/transactions/${id}/candidates`, { params }),
+  getGroups: (params) => api.get('/reconciliation/groups', { params }),
+  manualMatch: (data) => api.post('/reconciliation/manual-match', data),
+  unmatchGroup: (id, data) => api.post(`/reconciliation/groups/${id}/unmatch`, data),
+  reviewGroup: (id, data) => api.post(`/reconciliation/groups/${id}/review`, data),
+  requeue: (data) => api.post('/reconciliation/requeue', data)
+};
+
+export const matchRuleAPI = {
+  getAll: (params) => api.get('/match-rules', { params }),
+  getById: (id) => api.get(`/match-rules/${id}`),
+  create: (data) => api.post('/match-rules', data),
+  update: (id, data) => api.put(`/match-rules/${id}`, data),
+  delete: (id) => api.delete(`/match-rules/${id}`)
+};
+
+export const agingRuleAPI = {
+  getAll: (params) => api.get('/aging-rules', { params }),
+  create: (data) => api.post('/aging-rules', data),
+  update: (id, data) => api.put(`/aging-rules/${id}`, data),
+  delete: (id) => api.delete(`/aging-rules/${id}`),
+  escalate: () => api.post('/aging-rules/escalate')
+};
+
+export const feeScheduleAPI = {
+  getAll: (params) => api.get('/fee-schedules', { params }),
+  create: (data) => api.post('/fee-schedules', data),
+  update: (id, data) => api.put(`/fee-schedules/${id}`, data),
+  delete: (id) => api.delete(`/fee-schedules/${id}`)
+};
+
+export const reconciliationScheduleAPI = {
+  getAll: () => api.get('/reconciliation-schedules'),
+  create: (data) => api.post('/reconciliation-schedules', data),
+  update: (id, data) => api.put(`/reconciliation-schedules/${id}`, data),
+  delete: (id) => api.delete(`/reconciliation-schedules/${id}`),
+  trigger: (id) => api.post(`/reconciliation-schedules/${id}/trigger`)
 };
 
 export const dashboardAPI = {
@@ -150,7 +209,11 @@ export const reportAPI = {
   getMerchantSettlements: (params) => api.get('/reports/merchant-settlements', { params }),
   getUnmatched: (params) => api.get('/reports/unmatched', { params }),
   getSLABreaches: (params) => api.get('/reports/sla-breaches', { params }),
-  getFailedPayments: (params) => api.get('/reports/failed-payments', { params })
+  getFailedPayments: (params) => api.get('/reports/failed-payments', { params }),
+  getAging: (params = {}) => {
+    const responseType = !params.format || params.format === 'json' ? 'json' : (params.format === 'pdf' ? 'arraybuffer' : 'blob');
+    return api.get('/reports/aging', { params, responseType });
+  }
 };
 
 export const exportAPI = {
@@ -170,10 +233,29 @@ export const exportAPI = {
 
 export const gatewayAPI = {
   getStatus: () => api.get('/gateways'),
-  testRazorpay: () => api.post('/gateways/razorpay/test'),
-  updateRazorpayConfig: (data) => api.post('/gateways/razorpay/config', data),
-  getRazorpayPayments: (params) => api.get('/gateways/razorpay/payments', { params }),
-  syncRazorpayPayments: (data) => api.post('/gateways/razorpay/sync', data),
-  getRazorpayStats: () => api.get('/gateways/razorpay/stats')
+  test: (gateway, params) => api.post(`/gateways/${gateway}/test`, null, { params }),
+  updateConfig: (gateway, data) => api.post(`/gateways/${gateway}/config`, data),
+  getPayments: (gateway, params) => api.get(`/gateways/${gateway}/payments`, { params }),
+  getRefunds: (gateway, params) => api.get(`/gateways/${gateway}/refunds`, { params }),
+  getSettlements: (gateway, params) => api.get(`/gateways/${gateway}/settlements`, { params }),
+  sync: (gateway, data) => api.post(`/gateways/${gateway}/sync`, data),
+  fullSync: (gateway, data) => api.post(`/gateways/${gateway}/full-sync`, data),
+  getSyncs: (params) => api.get('/gateways/syncs', { params }),
+  getSync: (id) => api.get(`/gateways/syncs/${id}`),
+  resumeSync: (id) => api.post(`/gateways/syncs/${id}/resume`),
+  getStats: (gateway) => api.get(`/gateways/${gateway}/stats`),
+  getAccounts: (params) => api.get('/gateways/credentials', { params }),
+  createAccount: (data) => api.post('/gateways/credentials', data),
+  updateAccount: (id, data) => api.put(`/gateways/credentials/${id}`, data),
+  deleteAccount: (id) => api.delete(`/gateways/credentials/${id}`),
+  rotateAccountKey: (id) => api.post(`/gateways/credentials/${id}/rotate-key`),
+  rewrapAccounts: () => api.post('/gateways/credentials/rewrap'),
+  getAccountHistory: (id) => api.get(`/gateways/credentials/${id}/history`)
+};
+
+export const webhookAPI = {
+  getEvents: (params) => api.get('/webhooks/events', { params }),
+  getEvent: (id) => api.get(`/webhooks/events/${id}`),
+  replay: (id) => api.post(`/webhooks/events/${id}/replay`)
 };
 